@@ -13,8 +13,13 @@
  * @param contracts Either the results of initContracts from contracts.js, or
  *     false; if it is the contracts object, then contracts will be applied to
  *     lenses for better error reporting.
- * @param {Boolean} provideGlobal If true (the default), then lens identifiers
- *     will be exported into the global scope
+ * @param {Boolean} provideGlobal If true, then lens identifiers will also be
+ *     exported into the global scope, for pages written against the old,
+ *     global-only interface; by default, nothing outside the returned object
+ *     is touched, so several copies of the library can coexist
+ * @return {Object} The exports, keyed by name: the utility and DOM functions,
+ *     the lens functions (e.g. <tt>plus</tt>, <tt>div_tag</tt>), and the
+ *     generated lens constructors (e.g. <tt>LPlus</tt>, <tt>LDivTag</tt>)
  */
 function initLenses(flapjax, initContracts, provideGlobal) {
 
@@ -41,6 +46,9 @@ var fx = flapjax || { receiver_b: nil };
 var contracts = (initContracts &&
                  initContracts(false, true, 
                      function (guilty, received, expected) {
+                         if (typeof expected == 'object') {
+                             expected = expected.friendly;
+                         }
                          return error(guilty, 'got ' + received + 
                                               ', but expected ' + expected);
                      })) || {
@@ -65,7 +73,7 @@ var contracts = (initContracts &&
     cAny: nil,
     cArrayof: nil,
     cArray: nil };
-provideGlobal = provideGlobal || true;
+provideGlobal = provideGlobal || false;
 
 // INITIALIZATION }}}
 
@@ -85,6 +93,20 @@ function has_prop(o, p) {
     return typeof o == 'object' && p in o;
 }
 
+/**
+ * Determines whether p is a property of o itself, and not one that o
+ * inherits (like toString or constructor).  Use this when p comes from
+ * user input.
+ *
+ * @param o The value to test
+ * @param {String} p The property to check for
+ * @return {Boolean} True if o has its own property p
+ */
+function has_own_prop(o, p) {
+    return typeof o == 'object' && o !== null &&
+           Object.prototype.hasOwnProperty.call(o, p);
+}
+
 /**
  * Determines whether x is a member of ls, perhaps using a comparator eq.
  *
@@ -110,7 +132,9 @@ function contains(ls, x, eq) {
  * @param {Boolean} True if o is a DOM object
  */
 function dom_obj(o) {
-    return typeof o == 'object' && (o instanceof Node || o.nodeType > 0);
+    return typeof o == 'object' &&
+           ((typeof Node != 'undefined' && o instanceof Node) ||
+            o.nodeType > 0);
 }
 
 /**
@@ -141,6 +165,12 @@ function equal(o1, o2) {
     if (o1 === undefined || o2 === undefined) { return true; }
       
     if (typeof o1 == 'object' && typeof o2 == 'object') {
+        // dates have no properties to compare
+        if (o1 instanceof Date || o2 instanceof Date) {
+            return o1 instanceof Date && o2 instanceof Date &&
+                   o1.getTime() == o2.getTime();
+        }
+        
         // special case for DOM nodes -- just compare types, children, and vals
         if (dom_obj(o1) && dom_obj(o2)) {
             return o1.nodeType == o2.nodeType &&
@@ -207,12 +237,14 @@ function deep_clone(o, as_array, shallow) {
     as_array = as_array || false;
     shallow = shallow || false;
     
-    if (typeof o != 'object') {
+    if (typeof o != 'object' || o === null) {
         return o;
     }
     
     if ('clone' in o && typeof o.clone == 'function') {
         return o.clone();
+    } else if (o instanceof Date) {
+        return new Date(o.getTime());
     } else if (dom_obj(o)) {
         var copy = o.cloneNode(true);
         // account for some strange cloning problems
@@ -286,6 +318,8 @@ function Predicate(p) {
  * the latter returns a copy of the current stack, with the oldest frame first.
  * Note that with_frame returns the error object again, so the idiom
  * <code>throw e.with_frame(...)</code> is not only acceptable, but preferred.
+ * Errors in putback may also record, in the node property, the DOM node whose
+ * value was bad (see at_node); {@link Binding} flags these nodes as errors.
  *
  * @constructor
  * @param {Lens} lens The lens in which the error occurred (it is also
@@ -309,6 +343,16 @@ function LensException(lens, msg, args) {
         return clone(stack);
     };
     
+    /**
+     * Records the DOM node in error, unless one (presumably within it) has
+     * already been recorded; anything other than a DOM node is ignored.
+     */
+    this.node = undefined;
+    this.at_node = function (node) {
+        if (this.node === undefined && dom_obj(node)) { this.node = node; }
+        return this;
+    };
+    
     return this.with_frame(is_lens(lens) ? lens.name : lens, args, msg);
 }
 LensException.prototype = new Error();
@@ -367,9 +411,25 @@ function set_error_handler(handler) {
  *******************************/
 
 // Make contracts available outside of the contracts object
-for (var id in contracts) {
-    eval(['var ', id, ' = contracts.', id, ';'].join(''));
-}
+var Contract = contracts.Contract;
+var ContractViolationException = contracts.ContractViolationException;
+var ContractArgsException = contracts.ContractArgsException;
+var flat = contracts.flat;
+var func = contracts.func;
+var args = contracts.args;
+var varargs = contracts.varargs;
+var or = contracts.or;
+var guarded = contracts.guarded;
+var guard = contracts.guard;
+var cInstanceof = contracts.cInstanceof;
+var cTypeof = contracts.cTypeof;
+var cNum = contracts.cNum;
+var cBool = contracts.cBool;
+var cString = contracts.cString;
+var cFunction = contracts.cFunction;
+var cAny = contracts.cAny;
+var cArrayof = contracts.cArrayof;
+var cArray = contracts.cArray;
 
 /**
  * A contract for primitive values, e.g. non-functions.
@@ -379,36 +439,88 @@ var prim_c = flat(function (o) {
 }, 'primitive value');
 
 /**
- * A contract for a lens object.
+ * <p>A contract for a lens object.  The guarded lens delegates to the
+ * original, which is left alone, but its get and putback are guarded with
+ * get_c and putback_c, which are contracts on the functions themselves --
+ * usually function contracts, as made by {@link #lens_of_c}, or cAny to leave
+ * them unchecked.  If both are cAny, the lens itself is returned.</p>
+ * <p>Blame follows the usual rules for function contracts: if get or putback
+ * returns a bad value, the party guarding the lens (the lens' author) is
+ * blamed; if they're called with bad arguments, the party using the lens (the
+ * caller) is blamed.  For example, <tt>contracts.guard(lens_c(g, p), l,
+ * 'my_lens', 'user code')</tt>.</p>
  *
  * @param {Contract} get_c The contract for the get operation
  * @param {Contract} putback_c The contract for the putback operation
  * @return {Contract} A contract 'lens_c' that enforces get_c and putback_c 
  */
 function lens_c(get_c, putback_c) {
-    return flat(function (o) {
-//        o.get = contracts.guard(get_c, o.get, 'user code', o.name);
-//        o.putback = contracts.guard(putback_c, o.putback, 'user code', o.name);
-        
-        return is_lens(o);
-    }, 'lens_c');
+    var lens_obj_c = flat(is_lens, 'lens');
+    
+    // proj is either 'server' or 'client'; see Contract in contracts.js
+    var projection = function (proj) {
+        return function (party) {
+            var check = lens_obj_c[proj](party);
+            var get_p = get_c[proj](party);
+            var putback_p = putback_c[proj](party);
+            
+            return function (o) {
+                o = check(o);
+                if (!is_lens(o)) { return o; } // the error handler didn't throw
+                if (get_c === cAny && putback_c === cAny) { return o; }
+                
+                // guard a new lens that delegates to o, rather than o itself,
+                // so that o's other users don't see the guards
+                var Guarded = function () {};
+                Guarded.prototype = o;
+                var g = new Guarded();
+                
+                g.get = get_p(function () { 
+                    return o.get.apply(o, arguments); 
+                });
+                g.putback = putback_p(function () { 
+                    return o.putback.apply(o, arguments); 
+                });
+                
+                return g;
+            };
+        };
+    };
+    
+    return new Contract(projection('server'), projection('client'),
+                        ['lens_c(', get_c.friendly, ', ', putback_c.friendly,
+                         ')'].join(''), is_lens, false);
+}
+
+/**
+ * A contract for a lens from concrete trees satisfying c_c to abstract trees
+ * satisfying a_c.  The concrete tree given to putback isn't checked, since it
+ * is undefined when the lens is creating a new concrete tree.
+ *
+ * @param {Contract} c_c The contract on concrete trees
+ * @param {Contract} a_c The contract on abstract trees
+ * @return {Contract} A {@link #lens_c} contract
+ */
+function lens_of_c(c_c, a_c) {
+    return lens_c(func(varargs(c_c, cAny), a_c),
+                  func(varargs(a_c, cAny, cAny), c_c));
 }
 
 /**
  * A contract for a {@link Lens}-derived lens constructor, that enforces
  * a calling convention, as well as get and putback contracts on the generated
  * lens.  Zero or more argument contracts are given, followed by a get contract
- * and a putback contract.
+ * and a putback contract; the constructor must be called with exactly as many
+ * arguments as there are argument contracts.
  *
  * @return {Contract} A contract for a lens constructor
  */
 function lens_constructor(/* arg1, arg2, ..., get_c, putback_c */) {
-    var args = clone(arguments, true);
-    var putback_c = args.length > 0 ? args.pop() : cAny();
-    var get_c = args.length > 0 ? args.pop() : cAny;
-    args.push(lens_c(get_c, putback_c));
+    var arg_cs = clone(arguments, true);
+    var putback_c = arg_cs.length > 0 ? arg_cs.pop() : cAny;
+    var get_c = arg_cs.length > 0 ? arg_cs.pop() : cAny;
     
-    return func.apply({}, args);
+    return func(args.apply({}, arg_cs), lens_c(get_c, putback_c));
 }
 
 // CONTRACTS }}}
@@ -430,6 +542,84 @@ function model_b(v) {
     return fx.receiver_b(v);
 }
 
+/**
+ * Lifts a lens over a model, giving a derived model that is also writable.
+ * The derived model's value is the lens' get of the model's; a pulse sent into
+ * it is put back into the model.  For example, <tt>lift_b(plus(10, 0),
+ * model)</tt> is always ten more than model, and sending 15 into it sets model
+ * to 5.  As in {@link #bind_lens_to}, pulses are stamped so that updates don't
+ * echo back to their source.
+ * <p>A get or putback that fails is dropped, leaving the other model as it
+ * was (the derived model starts out undefined if its first get fails), and the
+ * failure is reported on the derived model's errors_b, a
+ * behaviour of a list of errors { message: ..., lens: ... }, like a {@link 
+ * Binding}'s; it empties again on the next success.  The derived model's
+ * dispose method stops the lifting.</p>
+ *
+ * @param {Lens} lens The lens, from the model's values to the derived ones
+ * @param {Behaviour} model The model
+ * @return {Behaviour} The derived model, with errors_b and dispose
+ */
+function lift_b(lens, model) {
+    var view = fx.receiver_b(undefined);
+    
+    var stamp = undefined;
+    var push = function (m, v) {
+        m.sendPulse(v, function (p) { stamp = p.stamp; });
+    };
+    
+    var errors = [];
+    view.errors_b = fx.receiver_b([]);
+    var set_errors = function (new_errors) {
+        if (errors.length === 0 && new_errors.length === 0) { return; }
+        
+        errors = new_errors;
+        view.errors_b.sendPulse(clone(errors, true), nil);
+    };
+    
+    // runs f on v and sends the result into m, reporting lens errors rather
+    // than throwing them through Flapjax
+    var lift = function (m, f, v) {
+        try {
+            var lifted = f(v);
+        } catch (e) {
+            if (!(e instanceof LensException)) { throw e; }
+            
+            set_errors([{ 'message': e.msg, 'lens': e.lens }]);
+            return;
+        }
+        set_errors([]);
+        push(m, lifted);
+    };
+    // one direction of the lifting, skipping our own pulses
+    var lifting = function (m, f) {
+        return function (send, pulse) {
+            if (pulse.stamp !== stamp) { lift(m, f, pulse.value); }
+        };
+    };
+    
+    var get = function (c) { return lens.get(c); };
+    var putback = function (a) { return lens.putback(a, model.valueNow()); };
+    
+    // nothing listens to the view yet, so this isn't put back
+    lift(view, get, model.valueNow());
+    
+    var model_changes = model.changes();
+    var view_changes = view.changes();
+    var from_model = fx.event_e([model_changes], lifting(view, get));
+    var from_view = fx.event_e([view_changes], lifting(model, putback));
+    
+    view.dispose = function () {
+        model_changes.removeListener(from_model);
+        view_changes.removeListener(from_view);
+    };
+    
+    return view;
+}
+Lens.prototype.lift_b = function (model) {
+    return lift_b(this, model);
+};
+
 // FLAPJAX }}}
 
 /*******************************
@@ -476,10 +666,36 @@ function make_lens_function(lens, name) {
         o.name = name;
         
         // simulate a call to new on the given lens
-        return lens.apply(o, arguments);
+        var l = lens.apply(o, arguments);
+        
+        // remember how the lens was made, so that it can be serialized
+        l.description = { 'lens': name, 'args': clone(arguments, true) };
+        
+        // signal any mismatch between its sublenses now, not when it's run
+        l.aschema(sAny);
+        l.cschema(sAny);
+        
+        return l;
     };
 }
 
+/**
+ * Makes a sublens of a composite lens, as <tt>new lens(...)</tt> would, but
+ * remembers how it was made, as a lens function does.  Composites built on
+ * {@link LStackMarker} make their sublenses this way, so that their insides
+ * show up, arguments and all, in {@link #inspect_lens}.
+ *
+ * @param {Function} lens The lens constructor
+ * @return {Lens} The lens, made with the remaining arguments
+ */
+function make_sublens(lens /* , arg1, ..., argn */) {
+    var args = clone(arguments, true).slice(1);
+    var l = lens.apply(new Lens(), args);
+    l.description = { 'lens': l.name, 'args': args };
+
+    return l;
+}
+
 /**
  * <p>Updates the {@link Lens} prototype to have a method with the given name
  * that calls the lens function (see {@link #make_lens_function}) fun as the
@@ -501,7 +717,8 @@ function update_lens_prototype(name, fun, no_seq) {
     
     if (!no_seq) {
         Lens.prototype[name] = function () {
-            return new LSeq(this, fun.apply({}, arguments));
+            // use the registered seq, so that the result can be serialized
+            return __lenses.seq.fun(this, fun.apply({}, arguments));
         };
     } else {
         Lens.prototype[name] = function () {
@@ -528,2577 +745,8507 @@ var __lens_proto = new Lens();
  *     an implicit call to LSeq; see {@link #update_lens_prototype} for more.
  */
 function $L(lens, name, contract, no_seq) {
+    // the unguarded constructor is still used directly, e.g. by new LSeq(...)
+    lens.prototype = __lens_proto;
     if (contract !== undefined) {
         lens = contracts.guard(contract, lens, name, 'user code');
+        lens.prototype = __lens_proto;
     }
     
     var fun = make_lens_function(lens, name);
     __lenses[name] = { 'lens': lens, 'fun': fun };
-    lens.prototype = __lens_proto;
     update_lens_prototype(name, fun, no_seq);
 }
 
+/**
+ * Lists the registered lenses.
+ *
+ * @return {Object} A copy of the registry, mapping each lens' name to its
+ *     lens function (see {@link #make_lens_function})
+ */
+function registered_lenses() {
+    var o = {};
+    for (var name in __lenses) {
+        o[name] = __lenses[name].fun;
+    }
+    
+    return o;
+}
+
 // LENS REGISTRATION }}}
 
 /*******************************
- * {{{ BASIC LENSES
- *******************************/ 
+ * {{{ SERIALIZATION
+ *******************************/
 
 /**
- * @class
- * <p>Lenses work over two domains, A ("abstract") and C ("concrete").  The types
- * of the get and putback functions are:</p>
- * <pre>
- *     get :: C -> A
- *     putback :: A x C -> C
- * </pre>
- * <p>Thus these are much better termed "project" and "merge".  In the case of
- * the lens library, C is taken to be a JavaScript model (e.g. the domain of 
- * values in JavaScript) and A is taken to be the DOM.  Thus, in Flapjax terms,
- * get is "insertDom" and putback is "extract".  Don't be daunted by the use of
- * 'abstract tree' and 'concrete tree' in the documentation -- it's an artifact
- * of the theoretical research on bidirectional computation.</p>
- * <p>Lenses are themselves implemented as objects with get and putback methods;
- * the resulting lens driver requires nothing else, but won't interfere with
- * other fields or methods.  Thus it is not required to have the prototype of a
- * lens constructor point to Lens, but this library follows that pattern.</p>
- * <p>Important lens methods include {@link Lens#clone} and 
- * {@link Lens#for_each_sublens}.  The former should create a copy of a lens 
- * with fresh state; if the lens has no state and no sublens, it is safe to 
- * return this, which is the default behavior.  The latter iterates a function 
- * over sublenses.</p>
- * <p>The function {@link Lens#stateful} 
+ * The registry of named values.  Lens arguments that can't be written out as
+ * data -- predicates and other functions, in particular -- must be named here
+ * before a lens using them can be serialized.
+ */
+var __named_values = {};
+
+/**
+ * Names a value, so that it may appear in serialized lens descriptions.
  *
- * @constructor
+ * @param {String} name The name to use in descriptions
+ * @param v The value, typically a function
+ * @return The value v, so that definitions can be named inline
+ * @see #serialize_lens
  */
-function Lens() {
-    this.name = undefined;
+function name_value(name, v) {
+    __named_values[name] = v;
+    return v;
+}
+
+/**
+ * Finds the name of a value in the registry of named values.
+ *
+ * @param v The value to look for
+ * @return {String} The name of v, or undefined if it has none
+ */
+function value_name(v) {
+    for (var name in __named_values) {
+        if (__named_values[name] === v) { return name; }
+    }
     
-    this.stateful = function () {
-        var stateful_child = false;
-        
-        this.for_each_sublens(function (sl) {
-            if (sl.stateful()) { stateful_child = true; }
-        });
-        
-        return stateful_child;
-    };
-    this.clone = function () { return this; };
-    this.for_each_sublens = function (f) { };
+    return undefined;
+}
+
+/**
+ * <p>Serializes a lens to a JSON-compatible description.  Every lens made
+ * through a registered lens function (see {@link #$L}) remembers its name and
+ * arguments; the description is these, with the arguments serialized in turn.
+ * Arguments are written as follows:</p>
+ * <table>
+ * <tr><td>value</td><td>description</td></tr>
+ * <tr><td>a named value (see {@link #name_value})</td>
+ *     <td>{ $named: name }</td></tr>
+ * <tr><td>a lens</td><td>{ $lens: name, args: [arg1, ...] }</td></tr>
+ * <tr><td>undefined</td><td>{ $undefined: true }</td></tr>
+ * <tr><td>a text node</td><td>{ $text: value }</td></tr>
+ * <tr><td>a RegExp, without flags other than g (which regular languages
+ *     ignore)</td><td>{ $regexp: source }</td></tr>
+ * <tr><td>a DOM element</td>
+ *     <td>{ $dom: { tag: name, attribs: {...}, children: [...] } }</td></tr>
+ * <tr><td>an array</td><td>an array of descriptions</td></tr>
+ * <tr><td>an object</td><td>an object of descriptions; if any property
+ *     starts with $, it is wrapped as { $object: ... }</td></tr>
+ * <tr><td>anything else</td><td>itself</td></tr>
+ * </table>
+ * <p>Functions that aren't named, and lenses that weren't made through the
+ * registry, cause an error.</p>
+ *
+ * @param {Lens} lens The lens to serialize
+ * @return {Object} The lens description
+ * @see #deserialize_lens
+ */
+function serialize_lens(lens) {
+    if (!is_lens(lens)) {
+        error('serialize_lens', 'expected a lens, got ' + lens, [lens]);
+    }
     
-    this.bindings = [];
-    this.bind = function (binding) { 
-        // avoid aliasing
-        var bindings = clone(this.bindings);
-        
-        // avoid duplicates
-        if (contains(bindings, binding)) { return; }
-        
-        bindings.push(binding);
-        this.bindings = bindings;
-        
-        // call recursively
-        var bind = this.bind;  
-        return this.for_each_sublens(function (sl) { sl.bind(binding); });
-    };
-    this.unbind = function (binding) {
-        var bindings = clone(this.bindings);
-        for (var i = 0;i < bindings.length;i++) {
-            if (bindings[i] === binding) {
-                bindings.splice(i, 1);
-                this.bindings = bindings;        
+    return serialize_value(lens);
+}
 
-                break;
-            }
+/**
+ * Serializes a single lens argument; see {@link #serialize_lens}.
+ *
+ * @param v The value to serialize
+ * @return A JSON-compatible description of v
+ */
+function serialize_value(v) {
+    // only functions and objects are looked up -- naming 5 shouldn't rename
+    // every 5 in every lens
+    var name = (typeof v == 'function' || typeof v == 'object') ? 
+        value_name(v) : undefined;
+    if (name !== undefined) { return { '$named': name }; }
+    
+    if (v === undefined) { return { '$undefined': true }; }
+    
+    if (is_lens(v)) {
+        if (!has_prop(v, 'description')) {
+            error('serialize_lens', 'lens ' + v.name + ' was not made ' +
+                  'through the lens registry, and has no name', [v]);
         }
         
-        // call recursively    
-        var unbind = this.unbind;
-        return this.for_each_sublens(function (sl) { sl.unbind(binding); });
-    };
-    this.copy_bindings = function (l) {
-        var bindings = clone(l.bindings);
-        for (var i = 0;i < bindings.length;i++) {
-            this.bind(bindings[i]);
+        var args = [];
+        for (var i = 0;i < v.description.args.length;i++) {
+            args.push(serialize_value(v.description.args[i]));
         }
-    };
+        
+        return { '$lens': v.description.lens, 'args': args };
+    }
     
-    this.error = function (msg, args) { error(this.name, msg, args); };
-    this.wrap_exception = function (e) {
-        if (e instanceof LensException) { return e; }
+    if (typeof v == 'function') {
+        error('serialize_lens', 'function ' + v + ' has no name; use ' +
+              'name_value to name it', [v]);
+    }
+    
+    if (typeof v != 'object' || v === null) { return v; }
+    
+    if (v instanceof RegExp) {
+        if (!regexp_flags_supported(v)) {
+            error('serialize_lens', 'the flags of ' + v + ' can\'t be ' +
+                  'serialized', [v]);
+        }
+        return { '$regexp': v.source };
+    }
+    
+    if (dom_obj(v)) {
+        if (v.nodeType == Node.TEXT_NODE) { return { '$text': v.nodeValue }; }
         
-        var le = new LensException(this.name, 
-                                   'Caught exception ' + e.name + ': ' + 
-                                   e.message,
-                                   []);
-        le.cause = e;
+        var attribs = {};
+        for (i = 0;i < v.attributes.length;i++) {
+            attribs[v.attributes[i].nodeName] = v.attributes[i].nodeValue;
+        }
+        var children = [];
+        for (i = 0;i < v.childNodes.length;i++) {
+            children.push(serialize_value(v.childNodes[i]));
+        }
         
-        return le;
-    };
+        return { '$dom': { 'tag': v.nodeName.toLowerCase(),
+                           'attribs': attribs,
+                           'children': children } };
+    }
     
-    return this;
+    if (v instanceof Array) {
+        var arr = [];
+        for (i = 0;i < v.length;i++) {
+            arr.push(serialize_value(v[i]));
+        }
+        
+        return arr;
+    }
+    
+    var o = {};
+    var needs_wrapping = false;
+    for (var prop in v) {
+        o[prop] = serialize_value(v[prop]);
+        if (prop.charAt(0) == '$') { needs_wrapping = true; }
+    }
+    
+    return needs_wrapping ? { '$object': o } : o;
 }
- 
+
 /**
- * @class
- * The identity lens.
+ * Rebuilds a lens from a description made by {@link #serialize_lens}.  Lens
+ * names are looked up in the lens registry, and named values in the registry
+ * of named values; missing names cause an error.
  *
- * @extends Lens 
+ * @param {Object} desc The lens description
+ * @return {Lens} A lens equivalent to the one that was serialized
  */
-function LId() {    
-    this.name = 'id_lens';
-    this.get = function (c) { return c; };
-    this.putback = function (a, c) { return a; };
+function deserialize_lens(desc) {
+    var lens = deserialize_value(desc);
     
-    return this;     
+    if (!is_lens(lens)) {
+        error('deserialize_lens', 'description does not describe a lens',
+              [desc]);
+    }
+    
+    return lens;
 }
-$L(LId, 'id_lens');
 
 /**
- * @class
- * The stack marking lens; marks the stack with a message, which will be 
- * included in stack traces.  This is useful for composite lenses in particular
- * and for debugging in general.
+ * Rebuilds a single lens argument; see {@link #deserialize_lens}.
  *
- * @combinator
- * @extends Lens
- * @param {Lens} lens The lens to run with the stack mark
- * @param {String} source The 'origin' of the message           
- * @param {String} msg The message to display, if any
+ * @param desc The description of the value
+ * @return The value described
  */
-function LStackMarker(lens, source, msg) {
-    msg = msg || '';
-
-    this.clone = function () {
-        if (!lens.stateful()) { return this; }
-        
-        var l = new LStackMarker(lens.clone(), source, msg);
-        l.copy_bindings(this);
-        return l;
-    };
-    this.for_each_sublens = function (f) {
-        // only one sublens
-        f(lens);
-    };
+function deserialize_value(desc) {
+    if (typeof desc != 'object' || desc === null) { return desc; }
     
-    this.name = 'stack_marker';
-    this.get = function (c) {
-        try {
-            return lens.get(c);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(source, undefined, msg);
+    if (desc instanceof Array) {
+        var arr = [];
+        for (var i = 0;i < desc.length;i++) {
+            arr.push(deserialize_value(desc[i]));
         }
-    };
-    this.putback = function (a, c) {
-        try {
-            return lens.putback(a, c);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(source, undefined, msg);
+        
+        return arr;
+    }
+    
+    if ('$named' in desc) {
+        if (!has_own_prop(__named_values, desc.$named)) {
+            error('deserialize_lens', 'no value is named ' + desc.$named,
+                  [desc]);
         }
-    };
+        
+        return __named_values[desc.$named];
+    }
     
-    return this;
-}
-$L(LStackMarker, 'stack_marker', undefined, true); // true -> no_seq
+    if ('$undefined' in desc) { return undefined; }
+    
+    if ('$lens' in desc) {
+        if (!has_own_prop(__lenses, desc.$lens)) {
+            error('deserialize_lens', 'no lens is registered as ' + desc.$lens,
+                  [desc]);
+        }
+        
+        return __lenses[desc.$lens].fun.apply({}, 
+                                              deserialize_value(desc.args));
+    }
+    
+    if ('$text' in desc) { return dom_backend.make_text(desc.$text); }
+    
+    if ('$regexp' in desc) { return new RegExp(desc.$regexp, desc.flags); }
+    
+    if ('$dom' in desc) {
+        return make_dom_node(desc.$dom.tag, desc.$dom.attribs,
+                             deserialize_value(desc.$dom.children));
+    }
+    
+    var fields = ('$object' in desc) ? desc.$object : desc;
+    var o = {};
+    for (var prop in fields) {
+        o[prop] = deserialize_value(fields[prop]);
+    }
+    
+    return o;
+}
+
+// SERIALIZATION }}}
+
+/*******************************
+ * {{{ PARSING
+ *******************************/
 
 /**
- * @class
- * The error lens; triggers an error on either get or putback.
+ * Makes a parse error: a {@link LensException} from 'parse_lens' with line
+ * and column properties.  Parse errors are always thrown, regardless of the
+ * error handler, since there's no sensible way to keep parsing.
  *
- * @extends Lens
- * @param {String} source The source of the error
- * @param {String} msg The error message itself; 'GET: ' and 'PUTBACK: ' will
- *     be prepended appropriately
+ * @param {Object} tok The token (or position) at which the error occurred
+ * @param {String} msg A description of the error
+ * @param {String} src The source being parsed
+ * @return {LensException} The exception, ready to be thrown
  */
-function LError(source, msg) {
-    this.name = 'error_lens';
-    this.get = function () { error(source, 'GET: ' + msg); };
-    this.putback = function () { error(source, 'PUTBACK: ' + msg); };
+function parse_error(tok, msg, src) {
+    var e = new LensException('parse_lens', 
+                              [msg, ' at line ', tok.line, ', column ', 
+                               tok.column].join(''),
+                              [src]);
+    e.line = tok.line;
+    e.column = tok.column;
     
-    return this;
+    return e;
 }
-$L(LError, 'error_lens'); //, func(args(cString, cString), lens_c(cAny, cAny)));
 
 /**
- * @class
- * The sequencing lens; runs a lens l followed by k.  It will also take more
- * than two lenses, chaining them as LSeq(l, LSeq(k, LSeq(j, ...))).
- * 
- * @combinator
- * @extends Lens 
- * @param {Lens} l The first lens to run
- * @param {Lens} k The second lens to run
+ * Escape sequences recognized in string literals.
  */
-function LSeq(l, k /* ... */) {
-    if (arguments.length > 2) {
-        // copy arguments array
-        var args = clone(arguments, true);
-        // call recursively on all but one
-        k = LSeq.apply(new Lens(), args.slice(1)); 
-    }
+var string_escapes = { 'n': '\n', 't': '\t', 'r': '\r', 'b': '\b', 'f': '\f',
+                       '0': '\0', '\\': '\\', '\'': '\'', '"': '"' };
 
-    this.clone = function () { 
-        var l_st = l.stateful();
-        var k_st = k.stateful();
-        var lc = l_st ? l.clone() : l;
-        var kc = k_st ? k.clone() : k;
+/**
+ * Splits lens source into tokens.  Each token has a type ('ident', 'number',
+ * 'string', 'punct', or 'eof'), a value, and the line and column (both
+ * starting at 1) where it began.
+ *
+ * @param {String} src The source
+ * @return {Array} The tokens, ending with an 'eof' token
+ */
+function tokenize_lens(src) {
+    var toks = [];
+    var i = 0, line = 1, column = 1;
+    
+    function advance(n) {
+        for (var j = 0;j < n;j++) {
+            if (src.charAt(i) == '\n') { line++; column = 1; } 
+            else { column++; }
+            i++;
+        }
+    }
+    
+    while (i < src.length) {
+        var ch = src.charAt(i);
+        var rest = src.slice(i);
+        var pos = { 'line': line, 'column': column };
+        var m;
         
-        var copy = !(l_st || k_st) ? this : new LSeq(lc, kc);
-        copy.copy_bindings(this);
-        return copy;
-    };
-    this.name = 'seq';
+        if (/\s/.test(ch)) {
+            advance(1);
+        } else if (rest.slice(0, 2) == '//') {
+            m = /^\/\/[^\n]*/.exec(rest);
+            advance(m[0].length);
+        } else if (rest.slice(0, 2) == '/*') {
+            var end = rest.indexOf('*/');
+            if (end == -1) { 
+                throw parse_error(pos, 'unterminated comment', src); 
+            }
+            advance(end + 2);
+        } else if ((m = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(rest))) {
+            toks.push({ 'type': 'ident', 'value': m[0], 
+                        'line': line, 'column': column });
+            advance(m[0].length);
+        } else if ((m = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest))) {
+            toks.push({ 'type': 'number', 'value': Number(m[0]),
+                        'line': line, 'column': column });
+            advance(m[0].length);
+        } else if (ch == '"' || ch == '\'') {
+            var s = '';
+            var j = i + 1;
+            while (j < src.length && src.charAt(j) != ch) {
+                var c = src.charAt(j);
+                if (c == '\n') { break; }
+                if (c == '\\') {
+                    var esc = src.charAt(j + 1);
+                    var hex = src.substr(j + 2, 4);
+                    if (esc == 'u' && /^[0-9a-fA-F]{4}$/.test(hex)) {
+                        s += String.fromCharCode(parseInt(hex, 16));
+                        j += 6;
+                        continue;
+                    }
+                    s += (esc in string_escapes) ? string_escapes[esc] : esc;
+                    j += 2;
+                } else {
+                    s += c;
+                    j++;
+                }
+            }
+            if (src.charAt(j) != ch) { 
+                throw parse_error(pos, 'unterminated string', src); 
+            }
+            
+            toks.push({ 'type': 'string', 'value': s,
+                        'line': line, 'column': column });
+            advance(j + 1 - i);
+        } else if ('()[]{},:.;'.indexOf(ch) != -1) {
+            toks.push({ 'type': 'punct', 'value': ch,
+                        'line': line, 'column': column });
+            advance(1);
+        } else {
+            throw parse_error(pos, 'unexpected character \'' + ch + '\'', src);
+        }
+    }
     
-    this.for_each_sublens = function (f) {
-        // apply to each
-        f(l);
-        f(k);
-    };
+    toks.push({ 'type': 'eof', 'value': undefined, 
+                'line': line, 'column': column });
+    return toks;
+}
+
+/**
+ * <p>Parses the lens combinator language.  It's a small, safe subset of
+ * JavaScript expressions -- nothing is evaluated, so pasted snippets can't run
+ * arbitrary code.  The grammar is:</p>
+ * <pre>
+ *     expr  ::= value ('.' IDENT '(' args ')')*
+ *     value ::= IDENT '(' args ')' | IDENT | NUMBER | STRING
+ *             | '[' args ']' | '{' (key ':' expr (',' key ':' expr)*)? '}'
+ *     args  ::= (expr (',' expr)*)?
+ *     key   ::= IDENT | STRING | NUMBER
+ * </pre>
+ * <p>A call IDENT(...) constructs the lens registered under IDENT (see
+ * {@link #$L}), and l.IDENT(...) sequences as it does in JavaScript (see
+ * {@link #update_lens_prototype}).  Bare identifiers are true, false, null,
+ * undefined, or values named with {@link #name_value}.  A trailing semicolon
+ * and JavaScript-style comments are allowed.</p>
+ * <p>Syntax errors and unknown names are thrown as {@link LensException}s with
+ * line and column properties; see {@link #parse_error}.</p>
+ *
+ * @param {String} src The source to parse
+ * @return {Lens} The lens described
+ * @see #parse_lens_value
+ */
+function parse_lens(src) {
+    var tok = { 'line': 1, 'column': 1 };
+    var lens = parse_lens_value(src);
     
-    this.get = function (c) {
-        try {
-            return k.get(l.get(c));
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name, [l, k], 'get');
+    if (!is_lens(lens)) {
+        throw parse_error(tok, 'expected a lens, but got ' + lens, src);
+    }
+    
+    return lens;
+}
+
+/**
+ * Parses a value in the lens language; this is {@link #parse_lens} without
+ * the requirement that the result be a lens, so it doubles as a safe reader
+ * for models written as JavaScript literals.
+ *
+ * @param {String} src The source to parse
+ * @return The value described
+ */
+function parse_lens_value(src) {
+    var toks = tokenize_lens(src);
+    var pos = 0;
+    
+    function peek() { return toks[pos]; }
+    function next() { return toks[pos++]; }
+    function is_punct(tok, p) { return tok.type == 'punct' && tok.value == p; }
+    function describe(tok) {
+        return tok.type == 'eof' ? 'end of input' : 
+               tok.type == 'string' ? '"' + tok.value + '"' : 
+               '\'' + tok.value + '\'';
+    }
+    function expect(p) {
+        var tok = next();
+        if (!is_punct(tok, p)) {
+            throw parse_error(tok, 'expected \'' + p + '\' but found ' + 
+                                   describe(tok), src);
         }
-    };
-    this.putback = function (a, c) {
+        return tok;
+    }
+    
+    // parses a comma-separated list of expressions, up to close
+    function parse_args(close) {
+        var args = [];
+        if (is_punct(peek(), close)) { next(); return args; }
+        
+        while (true) {
+            args.push(parse_expr());
+            
+            var tok = next();
+            if (is_punct(tok, close)) { return args; }
+            if (!is_punct(tok, ',')) {
+                throw parse_error(tok, 'expected \',\' or \'' + close + 
+                                       '\' but found ' + describe(tok), src);
+            }
+        }
+    }
+    
+    // runs a lens function, tagging any exception with where the call was
+    function construct(tok, fun, self, args) {
         try {
-            return l.putback(k.putback(a, 
-                                       l.get(c)), 
-                             c);
+            return fun.apply(self, args);
         } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name, [l, k],
-                                                    'putback');
+            var le = e instanceof LensException ? e :
+                new LensException('parse_lens', 'Caught exception ' + e.name +
+                                  ': ' + e.message, [src]);
+            if (le.line === undefined) {
+                le.line = tok.line;
+                le.column = tok.column;
+            }
+            throw le.with_frame('parse_lens', [src], 
+                                ['constructing ', tok.value, ' at line ',
+                                 tok.line, ', column ', tok.column].join(''));
         }
-     };
-     
-     return this;
+    }
+    
+    function parse_object() {
+        var o = {};
+        if (is_punct(peek(), '}')) { next(); return o; }
+        
+        while (true) {
+            var key = next();
+            if (key.type != 'ident' && key.type != 'string' && 
+                key.type != 'number') {
+                throw parse_error(key, 'expected a property name but found ' +
+                                       describe(key), src);
+            }
+            if (key.value == '__proto__') {
+                throw parse_error(key, 'can\'t set the property __proto__', 
+                                  src);
+            }
+            expect(':');
+            o[key.value] = parse_expr();
+            
+            var tok = next();
+            if (is_punct(tok, '}')) { return o; }
+            if (!is_punct(tok, ',')) {
+                throw parse_error(tok, 'expected \',\' or \'}\' but found ' +
+                                       describe(tok), src);
+            }
+        }
+    }
+    
+    function parse_value() {
+        var tok = next();
+        
+        if (tok.type == 'number' || tok.type == 'string') { return tok.value; }
+        if (is_punct(tok, '[')) { return parse_args(']'); }
+        if (is_punct(tok, '{')) { return parse_object(); }
+        
+        if (tok.type == 'ident') {
+            if (is_punct(peek(), '(')) {
+                next();
+                if (!has_own_prop(__lenses, tok.value)) {
+                    throw parse_error(tok, 'unknown lens ' + tok.value, src);
+                }
+                return construct(tok, __lenses[tok.value].fun, {},
+                                 parse_args(')'));
+            }
+            
+            var literals = { 'true': true, 'false': false, 'null': null };
+            if (has_own_prop(literals, tok.value)) { 
+                return literals[tok.value]; 
+            }
+            if (tok.value == 'undefined') { return undefined; }
+            if (has_own_prop(__named_values, tok.value)) { 
+                return __named_values[tok.value]; 
+            }
+            
+            throw parse_error(tok, 'unknown name ' + tok.value, src);
+        }
+        
+        throw parse_error(tok, 'unexpected ' + describe(tok), src);
+    }
+    
+    function parse_expr() {
+        var v = parse_value();
+        
+        while (is_punct(peek(), '.')) {
+            var dot = next();
+            var tok = next();
+            if (tok.type != 'ident') {
+                throw parse_error(tok, 'expected a lens name after \'.\' but ' +
+                                       'found ' + describe(tok), src);
+            }
+            if (!is_lens(v)) {
+                throw parse_error(dot, 'can\'t call ' + tok.value + 
+                                       ' on a non-lens', src);
+            }
+            if (!has_own_prop(__lenses, tok.value)) {
+                throw parse_error(tok, 'unknown lens ' + tok.value, src);
+            }
+            expect('(');
+            
+            v = construct(tok, Lens.prototype[tok.value], v, parse_args(')'));
+        }
+        
+        return v;
+    }
+    
+    var v = parse_expr();
+    if (is_punct(peek(), ';')) { next(); }
+    
+    var tok = peek();
+    if (tok.type != 'eof') {
+        throw parse_error(tok, 'unexpected ' + describe(tok) + 
+                               ' after the end of the expression', src);
+    }
+    
+    return v;
 }
-// true -> no_seq
-$L(LSeq, 'seq', undefined, true); // func(varargs(lens_c(cAny, cAny)), lens_c(cAny, cAny)), true);
+
+// PARSING }}}
+
+/*******************************
+ * {{{ DELTAS
+ *******************************/
+
+/*
+   In delta mode, putback describes what it changed as well as returning the
+   new concrete tree.  The description is an edit script: a list of edits, each
+   with an op and a path (a list of property names and list indices into the
+   concrete tree), applied in order:
+
+     { op: 'set', path: p, value: v }       -- sets the value at p to v
+     { op: 'delete', path: p }              -- deletes the property at p
+     { op: 'insert', path: p, value: v }    -- inserts v into a list, at p
+     { op: 'remove', path: p }              -- removes p from its list
+     { op: 'move', path: p, to: i }         -- moves p to index i of its list
+
+   The object and list lenses (map, wmap, xfork, list_map, keyed_list_map, and
+   index) report edits relative to the concrete tree they were given.  An
+   enclosing delta-aware lens opens a frame for each sublens' concrete tree, and
+   uses whatever edits are reported against exactly that tree -- edits reported
+   by lenses further in, against intermediate trees (e.g. the second lens of a
+   seq), are ignored.  If nothing usable was reported, the enclosing lens falls
+   back to setting or deleting the whole subtree.
+*/
 
 /**
- * @class
- * The constant lens.  Replaces the concrete value with a given value; if
- * undefined is putback, a default value will be given.
- * 
- * @extends Lens 
- * @param v The value to substitute on get (in A)
- * @param d The default value to return on putback (in C)
- * @param {Boolean} strict Set if putback should require that the abstract tree
- *     be equal to v.  It is set by default; unsetting it can violate the
- *     putget law.
+ * The frame collecting edits, or undefined when not in delta mode.
  */
-function LConst(v, d, strict) {
-    this.name = 'constant';
-    this.get = function (c) { return deep_clone(v); };
-    this.putback = function (a, c) {
-        if (strict !== false && !equal(a, v)) {
-            this.error(["putback: HTML argument ", a, 
-                        " was edited away from ", v].join(''), [v, d, strict]); 
-        }
-        else if (c === undefined) { return d; }
-        else { return c; }
-    };
+var __delta_frame = undefined;
 
-    return this;
+/**
+ * Tests whether two trees are the same, without the leniency of 
+ * {@link #equal}: undefined only matches undefined.
+ *
+ * @param o1 First value to compare
+ * @param o2 Second value to compare
+ * @return {Boolean} true if o1 and o2 are recursively the same
+ */
+function same_tree(o1, o2) {
+    if (o1 === o2) { return true; }
+    if (typeof o1 != 'object' || typeof o2 != 'object' || 
+        o1 === null || o2 === null) {
+        return false;
+    }
+    if (dom_obj(o1) || dom_obj(o2)) { return equal(o1, o2); }
+    if ((o1 instanceof Array) != (o2 instanceof Array)) { return false; }
+    
+    for (var p in o1) {
+        if (!(p in o2) || !same_tree(o1[p], o2[p])) { return false; }
+    }
+    for (p in o2) {
+        if (!(p in o1)) { return false; }
+    }
+    
+    return true;
 }
-$L(LConst, 'constant'); //func(varargs(prim_c, prim_c, cBool), lens_c(cAny, cAny)));
 
 /**
- * @class
- * Wraps an invertible operator.
- * 
- * @extends Lens 
- * @param {Function} op The operator
- * @param {Function} inv The inverse of op
- * @param d The default value to return on putback (in C)
+ * Determines whether o is an object that isn't an array or a DOM object.
  */
-function LOp(op, inv, d) {
-    this.name = 'op';
-    this.get = function (c) { return op(c); };
-    this.putback = function (a, c) { return a === undefined ? d : inv(a); };
-
-    return this;
+function plain_object(o) {
+    return typeof o == 'object' && o !== null && !(o instanceof Array) &&
+           !dom_obj(o);
 }
-$L(LOp, 'op');
-
-// BASIC LENSES }}}
-
-/******************************* 
- * {{{ ARITHMETIC LENSES
- *******************************/
 
 /**
- * @class
- * A refinement of the {@link LOp} lens -- for binary arithmetic operators.
+ * Opens a frame to collect the edits made to the concrete tree c, e.g. by a
+ * sublens.  Every frame opened must be closed with {@link #close_deltas}.
  *
- * @extends Lens 
- * @param {Function} op The operator
- * @param {Function} inv The inverse of op
- * @param v The second value to pass to op on get and putback
- * @param d The default value to return on putback (in C)
+ * @param c The concrete tree being put back to
+ * @return The frame, or undefined if not in delta mode
  */
-function LArith(op, inv, v, d) { 
-    LStackMarker.call(this, 
-                      new LOp(function (c) { return op(c, v); },
-                              function (a) { return inv(a, v); },
-                              d),
-                      'arith');
-    this.name = 'arith';
-    return this;
+function open_deltas(c) {
+    if (__delta_frame === undefined) { return undefined; }
+    
+    __delta_frame = { 'c': c, 'edits': undefined, 'parent': __delta_frame };
+    return __delta_frame;
 }
-$L(LArith, 'arith');
 
 /**
- * Generates and registers arithmetic lenses.
+ * Appends the edits reported for a subtree to edits, with path prefixed to
+ * each.  If nothing was reported, the difference between old_v and new_v is
+ * recorded as a set or delete of path -- or, if path is empty and both are
+ * plain objects, as a set or delete of each property that changed, so that
+ * the rest of the tree is left alone.
  *
- * @param {String} name The lens to create
- * @param {Function} op The operator
- * @param {Function} inv Its inverse
- * @param {Function} guard An optional guard over v and d, 
- *     which can throw an error if v and d are somehow invalid 
- *     for op and inv, e.g. would cause a divide-by-zero.  Takes
- *     v, and d.  For an example, see {@link #nonzero_v}.
+ * @param {Array} reported The reported edits, or undefined
+ * @param {Array} path The path of the subtree
+ * @param old_v The old value at path
+ * @param new_v The new value at path
+ * @param {Array} edits The edits to append to
  */
-function make_arith_lens(name, op, inv, guard) {
-    var f = function (v, d) {
-        this.name = name; // set it for the guard
-        if (guard) { guard.call(this, v, d); }
-        
-        LStackMarker.call(this, new LArith(op, inv, v, d), name);
-        this.name = name; // reset it from when LArith overwrote it
-
-        return this;
-    };
-    $L(f, name);
-    return f;
+function nest_deltas(reported, path, old_v, new_v, edits) {
+    if (reported !== undefined) {
+        for (var i = 0;i < reported.length;i++) {
+            var edit = clone(reported[i]);
+            edit.path = path.concat(edit.path);
+            edits.push(edit);
+        }
+    } else if (path.length === 0 && plain_object(old_v) && 
+               plain_object(new_v)) {
+        for (var prop in new_v) {
+            nest_deltas(undefined, [prop], old_v[prop], new_v[prop], edits);
+        }
+        deleted_props(old_v, new_v, edits);
+    } else if (new_v === undefined && old_v !== undefined) {
+        edits.push({ 'op': 'delete', 'path': path });
+    } else if (!same_tree(old_v, new_v)) {
+        edits.push({ 'op': 'set', 'path': path, 'value': new_v });
+    }
 }
 
-// TODO for some reason jsdoc is unhappy with this style, so none of these
-//      lenses get any documentation
+/**
+ * Closes a frame, appending its edits to edits; see {@link #nest_deltas}.
+ *
+ * @param frame The frame, from {@link #open_deltas}; if undefined, nothing
+ *     happens
+ * @param {Array} path The path of the frame's tree
+ * @param old_v The old value at path
+ * @param new_v The new value at path
+ * @param {Array} edits The edits to append to
+ */
+function close_deltas(frame, path, old_v, new_v, edits) {
+    if (frame === undefined) { return; }
+    
+    __delta_frame = frame.parent;
+    nest_deltas(frame.edits, path, old_v, new_v, edits);
+}
 
 /**
- * @extends Lens
- * @param {int} v Added to the concrete tree in get, subtracted from
- *     the abstract tree on putback
- * @param d The value putback if the abstract tree is undefined
+ * Reports the edits a lens made in putting back to c, producing o.  If c isn't
+ * an object, the edits are replaced by a set of the whole tree.  The report is
+ * dropped unless the current frame is collecting for c itself.
+ *
+ * @param c The concrete tree given to putback
+ * @param o The concrete tree putback returned
+ * @param {Array} edits The edits, relative to c
  */
-LPlus = make_arith_lens('plus', 
-                        function (a, b) { return a + b; },
-                        function (a, b) { return a - b; });
-                        
-/**
- * @extends Lens
- * @param {int} v Subtracted from the concrete tree in get, added to
- *     the abstract tree on putback
- * @param d The value putback if the abstract tree is undefined
- */
-LMinus = make_arith_lens('minus', 
-                         function (a, b) { return a - b; },
-                         function (a, b) { return a + b; });
+function emit_deltas(c, o, edits) {
+    var frame = __delta_frame;
+    if (frame === undefined || frame.c !== c) { return; }
+    
+    if (typeof c != 'object' || c === null) {
+        edits = same_tree(c, o) ? [] : [{ 'op': 'set', 'path': [], 
+                                          'value': o }];
+    }
+    
+    // later reports for the same tree come from lenses further out
+    frame.edits = edits;
+}
 
 /**
- * The guard used in LTimes and LDivide to prevent v==0 from occuring.
+ * Records the property deletions from c to o.
+ *
+ * @param c The old object
+ * @param o The new object
+ * @param {Array} edits The edits to append to
  */
-function nonzero_v(v, d) {
-    if (v === 0) {
-        this.error('cannot use 0 as v (first argument), since it has no inverse',
-            [v, d]);
+function deleted_props(c, o, edits) {
+    for (var prop in c) {
+        if (typeof o != 'object' || !(prop in o)) {
+            edits.push({ 'op': 'delete', 'path': [prop] });
+        }
     }
 }
 
 /**
- * @extends Lens
- * @param {int} v Multiplied with the concrete tree in get, divides from
- *     the abstract tree on putback
- * @param d The value putback if the abstract tree is undefined
- */                         
-LTimes = make_arith_lens('times',
-                         function (a, b) { return a * b; },
-                         function (a, b) { return a / b; },
-                         nonzero_v);
+ * Runs a lens' putback in delta mode.
+ *
+ * @param {Lens} lens The lens
+ * @param a The abstract tree
+ * @param c The concrete tree
+ * @return {Object} An object with the new concrete tree as model and the edit
+ *     script from c to it as edits
+ */
+function putback_delta(lens, a, c) {
+    var frame = { 'c': c, 'edits': undefined, 'parent': __delta_frame };
+    __delta_frame = frame;
+    
+    try {
+        var o = lens.putback(a, c);
+    } finally {
+        // restores the frame even if a sublens threw with its own frame open
+        __delta_frame = frame.parent;
+    }
+    
+    var edits = [];
+    nest_deltas(frame.edits, [], c, o, edits);
+    
+    return { 'model': o, 'edits': edits };
+}
+Lens.prototype.putback_delta = function (a, c) {
+    return putback_delta(this, a, c);
+};
 
 /**
- * @extends Lens
- * @param {int} v Divided from the concrete tree in get, multiplies with
- *     the abstract tree on putback
- * @param d The value putback if the abstract tree is undefined
+ * Applies an edit script to a tree, e.g. to mirror a model elsewhere.
+ *
+ * @param c The tree; it is modified, unless the script sets the whole tree
+ * @param {Array} edits The edit script, from {@link #putback_delta}
+ * @return The edited tree
  */
-LDivide = make_arith_lens('divide',
-                          function (a, b) { return a / b; },
-                          function (a, b) { return a * b; },
-                          nonzero_v);
+function apply_deltas(c, edits) {
+    for (var i = 0;i < edits.length;i++) {
+        var edit = edits[i];
+        var path = edit.path;
+        
+        if (path.length === 0) {
+            if (edit.op == 'set') { c = deep_clone(edit.value); }
+            else { c = undefined; }
+            continue;
+        }
+        
+        var parent = c;
+        for (var j = 0;j < path.length - 1;j++) { parent = parent[path[j]]; }
+        var last = path[path.length - 1];
+        
+        if (edit.op == 'set') {
+            parent[last] = deep_clone(edit.value);
+        } else if (edit.op == 'delete') {
+            delete parent[last];
+        } else if (edit.op == 'insert') {
+            parent.splice(last, 0, deep_clone(edit.value));
+        } else if (edit.op == 'remove') {
+            parent.splice(last, 1);
+        } else if (edit.op == 'move') {
+            parent.splice(edit.to, 0, parent.splice(last, 1)[0]);
+        } else {
+            error('apply_deltas', 'invalid op ' + edit.op, [c, edits]);
+        }
+    }
+    
+    return c;
+}
 
-// ARITHMETIC LENSES }}}
+// DELTAS }}}
 
 /*******************************
- * {{{ OBJECT LENSES
+ * {{{ SCHEMAS
  *******************************/
-                          
+
+/*
+   A schema describes a set of trees, as plain data:
+
+     { type: 'any' }                        -- anything; nothing is known
+     { type: 'number' }, { type: 'string' }, { type: 'boolean' }
+     { type: 'dom' }                        -- a DOM node, in any backend
+     { type: 'object', props: { p: s, ... }, open: b }
+                                            -- an object with the properties
+                                               props; if open, it may have
+                                               others, too
+     { type: 'array', items: s }            -- a list of items matching s
+     { type: 'tuple', items: [s1, ...] }    -- a list of a fixed length
+
+   Every lens has two schema transformers: aschema(cs) returns a schema for
+   the views get makes from concrete trees matching cs, and cschema(as) one
+   for the concrete trees putback makes from views matching as.  A
+   transformer that can't say more returns sAny; one given a schema the lens
+   can't work with -- hoisting a property a closed object lacks, say --
+   signals a mismatch as a LensException.  The lens functions (see
+   {@link #make_lens_function}) infer the schemas of each lens they make, so
+   that a mismatch between a lens' sublenses is signalled when it is built,
+   rather than when it first runs.
+*/
+
 /**
- * @class
- * <p>A primitive lens for working with objects; it will 'hoist' a property
- * of a single property object, e.g.:</p>
- * <code>
- * <br /> &gt; h = new LHoist('foo')
- * <br /> &gt; h.get({foo : 5})
- * <br /> 5
- * <br /> &gt; h.putback(5, _) // _ is anything
- * <br /> { 'foo': 5 }
- * </code>
- * <p>By Pierce and Foster's definition, hoist should only accept objects with a
- * single property.  For convenience, more objects with more than one property
- * will be accepted by hoist; however, missing values will not be returned on 
- * putback.  If missing values should be restored on putback, use {@link LFocus}.</p>
- * <p>Hoist will also (non-standardly) accept objects on get without the desired 
- * property; undefined will be returned.</p>
+ * The schema of anything at all.
+ */
+var sAny = { 'type': 'any' };
+
+/**
+ * The schema of numbers.
+ */
+var sNumber = { 'type': 'number' };
+
+/**
+ * The schema of strings.
+ */
+var sString = { 'type': 'string' };
+
+/**
+ * The schema of booleans.
+ */
+var sBool = { 'type': 'boolean' };
+
+/**
+ * The schema of DOM nodes.
+ */
+var sDom = { 'type': 'dom' };
+
+/**
+ * Makes an object schema.
  *
- * @extends Lens
- * @param {String} prop The property of the concrete tree to select for.  It 
- *     must have only one property.  For a more permissive form of hoisting,
- *     see {@link LFocus}.
- * @param {Boolean} check_prop Whether or not to check that the property prop
- *     is really present and the only property.  If it is not, an error will be
- *     signalled.  This is false by default.
- * @see LHoistNonunique
+ * @param {Object} props The schemas of the properties, by name
+ * @param {Boolean} open Set if the objects may have other properties; by
+ *     default, they may not
+ * @return {Object} The schema
  */
-function LHoist(prop, check_prop) {
-    check_prop = check_prop || false;
+function sObject(props, open) {
+    return { 'type': 'object', 'props': props || {}, 'open': open || false };
+}
 
-    this.name = 'hoist';
-    
-    this.get = function (c) {
-        if (c === undefined) { return undefined; }
-        if (typeof c != 'object') {
-            this.error('get: expected object, got ' + c,
-                       [prop, check_prop]);
-        }
-        if (check_prop) {        
-            if (!(prop in c)) {
-                this.error(['get: property ', prop, ' not found in ' + c].join(''),
-                           [prop, check_prop]); 
-            }
-            
-            for (var p in c) {
-                if (p != prop) {
-                    this.error(['get: expected object with only property ', prop,
-                                ' but also found ', p, ' in ', c].join(''),
-                               [prop, check_prop]);
-                }
-            }
-        }
-         
-        return c[prop];
-    };
-    this.putback = function (a, c) {
-        var o = {};
-        o[prop] = a;
-        return o;
-    };
-    
-    return this;
+/**
+ * Makes a schema of lists whose items all match a schema.
+ */
+function sArray(items) {
+    return { 'type': 'array', 'items': items || sAny };
 }
-$L(LHoist, 'hoist');
 
 /**
- * @class
- * <p>The dual of {@link LHoist}, it pushes the concrete argument into an object
- * under a specific property in the get direction, e.g.:</p>
- * <code>
- * <br /> &gt; p = new LPlunge('foo')
- * <br /> &gt; p.get(5)
- * <br /> { foo: 5 }
- * <br /> &gt; p.putback({ foo: 5 }, _) // _ is anything
- * <br /> 5
- * </code>
- * <p>Strictness issues are as in {@link LHoist}.</p>
- *
- * @extends Lens
- * @param {String} prop The property under which to plunge.
- * @param {Boolean} check_prop Set to true to require that the tree on putback
- *     have one and only one property -- prop.  The default is false, and so
- *     checking is more lax, but missing properties will not be reconstructed at
- *     the next get.
+ * Makes a schema of lists of a fixed length, given a schema for each item.
  */
-function LPlunge(prop, check_prop) {
-    check_prop = check_prop || false;    
-    
-    this.name = 'plunge';
-    this.get = function (c) {
-        var o = {};
-        o[prop] = c;
-        return o;
-    };
-    this.putback = function (a, c) {
-        //if (a == undefined) { return undefined; } // ??? should we allow this?
-        if (typeof a != 'object') {
-            this.error('putback: expected object in putback, got ' + a,
-                       [prop, check_prop]);
-        }
-        if (check_prop) {        
-            if (!(prop in a)) {
-                this.error(['putback: property ', prop, ' not found in ' + a].join(''),
-                           [prop, check_prop]); 
-            }
-            
-            for (var p in a) {
-                if (p != prop) {
-                    this.error(['putback: expected object with only property ', prop,
-                                ' but also found ', p, ' in ', a].join(''),
-                               [prop, check_prop]);
-                }
-            }
-        }
-        
-        return a[prop];
-    };
-    
-    return this;
+function sTuple(items) {
+    return { 'type': 'tuple', 'items': items };
 }
-$L(LPlunge, 'plunge');
 
 /**
- * Splits an object in two: one whose properties all match a predicate, and the
- * rest which fail.
+ * Infers the schema of a value: objects and lists are closed, so that the
+ * schema describes just those trees shaped like v.
  *
- * @param {Object} o The object to split
- * @param {Function} pred The predicate over property names
- * @return {Object} An object o where o.passed has passing properties and
- *     o.failed has failing properties.
+ * @param v The value
+ * @return {Object} The schema
  */
-function split_object(o, pred) {
-    if (o === undefined) { return { 'passed': undefined, 'failed': undefined }; }
+function schema_of(v) {
+    var t = typeof v;
+    if (t == 'number') { return sNumber; }
+    if (t == 'string') { return sString; }
+    if (t == 'boolean') { return sBool; }
+    if (t != 'object' || v === null || v instanceof Date ||
+        v instanceof RegExp) {
+        return sAny;
+    }
+    if (is_node(v)) { return sDom; }
 
-    var passed = {};
-    var failed = {};
-    
-    // split c into matching and non-matching parts
-    for (var prop in o) {
-        (pred.matches(prop) ? passed : failed)[prop] = o[prop];
+    if (v instanceof Array) {
+        var items = [];
+        for (var i = 0;i < v.length;i++) { items.push(schema_of(v[i])); }
+
+        return sTuple(items);
     }
 
-    return { 'passed': passed, 'failed': failed };
-}
+    var props = {};
+    for (var p in v) {
+        if (has_prop(v, p)) { props[p] = schema_of(v[p]); }
+    }
 
+    return sObject(props, false);
+}
 
 /**
- * Merges two objects.  If their properties aren't disjoint, than the procedure
- * error is called, if it was provided.
+ * Writes a schema out for error messages, e.g. <tt>{a: number, ...}</tt> for
+ * an open object with a number under a, or <tt>[string, ...]</tt> for a list
+ * of strings.
  *
- * @param {Object} o1 The first object
- * @param {Object} o2 The second object
- * @param {Function} error Optional.  Called if a property in o2 is also in o1
- * @return {Object} The union of o1 and o2
+ * @param {Object} s The schema
+ * @return {String} The schema, as a string
  */
-function merge_objects(o1, o2, error) {
-    if (o1 === undefined) { return o2; }
-    if (o2 === undefined) { return o1; }
+function show_schema(s) {
+    var parts = [];
+    if (s.type == 'object') {
+        for (var p in s.props) {
+            parts.push(p + ': ' + show_schema(s.props[p]));
+        }
+        if (s.open) { parts.push('...'); }
 
-    var merged = {};
-    
-    for (var prop in o1) {
-        merged[prop] = o1[prop];
-    }    
-    
-    for (prop in o2) {
-        if (prop in merged && error) {
-            error('merge_objects', prop, [o1, o2, error]);
+        return '{' + parts.join(', ') + '}';
+    }
+    if (s.type == 'array') { return '[' + show_schema(s.items) + ', ...]'; }
+    if (s.type == 'tuple') {
+        for (var i = 0;i < s.items.length;i++) {
+            parts.push(show_schema(s.items[i]));
         }
-        merged[prop] = o2[prop];
+
+        return '[' + parts.join(', ') + ']';
     }
-    
-    return merged;
+
+    return s.type;
 }
 
 /**
- * @class
- * <p>Splits a concrete tree, passing part through one lens and part through
- * another.  Those parts which pass predicates pred_c and pred_a will go
- * through pass_lens; whatever remains will be passed through fail_lens.</p>
- * <p> If either of pred_{a,c} are not actually predicates, they will be made
- * into predicates by means of the {@link Predicate} constructor.
+ * The schema of the items of a list schema (a tuple's items are joined).
+ */
+function schema_items(s) {
+    if (s.type == 'array') { return s.items; }
+    if (s.type != 'tuple') { return sAny; }
+
+    var items = s.items.length > 0 ? s.items[0] : sAny;
+    for (var i = 1;i < s.items.length;i++) {
+        items = schema_join(items, s.items[i]);
+    }
+
+    return items;
+}
+
+/**
+ * Joins two schemas: the result describes every tree that either does.
+ * Objects keep the properties they share, and lists keep their items; other
+ * schemas that differ join to sAny.
  *
- * @combinator
- * @extends Lens
- * @param {Predicate} pred_c A predicate over concrete-tree properties; those
- *     passing properties will be taken as a single object and passed through
- *     pass_lens in the get direction; in the putback direction, it will be used
- *     as the putback for pass_lens.
- * @param {Predicate} pred_a A predicate over abstract-tree properties; those
- *     passing properties will be taken as a single object during putback, and
- *     will be passed (along with pred_c-passing properties) back through
- *     pass_lens's putback.
- * @param {Lens} pass_lens Used for passing properties
- * @param {Lens} fail_lens Used for failing properties
- */                   
-function LXfork(pred_c, pred_a, pass_lens, fail_lens) {
-    pred_c = new Predicate(pred_c);
-    pred_a = new Predicate(pred_a);
-    
-    this.clone = function () {
-        var p_st = pass_lens.stateful();
-        var f_st = fail_lens.stateful();
-        var pc = p_st ? pass_lens.clone() : pass_lens;
-        var fc = f_st ? fail_lens.clone() : fail_lens;
-        
-        var l = !(p_st || f_st) ? this : 
-            new LXfork(pred_c, pred_a, pc, fc);
-        l.copy_bindings(this);
-        return l;
-    };
-    
-    this.name = 'xfork';
-    
-    this.for_each_sublens = function (f) {                                    
-        f(pass_lens);
-        f(fail_lens);
-    };
-    
-    this.get = function (c) {
-        // split the object into branches whose properties pass and fail pred_c
-        var split = split_object(c, pred_c);
-        
-        // apply the lenses to the branches appropriately
-        try {
-            var got_passed = pass_lens.get(split.passed);
-            var got_failed = fail_lens.get(split.failed);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name, 
-                [pred_c, pred_a, pass_lens, fail_lens], 'get');
+ * @param {Object} s1 The first schema
+ * @param {Object} s2 The second schema
+ * @return {Object} The join
+ */
+function schema_join(s1, s2) {
+    if (equal(s1, s2)) { return s1; }
+
+    if (s1.type == 'object' && s2.type == 'object') {
+        var props = {};
+        var open = s1.open || s2.open;
+        for (var p in s1.props) {
+            if (has_prop(s2.props, p)) {
+                props[p] = schema_join(s1.props[p], s2.props[p]);
+            } else { open = true; }
         }
-
-        // and merge
-        var lens = this; // saved because you can't close on this
-        return merge_objects(got_passed, got_failed,
-                             function (prop) {
-                                 lens.error('property ' + prop + 
-                                            ' was in both branches during get',
-                                            [pred_c, pred_a,
-                                             pass_lens, fail_lens]);
-                             });
-    };
-    this.putback = function (a, c) {
-        // split a and c on their respective predicates
-        var split_a = split_object(a, pred_a);
-        var split_c = split_object(c, pred_c);
-        
-        // putback passing and failing objects separately
-        try {
-            var put_passed = pass_lens.putback(split_a.passed, split_c.passed);
-            var put_failed = fail_lens.putback(split_a.failed, split_c.failed);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [pred_c, pred_a, pass_lens, fail_lens], 'putback');
+        for (p in s2.props) {
+            if (!has_prop(s1.props, p)) { open = true; }
         }
-        
-        // and merge
-        var lens = this;
-        return merge_objects(put_passed, put_failed,
-                             function (prop) {
-                                 lens.error('property ' + prop +
-                                            ' was in both branches during putback',
-                                            [pred_c, pred_a,
-                                             pass_lens, fail_lens]);
-                             });
-    };
-    return this;
-}
-$L(LXfork, 'xfork');
 
-/**
- * @class
- * A simplified {@link LXfork}.  The concrete tree is split based on a predicate
- * over properties; the object composed of passing properties is passed to
- * pass_lens, and whatever remains is passed to fail_lens.  On putback, the
- * same predicate is used on both the abstract and the concrete trees.
- *
- * @combinator
- * @extends Lens
- * @param {Function} pred The predicate on properties
- * @param {Lens} pass_lens The lens through which the object composed of 
- *     passing properties will be passed
- * @param {Lens} fail_lens The lens through which the failing-property
- *     object will be passed
- */
-function LFork(pred, pass_lens, fail_lens) {
-    LStackMarker.call(this, new LXfork(pred, pred, pass_lens, fail_lens),
-                      'fork');
-    this.name = 'fork';
-    
-    return this;
-}
-$L(LFork, 'fork');
+        return sObject(props, open);
+    }
 
-/**
- * @class
- * In the get direction, projects the concrete tree down to only those
- * properties matching pred.  In the putback direction, they are restored (if
- * they are present in the concrete tree).
- *
- * @extends Lens
- * @param {Function} pred A predicate matching the desired properties
- * @param d The default value to putback if nothing is found in the concrete
- *     tree
- */
-function LFilter(pred, d) {
-    LStackMarker.call(this, new LFork(pred, new LId(), new LConst({}, d)),
-                      'filter');
-    this.name = 'filter';
-    
-    return this;
-}
-$L(LFilter, 'filter');
+    var lists = { 'array': true, 'tuple': true };
+    if (has_prop(lists, s1.type) && has_prop(lists, s2.type)) {
+        return sArray(schema_join(schema_items(s1), schema_items(s2)));
+    }
 
-/**
- * @class
- * Removes a given property in the get direction, replacing it in the
- * concrete tree during putback.  If the concrete tree has that property
- * undefined, then that property will get value d.
- *
- * @extends Lens
- * @param {String} prop The property to prune
- * @param d The default value for the property, if it should be undefined
- */
-function LPrune(prop, d) {
-    // LConst clones its default argument, so there are no aliasing issues
-    var o = {};
-    o[prop] = d;
-    
-    LStackMarker.call(this, new LFork(function (p) { return p === prop; },
-                                      new LConst({}, o), new LId()),
-                      'prune');
-    this.name = 'prune';
-    
-    return this;
+    return sAny;
 }
-$L(LPrune, 'prune');
 
 /**
- * @class
- * Adds a given property with a given value.  It exists only in the abstract
- * tree, and so is effectively read-only.
+ * Checks that a schema describes trees of a given kind, signalling a mismatch
+ * if it describes something else.  Numeric strings count as numbers, and
+ * tuples as lists.
  *
- * @extends Lens
- * @param {String} prop The property to add
- * @param v The value of the property to add
+ * @param {Lens} lens The lens to blame
+ * @param {Object} s The schema
+ * @param {String} type 'object', 'list', 'number', or 'string'
+ * @param {String} where 'get' or 'putback', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} The schema; sAny becomes an open object, or a list of
+ *     anything, if that was expected
  */
-function LAdd(prop, v) {
-    LStackMarker.call(this, new LXfork(function (pc) { return false; },
-                                       function (pa) { return pa == prop; },
-                                       new LSeq(new LConst(v, {}),
-                                                new LPlunge(prop)),
-                                       new LId()),
-                      'add');
-    this.name = 'add';
-    
-    return this;
+function expect_schema(lens, s, type, where, args) {
+    if (s.type == 'any') {
+        return type == 'object' ? sObject({}, true) :
+               type == 'list' ? sArray(sAny) : s;
+    }
+
+    var ok = type == 'list' ? s.type == 'array' || s.type == 'tuple' :
+             type == 'number' ? s.type == 'number' || s.type == 'string' :
+             s.type == type;
+    if (!ok) {
+        lens.error(['schema: ', where, ' expected ',
+                    type == 'object' ? 'an object' : 'a ' + type,
+                    ', got ', show_schema(s)].join(''), args);
+    }
+
+    return s;
 }
-$L(LAdd, 'add');
 
 /**
- * @class
- * Focuses concrete tree on a single property, projecting away all other
- * properties of the object.  If, on putback, the property comes back undefined,
- * then a default value will be substituted.
+ * Looks up a property in an object schema, signalling a mismatch if a closed
+ * object can't have it.
  *
- * @extends Lens
- * @param {String} prop The property on which to focus
- * @param d The default value, if the abstract tree is undefined
+ * @param {Lens} lens The lens to blame
+ * @param {Object} s The schema
+ * @param {String} prop The property
+ * @param {String} where 'get' or 'putback', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} The schema of the property
  */
-function LFocus(prop, d) {
-    LStackMarker.call(this, 
-                      new LSeq(new LFilter(function (p) { return p == prop; }, d),
-                               new LHoist(prop)),
-                      'focus');
-    this.name = 'focus';
-    
-    return this;         
+function schema_prop(lens, s, prop, where, args) {
+    s = expect_schema(lens, s, 'object', where, args);
+    if (has_prop(s.props, prop)) { return s.props[prop]; }
+
+    if (!s.open) {
+        lens.error(['schema: ', where, ' expected property ', prop,
+                    ', but ', show_schema(s), ' has none'].join(''), args);
+    }
+
+    return sAny;
 }
-$L(LFocus, 'focus');
 
 /**
- * @class
- * <p>Hoists (see {@link LHoist}) a property from among others, merging its
- * sub-properties into the root tree.  On putback, a supplied predicate
- * identifies properties which belong to the grandchild, so that those
- * properties can be putback appropriately.</p>
- * <p>Note that the property must be object-valued; anything else won't be
- * able to merge with the rest of the root tree.</p>
+ * Runs one of a lens' schema transformers.  Lenses that only look like
+ * lenses (see {@link #is_lens}) have none, and so say nothing about their
+ * trees.
  *
- * @extends Lens
- * @param {String} prop The property to hoist
- * @param {Function} pred_grandchild A predicate that matches exactly those
- *     properties which belong to the object under prop
- * @see LHoist
+ * @param {Lens} lens The lens
+ * @param {String} op Either 'aschema' or 'cschema'
+ * @param {Object} s The schema to transform
+ * @return {Object} The transformed schema
  */
-function LHoistNonunique(prop, pred_grandchild) {
-    LStackMarker.call(this, new LXfork(function (cp) { return cp == prop; },
-                                       pred_grandchild,
-                                       new LHoist(prop),
-                                       new LId()),
-                      'hoist_nonunique');
-    this.name = 'hoist_nonunique';
-    
-    return this;
+function lens_schema(lens, op, s) {
+    return typeof lens[op] == 'function' ? lens[op](s) : sAny;
 }
-$L(LHoistNonunique, 'hoist_nonunique');
 
 /**
- * @class
- * Renames a property.
+ * Infers the schema of a lens' views, given the schema of its concrete
+ * trees (by default, sAny).  A mismatch is signalled as a
+ * {@link LensException}.
  *
- * @extends Lens
- * @param {String} from The property (in C) to rename
- * @param {String} to The desired property name (in A)
- * @see LRenameIfPresent
+ * @param {Lens} lens The lens
+ * @param {Object} cs The schema of the concrete trees
+ * @return {Object} The schema of the views
  */
-function LRename(from, to) {
-    LStackMarker.call(this, new LXfork(function (cp) { return cp == from; },
-                                       function (ap) { return ap == to; },
-                                       new LSeq(new LHoist(from),
-                                                new LPlunge(to)),
-                                       new LId()),
-                      'rename');
-    this.name = 'rename';
-    
-    return this;
+function infer_schema(lens, cs) {
+    return lens_schema(lens, 'aschema', cs || sAny);
 }
-$L(LRename, 'rename');
+
+// SCHEMAS }}}
+
+/*******************************
+ * {{{ BASIC LENSES
+ *******************************/ 
 
 /**
  * @class
- * Maps a lens over the properties of an object.
+ * <p>Lenses work over two domains, A ("abstract") and C ("concrete").  The types
+ * of the get and putback functions are:</p>
+ * <pre>
+ *     get :: C -> A
+ *     putback :: A x C -> C
+ * </pre>
+ * <p>Thus these are much better termed "project" and "merge".  In the case of
+ * the lens library, C is taken to be a JavaScript model (e.g. the domain of 
+ * values in JavaScript) and A is taken to be the DOM.  Thus, in Flapjax terms,
+ * get is "insertDom" and putback is "extract".  Don't be daunted by the use of
+ * 'abstract tree' and 'concrete tree' in the documentation -- it's an artifact
+ * of the theoretical research on bidirectional computation.</p>
+ * <p>Lenses are themselves implemented as objects with get and putback methods;
+ * the resulting lens driver requires nothing else, but won't interfere with
+ * other fields or methods.  Thus it is not required to have the prototype of a
+ * lens constructor point to Lens, but this library follows that pattern.</p>
+ * <p>Important lens methods include {@link Lens#clone} and 
+ * {@link Lens#for_each_sublens}.  The former should create a copy of a lens 
+ * with fresh state; if the lens has no state and no sublens, it is safe to 
+ * return this, which is the default behavior.  The latter iterates a function 
+ * over sublenses.</p>
+ * <p>The function {@link Lens#stateful} 
  *
- * @combinator
- * @extends Lens
- * @param {Lens} lens The lens to map over
+ * @constructor
  */
-function LMap(lens) {
-    this.name = 'map';
-    
-    this.stateful = function () { return lens.stateful(); };
+function Lens() {
+    this.name = undefined;
     
-    var l_st = lens.stateful();
-    this.clone = function () {
-        if (l_st) { return this; }
+    this.stateful = function () {
+        var stateful_child = false;
         
-        var l = new LMap(lens.clone());
-        l.copy_bindings(this);
-        return l;
+        this.for_each_sublens(function (sl) {
+            if (sl.stateful()) { stateful_child = true; }
+        });
+        
+        return stateful_child;
     };
+    this.clone = function () { return this; };
+    this.for_each_sublens = function (f) { };
     
-    this.for_each_sublens = function (f) {
-        if (!l_st) { return f(lens); }
+    this.bindings = [];
+    this.bind = function (binding) { 
+        // avoid aliasing
+        var bindings = clone(this.bindings);
         
-        for (var prop in mapping) {
-            f(mapping[prop]);
-        }
-    };
-    
-    var mapping = {};
-    function lookup(prop) {
-        if (!l_st) { return lens; }
+        // avoid duplicates
+        if (contains(bindings, binding)) { return; }
         
-        var l = (prop in mapping) ? mapping[prop] : lens.clone();
-        mapping[prop] = l;
+        bindings.push(binding);
+        this.bindings = bindings;
         
-        return l;
-    }
-    
-    this.get = function (c) {
-        // c = c || {}; // ??? should we allow undefined here?
-        var o = {};
-        for (var prop in c) {
-            var l = lookup(prop);
-            try {
-                o[prop] = l.get(c[prop]);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, l,
-                    'get on ' + prop); 
-            }
-        }
-        return o;
+        // call recursively
+        var bind = this.bind;  
+        return this.for_each_sublens(function (sl) { sl.bind(binding); });
     };
-    this.putback = function (a, c) {
-        var o = {};
-
-        // handle undefined values        
-        a = a || {};
-        c = c || {};
-
-        // putback values in a
-        for (var prop in a) {
-            var l = lookup(prop);
+    this.unbind = function (binding) {
+        var bindings = clone(this.bindings);
+        for (var i = 0;i < bindings.length;i++) {
+            if (bindings[i] === binding) {
+                bindings.splice(i, 1);
+                this.bindings = bindings;        
 
-            try {
-                o[prop] = l.putback(a[prop], c[prop]);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, l,
-                    'putback on ' + prop);
+                break;
             }
         }
         
-        return o;
+        // call recursively    
+        var unbind = this.unbind;
+        return this.for_each_sublens(function (sl) { sl.unbind(binding); });
+    };
+    this.copy_bindings = function (l) {
+        var bindings = clone(l.bindings);
+        for (var i = 0;i < bindings.length;i++) {
+            this.bind(bindings[i]);
+        }
+    };
+    
+    // the equivalences on C and A up to which the lens laws hold; only
+    // quotient lenses (see LLquot) loosen them, but combinators build theirs
+    // from their sublenses' (see objects_equiv)
+    this.cequiv = function (c1, c2) { return equal(c1, c2); };
+    this.aequiv = function (a1, a2) { return equal(a1, a2); };
+    
+    // the schema transformers (see SCHEMAS); by default, nothing is known
+    this.aschema = function (cs) { return sAny; };
+    this.cschema = function (as) { return sAny; };
+    
+    this.error = function (msg, args) { error(this.name, msg, args); };
+    this.wrap_exception = function (e) {
+        if (e instanceof LensException) { return e; }
+        
+        var le = new LensException(this.name, 
+                                   'Caught exception ' + e.name + ': ' + 
+                                   e.message,
+                                   []);
+        le.cause = e;
+        
+        return le;
     };
     
     return this;
 }
-$L(LMap, 'map');
+ 
+/**
+ * @class
+ * The identity lens.
+ *
+ * @extends Lens 
+ */
+function LId() {    
+    this.name = 'id_lens';
+    this.get = function (c) { return c; };
+    this.putback = function (a, c) { return a; };
+    this.aschema = function (cs) { return cs; };
+    this.cschema = function (as) { return as; };
+    
+    return this;     
+}
+$L(LId, 'id_lens');
 
 /**
  * @class
- * <p>Maps different lenses over different properties; it is a generalization of
- * {@link LMap}.</p>
- * <p>It has a slightly strange calling convention, to wit:</p>
- * <code>
- * <br />&gt; wmap = new LWmap([prop1, prop2, prop3], lens1, prop4, lens2)
- * </code>
- * <p>This will run lens1 over prop1, prop2, and prop3's values and lens2 on
- * prop4.  Any other properties are mapped through the id lens.  There is an
- * optional final argument, which may be set to false in order to have the
- * presence of other properties constitute an error, e.g.:</p>
- * <code>
- * <br />&gt; wmap_strict = new LWmap(p1, l1, [p2, p3], l2, false)
- * <br />&gt; wmap_strict.get({ p4: _ }) // _ is any value
- * <br />error!
- * </code>
+ * The stack marking lens; marks the stack with a message, which will be 
+ * included in stack traces.  This is useful for composite lenses in particular
+ * and for debugging in general.
  *
  * @combinator
  * @extends Lens
+ * @param {Lens} lens The lens to run with the stack mark
+ * @param {String} source The 'origin' of the message           
+ * @param {String} msg The message to display, if any
  */
-function LWmap(/* props1, lens1, props2, lens2, ..., propsn, lensn, default_to_id */) {
-    var last_arg = arguments[arguments.length - 1];
-    var last_arg_is_lens = is_lens(last_arg);
-    var real_args_length = last_arg_is_lens ? arguments.length : arguments.length - 1; 
-                    
-    this.name = 'wmap';
-    
-    /* TODO define a clone that won't do anything when there are no stateful 
-       sublenses
-    */
-    
-    // create a list deep copy of the arguments
-    var args = deep_clone(arguments, true, true); // deep and as an array
+function LStackMarker(lens, source, msg) {
+    msg = msg || '';
+
     this.clone = function () {
-        var l = LWmap.apply(new Lens(), args);
+        if (!lens.stateful()) { return this; }
+        
+        var l = new LStackMarker(lens.clone(), source, msg);
         l.copy_bindings(this);
         return l;
     };
-    
-    // store a single mapping of props to the lenses that apply to them
-    var mapping = {};    
-    // store each sub-lens, too
-    var lenses = [];
-    
-    // construct the mapping and collect lenses
-    for (var i = 0;i < real_args_length;i += 2) {
-        var props = arguments[i];
-        var lens = arguments[i + 1];
-        
-        // collect the lens
-        lenses.push(lens);
-        
-        // add to the mapping
-        if (props instanceof Array) {
-            for (var j = 0;j < props.length;j++) {
-                mapping[props[j]] = lens;
-            }
-        } else if (typeof props == 'string') {
-            mapping[props] = lens;
-        } else {
-            this.error("don't know how to handle non-string property " + 
-                       props, clone(arguments, true));                                
-        }
-    }    
-    
     this.for_each_sublens = function (f) {
-        // apply the function to each lens -- we don't use the mapping, or else
-        // we might apply f twice to the same lens
-        for (var i = 0;i < lenses.length;i++) {
-            f(lenses[i]);
-        }
+        // only one sublens
+        f(lens);
     };
     
-    var default_to_id = last_arg_is_lens ? true : last_arg;
-    var id_lens = default_to_id ? new LId() : undefined;    
-    
-    lens = this;
-    function lookup(prop) {
-        return (prop in mapping) ? mapping[prop] :
-               default_to_id ? id_lens :
-               // args is saved copy of arguments above
-               lens.error('property ' + prop + ' has no mapping', args);
-    }
-    
+    this.name = 'stack_marker';
+    this.cequiv = lens.cequiv;
+    this.aequiv = lens.aequiv;
     this.get = function (c) {
-        var o = {};
-        
-        for (var prop in c) {
-            var l = lookup(prop);
-            
-            try {
-                o[prop] = l.get(c[prop]);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, l, 
-                    'get on ' + prop + '; args shows lens used'); 
-            }
+        try {
+            return lens.get(c);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(source, undefined, msg);
         }
-        
-        return o;
     };
     this.putback = function (a, c) {
-        var o = {};
-        a = a || {};
-        c = c || {};
-        
-        for (var prop in a) {
-            var l = lookup(prop);
-            
-            try {
-                o[prop] = l.putback(a[prop], c[prop]);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, l,
-                    'putback on ' + prop + '; args shows lens used');
-            }
+        try {
+            return lens.putback(a, c);
+        } catch (e) {
+            throw this.wrap_exception(e).at_node(a).
+                       with_frame(source, undefined, msg);
+        }
+    };
+    this.aschema = function (cs) {
+        try {
+            return lens_schema(lens, 'aschema', cs);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(source, undefined, msg);
+        }
+    };
+    this.cschema = function (as) {
+        try {
+            return lens_schema(lens, 'cschema', as);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(source, undefined, msg);
         }
-        
-        return o;
     };
     
     return this;
 }
-$L(LWmap, 'wmap');
+$L(LStackMarker, 'stack_marker', undefined, true); // true -> no_seq
 
 /**
  * @class
- * Copies a concrete-tree property to a new, read-only property in the
- * abstract tree.  (The old property, orig, remains in the abstract tree.)
+ * The error lens; triggers an error on either get or putback.
  *
  * @extends Lens
- * @param {String} orig The property to copy
- * @param {String} copy The new property to copy into
- * @see LMerge
+ * @param {String} source The source of the error
+ * @param {String} msg The error message itself; 'GET: ' and 'PUTBACK: ' will
+ *     be prepended appropriately
  */
-function LCopy(orig, copy) {
-    this.name = 'copy';
-    this.get = function (c) {
-        // ??? allow undefined?    
-    
-        if (copy in c) {
-            this.error(['get: couldn\'t copy ', orig, ' to ', copy, ' since ', copy,
-                        ' already exists in ', c].join(''),
-                       [orig, copy]);
-        }
-
-        // actually copy -- no sharing!
-        var o = clone(c);
-        // the if avoids creating objects like { copy: undefined } from {}
-        if (o !== undefined && orig in o) { o[copy] = o[orig]; }
-        
-        return o;
-    };
-    this.putback = function (a, c) {
-        a = a || {};
-        
-        var o = clone(a);
-        if (o !== undefined && copy in o) { delete o[copy]; }
-        
-        return o; 
-    };
-    
-    return this;
-}
-$L(LCopy, 'copy');
-
-/**
- * @class
- * Merges two concrete-tree properties into a single abstract-tree property.
- * Preference is given to the first property listed, as: if the two properties
- * are equal in c during putback, then the putback value of n, the second
- * property, is equal to a.m, the first property in the abstract tree.  If,
- * on the other hand, m and n are different in c, than c.n is used.
- *
- * @extends Lens
- * @param {String} m The first, preferred, property to merge (from C)
- * @param {String} n The second property to merge (from C)
- * @see LCopy
- */
-function LMerge(m, n) {
-    this.name = 'merge';
-    this.get = function (c) {
-        c = c || {};
-        
-        var o = clone(c);        
-        if (o !== undefined && n in c) { delete o[n]; }
-        
-        return o;
-    };
-    this.putback = function (a, c) {
-        a = a || {};
-        c = c || {};
-
-        var o = clone(a);
-        // we use ifs to prevent setting the property if a[m]/c[n] don't exist
-        if (equal(c[m], c[n])) {
-            if (m in a) { o[n] = a[m]; }
-        } else {
-            if (n in c) { o[n] = c[n]; }
-        }
-        
-        return o;         
-    };
+function LError(source, msg) {
+    this.name = 'error_lens';
+    this.get = function () { error(source, 'GET: ' + msg); };
+    this.putback = function () { error(source, 'PUTBACK: ' + msg); };
     
     return this;
 }
-$L(LMerge, 'merge');
-
-// OBJECT LENSES }}}
-
-/*******************************
- * {{{ CONDITIONAL LENSES
- *******************************/
+$L(LError, 'error_lens', lens_constructor(cString, cString, cAny, cAny));
 
 /**
  * @class
- * <p>Applies one of two lenses based on a predicate on the concrete tree. The
- * lens to apply on putback is selected by running the predicate on the
- * concrete tree again.  Thus is lens is unoblivious, viz. dependent on the
- * concrete tree during putback.</p>
- * <p>LCcond is typically applied for simple type dispatch; for more complex,
- * structure-dependent conditionals, {@link LAcond} or {@link LCond} may be
- * more appropriate.</p>
- *
+ * The sequencing lens; runs a lens l followed by k.  It will also take more
+ * than two lenses, chaining them as LSeq(l, LSeq(k, LSeq(j, ...))).
+ * 
  * @combinator
- * @extends Lens
- * @param {Predicate} p A predicate on the concrete tree (a function, list, 
- *     etc.)
- * @param {Lens} pass_lens The lens to run if p matches c
- * @param {Lens} fail_lens The lens to run if p does not match c
- * @see LAcond
- * @see LCond
+ * @extends Lens 
+ * @param {Lens} l The first lens to run
+ * @param {Lens} k The second lens to run
  */
-function LCcond(p, pass_lens, fail_lens) {
-    p = new Predicate(p);
-
-    this.name = 'ccond';
+function LSeq(l, k /* ... */) {
+    if (arguments.length > 2) {
+        // copy arguments array
+        var args = clone(arguments, true);
+        // call recursively on all but one
+        k = LSeq.apply(new Lens(), args.slice(1)); 
+    }
 
-    this.clone = function () {
-        var p_st = pass_lens.stateful();
-        var f_st = fail_lens.stateful();
-        var pc = p_st ? pass_lens.clone() : pass_lens;
-        var fc = f_st ? fail_lens.clone() : fail_lens;
+    this.clone = function () { 
+        var l_st = l.stateful();
+        var k_st = k.stateful();
+        var lc = l_st ? l.clone() : l;
+        var kc = k_st ? k.clone() : k;
         
-        var l = !(p_st || f_st) ? this : new LCcond(p, pc, fc);
-        l.copy_bindings(this);
-        return l;
+        var copy = !(l_st || k_st) ? this : new LSeq(lc, kc);
+        copy.copy_bindings(this);
+        return copy;
     };
+    this.name = 'seq';
+    this.cequiv = l.cequiv;
+    this.aequiv = k.aequiv;
+    
     this.for_each_sublens = function (f) {
-        f(pass_lens);
-        f(fail_lens);
+        // apply to each
+        f(l);
+        f(k);
     };
     
     this.get = function (c) {
-        var matches = p.matches(c);
-        
         try {
-            return (matches ? pass_lens : fail_lens).get(c);
+            return k.get(l.get(c));
         } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [p, pass_lens, fail_lens],
-                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+            throw this.wrap_exception(e).with_frame(this.name, [l, k], 'get');
         }
     };
     this.putback = function (a, c) {
-        var matches = p.matches(c);
-        
         try {
-            return (matches ? pass_lens : fail_lens).putback(a, c);
+            return l.putback(k.putback(a, 
+                                       l.get(c)), 
+                             c);
         } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [p, pass_lens, fail_lens],
-                'putback: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+            // blame the DOM node whose value we were putting back
+            throw this.wrap_exception(e).at_node(a).
+                       with_frame(this.name, [l, k], 'putback');
         }
-    };
-    
-    return this;
+     };
+     this.aschema = function (cs) {
+        try {
+            return lens_schema(k, 'aschema', 
+                               lens_schema(l, 'aschema', cs));
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name, [l, k], 
+                                                    'aschema');
+        }
+     };
+     this.cschema = function (as) {
+        try {
+            return lens_schema(l, 'cschema', 
+                               lens_schema(k, 'cschema', as));
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name, [l, k], 
+                                                    'cschema');
+        }
+     };
+     
+     return this;
 }
-$L(LCcond, 'ccond');
+// true -> no_seq
+$L(LSeq, 'seq', func(varargs(lens_c(cAny, cAny)), lens_c(cAny, cAny)), true);
 
 /**
  * @class
- * <p>Applies one of two lenses based on predicates on the concrete and abstract
- * trees.  LAcond behaves like {@link LCcond}, only a separate predicate pa 
- * determines which lens to use during putback, making this lens (slightly)
- * more oblivious.</p>
- * <p>The lens is not oblivious because different lenses may be used for get 
- * and putback; if this is the case, then the undefined is given instead of c.
- * </p>
- * <p>LAcond is typically used to dispatch subtypes to appropriate lenses.  For
- *  an example, see {@link LRenameIfPresent}, which is essentially:</p>
- * <code>acond (function (c) { return has_prop(c, from); },
- *              function (a) { return has_prop(a, to); },
- *              new LRename(from, to),
- *              new LId())
- * </code>
- * <p>For simply dispatching, {@link LCcond} may be sufficient.</p>
- *
- * @combinator
- * @extends Lens
- * @param {Predicate} pc A predicate on the concrete tree
- * @param {Predicate} pa A predicate on the abstract tree
- * @param {Predicate} pass_lens Used for get when pc matches the concrete tree;
- *     used for putback when pa matches a
- * @param {Predicate} fail_lens Used for get when pc does not match the 
- *    concrete tree; used for putback when a does not match pa
- * @see LCcond
- * @see LCond
+ * The constant lens.  Replaces the concrete value with a given value; if
+ * undefined is putback, a default value will be given.
+ * 
+ * @extends Lens 
+ * @param v The value to substitute on get (in A)
+ * @param d The default value to return on putback (in C)
+ * @param {Boolean} strict Set if putback should require that the abstract tree
+ *     be equal to v.  It is set by default; unsetting it can violate the
+ *     putget law.
  */
-function LAcond(pc, pa, pass_lens, fail_lens) {
-    pc = new Predicate(pc);
-    pa = new Predicate(pa);
-    
-    this.name = 'acond';
-    
-    this.clone = function () {
-        var p_st = pass_lens.stateful();
-        var f_st = fail_lens.stateful();
-        var pcl = p_st ? pass_lens.clone() : pass_lens;
-        var fcl = f_st ? fail_lens.clone() : fail_lens;
-        
-        var l = !(p_st || f_st) ? this : new LAcond(pc, pa, pcl, fcl);
-        l.copy_bindings(this);
-        return l;
-    };
-    this.for_each_sublens = function (f) {
-        f(pass_lens);
-        f(fail_lens);
-    };
-    
-    this.get = function (c) {
-        var matches = pc.matches(c);
-        
-        try {
-            return (matches ? pass_lens : fail_lens).get(c);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [pc, pa, pass_lens, fail_lens],
-                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
-        }
-    };
+function LConst(v, d, strict) {
+    this.name = 'constant';
+    this.get = function (c) { return deep_clone(v); };
     this.putback = function (a, c) {
-        var matches_c = pc.matches(c);
-        var matches_a = pa.matches(a);
-        
-        try {
-            return (matches_a ?
-                        pass_lens.putback(a, (matches_c ? c : undefined)) :
-                        fail_lens.putback(a, (matches_c ? undefined : c)));
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [pc, pa, pass_lens, fail_lens],
-                'putback: used the ' +  (matches_a ? 'pass' : 'fail') + 
-                ' lens with ' + (matches_c ? 'original tree' : 'undefined'));   
+        if (strict !== false && !equal(a, v)) {
+            this.error(["putback: HTML argument ", a, 
+                        " was edited away from ", v].join(''), [v, d, strict]); 
         }
+        else if (c === undefined) { return d; }
+        else { return c; }
     };
-    
+    this.aschema = function (cs) { return schema_of(v); };
+
     return this;
 }
-$L(LAcond, 'acond');
+$L(LConst, 'constant', func(varargs(prim_c, prim_c, cBool), 
+                            lens_c(cAny, cAny)));
 
 /**
  * @class
- * Renames a property in the concrete tree to a different property in the 
- * abstract tree -- but only if the property is present.  This is a sample
- * use of {@link LAcond}.  Note that {@link LCcond} is insufficient to define
- * this lens, since the rename lens should be used for putback only if the 
- * new, renamed field is present in the abstract tree -- LCcond can only look
- * at the concrete tree.
- *
- * @extends Lens
- * @param {String} from The source property in the concrete tree
- * @param {String} to The target property in the abstract tree
- */
-function LRenameIfPresent(from, to) {
-    LStackMarker.call(this, new LAcond(function (c) { return has_prop(c, from); },
-                                       function (a) { return has_prop(a, to); },
-                                       new LRename(from, to),
-                                       new LId()),
-                      'rename_if_present');
-    this.name = 'rename_if_present';
-    
+ * Wraps an invertible operator.
+ * 
+ * @extends Lens 
+ * @param {Function} op The operator
+ * @param {Function} inv The inverse of op
+ * @param d The default value to return on putback (in C)
+ */
+function LOp(op, inv, d) {
+    this.name = 'op';
+    this.get = function (c) { return op(c); };
+    this.putback = function (a, c) { return a === undefined ? d : inv(a); };
+
     return this;
 }
-$L(LRenameIfPresent, 'rename_if_present');
+$L(LOp, 'op');
 
 /**
  * @class
- * <p>The generalized conditional.  It combines elements of ccond and acond to
- * form a lens that offers complete control over dispatch, while maintaining
- * the lens laws.</p>
- * <p>It is necessary that for all possible inputs, either pa1 or pa2 is true.
- * It is perfectly acceptable for them both to be true, but at least one must
- * match.  In particular, pa1 should match on the image of pass_lens on inputs
- * matching pc; pa2 should match on the image of fail_lens on inputs which do
- * not match pc.</p>
- * <p>The conversion function, pass_to_fail and fail_to_pass, generalize the
- * behavior of {@link LCcond} and {@link LAcond}, as they allow values other
- * than undefined to be passed along if different lenses are used for get and
- * putback.</p>
- * <p>Note that LCcond(pc, pass_lens, fail_lens) = LCond(pc, ftrue, ftrue, 
- * fundef, fundef, pass_lens, fail_lens), where ftrue always returns true and
- * fundef always returns undefined.  Likewise, LAcond(pc, pa, pass_lens, 
- * fail_lens) = LCond(pc, pa, !pa, fundef, fundef, pass_lens, fail_lens), where
- * !pa returns the opposite of pa.</p>
- * 
- * @combinator
+ * Validates abstract trees on putback: it is the identity, but signals an
+ * error (with the given message, if there is one) when putting back a tree
+ * that doesn't satisfy a predicate.  Under a {@link Binding}, the error is
+ * shown on the field being edited, and the bad value is held back.
+ *
  * @extends Lens
- * @param {Predicate} pc The constant predicate; matches on get go through the
- *     pass_lens, failures go through the fail_lens
- * @param {Predicate} pa1 The pass_lens predicate.  If pa1 matches and pa2
- *     doesn't, then the pass_lens will always be used.  If pa1 passes on
- *     putback but pc didn't match on get, then pass_to_fail(c) will be used as
- *     the concrete putback argument instead of c.
- * @param {Predicate} pa2 The fail_lens predicate.  If pa2 matches and pa2
- *     doesn't, then the fail_lens will always be used.  If pa2 matches but pc
- *     didn't match during get, then fail_to_pass(c) will be used instead of c
- *     as the concrete putback argument.
- * @param {Function} pass_to_fail Called with c when c went through pass_lens
- *     during get but is going through fail_lens on putback.  Its result is 
- *     used instead of c.
- * @param {Function} fail_to_pass Called with c when c went through fail_lens
- *     during get put is going through pass_lens on putback.  Its result is
- *     used instead of c.
- * @param {Lens} pass_lens Used on get if pc matches; used on putback if pa1
- *     matches, or all three predicates -- pc, pa1, and pa2 -- all matched.
- * @param {Lens} fail_lens Used on get if pc doesn't match; used on putback if
- *     pa2 matches, or if pa1 and pa2 match and pc doesn't.
- * @see LCcond
- * @see LAcond
+ * @param {Predicate} pred Matches valid trees
+ * @param {String} msg The error message; optional
  */
-function LCond(pc, pa1, pa2, pass_to_fail, fail_to_pass, pass_lens, fail_lens) {
-    pc = new Predicate(pc);
-    pa1 = new Predicate(pa1);
-    pa2 = new Predicate(pa2);
-    
-    this.name = 'cond';
-    
-    this.clone = function () {
-        var p_st = pass_lens.stateful();
-        var f_st = fail_lens.stateful();
-        var pcl = p_st ? pass_lens.clone() : pass_lens;
-        var fcl = f_st ? fail_lens.clone() : fail_lens;
-        
-        var l = !(p_st || f_st) ? this : 
-            new LCond(pc, pa1, pa2, pass_to_fail, fail_to_pass, pcl, fcl);
-        l.copy_bindings(this);
-        return l;
-    };
-    this.for_each_sublens = function (f) {
-        f(pass_lens);
-        f(fail_lens);
-    };
-    
-    this.get = function (c) {
-        var matches = pc.matches(c);
-        
-        try {
-            return (matches ? pass_lens : fail_lens).get(c);
-        } catch (e) {
-            throw this.wrap_exception(e).with_frame(this.name,
-                [pc, pa1, pa2, pass_to_fail, fail_to_pass, pass_lens, 
-                 fail_lens],
-                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
-        }
-    };
+function LValidate(pred, msg) {
+    var p = new Predicate(pred);
+
+    this.name = 'validate';
+    this.get = function (c) { return c; };
     this.putback = function (a, c) {
-        var matches_a1 = pa1.matches(a);
-        var matches_a2 = pa2.matches(a);
-        var matches_c = pc.matches(c);
-        
-        if (matches_a1 && matches_a2) {
-            try {
-                return (matches_c ? pass_lens : fail_lens).putback(a, c);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name,
-                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
-                     pass_lens, fail_lens],
-                    'putback: used the ' + (matches_c ? 'pass' : 'fail') + 
-                    ' lens');   
-            }
-        } else if (matches_a1) {
-            try {
-                return pass_lens.putback(a, 
-                                         matches_c ? c : pass_to_fail(c));
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name,
-                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
-                     pass_lens, fail_lens],
-                    'putback: used the pass lens with ' + 
-                    (matches_c ? 'original tree' : 'pass_to_fail'));
-            }
-        } else if (matches_a2) {
-            try {
-                return fail_lens.putback(a,
-                                         matches_c ? fail_to_pass(c) : c);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name,
-                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
-                     pass_lens, fail_lens],
-                    'putback: used the fail lens with ' +
-                    (matches_c ? 'fail_to_pass' : 'original tree'));
-            }
-        } else {
-            this.error('putback: neither predicate a1 nor a2 matched',
-                       [pc, pa1, pa2, 
-                        pass_to_fail, fail_to_pass,
-                        pass_lens, fail_lens]);
+        if (!p.matches(a)) {
+            this.error(msg || 'putback: ' + a + ' is invalid', [pred, msg]);
         }
+        return a;
     };
-    
+    this.aschema = function (cs) { return cs; };
+    this.cschema = function (as) { return as; };
+
     return this;
 }
-$L(LCond, 'cond');
+$L(LValidate, 'validate');
 
-//}}}
+// BASIC LENSES }}}
 
-/*******************************
- * {{{ LIST/ARRAY LENSES
+/******************************* 
+ * {{{ ARITHMETIC LENSES
  *******************************/
 
 /**
  * @class
- * Gets the first element of a list.
+ * A refinement of the {@link LOp} lens -- for binary arithmetic operators.
  *
- * @extends Lens
- * @param d The default rest-of-the-list to putback if c is undefined
- * @see LTail
- * @see LIndex
+ * @extends Lens 
+ * @param {Function} op The operator
+ * @param {Function} inv The inverse of op
+ * @param v The second value to pass to op on get and putback
+ * @param d The default value to return on putback (in C)
  */
-function LHead(d) {
-    this.name = 'head';
-    this.get = function (c) {
-        return c[0];
+function LArith(op, inv, v, d) { 
+    LStackMarker.call(this, 
+                      make_sublens(LOp, function (c) { return op(c, v); },
+                                   function (a) { 
+                                       // numeric strings (e.g. from inputs)
+                                       // are fine; anything else would give
+                                       // NaN
+                                       if (typeof a != 'number' &&
+                                           (typeof a != 'string' || 
+                                            !/\S/.test(a) ||
+                                            isNaN(Number(a)))) {
+                                           error('arith', 'putback: ' +
+                                                 'expected a number, got ' +
+                                                 a, [a]);
+                                       }
+                                       return inv(Number(a), v);
+                                   },
+                                   d),
+                      'arith');
+    this.name = 'arith';
+    this.aschema = function (cs) {
+        expect_schema(this, cs, 'number', 'get', [op, inv, v, d]);
+        return sNumber;
     };
-    this.putback = function (a, c) { 
-        var arr = clone(c || d);
-        
-        if (arr.length !== 0 || a !== undefined) {
-            arr[0] = a;
-        }
-        
-        return arr;
+    this.cschema = function (as) {
+        expect_schema(this, as, 'number', 'putback', [op, inv, v, d]);
+        return sNumber;
     };
-    
     return this;
 }
-$L(LHead, 'head');
+$L(LArith, 'arith');
 
 /**
- * @class
- * Gets the last element of a list.
+ * Generates and registers arithmetic lenses.
  *
- * @extends Lens
- * @param d The default rest-of-the-list to putback if c is undefined
- * @see LHead
- * @see LIndex
+ * @param {String} name The lens to create
+ * @param {Function} op The operator
+ * @param {Function} inv Its inverse
+ * @param {Function} guard An optional guard over v and d, 
+ *     which can throw an error if v and d are somehow invalid 
+ *     for op and inv, e.g. would cause a divide-by-zero.  Takes
+ *     v, and d.  For an example, see {@link #nonzero_v}.
  */
-function LTail(d) {
-    this.name = 'tail';
-    this.get = function (c) {
-        return c.length === 0 ? undefined : c[c.length - 1];
-    };
-    this.putback = function (a, c) {
-        var arr = clone(c || d);
-
-        // if the array is empty, but a isn't undefined, save it; otherwise, 
-        // set the last index to a regardless
-        if (arr.length === 0) {
-            if (a !== undefined) { arr[0] = a; }
-        } else {
-            arr[arr.length - 1] = a;
-        }
+function make_arith_lens(name, op, inv, guard) {
+    var f = function (v, d) {
+        this.name = name; // set it for the guard
+        if (guard) { guard.call(this, v, d); }
         
-        return arr;
-    };
+        LStackMarker.call(this, make_sublens(LArith, op, inv, v, d), name);
+        this.name = name; // reset it from when LArith overwrote it
 
-    return this;
+        return this;
+    };
+    $L(f, name);
+    return f;
 }
-$L(LTail, 'tail');
+
+// TODO for some reason jsdoc is unhappy with this style, so none of these
+//      lenses get any documentation
 
 /**
- * @class
- * Gets a specific index out of a list.
- *
  * @extends Lens
- * @param {int} idx The index to extract
- * @param d The default value to substitute for the rest of the list
- * @see LHead
- * @see LTail
+ * @param {int} v Added to the concrete tree in get, subtracted from
+ *     the abstract tree on putback
+ * @param d The value putback if the abstract tree is undefined
  */
-function LIndex(idx, d) {
-    this.name = 'index';
-    this.get = function (c) {
-        // allow for undefined c
-        c = c || [];
-        return c[idx];
-    };
-    this.putback = function (a, c) {
-        // we separate the clones in case c is a value, but of the wrong type
-        // -- just being permissive
-        var arr = clone(c || d);
+var LPlus = make_arith_lens('plus', 
+                        function (a, b) { return a + b; },
+                        function (a, b) { return a - b; });
+                        
+/**
+ * @extends Lens
+ * @param {int} v Subtracted from the concrete tree in get, added to
+ *     the abstract tree on putback
+ * @param d The value putback if the abstract tree is undefined
+ */
+var LMinus = make_arith_lens('minus', 
+                         function (a, b) { return a - b; },
+                         function (a, b) { return a + b; });
 
-        // we'll also only set the index if we'll actually do something...
-        // overwriting a value with undefined is enough, but we'll avoid adding
-        // sparse undefineds
-        if (a !== undefined || idx in arr) { arr[idx] = a; }
-
-        return arr;
-    };
-    
-    return this;
+/**
+ * The guard used in LTimes and LDivide to prevent v==0 from occuring.
+ */
+function nonzero_v(v, d) {
+    if (v === 0) {
+        this.error('cannot use 0 as v (first argument), since it has no inverse',
+            [v, d]);
+    }
 }
-$L(LIndex, 'index');
 
+/**
+ * @extends Lens
+ * @param {int} v Multiplied with the concrete tree in get, divides from
+ *     the abstract tree on putback
+ * @param d The value putback if the abstract tree is undefined
+ */                         
+var LTimes = make_arith_lens('times',
+                         function (a, b) { return a * b; },
+                         function (a, b) { return a / b; },
+                         nonzero_v);
+
+/**
+ * @extends Lens
+ * @param {int} v Divided from the concrete tree in get, multiplies with
+ *     the abstract tree on putback
+ * @param d The value putback if the abstract tree is undefined
+ */
+var LDivide = make_arith_lens('divide',
+                          function (a, b) { return a / b; },
+                          function (a, b) { return a * b; },
+                          nonzero_v);
+
+// ARITHMETIC LENSES }}}
+
+/*******************************
+ * {{{ OBJECT LENSES
+ *******************************/
+                          
 /**
  * @class
- * Gets the length of a list.  On putback, it configurably adds and deletes
- * elements from the list on putback.
+ * <p>A primitive lens for working with objects; it will 'hoist' a property
+ * of a single property object, e.g.:</p>
+ * <code>
+ * <br /> &gt; h = new LHoist('foo')
+ * <br /> &gt; h.get({foo : 5})
+ * <br /> 5
+ * <br /> &gt; h.putback(5, _) // _ is anything
+ * <br /> { 'foo': 5 }
+ * </code>
+ * <p>By Pierce and Foster's definition, hoist should only accept objects with a
+ * single property.  For convenience, more objects with more than one property
+ * will be accepted by hoist; however, missing values will not be returned on 
+ * putback.  If missing values should be restored on putback, use {@link LFocus}.</p>
+ * <p>Hoist will also (non-standardly) accept objects on get without the desired 
+ * property; undefined will be returned.</p>
  *
  * @extends Lens
- * @param {'beginning', 'end'} take_from Where to take elements from that would
- *     make the list too long.  The default is 'end'.
- * @param {'beginning', 'end'} add_to Where to add additional elements for
- *     compensatory lengthening; default is 'end'.  If take_from is specified
- *     but no value is given for add_to, then it defaults to take_from's value.
- * @param d The value to use during lengthening instead of undefined.
+ * @param {String} prop The property of the concrete tree to select for.  It 
+ *     must have only one property.  For a more permissive form of hoisting,
+ *     see {@link LFocus}.
+ * @param {Boolean} check_prop Whether or not to check that the property prop
+ *     is really present and the only property.  If it is not, an error will be
+ *     signalled.  This is false by default.
+ * @see LHoistNonunique
  */
-function LLength(take_from, add_to, d) {
-    take_from = take_from || 'end';
-    add_to = add_to || take_from;
-    
-    this.name = 'length';
-    this.get = function (c) { return c.length; };
-    this.putback = function (a, c) {
-        if (c.length == a) { return c; }
+function LHoist(prop, check_prop) {
+    check_prop = check_prop || false;
 
-        var arr = clone(c);        
-        // how many extra/missing elements?
-        var diff = Math.abs(c.length - a);        
-        
-        if (c.length > a) {
-            var start = 0;
-            var finish = 0;
-            
-            // pick where to take from
-            if (take_from == 'beginning') {
-                finish = diff;
-            } else { // take_from == 'end'
-                start = a;
-                finish = c.length;            
+    this.name = 'hoist';
+    
+    this.get = function (c) {
+        if (c === undefined) { return undefined; }
+        if (typeof c != 'object') {
+            this.error('get: expected object, got ' + c,
+                       [prop, check_prop]);
+        }
+        if (check_prop) {        
+            if (!(prop in c)) {
+                this.error(['get: property ', prop, ' not found in ' + c].join(''),
+                           [prop, check_prop]); 
             }
             
-            // cut out appropriately
-            arr.splice(start, finish);
-            return arr;
-        } else {
-            // build the new list
-            var new_items = [];
-            for (var i = 0;i < diff;i++) {
-                new_items.push(clone(d)); // we clone to avoid sharing
+            for (var p in c) {
+                if (p != prop) {
+                    this.error(['get: expected object with only property ', prop,
+                                ' but also found ', p, ' in ', c].join(''),
+                               [prop, check_prop]);
+                }
             }
-            
-            // then concatenate the arrays
-            return (add_to == 'beginning') ?
-                new_items.concat(arr) :
-                arr.concat(new_items);
         }
+         
+        return c[prop];
+    };
+    this.putback = function (a, c) {
+        var o = {};
+        o[prop] = a;
+        return o;
+    };
+    this.aschema = function (cs) {
+        return schema_prop(this, cs, prop, 'get', [prop, check_prop]);
+    };
+    this.cschema = function (as) {
+        var props = {};
+        props[prop] = as;
+        return sObject(props);
     };
     
     return this;
 }
-$L(LLength, 'list_length');
+$L(LHoist, 'hoist');
 
 /**
  * @class
- * Turns an object into a list, given an order on the properties.  Every 
- * property of the object must appear, or its value will be dropped on putback.
- * Additionally, the list putback may have its values changed, but its length
- * must stay the same.
+ * <p>The dual of {@link LHoist}, it pushes the concrete argument into an object
+ * under a specific property in the get direction, e.g.:</p>
+ * <code>
+ * <br /> &gt; p = new LPlunge('foo')
+ * <br /> &gt; p.get(5)
+ * <br /> { foo: 5 }
+ * <br /> &gt; p.putback({ foo: 5 }, _) // _ is anything
+ * <br /> 5
+ * </code>
+ * <p>Strictness issues are as in {@link LHoist}.</p>
  *
  * @extends Lens
+ * @param {String} prop The property under which to plunge.
+ * @param {Boolean} check_prop Set to true to require that the tree on putback
+ *     have one and only one property -- prop.  The default is false, and so
+ *     checking is more lax, but missing properties will not be reconstructed at
+ *     the next get.
  */
-function LOrder(/* prop1, prop2, ..., propn */) {
-    var order = clone(arguments, true); // true -> copy as array
+function LPlunge(prop, check_prop) {
+    check_prop = check_prop || false;    
     
-    this.name = 'order';
+    this.name = 'plunge';
     this.get = function (c) {
-//        if (c === undefined) { return undefined; }
-        
-        var o = [];
-        var seen = {};
-        
-        for (var i = 0;i < order.length;i++) {
-            var prop = order[i];
-            
-//            if (!(prop in c)) { this.error('get: missing property ' + prop + 
-//                                           ' in order'); }
-            
-            o.push(prop in c ? c[prop] : undefined);
-        }
-        
+        var o = {};
+        o[prop] = c;
         return o;
     };
     this.putback = function (a, c) {
-//        if (a === undefined) { return undefined; }
-        
-        var o = {};
-        
-        if (order.length === 1 && !(a instanceof Array)) {
-            a = [a];
-        }
-        
-        if (a.length != order.length) {
-            this.error('putback: different lengths', [order]);
+        //if (a == undefined) { return undefined; } // ??? should we allow this?
+        if (typeof a != 'object') {
+            this.error('putback: expected object in putback, got ' + a,
+                       [prop, check_prop]);
         }
-        
-        for (var i = 0;i < order.length;i++) {
-            var prop = order[i];
+        if (check_prop) {        
+            if (!(prop in a)) {
+                this.error(['putback: property ', prop, ' not found in ' + a].join(''),
+                           [prop, check_prop]); 
+            }
             
-            if (i in a && a[i] !== undefined) {
-                o[prop] = a[i];
+            for (var p in a) {
+                if (p != prop) {
+                    this.error(['putback: expected object with only property ', prop,
+                                ' but also found ', p, ' in ', a].join(''),
+                               [prop, check_prop]);
+                }
             }
         }
         
-        return o;
+        return a[prop];
+    };
+    this.aschema = function (cs) {
+        var props = {};
+        props[prop] = cs;
+        return sObject(props);
+    };
+    this.cschema = function (as) {
+        return schema_prop(this, as, prop, 'putback', [prop, check_prop]);
     };
     
     return this;
 }
-$L(LOrder, 'order');
+$L(LPlunge, 'plunge');
 
 /**
- * @class
- * Maps a function over a list, as {@link LMap} over an object.
+ * Splits an object in two: one whose properties all match a predicate, and the
+ * rest which fail.
  *
- * @combinator
- * @extends Lens
- * @param {Function} make_lens A function expecting add_before, add_after, and 
- *     del functions; it should produce a lens
+ * @param {Object} o The object to split
+ * @param {Function} pred The predicate over property names
+ * @return {Object} An object o where o.passed has passing properties and
+ *     o.failed has failing properties.
  */
-function LListMap(make_lens) {
-    this.name = 'list_map';
-    
-    this.stateful = function () { return true; }
+function split_object(o, pred) {
+    if (o === undefined) { return { 'passed': undefined, 'failed': undefined }; }
+
+    var passed = {};
+    var failed = {};
     
-    function redisplay(f) {
-        var bindings = this.bindings ? clone(this.bindings) : [];
-        for (var i = 0;i < bindings.length;i++) {
-            var binding = bindings[i];
-            binding.putback();
-            binding.get();
-        }
+    // split c into matching and non-matching parts
+    for (var prop in o) {
+        (pred.matches(prop) ? passed : failed)[prop] = o[prop];
     }
-    var redisplay = closure(this, redisplay);
-    
-    // edit tracking
-    var edits = [];
-    this.add_child = function (i) {
-        return function (v) {
-            edits.push({ 'action': 'add', 'index': i, 'value': v });
-            window.setTimeout(redisplay, 5);
-        };
-    };
-    this.del_child = function (i) {
-        return function () {
-            edits.push({ 'action': 'del', 'index': i });
-            window.setTimeout(redisplay, 5);
-        };
-    };
+
+    return { 'passed': passed, 'failed': failed };
+}
+
+/**
+ * Splits an object schema (see SCHEMAS) as {@link #split_object} splits
+ * objects.  The unknown properties of an open object may fall on either side,
+ * so both halves of an open object are open.
+ *
+ * @param {Object} s The object schema to split
+ * @param {Function} pred The predicate over property names
+ * @return {Object} An object o where o.passed and o.failed are the schemas
+ *     of the passing and failing properties
+ */
+function split_schema(s, pred) {
+    var passed = {};
+    var failed = {};
+
+    for (var prop in s.props) {
+        (pred.matches(prop) ? passed : failed)[prop] = s.props[prop];
+    }
+
+    return { 'passed': sObject(passed, s.open), 
+             'failed': sObject(failed, s.open) };
+}
+
+
+/**
+ * Merges two objects.  If their properties aren't disjoint, than the procedure
+ * error is called, if it was provided.
+ *
+ * @param {Object} o1 The first object
+ * @param {Object} o2 The second object
+ * @param {Function} error Optional.  Called if a property in o2 is also in o1
+ * @return {Object} The union of o1 and o2
+ */
+function merge_objects(o1, o2, error) {
+    if (o1 === undefined) { return o2; }
+    if (o2 === undefined) { return o1; }
+
+    var merged = {};
     
-    // a master, by-index constructor to ensure that separate state is kept in
-    // the sublens for each index
-    var make_clone = is_lens(make_lens) ?
-        function () { return make_lens.clone(); } : make_lens;
-    this.clone_for_index = function (i) {
-        var l = make_clone(this.add_child(i), this.add_child(i + 1), 
-                           this.del_child(i));
-        l.copy_bindings(this);
-        return l;
-    };
-    // the by-index table for lenses
-    var lenses = [];
-    // looks up lenses in the table, and either makes a new one or returns the
-    // saved lens
-    this.lens_for_index = function (i) {
-        if (i in lenses) { return lenses[i]; }
-        
-        var l = this.clone_for_index(i);
-        lenses[i] = l;
-        
-        return l;
-    };
+    for (var prop in o1) {
+        merged[prop] = o1[prop];
+    }    
     
-    this.clone = function () { 
-        var l = new LListMap(make_lens);
-        l.copy_bindings(this);
-        return l;
-    };
-    this.for_each_sublens = function (f) {
-        for (var i = 0;i < lenses.length;i++) {
-            var l = lenses[i];
-            f(l);
+    for (prop in o2) {
+        if (prop in merged && error) {
+            error('merge_objects', prop, [o1, o2, error]);
         }
+        merged[prop] = o2[prop];
     }
     
-    function grab_edits() {
-        var locked_edits = [];
-        while (edits.length > 0) {
-            locked_edits.push(edits.shift());
+    return merged;
+}
+
+/**
+ * Compares two trees with one of a lens' equivalences (see
+ * {@link Lens#cequiv}).  Anything without that equivalence, like a lens
+ * that only looks like one (see {@link #is_lens}), compares with equal.
+ *
+ * @param {Lens} lens The lens
+ * @param {String} op Either 'cequiv' or 'aequiv'
+ * @param t1 The first tree
+ * @param t2 The second tree
+ * @return {Boolean} True if t1 and t2 are equivalent
+ */
+function lens_equiv(lens, op, t1, t2) {
+    return lens && typeof lens[op] == 'function' ? lens[op](t1, t2) : 
+                                                    equal(t1, t2);
+}
+
+/**
+ * Compares two objects (or lists) property by property, so that combinators
+ * can build their equivalences from their sublenses'.  The objects must have
+ * the same properties, and each pair of values must be equivalent under the
+ * lens lens_for gives for that property.  Anything other than two objects
+ * compares with equal.
+ *
+ * @param o1 The first object
+ * @param o2 The second object
+ * @param {Function} lens_for Maps a property to the lens for its values
+ * @param {String} op Either 'cequiv' or 'aequiv'
+ * @return {Boolean} True if o1 and o2 are equivalent
+ */
+function objects_equiv(o1, o2, lens_for, op) {
+    if (typeof o1 != 'object' || typeof o2 != 'object' || 
+        o1 === null || o2 === null || dom_obj(o1) || dom_obj(o2)) {
+        return equal(o1, o2);
+    }
+    
+    for (var prop in o1) {
+        if (!(prop in o2) || !lens_equiv(lens_for(prop), op, o1[prop], 
+                                         o2[prop])) {
+            return false;
         }
-        
-        return locked_edits;
     }
+    for (prop in o2) {
+        if (!(prop in o1)) { return false; }
+    }
+    
+    return true;
+}
+
+/**
+ * @class
+ * <p>Splits a concrete tree, passing part through one lens and part through
+ * another.  Those parts which pass predicates pred_c and pred_a will go
+ * through pass_lens; whatever remains will be passed through fail_lens.</p>
+ * <p> If either of pred_{a,c} are not actually predicates, they will be made
+ * into predicates by means of the {@link Predicate} constructor.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Predicate} pred_c A predicate over concrete-tree properties; those
+ *     passing properties will be taken as a single object and passed through
+ *     pass_lens in the get direction; in the putback direction, it will be used
+ *     as the putback for pass_lens.
+ * @param {Predicate} pred_a A predicate over abstract-tree properties; those
+ *     passing properties will be taken as a single object during putback, and
+ *     will be passed (along with pred_c-passing properties) back through
+ *     pass_lens's putback.
+ * @param {Lens} pass_lens Used for passing properties
+ * @param {Lens} fail_lens Used for failing properties
+ */                   
+function LXfork(pred_c, pred_a, pass_lens, fail_lens) {
+    pred_c = new Predicate(pred_c);
+    pred_a = new Predicate(pred_a);
+    
+    this.clone = function () {
+        var p_st = pass_lens.stateful();
+        var f_st = fail_lens.stateful();
+        var pc = p_st ? pass_lens.clone() : pass_lens;
+        var fc = f_st ? fail_lens.clone() : fail_lens;
+        
+        var l = !(p_st || f_st) ? this : 
+            new LXfork(pred_c, pred_a, pc, fc);
+        l.copy_bindings(this);
+        return l;
+    };
+    
+    this.name = 'xfork';
+    
+    this.for_each_sublens = function (f) {                                    
+        f(pass_lens);
+        f(fail_lens);
+    };
     
     this.get = function (c) {
-        if (c === undefined) { return undefined; }
+        // split the object into branches whose properties pass and fail pred_c
+        var split = split_object(c, pred_c);
         
-        var o = [];
-        for (var i = 0;i < c.length;i++) {
-            try {
-                var l = this.lens_for_index(i);
-                o.push(l.get(c[i]));
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, [make_lens],
-                    'get on index ' + i);
-            }
+        // apply the lenses to the branches appropriately
+        try {
+            var got_passed = pass_lens.get(split.passed);
+            var got_failed = fail_lens.get(split.failed);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name, 
+                [pred_c, pred_a, pass_lens, fail_lens], 'get');
         }
-        return o;
+
+        // and merge
+        var lens = this; // saved because you can't close on this
+        return merge_objects(got_passed, got_failed,
+                             function (prop) {
+                                 lens.error('property ' + prop + 
+                                            ' was in both branches during get',
+                                            [pred_c, pred_a,
+                                             pass_lens, fail_lens]);
+                             });
     };
     this.putback = function (a, c) {
-        // copy and clear the edits into an immutable set
-        var locked_edits = grab_edits();
+        // split a and c on their respective predicates
+        var split_a = split_object(a, pred_a);
+        var split_c = split_object(c, pred_c);
         
-        a = clone(a);
-        if (!(a instanceof Array)) {
-            a = [a];
+        // putback passing and failing objects separately; in delta mode,
+        // each branch's edits are collected separately, too
+        var branch_edits = [];
+        try {
+            var frame = open_deltas(split_c.passed);
+            var put_passed = pass_lens.putback(split_a.passed, split_c.passed);
+            close_deltas(frame, [], split_c.passed, put_passed, branch_edits);
+            
+            frame = open_deltas(split_c.failed);
+            var put_failed = fail_lens.putback(split_a.failed, split_c.failed);
+            close_deltas(frame, [], split_c.failed, put_failed, branch_edits);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [pred_c, pred_a, pass_lens, fail_lens], 'putback');
         }
         
-        c = clone(c);
-        // only perform edits if putback will be defined...
-        if (c !== undefined) {
-            for (var i = 0;i < locked_edits.length;i++) {
-                var edit = locked_edits[i];
-                
-                if (edit.action == 'add') {
-                    // add the new value to the concrete tree and keep the
-                    // list of lenses maintained -- add a new one, without state
-                    c.splice(edit.index, 0, edit.value);
-                    
-                    /* BUG all lenses after thew newly spliced in lens have an index that is too high -- we need to lock to ensure that no events occur between now and the clearing out of the lenses
-                    */
-                    var l = this.clone_for_index(edit.index);
-                    lenses.splice(edit.index, 0, l);
-                    a.splice(edit.index, 0, l.get(edit.value));
-                } else if (edit.action == 'del') {
-                    // delete the old value from the concrete tree, as well as
-                    // its lens
-                    c.splice(edit.index, 1);
-                    a.splice(edit.index, 1);
-                    lenses.splice(edit.index, 1);
-                } else {
-                    this.error('putback: invalid action ' + edit.action,
-                               [make_lens]);
+        // and merge
+        var lens = this;
+        var o = merge_objects(put_passed, put_failed,
+                              function (prop) {
+                                  lens.error('property ' + prop +
+                                             ' was in both branches during putback',
+                                             [pred_c, pred_a,
+                                              pass_lens, fail_lens]);
+                              });
+        
+        if (__delta_frame) {
+            // a property that moved between branches is deleted from one and
+            // set in the other, in either order -- keep only the set
+            var edits = [];
+            for (var i = 0;i < branch_edits.length;i++) {
+                var edit = branch_edits[i];
+                if (!(edit.op == 'delete' && edit.path.length == 1 &&
+                      has_prop(o, edit.path[0]))) {
+                    edits.push(edit);
                 }
             }
+            emit_deltas(c, o, edits);
         }
+        return o;
+    };
+    
+    // trees are equivalent when both of their branches are
+    var branches_equiv = function (pred, op) {
+        return function (t1, t2) {
+            if (typeof t1 != 'object' || typeof t2 != 'object' ||
+                t1 === null || t2 === null) {
+                return equal(t1, t2);
+            }
+            
+            var split1 = split_object(t1, pred);
+            var split2 = split_object(t2, pred);
+            return lens_equiv(pass_lens, op, split1.passed, split2.passed) &&
+                   lens_equiv(fail_lens, op, split1.failed, split2.failed);
+        };
+    };
+    this.cequiv = branches_equiv(pred_c, 'cequiv');
+    this.aequiv = branches_equiv(pred_a, 'aequiv');
+    
+    // the schema of the merged branches; each branch's properties must be
+    // split back into it by the other side's predicate
+    var schema = function (lens, s, pred_in, pred_out, op, where) {
+        var args = [pred_c, pred_a, pass_lens, fail_lens];
+        var split = split_schema(expect_schema(lens, s, 'object', where, args),
+                                 pred_in);
+        var side = pred_out === pred_a ? 'pred_a' : 'pred_c';
         
-        if (c !== undefined && c.length !== 0 && a.length !== c.length) {
-            this.error('putback: list lengths don\'t match after edits',
-                       [make_lens]);
+        try {
+            var passed = lens_schema(pass_lens, op, split.passed);
+            var failed = lens_schema(fail_lens, op, split.failed);
+            var branches = { 
+                'pass': expect_schema(lens, passed, 'object', where, args),
+                'fail': expect_schema(lens, failed, 'object', where, args) 
+            };
+        } catch (e) {
+            throw lens.wrap_exception(e).with_frame(lens.name, args, op);
         }
         
-        var o = [];
-        for (i = 0;i < a.length;i++) {
-            var a_i = a[i];
-            var c_i = c === undefined || i > c.length ? undefined : c[i];
-            
-            try {
-                var l = this.lens_for_index(i);
-                var put = l.putback(a_i, c_i);
-                o.push(put);
-            } catch (e) {
-                throw this.wrap_exception(e).with_frame(this.name, [make_lens],
-                    'putback on index ' + i);
-            }
-        }
-        /* if any changes were made to the number of lenses, we need to refresh all of the child lenses so they can regenerate with new links for their new indices
-        */
-        if (locked_edits.length > 0) {
-            lenses = [];
-            for (var i = 0;i < a.length;i++) {
-                lenses.push(this.clone_for_index(i));
+        var props = {};
+        for (var branch in branches) {
+            for (var prop in branches[branch].props) {
+                if (pred_out.matches(prop) != (branch == 'pass')) {
+                    lens.error(['schema: ', where, ': the ', branch, 
+                                ' lens makes property ', prop, ', which ',
+                                side, branch == 'pass' ? ' doesn\'t match' :
+                                                         ' matches'].join(''),
+                               args);
+                }
+                props[prop] = branches[branch].props[prop];
             }
         }
         
-        return o;
+        return sObject(props, branches.pass.open || branches.fail.open);
+    };
+    this.aschema = function (cs) {
+        return schema(this, cs, pred_c, pred_a, 'aschema', 'get');
+    };
+    this.cschema = function (as) {
+        return schema(this, as, pred_a, pred_c, 'cschema', 'putback');
     };
-    
     return this;
 }
-$L(LListMap, 'list_map');
+$L(LXfork, 'xfork');
 
 /**
  * @class
- * Rotates a list: on get, it puts the first element on the end.  On putback,
- * it puts the last element on the front.  This lens is defined only for
- * completeness' sake -- it is described in <i>Combinator for Bi-Directional
- * Tree Transformations</i> and used to define {@link LReverse}; we simply copy
- * the list and reverse it, so LRotate is unnecessary.
+ * A simplified {@link LXfork}.  The concrete tree is split based on a predicate
+ * over properties; the object composed of passing properties is passed to
+ * pass_lens, and whatever remains is passed to fail_lens.  On putback, the
+ * same predicate is used on both the abstract and the concrete trees.
  *
+ * @combinator
  * @extends Lens
+ * @param {Function} pred The predicate on properties
+ * @param {Lens} pass_lens The lens through which the object composed of 
+ *     passing properties will be passed
+ * @param {Lens} fail_lens The lens through which the failing-property
+ *     object will be passed
  */
-function LRotate() {
-    this.name = 'rotate';
-    this.get = function (c) {
-        var arr = clone(c);
-        
-        if (arr.length > 0) {
-            // take the first element...
-            var head = arr.shift();
-        
-            // ...and put it on the end
-            arr.push(head);
-        }
-        
-        return arr;
-    };
-    this.putback = function (a, c) {
-        var arr = clone(a);
-        
-        if (arr.length > 0) { 
-            // take the last element, if it's there...
-            var tail = arr.pop();
-            
-            // ...and put it on the front
-            arr.splice(0, 0, tail);
-        }
-        
-        return arr;
-    };
+function LFork(pred, pass_lens, fail_lens) {
+    LStackMarker.call(this, 
+                      make_sublens(LXfork, pred, pred, pass_lens, fail_lens),
+                      'fork');
+    this.name = 'fork';
     
     return this;
 }
-$L(LRotate, 'rotate');
+$L(LFork, 'fork');
 
 /**
  * @class
- * Reverses a list.
+ * In the get direction, projects the concrete tree down to only those
+ * properties matching pred.  In the putback direction, they are restored (if
+ * they are present in the concrete tree).
  *
  * @extends Lens
+ * @param {Function} pred A predicate matching the desired properties
+ * @param d The default value to putback if nothing is found in the concrete
+ *     tree
  */
-function LReverse() {
-    this.name = 'reverse';
-    this.get = function (c) {
-        var arr = clone(c);
-        
-        arr.reverse();
-        
-        return arr;
-    };
-    this.putback = function (a, c) {
-        var arr = clone(a);
-        
-        arr.reverse();
-        
-        return arr;
-    };
+function LFilter(pred, d) {
+    LStackMarker.call(this, 
+                      make_sublens(LFork, pred, make_sublens(LId),
+                                   make_sublens(LConst, {}, d)),
+                      'filter');
+    this.name = 'filter';
     
     return this;
 }
-$L(LReverse, 'reverse');
+$L(LFilter, 'filter');
 
 /**
  * @class
- * <p>Groups a list into sublists of size n, e.g. for n=2:</p>
- * <code>[1, 2, 3, 4] => [[1, 2], [3, 4]]<br />
- * [1, 2, 3, 4, 5] => [[1, 2], [3, 4], [5]]</code>
+ * Removes a given property in the get direction, replacing it in the
+ * concrete tree during putback.  If the concrete tree has that property
+ * undefined, then that property will get value d.
  *
  * @extends Lens
- * @param {int} n The size of groups to form
- * @see LConcat
+ * @param {String} prop The property to prune
+ * @param d The default value for the property, if it should be undefined
  */
-function LGroup(n) {
-    this.name = 'group';
-    this.get = function (c) {
-        var arr = [];
-            
-        for (var i = 0, j = 0;i < c.length;i += n) {
-            // grab n items if we can, but settle for the rest of the list
-            var group = c.slice(i, Math.min(i + n, c.length));
-
-            // then push the group on
-            if (group.length !== 0) { arr.push(group); }
-        }
-        
-        return arr;
-    };
-    this.putback = function (a, c) {
-        var arr = [];
-        
-        for (var i = 0;i < a.length;i++) {
-            // put everything back together
-            arr = arr.concat(a[i]);
-        }
-        
-        return arr;
-    };
+function LPrune(prop, d) {
+    // LConst clones its default argument, so there are no aliasing issues
+    var o = {};
+    o[prop] = d;
+    
+    LStackMarker.call(this, 
+                      make_sublens(LFork, function (p) { return p === prop; },
+                                   make_sublens(LConst, {}, o), 
+                                   make_sublens(LId)),
+                      'prune');
+    this.name = 'prune';
     
     return this;
 }
-$L(LGroup, 'group');
+$L(LPrune, 'prune');
 
 /**
  * @class
- * Concatenates sublists, separating them by a spacer.  This must be provided;
- * if an indistinguishable spacer is given, then everything will be putback
- * into the first list.  The argument is given as a list of lists, each of 
- * which will be concatenated into a single list, with spacer separating them.
- * This lens is somewhat the dual of {@link LGroup}.
+ * Adds a given property with a given value.  It exists only in the abstract
+ * tree, and so is effectively read-only.
  *
  * @extends Lens
- * @param spacer A distinguishable spacer, which separates the two lists
+ * @param {String} prop The property to add
+ * @param v The value of the property to add
  */
-function LConcat(spacer) {
-    this.name = 'concat';
-    this.get = function (c) { 
-        var arr = [];
-        for (var i = 0;i < c.length;i++) {
-            arr = arr.concat(c[i]);
-
-            // put on the spacer if we're not done            
-            if (i != c.length - 1) {
-                arr.push(clone(spacer)); // clone to avoid sharing
-            }
-        }
-
-        
-        return arr;
-    };
-    this.putback = function (a, c) {
-        var arr = [];
-        
-        var sublist = [];
-        for (var i = 0;i < a.length;i++) {
-            var elem = a[i];
-            if (!equal(elem, spacer)) {
-                // if it's not a spacer, then it's part of a sublist
-                sublist.push(elem);
-            } else {
-                // if it was a spacer, we need to save the old sublist and
-                // start a new one
-                arr.push(sublist);
-                sublist = [];
-            }
-        }
-        if (sublist.length !== 0) { arr.push(sublist); }
-        
-        return arr;
-    };
-        
+function LAdd(prop, v) {
+    LStackMarker.call(this, 
+                      make_sublens(LXfork, function (pc) { return false; },
+                                   function (pa) { return pa == prop; },
+                                   make_sublens(LSeq, 
+                                                make_sublens(LConst, v, {}),
+                                                make_sublens(LPlunge, prop)),
+                                   make_sublens(LId)),
+                      'add');
+    this.name = 'add';
+    
     return this;
 }
-$L(LConcat, 'concat');
+$L(LAdd, 'add');
 
 /**
  * @class
- * Filters a list, removing items that fail to matche a predicate.  Two 
- * predicates must be given in order for putback to work correctly: edits to
- * selected items should propagate appropriately.  This propagation is done on
- * a first-come, first-served basis -- the first item of the abstract tree 
- * replaces first item that matches pkeep in the concrete tree.  If there are
- * more items in the abstract tree than items that match pkeep, then the extra
- * items are added at the end.  If there are fewer items in a than those that
- * match pkeep in c, then the last items in c are deleted.
+ * Focuses concrete tree on a single property, projecting away all other
+ * properties of the object.  If, on putback, the property comes back undefined,
+ * then a default value will be substituted.
  *
  * @extends Lens
- * @param {Predicate} pkeep A predicate that matches the list-items to keep
- * @param {Predicate} plose A predicate that matches the list-items to filter
+ * @param {String} prop The property on which to focus
+ * @param d The default value, if the abstract tree is undefined
  */
-function LListFilter(pkeep, plose) {
-    pkeep = new Predicate(pkeep);
-    plose = new Predicate(plose);
-    
-    this.name = 'filter';
-    this.get = function (c) {
-        var arr = [];
-        
-        for (var i = 0;i < c.length;i++) {
-            // skip plose matches
-            if (!plose.matches(c[i])) {
-                arr.push(c[i]);
-            }
-        }
-        
-        return arr;
-    };
-    this.putback = function (a, c) {
-        // arr starts out just like c
-        var arr = clone(c);
-        
-        var a_i, c_i;
-        for (a_i = 0, c_i = 0;c_i < c.length;c_i++) {
-            // we update with the value from a if pkeep matches and there are
-            // still value left
-            if (pkeep.matches(arr[c_i]) && a_i < a.length) {
-                arr[c_i] = a[a_i];
-                a_i++; 
-            }
-        }
-        
-        // if there are more values in a than those that matched pkeep in c,
-        // then we'll stick on the extras here
-        if (a_i < a.length) {
-            arr = arr.concat(a.slice(a_i, a.length));
-        }
-        
-        return arr;
-    };
+function LFocus(prop, d) {
+    LStackMarker.call(this, 
+                      make_sublens(LSeq, 
+                                   make_sublens(LFilter, 
+                                                function (p) { 
+                                                    return p == prop; 
+                                                }, d),
+                                   make_sublens(LHoist, prop)),
+                      'focus');
+    this.name = 'focus';
     
-    return this;
+    return this;         
 }
-$L(LListFilter, 'list_filter');
-
-// LIST/ARRAY LENSES }}}
-
-/*******************************
- * {{{ COMPOSITE LENSES
- *******************************/
+$L(LFocus, 'focus');
 
 /**
  * @class
- * <p>A simple lens for laying properties out in the DOM while also inserting
- * constant, structural data.</p>
- * <p>Composes {@link LWmap}, chains of {@link LAdd}, and {@link LOrder}.
- * It takes arguments <tt>prop1, act1, prop2, act2, ..., [default_to_id]</tt>,
- * where <tt>propi</tt> is a valid JavaScript property name and <tt>acti</tt> is
- * either a lens or a DOM-displayable value.</p>
- * <p>The call to {@link LOrder} comes from the order of the properties; the
- * last lens in the composition is <tt>new LOrder(prop1, prop2, ...)</tt>.</p>
- * <p>The call to {@link LWmap} comes from the properties and lens actions; it
- * is the first call of the composition, <tt>new LWmap(propl1, actl1, ..., 
- * default_to_id)</tt>, where <tt>propl/actli</tt> are the properties and 
- * actions where the action is a lens, and default_to_id is the final argument
- * (which defaults to false).</p>
- * <p>The calls to {@link LAdd} come from the remaining properties; each
- * property/action pair is called <tt>new LAdd(propni, actni)</tt> and 
- * {@link LSeq}ed together.</p>
- * <p>TODO it should be possible to give 'false' or 'undefined' as the property
- * for non-lens actions, but that means generating non-clashing names.</p>
+ * <p>Hoists (see {@link LHoist}) a property from among others, merging its
+ * sub-properties into the root tree.  On putback, a supplied predicate
+ * identifies properties which belong to the grandchild, so that those
+ * properties can be putback appropriately.</p>
+ * <p>Note that the property must be object-valued; anything else won't be
+ * able to merge with the rest of the root tree.</p>
  *
- * @combinator
  * @extends Lens
+ * @param {String} prop The property to hoist
+ * @param {Function} pred_grandchild A predicate that matches exactly those
+ *     properties which belong to the object under prop
+ * @see LHoist
  */
-function LLayout(/* props1, act1, props2, act2, ..., default_to_id */) {
-    // by default, default_to_id is false; here we check for it
-    var has_default_arg = arguments.length % 2 === 1; 
-    var default_to_id = has_default_arg && arguments[arguments.length - 1];
-    // we precalculate the length of arguments, ignoring default_to_id if it was
-    // provided
-    var args_len = arguments.length - (has_default_arg ? 1 : 0);
-    
-    // stores the order given -- passes on to LOrder
-    var order = [];
-    // stores the lenses given -- passes on to LWmap
-    var lenses = [];
-    // stores the non-lenses given -- passes on to LAdd
-    var adds = undefined;
-    
-    for (var i = 0;i < args_len;) {
-        // propi, acti
-        var prop = arguments[i++];
-        var action = arguments[i++];
-        
-        // record the order property's position
-        order.push(prop);
-        
-        if (is_lens(action)) {
-            // we have a lens, so it's an argument for wmap
-            // we'll call LWmap.apply(..., lenses), so we want it to be lined up
-            // in the LWmap calling order: propi, lensi
-            lenses.push(prop);
-            lenses.push(new LStackMarker(action, 'order', 'running for ' + prop));
-        } else {
-            // we have a non-lens, so we'll add the constant to the tree
-            var add = new LAdd(prop, action);
-            
-            if (adds === undefined) {
-                // if we haven't seen any adds, remember this as our one add
-                adds = add;
-            } else {
-                // otherwise, tack it on as the next one
-                adds = new LSeq(adds, add);
-            }
-        }
-    }
-    
-    // wmap take default_to_id as a parameter
-    lenses.push(default_to_id);
-    var wmp = lenses.length === 0 ? new LId() : LWmap.apply(new Lens(), lenses);
-    var ord = LOrder.apply(new Lens(), order);
-    
-    if (adds) {
-        // run wmap, then add the constants, and then order into a list
-        LStackMarker.call(this, new LSeq(wmp, adds, ord), 'layout');
-    } else {
-        // no adds, so just call wmap and order
-        LStackMarker.call(this, new LSeq(wmp, ord), 'layout', 'no adds');
-    }
+function LHoistNonunique(prop, pred_grandchild) {
+    LStackMarker.call(this, 
+                      make_sublens(LXfork, function (cp) { return cp == prop; },
+                                   pred_grandchild,
+                                   make_sublens(LHoist, prop),
+                                   make_sublens(LId)),
+                      'hoist_nonunique');
+    this.name = 'hoist_nonunique';
     
-    this.name = 'layout';
     return this;
 }
-$L(LLayout, 'layout');
-
-// COMPOSITE LENSES }}}
-
-/*******************************
- * {{{ DOM LENSES
- *******************************/
-
-/**
- * Turns an object into a displayable DOM element.  If the object is already
- * a DOM node, nothing is done.  Otherwise, a new text node is made out of the
- * given value.
- *
- * @param o The object to put into the dom
- * @return {DOM:element} A DOM-ified version of the object
- */
-function domify(o) {                                                                                  
-    if (dom_obj(o) || o instanceof Array) {
-        return o;
-    }                                                            
-
-    return document.createTextNode(o);
-}
+$L(LHoistNonunique, 'hoist_nonunique');
 
 /**
- * Turns objects into span elements with ids.
+ * @class
+ * Renames a property.
  *
- * @param o The object
- * @param id The id to use
+ * @extends Lens
+ * @param {String} from The property (in C) to rename
+ * @param {String} to The desired property name (in A)
+ * @see LRenameIfPresent
  */
-function nodify(o, id) {
-    if (dom_obj(o)) {
-        if (o.nodeType != Node.TEXT_NODE) {
-            o = o.nodeValue;
-        } else { 
-            return o;
-        }
-    }
+function LRename(from, to) {
+    LStackMarker.call(this, 
+                      make_sublens(LXfork, function (cp) { return cp == from; },
+                                   function (ap) { return ap == to; },
+                                   make_sublens(LSeq, 
+                                                make_sublens(LHoist, from),
+                                                make_sublens(LPlunge, to)),
+                                   make_sublens(LId)),
+                      'rename');
+    this.name = 'rename';
     
-    return make_dom_node('span', { 'id': id }, [domify(o)]);
+    return this;
 }
+$L(LRename, 'rename');
 
 /**
- * Turns a DOM element into a JavaScript object -- as best it can.  This 
- * amounts to just turning text nodes into strings; beyond this, nothing
- * is really done.
+ * @class
+ * Maps a lens over the properties of an object.
  *
- * @param {DOM:node} e A DOM node
- * @return A JavaScript object version of e
+ * @combinator
+ * @extends Lens
+ * @param {Lens} lens The lens to map over
  */
-function jsify(e, orig) {
-    // extract the text if we can...
-    if (typeof e == 'object' && 'nodeType' in e && 
-        e.nodeType == Node.TEXT_NODE) {
-        return e.nodeValue;
-    }
+function LMap(lens) {
+    this.name = 'map';
     
-    // type coerce, if we can...
-    if (e !== '' && !isNaN(Number(e)) ) {
-        return Number(e);
+    this.stateful = function () { return lens.stateful(); };
+    
+    var l_st = lens.stateful();
+    this.clone = function () {
+        if (l_st) { return this; }
+        
+        var l = new LMap(lens.clone());
+        l.copy_bindings(this);
+        return l;
+    };
+    
+    this.for_each_sublens = function (f) {
+        if (!l_st) { return f(lens); }
+        
+        for (var prop in mapping) {
+            f(mapping[prop]);
+        }
+    };
+    
+    var mapping = {};
+    function lookup(prop) {
+        if (!l_st) { return lens; }
+        
+        var l = (prop in mapping) ? mapping[prop] : lens.clone();
+        mapping[prop] = l;
+        
+        return l;
     }
     
-    // ...but just leave it as a node, otherwise
-    return e;
-}
-
-/**
- * @class
- * Creates DOM text nodes on get.  For other nodes, see {@link LTag}.
- *
- * @extends Lens
- */
-function LTextTag() {
-    this.name = 'text_tag';
     this.get = function (c) {
-        return document.createTextNode(c);
+        // c = c || {}; // ??? should we allow undefined here?
+        var o = {};
+        for (var prop in c) {
+            var l = lookup(prop);
+            try {
+                o[prop] = l.get(c[prop]);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, l,
+                    'get on ' + prop); 
+            }
+        }
+        return o;
     };
     this.putback = function (a, c) {
-        return a.nodeValue;
+        var o = {};
+        var orig_c = c;
+        var edits = [];
+
+        // handle undefined values        
+        a = a || {};
+        c = c || {};
+
+        // putback values in a
+        for (var prop in a) {
+            var l = lookup(prop);
+
+            var frame = open_deltas(c[prop]);
+            try {
+                o[prop] = l.putback(a[prop], c[prop]);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, l,
+                    'putback on ' + prop);
+            }
+            close_deltas(frame, [prop], c[prop], o[prop], edits);
+        }
+        
+        if (__delta_frame) {
+            deleted_props(c, o, edits);
+            emit_deltas(orig_c, o, edits);
+        }
+        return o;
     };
     
-    return this;
-}
-$L(LTextTag, 'text_tag');
-
-/**
- * Creates a DOM node.
- *
- * @param {String} name The element name to create
- * @param attribs An object mapping attribute names to values; it is safe to
- *     treat event handlers as attributes (e.g., <tt>onclick</tt>)
- * @param {Array} children The list of child nodes
- */
-function make_dom_node(name, attribs, children) {
-    // create the node
-    var node = document.createElement(name);
+    var schema = function (map, s, op, where) {
+        s = expect_schema(map, s, 'object', where, [lens]);
         
-    // copy in attributes
-    for (var attrib in attribs) {
-        // event handlers need to be registered specially
-        if (contains(dom_events, attrib)) {
-            add_event_handler(node, attrib, attribs[attrib]);
-        } else {
-            node.setAttribute(attrib, attribs[attrib]);
+        var props = {};
+        for (var prop in s.props) {
+            try {
+                props[prop] = lens_schema(lens, op, s.props[prop]);
+            } catch (e) {
+                throw map.wrap_exception(e).with_frame(map.name, lens,
+                    op + ' on ' + prop);
+            }
         }
-    }
         
-    // copy in children
-    children = children || [];
-    for (var i = 0;i < children.length;i++) {
-        // no need to clone the children here; they'll be cloned later if needed
-        node.appendChild(domify(children[i]));
-    }
-
-    return node;
+        return sObject(props, s.open);
+    };
+    this.aschema = function (cs) { 
+        return schema(this, cs, 'aschema', 'get'); 
+    };
+    this.cschema = function (as) { 
+        return schema(this, as, 'cschema', 'putback'); 
+    };
+    
+    this.cequiv = function (c1, c2) {
+        return objects_equiv(c1, c2, lookup, 'cequiv');
+    };
+    this.aequiv = function (a1, a2) {
+        return objects_equiv(a1, a2, lookup, 'aequiv');
+    };
+    
+    return this;
 }
+$L(LMap, 'map');
 
 /**
  * @class
- * A DOM-element constructing lens for static DOM elements, such as br and hr.
- * In general, {@link LTag} should be used -- it will actually work with values
- * on get and putback.
+ * <p>Maps different lenses over different properties; it is a generalization of
+ * {@link LMap}.</p>
+ * <p>It has a slightly strange calling convention, to wit:</p>
+ * <code>
+ * <br />&gt; wmap = new LWmap([prop1, prop2, prop3], lens1, prop4, lens2)
+ * </code>
+ * <p>This will run lens1 over prop1, prop2, and prop3's values and lens2 on
+ * prop4.  Any other properties are mapped through the id lens.  There is an
+ * optional final argument, which may be set to false in order to have the
+ * presence of other properties constitute an error, e.g.:</p>
+ * <code>
+ * <br />&gt; wmap_strict = new LWmap(p1, l1, [p2, p3], l2, false)
+ * <br />&gt; wmap_strict.get({ p4: _ }) // _ is any value
+ * <br />error!
+ * </code>
  *
+ * @combinator
  * @extends Lens
- * @param {String} name The name of the element
- * @param d The default value to putback, if undefined was given
- * @param attribs The optional object describing the attributes of the element
+ */
+function LWmap(/* props1, lens1, props2, lens2, ..., propsn, lensn, default_to_id */) {
+    var last_arg = arguments[arguments.length - 1];
+    var last_arg_is_lens = is_lens(last_arg);
+    var real_args_length = last_arg_is_lens ? arguments.length : arguments.length - 1; 
+                    
+    this.name = 'wmap';
+    
+    /* TODO define a clone that won't do anything when there are no stateful 
+       sublenses
+    */
+    
+    // create a list deep copy of the arguments
+    var args = deep_clone(arguments, true, true); // deep and as an array
+    this.clone = function () {
+        // each clone gets its own copies of the stateful sublenses
+        var l = LWmap.apply(new Lens(), deep_clone(args, true));
+        l.copy_bindings(this);
+        return l;
+    };
+    
+    // store a single mapping of props to the lenses that apply to them
+    var mapping = {};    
+    // store each sub-lens, too
+    var lenses = [];
+    
+    // construct the mapping and collect lenses
+    for (var i = 0;i < real_args_length;i += 2) {
+        var props = arguments[i];
+        var lens = arguments[i + 1];
+        
+        // collect the lens
+        lenses.push(lens);
+        
+        // add to the mapping
+        if (props instanceof Array) {
+            for (var j = 0;j < props.length;j++) {
+                mapping[props[j]] = lens;
+            }
+        } else if (typeof props == 'string') {
+            mapping[props] = lens;
+        } else {
+            this.error("don't know how to handle non-string property " + 
+                       props, clone(arguments, true));                                
+        }
+    }    
+    
+    this.for_each_sublens = function (f) {
+        // apply the function to each lens -- we don't use the mapping, or else
+        // we might apply f twice to the same lens
+        for (var i = 0;i < lenses.length;i++) {
+            f(lenses[i]);
+        }
+    };
+    
+    var default_to_id = last_arg_is_lens ? true : last_arg;
+    var id_lens = default_to_id ? new LId() : undefined;    
+    
+    lens = this;
+    function lookup(prop) {
+        return (prop in mapping) ? mapping[prop] :
+               default_to_id ? id_lens :
+               // args is saved copy of arguments above
+               lens.error('property ' + prop + ' has no mapping', args);
+    }
+    
+    this.get = function (c) {
+        var o = {};
+        
+        for (var prop in c) {
+            var l = lookup(prop);
+            
+            try {
+                o[prop] = l.get(c[prop]);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, l, 
+                    'get on ' + prop + '; args shows lens used'); 
+            }
+        }
+        
+        return o;
+    };
+    this.putback = function (a, c) {
+        var o = {};
+        var orig_c = c;
+        var edits = [];
+        a = a || {};
+        c = c || {};
+        
+        for (var prop in a) {
+            var l = lookup(prop);
+            
+            var frame = open_deltas(c[prop]);
+            try {
+                o[prop] = l.putback(a[prop], c[prop]);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, l,
+                    'putback on ' + prop + '; args shows lens used');
+            }
+            close_deltas(frame, [prop], c[prop], o[prop], edits);
+        }
+        
+        if (__delta_frame) {
+            deleted_props(c, o, edits);
+            emit_deltas(orig_c, o, edits);
+        }
+        return o;
+    };
+    
+    var schema = function (wmap, s, op, where) {
+        s = expect_schema(wmap, s, 'object', where, args);
+        
+        var props = {};
+        for (var prop in s.props) {
+            var l = lookup(prop);
+            try {
+                props[prop] = lens_schema(l, op, s.props[prop]);
+            } catch (e) {
+                throw wmap.wrap_exception(e).with_frame(wmap.name, l, 
+                    op + ' on ' + prop + '; args shows lens used');
+            }
+        }
+        
+        return sObject(props, s.open);
+    };
+    this.aschema = function (cs) { 
+        return schema(this, cs, 'aschema', 'get'); 
+    };
+    this.cschema = function (as) { 
+        return schema(this, as, 'cschema', 'putback'); 
+    };
+    
+    // unmapped properties compare with equal, as under the id lens
+    var mapped = function (prop) { 
+        return (prop in mapping) ? mapping[prop] : undefined; 
+    };
+    this.cequiv = function (c1, c2) {
+        return objects_equiv(c1, c2, mapped, 'cequiv');
+    };
+    this.aequiv = function (a1, a2) {
+        return objects_equiv(a1, a2, mapped, 'aequiv');
+    };
+    
+    return this;
+}
+$L(LWmap, 'wmap');
+
+/**
+ * @class
+ * Copies a concrete-tree property to a new, read-only property in the
+ * abstract tree.  (The old property, orig, remains in the abstract tree.)
+ *
+ * @extends Lens
+ * @param {String} orig The property to copy
+ * @param {String} copy The new property to copy into
+ * @see LMerge
+ */
+function LCopy(orig, copy) {
+    this.name = 'copy';
+    this.get = function (c) {
+        // ??? allow undefined?    
+    
+        if (copy in c) {
+            this.error(['get: couldn\'t copy ', orig, ' to ', copy, ' since ', copy,
+                        ' already exists in ', c].join(''),
+                       [orig, copy]);
+        }
+
+        // actually copy -- no sharing!
+        var o = clone(c);
+        // the if avoids creating objects like { copy: undefined } from {}
+        if (o !== undefined && orig in o) { o[copy] = o[orig]; }
+        
+        return o;
+    };
+    this.putback = function (a, c) {
+        a = a || {};
+        
+        var o = clone(a);
+        if (o !== undefined && copy in o) { delete o[copy]; }
+        
+        return o; 
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'object', 'get', [orig, copy]);
+        if (has_prop(cs.props, copy)) {
+            this.error(['schema: get: couldn\'t copy ', orig, ' to ', copy,
+                        ' since ', copy, ' is already in ',
+                        show_schema(cs)].join(''), [orig, copy]);
+        }
+        
+        var props = clone(cs.props);
+        if (has_prop(props, orig)) { props[copy] = props[orig]; }
+        return sObject(props, cs.open);
+    };
+    this.cschema = function (as) {
+        as = expect_schema(this, as, 'object', 'putback', [orig, copy]);
+        
+        var props = clone(as.props);
+        delete props[copy];
+        return sObject(props, as.open);
+    };
+    
+    return this;
+}
+$L(LCopy, 'copy');
+
+/**
+ * @class
+ * Merges two concrete-tree properties into a single abstract-tree property.
+ * Preference is given to the first property listed, as: if the two properties
+ * are equal in c during putback, then the putback value of n, the second
+ * property, is equal to a.m, the first property in the abstract tree.  If,
+ * on the other hand, m and n are different in c, than c.n is used.
+ *
+ * @extends Lens
+ * @param {String} m The first, preferred, property to merge (from C)
+ * @param {String} n The second property to merge (from C)
+ * @see LCopy
+ */
+function LMerge(m, n) {
+    this.name = 'merge';
+    this.get = function (c) {
+        c = c || {};
+        
+        var o = clone(c);        
+        if (o !== undefined && n in c) { delete o[n]; }
+        
+        return o;
+    };
+    this.putback = function (a, c) {
+        a = a || {};
+        c = c || {};
+
+        var o = clone(a);
+        // we use ifs to prevent setting the property if a[m]/c[n] don't exist
+        if (equal(c[m], c[n])) {
+            if (m in a) { o[n] = a[m]; }
+        } else {
+            if (n in c) { o[n] = c[n]; }
+        }
+        
+        return o;         
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'object', 'get', [m, n]);
+        
+        var props = clone(cs.props);
+        delete props[n];
+        return sObject(props, cs.open);
+    };
+    this.cschema = function (as) {
+        as = expect_schema(this, as, 'object', 'putback', [m, n]);
+        
+        var props = clone(as.props);
+        if (has_prop(props, m)) { props[n] = props[m]; }
+        return sObject(props, true);
+    };
+    
+    return this;
+}
+$L(LMerge, 'merge');
+
+// OBJECT LENSES }}}
+
+/*******************************
+ * {{{ CONDITIONAL LENSES
+ *******************************/
+
+/**
+ * Infers a schema through the branches of a conditional lens, joining what
+ * they give.  Which branch runs depends on the trees themselves, so a branch
+ * that can't take the schema may just never be taken; only if neither branch
+ * can is there a mismatch.
+ *
+ * @param {Lens} lens The conditional lens
+ * @param {Lens} pass_lens The pass branch
+ * @param {Lens} fail_lens The fail branch
+ * @param {Object} s The schema to infer from
+ * @param {String} op 'aschema' or 'cschema'
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} The join of the branches' schemas
+ */
+function branch_schema(lens, pass_lens, fail_lens, s, op, args) {
+    var branches = [pass_lens, fail_lens];
+    var schemas = [];
+    var first = undefined;
+    for (var i = 0;i < branches.length;i++) {
+        try {
+            schemas.push(lens_schema(branches[i], op, s));
+        } catch (e) {
+            if (!(e instanceof LensException)) { throw e; }
+            first = first || e;
+        }
+    }
+    
+    if (schemas.length === 0) {
+        throw lens.wrap_exception(first).with_frame(lens.name, args, op);
+    }
+    return schemas.length == 1 ? schemas[0] : 
+                                 schema_join(schemas[0], schemas[1]);
+}
+
+/**
+ * @class
+ * <p>Applies one of two lenses based on a predicate on the concrete tree. The
+ * lens to apply on putback is selected by running the predicate on the
+ * concrete tree again.  Thus is lens is unoblivious, viz. dependent on the
+ * concrete tree during putback.</p>
+ * <p>LCcond is typically applied for simple type dispatch; for more complex,
+ * structure-dependent conditionals, {@link LAcond} or {@link LCond} may be
+ * more appropriate.</p>
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Predicate} p A predicate on the concrete tree (a function, list, 
+ *     etc.)
+ * @param {Lens} pass_lens The lens to run if p matches c
+ * @param {Lens} fail_lens The lens to run if p does not match c
+ * @see LAcond
+ * @see LCond
+ */
+function LCcond(p, pass_lens, fail_lens) {
+    p = new Predicate(p);
+
+    this.name = 'ccond';
+
+    this.clone = function () {
+        var p_st = pass_lens.stateful();
+        var f_st = fail_lens.stateful();
+        var pc = p_st ? pass_lens.clone() : pass_lens;
+        var fc = f_st ? fail_lens.clone() : fail_lens;
+        
+        var l = !(p_st || f_st) ? this : new LCcond(p, pc, fc);
+        l.copy_bindings(this);
+        return l;
+    };
+    this.for_each_sublens = function (f) {
+        f(pass_lens);
+        f(fail_lens);
+    };
+    
+    this.get = function (c) {
+        var matches = p.matches(c);
+        
+        try {
+            return (matches ? pass_lens : fail_lens).get(c);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [p, pass_lens, fail_lens],
+                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+        }
+    };
+    this.putback = function (a, c) {
+        var matches = p.matches(c);
+        
+        try {
+            return (matches ? pass_lens : fail_lens).putback(a, c);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [p, pass_lens, fail_lens],
+                'putback: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+        }
+    };
+    this.aschema = function (cs) {
+        return branch_schema(this, pass_lens, fail_lens, cs, 'aschema',
+                             [p, pass_lens, fail_lens]);
+    };
+    this.cschema = function (as) {
+        return branch_schema(this, pass_lens, fail_lens, as, 'cschema',
+                             [p, pass_lens, fail_lens]);
+    };
+    
+    return this;
+}
+$L(LCcond, 'ccond');
+
+/**
+ * @class
+ * <p>Applies one of two lenses based on predicates on the concrete and abstract
+ * trees.  LAcond behaves like {@link LCcond}, only a separate predicate pa 
+ * determines which lens to use during putback, making this lens (slightly)
+ * more oblivious.</p>
+ * <p>The lens is not oblivious because different lenses may be used for get 
+ * and putback; if this is the case, then the undefined is given instead of c.
+ * </p>
+ * <p>LAcond is typically used to dispatch subtypes to appropriate lenses.  For
+ *  an example, see {@link LRenameIfPresent}, which is essentially:</p>
+ * <code>acond (function (c) { return has_prop(c, from); },
+ *              function (a) { return has_prop(a, to); },
+ *              new LRename(from, to),
+ *              new LId())
+ * </code>
+ * <p>For simply dispatching, {@link LCcond} may be sufficient.</p>
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Predicate} pc A predicate on the concrete tree
+ * @param {Predicate} pa A predicate on the abstract tree
+ * @param {Predicate} pass_lens Used for get when pc matches the concrete tree;
+ *     used for putback when pa matches a
+ * @param {Predicate} fail_lens Used for get when pc does not match the 
+ *    concrete tree; used for putback when a does not match pa
+ * @see LCcond
+ * @see LCond
+ */
+function LAcond(pc, pa, pass_lens, fail_lens) {
+    pc = new Predicate(pc);
+    pa = new Predicate(pa);
+    
+    this.name = 'acond';
+    
+    this.clone = function () {
+        var p_st = pass_lens.stateful();
+        var f_st = fail_lens.stateful();
+        var pcl = p_st ? pass_lens.clone() : pass_lens;
+        var fcl = f_st ? fail_lens.clone() : fail_lens;
+        
+        var l = !(p_st || f_st) ? this : new LAcond(pc, pa, pcl, fcl);
+        l.copy_bindings(this);
+        return l;
+    };
+    this.for_each_sublens = function (f) {
+        f(pass_lens);
+        f(fail_lens);
+    };
+    
+    this.get = function (c) {
+        var matches = pc.matches(c);
+        
+        try {
+            return (matches ? pass_lens : fail_lens).get(c);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [pc, pa, pass_lens, fail_lens],
+                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+        }
+    };
+    this.putback = function (a, c) {
+        var matches_c = pc.matches(c);
+        var matches_a = pa.matches(a);
+        
+        try {
+            return (matches_a ?
+                        pass_lens.putback(a, (matches_c ? c : undefined)) :
+                        fail_lens.putback(a, (matches_c ? undefined : c)));
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [pc, pa, pass_lens, fail_lens],
+                'putback: used the ' +  (matches_a ? 'pass' : 'fail') + 
+                ' lens with ' + (matches_c ? 'original tree' : 'undefined'));   
+        }
+    };
+    this.aschema = function (cs) {
+        return branch_schema(this, pass_lens, fail_lens, cs, 'aschema',
+                             [pc, pa, pass_lens, fail_lens]);
+    };
+    this.cschema = function (as) {
+        return branch_schema(this, pass_lens, fail_lens, as, 'cschema',
+                             [pc, pa, pass_lens, fail_lens]);
+    };
+    
+    return this;
+}
+$L(LAcond, 'acond');
+
+/**
+ * @class
+ * Renames a property in the concrete tree to a different property in the 
+ * abstract tree -- but only if the property is present.  This is a sample
+ * use of {@link LAcond}.  Note that {@link LCcond} is insufficient to define
+ * this lens, since the rename lens should be used for putback only if the 
+ * new, renamed field is present in the abstract tree -- LCcond can only look
+ * at the concrete tree.
+ *
+ * @extends Lens
+ * @param {String} from The source property in the concrete tree
+ * @param {String} to The target property in the abstract tree
+ */
+function LRenameIfPresent(from, to) {
+    LStackMarker.call(this, 
+                      make_sublens(LAcond, 
+                                   function (c) { return has_prop(c, from); },
+                                   function (a) { return has_prop(a, to); },
+                                   make_sublens(LRename, from, to),
+                                   make_sublens(LId)),
+                      'rename_if_present');
+    this.name = 'rename_if_present';
+    
+    return this;
+}
+$L(LRenameIfPresent, 'rename_if_present');
+
+/**
+ * @class
+ * <p>The generalized conditional.  It combines elements of ccond and acond to
+ * form a lens that offers complete control over dispatch, while maintaining
+ * the lens laws.</p>
+ * <p>It is necessary that for all possible inputs, either pa1 or pa2 is true.
+ * It is perfectly acceptable for them both to be true, but at least one must
+ * match.  In particular, pa1 should match on the image of pass_lens on inputs
+ * matching pc; pa2 should match on the image of fail_lens on inputs which do
+ * not match pc.</p>
+ * <p>The conversion function, pass_to_fail and fail_to_pass, generalize the
+ * behavior of {@link LCcond} and {@link LAcond}, as they allow values other
+ * than undefined to be passed along if different lenses are used for get and
+ * putback.</p>
+ * <p>Note that LCcond(pc, pass_lens, fail_lens) = LCond(pc, ftrue, ftrue, 
+ * fundef, fundef, pass_lens, fail_lens), where ftrue always returns true and
+ * fundef always returns undefined.  Likewise, LAcond(pc, pa, pass_lens, 
+ * fail_lens) = LCond(pc, pa, !pa, fundef, fundef, pass_lens, fail_lens), where
+ * !pa returns the opposite of pa.</p>
+ * 
+ * @combinator
+ * @extends Lens
+ * @param {Predicate} pc The constant predicate; matches on get go through the
+ *     pass_lens, failures go through the fail_lens
+ * @param {Predicate} pa1 The pass_lens predicate.  If pa1 matches and pa2
+ *     doesn't, then the pass_lens will always be used.  If pa1 passes on
+ *     putback but pc didn't match on get, then pass_to_fail(c) will be used as
+ *     the concrete putback argument instead of c.
+ * @param {Predicate} pa2 The fail_lens predicate.  If pa2 matches and pa2
+ *     doesn't, then the fail_lens will always be used.  If pa2 matches but pc
+ *     didn't match during get, then fail_to_pass(c) will be used instead of c
+ *     as the concrete putback argument.
+ * @param {Function} pass_to_fail Called with c when c went through pass_lens
+ *     during get but is going through fail_lens on putback.  Its result is 
+ *     used instead of c.
+ * @param {Function} fail_to_pass Called with c when c went through fail_lens
+ *     during get put is going through pass_lens on putback.  Its result is
+ *     used instead of c.
+ * @param {Lens} pass_lens Used on get if pc matches; used on putback if pa1
+ *     matches, or all three predicates -- pc, pa1, and pa2 -- all matched.
+ * @param {Lens} fail_lens Used on get if pc doesn't match; used on putback if
+ *     pa2 matches, or if pa1 and pa2 match and pc doesn't.
+ * @see LCcond
+ * @see LAcond
+ */
+function LCond(pc, pa1, pa2, pass_to_fail, fail_to_pass, pass_lens, fail_lens) {
+    pc = new Predicate(pc);
+    pa1 = new Predicate(pa1);
+    pa2 = new Predicate(pa2);
+    
+    this.name = 'cond';
+    
+    this.clone = function () {
+        var p_st = pass_lens.stateful();
+        var f_st = fail_lens.stateful();
+        var pcl = p_st ? pass_lens.clone() : pass_lens;
+        var fcl = f_st ? fail_lens.clone() : fail_lens;
+        
+        var l = !(p_st || f_st) ? this : 
+            new LCond(pc, pa1, pa2, pass_to_fail, fail_to_pass, pcl, fcl);
+        l.copy_bindings(this);
+        return l;
+    };
+    this.for_each_sublens = function (f) {
+        f(pass_lens);
+        f(fail_lens);
+    };
+    
+    this.get = function (c) {
+        var matches = pc.matches(c);
+        
+        try {
+            return (matches ? pass_lens : fail_lens).get(c);
+        } catch (e) {
+            throw this.wrap_exception(e).with_frame(this.name,
+                [pc, pa1, pa2, pass_to_fail, fail_to_pass, pass_lens, 
+                 fail_lens],
+                'get: used the ' + (matches ? 'pass' : 'fail') + ' lens');
+        }
+    };
+    this.putback = function (a, c) {
+        var matches_a1 = pa1.matches(a);
+        var matches_a2 = pa2.matches(a);
+        var matches_c = pc.matches(c);
+        
+        if (matches_a1 && matches_a2) {
+            try {
+                return (matches_c ? pass_lens : fail_lens).putback(a, c);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name,
+                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
+                     pass_lens, fail_lens],
+                    'putback: used the ' + (matches_c ? 'pass' : 'fail') + 
+                    ' lens');   
+            }
+        } else if (matches_a1) {
+            try {
+                return pass_lens.putback(a, 
+                                         matches_c ? c : pass_to_fail(c));
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name,
+                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
+                     pass_lens, fail_lens],
+                    'putback: used the pass lens with ' + 
+                    (matches_c ? 'original tree' : 'pass_to_fail'));
+            }
+        } else if (matches_a2) {
+            try {
+                return fail_lens.putback(a,
+                                         matches_c ? fail_to_pass(c) : c);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name,
+                    [pc, pa1, pa2, pass_to_fail, fail_to_pass,
+                     pass_lens, fail_lens],
+                    'putback: used the fail lens with ' +
+                    (matches_c ? 'fail_to_pass' : 'original tree'));
+            }
+        } else {
+            this.error('putback: neither predicate a1 nor a2 matched',
+                       [pc, pa1, pa2, 
+                        pass_to_fail, fail_to_pass,
+                        pass_lens, fail_lens]);
+        }
+    };
+    this.aschema = function (cs) {
+        return branch_schema(this, pass_lens, fail_lens, cs, 'aschema',
+                             [pc, pa1, pa2, pass_to_fail, fail_to_pass,
+                              pass_lens, fail_lens]);
+    };
+    this.cschema = function (as) {
+        return branch_schema(this, pass_lens, fail_lens, as, 'cschema',
+                             [pc, pa1, pa2, pass_to_fail, fail_to_pass,
+                              pass_lens, fail_lens]);
+    };
+    
+    return this;
+}
+$L(LCond, 'cond');
+
+//}}}
+
+/*******************************
+ * {{{ LIST/ARRAY LENSES
+ *******************************/
+
+/**
+ * @class
+ * Gets the first element of a list.
+ *
+ * @extends Lens
+ * @param d The default rest-of-the-list to putback if c is undefined
+ * @see LTail
+ * @see LIndex
+ */
+function LHead(d) {
+    this.name = 'head';
+    this.get = function (c) {
+        return c[0];
+    };
+    this.putback = function (a, c) { 
+        var arr = clone(c || d);
+        
+        if (arr.length !== 0 || a !== undefined) {
+            arr[0] = a;
+        }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [d]);
+        return cs.type == 'tuple' ? (cs.items.length > 0 ? cs.items[0] : sAny) :
+                                    cs.items;
+    };
+    this.cschema = function (as) { return sArray(sAny); };
+    
+    return this;
+}
+$L(LHead, 'head');
+
+/**
+ * @class
+ * Gets the last element of a list.
+ *
+ * @extends Lens
+ * @param d The default rest-of-the-list to putback if c is undefined
+ * @see LHead
+ * @see LIndex
+ */
+function LTail(d) {
+    this.name = 'tail';
+    this.get = function (c) {
+        return c.length === 0 ? undefined : c[c.length - 1];
+    };
+    this.putback = function (a, c) {
+        var arr = clone(c || d);
+
+        // if the array is empty, but a isn't undefined, save it; otherwise, 
+        // set the last index to a regardless
+        if (arr.length === 0) {
+            if (a !== undefined) { arr[0] = a; }
+        } else {
+            arr[arr.length - 1] = a;
+        }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [d]);
+        return cs.type == 'tuple' ? (cs.items.length > 0 ? 
+                                     cs.items[cs.items.length - 1] : sAny) :
+                                    cs.items;
+    };
+    this.cschema = function (as) { return sArray(sAny); };
+
+    return this;
+}
+$L(LTail, 'tail');
+
+/**
+ * @class
+ * Gets a specific index out of a list.
+ *
+ * @extends Lens
+ * @param {int} idx The index to extract
+ * @param d The default value to substitute for the rest of the list
+ * @see LHead
+ * @see LTail
+ */
+function LIndex(idx, d) {
+    this.name = 'index';
+    this.get = function (c) {
+        // allow for undefined c
+        c = c || [];
+        return c[idx];
+    };
+    this.putback = function (a, c) {
+        // we separate the clones in case c is a value, but of the wrong type
+        // -- just being permissive
+        var arr = clone(c || d);
+
+        // we'll also only set the index if we'll actually do something...
+        // overwriting a value with undefined is enough, but we'll avoid adding
+        // sparse undefineds
+        if (a !== undefined || idx in arr) { arr[idx] = a; }
+
+        if (__delta_frame) {
+            var edits = [];
+            nest_deltas(undefined, [idx], has_prop(c, idx) ? c[idx] : undefined,
+                        arr[idx], edits);
+            emit_deltas(c, arr, edits);
+        }
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [idx, d]);
+        if (cs.type == 'array') { return cs.items; }
+        
+        if (idx >= cs.items.length) {
+            this.error(['schema: get expected index ', idx, ', but ',
+                        show_schema(cs), ' has none'].join(''), [idx, d]);
+        }
+        return cs.items[idx];
+    };
+    this.cschema = function (as) { return sArray(sAny); };
+    
+    return this;
+}
+$L(LIndex, 'index');
+
+/**
+ * @class
+ * Gets the length of a list.  On putback, it configurably adds and deletes
+ * elements from the list on putback.
+ *
+ * @extends Lens
+ * @param {'beginning', 'end'} take_from Where to take elements from that would
+ *     make the list too long.  The default is 'end'.
+ * @param {'beginning', 'end'} add_to Where to add additional elements for
+ *     compensatory lengthening; default is 'end'.  If take_from is specified
+ *     but no value is given for add_to, then it defaults to take_from's value.
+ * @param d The value to use during lengthening instead of undefined.
+ */
+function LLength(take_from, add_to, d) {
+    take_from = take_from || 'end';
+    add_to = add_to || take_from;
+    
+    this.name = 'length';
+    this.get = function (c) { return c.length; };
+    this.putback = function (a, c) {
+        if (c.length == a) { return c; }
+
+        var arr = clone(c);        
+        // how many extra/missing elements?
+        var diff = Math.abs(c.length - a);        
+        
+        if (c.length > a) {
+            var start = 0;
+            var finish = 0;
+            
+            // pick where to take from
+            if (take_from == 'beginning') {
+                finish = diff;
+            } else { // take_from == 'end'
+                start = a;
+                finish = c.length;            
+            }
+            
+            // cut out appropriately
+            arr.splice(start, finish);
+            return arr;
+        } else {
+            // build the new list
+            var new_items = [];
+            for (var i = 0;i < diff;i++) {
+                new_items.push(clone(d)); // we clone to avoid sharing
+            }
+            
+            // then concatenate the arrays
+            return (add_to == 'beginning') ?
+                new_items.concat(arr) :
+                arr.concat(new_items);
+        }
+    };
+    this.aschema = function (cs) {
+        expect_schema(this, cs, 'list', 'get', [take_from, add_to, d]);
+        return sNumber;
+    };
+    this.cschema = function (as) {
+        expect_schema(this, as, 'number', 'putback', [take_from, add_to, d]);
+        return sArray(sAny);
+    };
+    
+    return this;
+}
+$L(LLength, 'list_length');
+
+/**
+ * @class
+ * Turns an object into a list, given an order on the properties.  Every 
+ * property of the object must appear, or its value will be dropped on putback.
+ * Additionally, the list putback may have its values changed, but its length
+ * must stay the same.
+ *
+ * @extends Lens
+ */
+function LOrder(/* prop1, prop2, ..., propn */) {
+    var order = clone(arguments, true); // true -> copy as array
+    
+    this.name = 'order';
+    this.get = function (c) {
+//        if (c === undefined) { return undefined; }
+        
+        var o = [];
+        var seen = {};
+        
+        for (var i = 0;i < order.length;i++) {
+            var prop = order[i];
+            
+//            if (!(prop in c)) { this.error('get: missing property ' + prop + 
+//                                           ' in order'); }
+            
+            o.push(prop in c ? c[prop] : undefined);
+        }
+        
+        return o;
+    };
+    this.putback = function (a, c) {
+//        if (a === undefined) { return undefined; }
+        
+        var o = {};
+        
+        if (order.length === 1 && !(a instanceof Array)) {
+            a = [a];
+        }
+        
+        if (a.length != order.length) {
+            this.error('putback: different lengths', [order]);
+        }
+        
+        for (var i = 0;i < order.length;i++) {
+            var prop = order[i];
+            
+            if (i in a && a[i] !== undefined) {
+                o[prop] = a[i];
+            }
+        }
+        
+        return o;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'object', 'get', [order]);
+        
+        var items = [];
+        for (var i = 0;i < order.length;i++) {
+            items.push(has_prop(cs.props, order[i]) ? cs.props[order[i]] : 
+                                                      sAny);
+        }
+        return sTuple(items);
+    };
+    this.cschema = function (as) {
+        var props = {};
+        if (order.length === 1 && as.type != 'any' && as.type != 'array' &&
+            as.type != 'tuple') {
+            props[order[0]] = as;
+            return sObject(props);
+        }
+        
+        as = expect_schema(this, as, 'list', 'putback', [order]);
+        if (as.type == 'tuple' && as.items.length != order.length) {
+            this.error('schema: putback: different lengths: ' + 
+                       show_schema(as) + ' for ' + order.length + 
+                       ' properties', [order]);
+        }
+        for (var i = 0;i < order.length;i++) {
+            props[order[i]] = as.type == 'tuple' ? as.items[i] : as.items;
+        }
+        return sObject(props);
+    };
+    
+    return this;
+}
+$L(LOrder, 'order');
+
+/**
+ * Infers a schema through the items of a list, for the list mapping lenses.
+ * Only a lens can be inferred through: a function making lenses could make
+ * anything.
+ *
+ * @param {Lens} lens The mapping lens
+ * @param {Object} s The schema of the list
+ * @param make_lens The lens (or lens-making function) for each item
+ * @param {String} op 'aschema' or 'cschema'
+ * @param {String} where 'get' or 'putback', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} The schema of the mapped list
+ */
+function list_map_schema(lens, s, make_lens, op, where, args) {
+    s = expect_schema(lens, s, 'list', where, args);
+    if (!is_lens(make_lens)) { return sArray(sAny); }
+    
+    try {
+        if (s.type == 'array') {
+            return sArray(lens_schema(make_lens, op, s.items));
+        }
+        
+        var items = [];
+        for (var i = 0;i < s.items.length;i++) {
+            items.push(lens_schema(make_lens, op, s.items[i]));
+        }
+        return sTuple(items);
+    } catch (e) {
+        throw lens.wrap_exception(e).with_frame(lens.name, args, op);
+    }
+}
+
+/**
+ * @class
+ * Maps a function over a list, as {@link LMap} over an object.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Function} make_lens A function expecting add_before, add_after, and 
+ *     del functions; it should produce a lens
+ */
+function LListMap(make_lens) {
+    this.name = 'list_map';
+    
+    this.stateful = function () { return true; }
+    
+    function redisplay(f) {
+        var bindings = this.bindings ? clone(this.bindings) : [];
+        for (var i = 0;i < bindings.length;i++) {
+            var binding = bindings[i];
+            binding.putback();
+            binding.get();
+        }
+    }
+    var redisplay = closure(this, redisplay);
+    
+    // edit tracking
+    var edits = [];
+    this.add_child = function (i) {
+        return function (v) {
+            edits.push({ 'action': 'add', 'index': i, 'value': v });
+            setTimeout(redisplay, 5);
+        };
+    };
+    this.del_child = function (i) {
+        return function () {
+            edits.push({ 'action': 'del', 'index': i });
+            setTimeout(redisplay, 5);
+        };
+    };
+    
+    // a master, by-index constructor to ensure that separate state is kept in
+    // the sublens for each index
+    var make_clone = is_lens(make_lens) ?
+        function () { return make_lens.clone(); } : make_lens;
+    this.clone_for_index = function (i) {
+        var l = make_clone(this.add_child(i), this.add_child(i + 1), 
+                           this.del_child(i));
+        l.copy_bindings(this);
+        return l;
+    };
+    // the by-index table for lenses
+    var lenses = [];
+    // looks up lenses in the table, and either makes a new one or returns the
+    // saved lens
+    this.lens_for_index = function (i) {
+        if (i in lenses) { return lenses[i]; }
+        
+        var l = this.clone_for_index(i);
+        lenses[i] = l;
+        
+        return l;
+    };
+    
+    this.clone = function () { 
+        var l = new LListMap(make_lens);
+        l.copy_bindings(this);
+        return l;
+    };
+    this.for_each_sublens = function (f) {
+        for (var i = 0;i < lenses.length;i++) {
+            var l = lenses[i];
+            f(l);
+        }
+    }
+    
+    function grab_edits() {
+        var locked_edits = [];
+        while (edits.length > 0) {
+            locked_edits.push(edits.shift());
+        }
+        
+        return locked_edits;
+    }
+    
+    this.get = function (c) {
+        if (c === undefined) { return undefined; }
+        
+        var o = [];
+        for (var i = 0;i < c.length;i++) {
+            try {
+                var l = this.lens_for_index(i);
+                o.push(l.get(c[i]));
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, [make_lens],
+                    'get on index ' + i);
+            }
+        }
+        return o;
+    };
+    this.putback = function (a, c) {
+        // copy and clear the edits into an immutable set
+        var locked_edits = grab_edits();
+        
+        a = clone(a);
+        if (!(a instanceof Array)) {
+            a = [a];
+        }
+        
+        var orig_c = c;
+        var deltas = [];
+        c = clone(c);
+        // only perform edits if putback will be defined...
+        if (c !== undefined) {
+            for (var i = 0;i < locked_edits.length;i++) {
+                var edit = locked_edits[i];
+                
+                if (edit.action == 'add') {
+                    // add the new value to the concrete tree and keep the
+                    // list of lenses maintained -- add a new one, without state
+                    c.splice(edit.index, 0, edit.value);
+                    
+                    /* BUG all lenses after thew newly spliced in lens have an index that is too high -- we need to lock to ensure that no events occur between now and the clearing out of the lenses
+                    */
+                    var l = this.clone_for_index(edit.index);
+                    lenses.splice(edit.index, 0, l);
+                    a.splice(edit.index, 0, l.get(edit.value));
+                    deltas.push({ 'op': 'insert', 'path': [edit.index],
+                                  'value': edit.value });
+                } else if (edit.action == 'del') {
+                    // delete the old value from the concrete tree, as well as
+                    // its lens
+                    c.splice(edit.index, 1);
+                    a.splice(edit.index, 1);
+                    lenses.splice(edit.index, 1);
+                    deltas.push({ 'op': 'remove', 'path': [edit.index] });
+                } else {
+                    this.error('putback: invalid action ' + edit.action,
+                               [make_lens]);
+                }
+            }
+        }
+        
+        if (c !== undefined && c.length !== 0 && a.length !== c.length) {
+            this.error('putback: list lengths don\'t match after edits',
+                       [make_lens]);
+        }
+        
+        var o = [];
+        for (i = 0;i < a.length;i++) {
+            var a_i = a[i];
+            var c_i = c === undefined || i > c.length ? undefined : c[i];
+            
+            var frame = open_deltas(c_i);
+            try {
+                var l = this.lens_for_index(i);
+                var put = l.putback(a_i, c_i);
+                o.push(put);
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, [make_lens],
+                    'putback on index ' + i);
+            }
+            
+            if (c !== undefined && i >= c.length) {
+                // a new element, rather than an edit of an old one
+                close_deltas(frame, [i], undefined, put, []);
+                deltas.push({ 'op': 'insert', 'path': [i], 'value': put });
+            } else {
+                close_deltas(frame, [i], c_i, put, deltas);
+            }
+        }
+        /* if any changes were made to the number of lenses, we need to refresh all of the child lenses so they can regenerate with new links for their new indices
+        */
+        if (locked_edits.length > 0) {
+            lenses = [];
+            for (var i = 0;i < a.length;i++) {
+                lenses.push(this.clone_for_index(i));
+            }
+        }
+        
+        if (__delta_frame) { emit_deltas(orig_c, o, deltas); }
+        return o;
+    };
+    this.aschema = function (cs) {
+        return list_map_schema(this, cs, make_lens, 'aschema', 'get', 
+                               [make_lens]);
+    };
+    this.cschema = function (as) {
+        return list_map_schema(this, as, make_lens, 'cschema', 'putback', 
+                               [make_lens]);
+    };
+    
+    // lists are equivalent element by element, under each index's lens; only
+    // lenses that already exist are used, so comparing doesn't make clones
+    var index_lens = function (i) { return lenses[Number(i)]; };
+    this.cequiv = function (c1, c2) {
+        return objects_equiv(c1, c2, index_lens, 'cequiv');
+    };
+    this.aequiv = function (a1, a2) {
+        return objects_equiv(a1, a2, index_lens, 'aequiv');
+    };
+    
+    return this;
+}
+$L(LListMap, 'list_map');
+
+/**
+ * Converts a key argument into a key function.  Strings are taken to be the
+ * name of a property holding the key; functions are returned as-is.
+ *
+ * @param key A property name or a one-argument function
+ * @return {Function} A function from a list element to its key
+ */
+function key_function(key) {
+    if (typeof key == 'function') { return key; }
+    
+    return function (o) { return has_prop(o, key) ? o[key] : undefined; };
+}
+
+/**
+ * Computes the edit script for a list whose elements were realigned: the
+ * unmatched old elements are removed, the matched ones are moved into place,
+ * new ones are inserted, and then the matched ones are edited.
+ *
+ * @param {Array} c The old list
+ * @param {Array} o The new list
+ * @param {Array} matched For each element of o, the index in c it came from,
+ *     or -1 if it is new
+ * @param {Array} element_deltas For each element of o, its edits (with paths
+ *     starting from its new index)
+ * @return {Array} The edit script
+ */
+function alignment_deltas(c, o, matched, element_deltas) {
+    var deltas = [];
+    if (!(c instanceof Array)) { return deltas; }
+    
+    var used = {};
+    for (var i = 0;i < matched.length;i++) { used[matched[i]] = true; }
+    
+    // the old indices of the elements, as they are rearranged
+    var work = [];
+    for (i = c.length - 1;i >= 0;i--) {
+        if (i in used) { 
+            work.unshift(i);
+        } else {
+            deltas.push({ 'op': 'remove', 'path': [i] });
+        }
+    }
+    
+    for (i = 0;i < o.length;i++) {
+        if (matched[i] == -1) {
+            deltas.push({ 'op': 'insert', 'path': [i], 'value': o[i] });
+            work.splice(i, 0, -1);
+            continue;
+        }
+        
+        var j = i;
+        while (work[j] !== matched[i]) { j++; }
+        if (j != i) {
+            deltas.push({ 'op': 'move', 'path': [j], 'to': i });
+            work.splice(i, 0, work.splice(j, 1)[0]);
+        }
+    }
+    
+    for (i = 0;i < o.length;i++) {
+        if (matched[i] != -1) { deltas = deltas.concat(element_deltas[i]); }
+    }
+    
+    return deltas;
+}
+
+/**
+ * @class
+ * <p>Maps a lens over a list, like {@link LListMap}, but aligns the abstract
+ * and concrete lists by key rather than by position.  On putback, each element
+ * of the abstract tree is put back against the concrete element with the same
+ * key, so reordering or removing items in the abstract tree keeps every other
+ * item's hidden data intact.  This is the dictionary-lens alignment of
+ * Boomerang.</p>
+ * <p>Keys are compared as strings.  If more than one element has the same key,
+ * they are matched up in order, first with first, second with second, and so
+ * on.  Abstract elements whose key isn't in the concrete tree are put back
+ * against undefined.</p>
+ * <p>Each key keeps its own clone of the sublens, as by-index state does in
+ * {@link LListMap}.  The add_before, add_after, and del callbacks given to
+ * make_lens are tied to the element's key, not its index.</p>
+ *
+ * @combinator
+ * @extends Lens
+ * @param key_c A property name or function giving the key of a concrete-tree
+ *     element
+ * @param key_a A property name or function giving the key of an
+ *     abstract-tree element; if undefined, key_c is used
+ * @param make_lens A lens, or a function expecting add_before, add_after, and
+ *     del functions; it should produce a lens
+ * @see LListMap
+ */
+function LKeyedListMap(key_c, key_a, make_lens) {
+    var args = [key_c, key_a, make_lens];
+    var kc = key_function(key_c);
+    var ka = key_a === undefined ? kc : key_function(key_a);
+
+    this.name = 'keyed_list_map';
+    
+    this.stateful = function () { return true; };
+    
+    function redisplay() {
+        var bindings = this.bindings ? clone(this.bindings) : [];
+        for (var i = 0;i < bindings.length;i++) {
+            var binding = bindings[i];
+            binding.putback();
+            binding.get();
+        }
+    }
+    var redisplay = closure(this, redisplay);
+    
+    // edit tracking -- edits are relative to keys, not indices
+    var edits = [];
+    this.add_child = function (k, after) {
+        return function (v) {
+            edits.push({ 'action': 'add', 'key': k, 'after': after, 
+                         'value': v });
+            setTimeout(redisplay, 5);
+        };
+    };
+    this.del_child = function (k) {
+        return function () {
+            edits.push({ 'action': 'del', 'key': k });
+            setTimeout(redisplay, 5);
+        };
+    };
+    
+    var make_clone = is_lens(make_lens) ?
+        function () { return make_lens.clone(); } : make_lens;
+    this.clone_for_key = function (k) {
+        var l = make_clone(this.add_child(k, false), this.add_child(k, true),
+                           this.del_child(k));
+        l.copy_bindings(this);
+        return l;
+    };
+    // the by-key table for lenses; each key maps to a list of lenses, one for
+    // each element sharing that key
+    var lenses = {};
+    this.lens_for_key = function (k, n) {
+        n = n || 0;
+        k = String(k);
+        
+        var ls = (k in lenses) ? lenses[k] : [];
+        lenses[k] = ls;
+        if (!(n in ls)) { ls[n] = this.clone_for_key(k); }
+        
+        return ls[n];
+    };
+    
+    this.clone = function () {
+        var l = new LKeyedListMap(key_c, key_a, make_lens);
+        l.copy_bindings(this);
+        return l;
+    };
+    this.for_each_sublens = function (f) {
+        for (var k in lenses) {
+            var ls = lenses[k];
+            for (var i = 0;i < ls.length;i++) {
+                f(ls[i]);
+            }
+        }
+    };
+    
+    function grab_edits() {
+        var locked_edits = [];
+        while (edits.length > 0) {
+            locked_edits.push(edits.shift());
+        }
+        
+        return locked_edits;
+    }
+    
+    // finds the first index in list whose key (under key_fun) is k
+    function index_of_key(list, key_fun, k) {
+        for (var i = 0;i < list.length;i++) {
+            if (String(key_fun(list[i])) === String(k)) { return i; }
+        }
+        
+        return -1;
+    }
+    
+    // keeps only the lenses for keys in keys, which maps keys to counts
+    function prune_lenses(keys) {
+        var kept = {};
+        for (var k in keys) {
+            if (k in lenses) { kept[k] = lenses[k].slice(0, keys[k]); }
+        }
+        lenses = kept;
+    }
+    
+    this.get = function (c) {
+        if (c === undefined) { return undefined; }
+        
+        var o = [];
+        var seen = {};
+        for (var i = 0;i < c.length;i++) {
+            var k = String(kc(c[i]));
+            var n = seen[k] || 0;
+            seen[k] = n + 1;
+            
+            try {
+                var l = this.lens_for_key(k, n);
+                o.push(l.get(c[i]));
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, args,
+                    'get on key ' + k);
+            }
+        }
+        
+        prune_lenses(seen);
+        return o;
+    };
+    this.putback = function (a, c) {
+        var locked_edits = grab_edits();
+        
+        a = clone(a);
+        if (!(a instanceof Array)) {
+            a = [a];
+        }
+        
+        var orig_c = c;
+        c = clone(c);
+        
+        // the index in orig_c of each element of c, or -1 for added elements
+        var orig_idx = [];
+        for (var i = 0;c !== undefined && i < c.length;i++) { orig_idx.push(i); }
+        
+        if (c !== undefined) {
+            for (i = 0;i < locked_edits.length;i++) {
+                var edit = locked_edits[i];
+                var a_idx = index_of_key(a, ka, edit.key);
+                var c_idx = index_of_key(c, kc, edit.key);
+                
+                if (edit.action == 'add') {
+                    var k = kc(edit.value);
+                    var l = this.lens_for_key(k);
+                    var v_a = l.get(edit.value);
+                    
+                    // insert relative to the element the edit came from; if
+                    // it's gone, just append
+                    if (a_idx == -1) {
+                        a.push(v_a);
+                    } else {
+                        a.splice(a_idx + (edit.after ? 1 : 0), 0, v_a);
+                    }
+                    c.push(edit.value);
+                    orig_idx.push(-1);
+                } else if (edit.action == 'del') {
+                    if (a_idx != -1) { a.splice(a_idx, 1); }
+                    if (c_idx != -1) { 
+                        c.splice(c_idx, 1);
+                        orig_idx.splice(c_idx, 1);
+                    }
+                } else {
+                    this.error('putback: invalid action ' + edit.action, args);
+                }
+            }
+        }
+        
+        // index the concrete tree by key; duplicates are queued in order
+        var by_key = {};
+        for (i = 0;c !== undefined && i < c.length;i++) {
+            k = String(kc(c[i]));
+            by_key[k] = by_key[k] || [];
+            by_key[k].push(i);
+        }
+        
+        var o = [];
+        var seen = {};
+        var matched = []; // the index in orig_c each element came from, or -1
+        var element_deltas = [];
+        for (i = 0;i < a.length;i++) {
+            k = String(ka(a[i]));
+            var n = seen[k] || 0;
+            seen[k] = n + 1;
+            
+            var c_idx = (k in by_key && n < by_key[k].length) ? 
+                by_key[k][n] : -1;
+            var c_i = c_idx == -1 ? undefined : c[c_idx];
+            matched.push(c_idx == -1 ? -1 : orig_idx[c_idx]);
+            
+            var frame = open_deltas(c_i);
+            try {
+                l = this.lens_for_key(k, n);
+                o.push(l.putback(a[i], c_i));
+            } catch (e) {
+                throw this.wrap_exception(e).with_frame(this.name, args,
+                    'putback on key ' + k);
+            }
+            
+            var deltas = [];
+            close_deltas(frame, [i], c_i, o[i], deltas);
+            element_deltas.push(deltas);
+        }
+        
+        prune_lenses(seen);
+        
+        if (__delta_frame) {
+            emit_deltas(orig_c, o, 
+                        alignment_deltas(orig_c, o, matched, element_deltas));
+        }
+        return o;
+    };
+    this.aschema = function (cs) {
+        return list_map_schema(this, cs, make_lens, 'aschema', 'get', args);
+    };
+    this.cschema = function (as) {
+        return list_map_schema(this, as, make_lens, 'cschema', 'putback', 
+                               args);
+    };
+    
+    // lists are equivalent when their keys line up and each pair of elements
+    // is equivalent under its key's lens, as chosen by get; as in list_map,
+    // elements without a lens yet compare with equal
+    var existing_lens = function (k, n) {
+        return has_own_prop(lenses, k) ? lenses[k][n] : undefined;
+    };
+    var keyed_equiv = function (key, op) {
+        return function (l1, l2) {
+            if (!(l1 instanceof Array) || !(l2 instanceof Array) ||
+                l1.length != l2.length) {
+                return equal(l1, l2);
+            }
+            
+            var seen = {};
+            for (var i = 0;i < l1.length;i++) {
+                var k = String(key(l1[i]));
+                if (k !== String(key(l2[i]))) { return false; }
+                
+                var n = seen[k] || 0;
+                seen[k] = n + 1;
+                if (!lens_equiv(existing_lens(k, n), op, l1[i], l2[i])) {
+                    return false;
+                }
+            }
+            
+            return true;
+        };
+    };
+    this.cequiv = keyed_equiv(kc, 'cequiv');
+    this.aequiv = keyed_equiv(ka, 'aequiv');
+    
+    return this;
+}
+$L(LKeyedListMap, 'keyed_list_map');
+
+/**
+ * @class
+ * Rotates a list: on get, it puts the first element on the end.  On putback,
+ * it puts the last element on the front.  This lens is defined only for
+ * completeness' sake -- it is described in <i>Combinator for Bi-Directional
+ * Tree Transformations</i> and used to define {@link LReverse}; we simply copy
+ * the list and reverse it, so LRotate is unnecessary.
+ *
+ * @extends Lens
+ */
+function LRotate() {
+    this.name = 'rotate';
+    this.get = function (c) {
+        var arr = clone(c);
+        
+        if (arr.length > 0) {
+            // take the first element...
+            var head = arr.shift();
+        
+            // ...and put it on the end
+            arr.push(head);
+        }
+        
+        return arr;
+    };
+    this.putback = function (a, c) {
+        var arr = clone(a);
+        
+        if (arr.length > 0) { 
+            // take the last element, if it's there...
+            var tail = arr.pop();
+            
+            // ...and put it on the front
+            arr.splice(0, 0, tail);
+        }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', []);
+        return cs.type == 'array' ? cs : 
+                                    sTuple(cs.items.slice(1).
+                                           concat(cs.items.slice(0, 1)));
+    };
+    this.cschema = function (as) {
+        as = expect_schema(this, as, 'list', 'putback', []);
+        return as.type == 'array' ? as : 
+                                    sTuple(as.items.slice(-1).
+                                           concat(as.items.slice(0, -1)));
+    };
+    
+    return this;
+}
+$L(LRotate, 'rotate');
+
+/**
+ * @class
+ * Reverses a list.
+ *
+ * @extends Lens
+ */
+function LReverse() {
+    this.name = 'reverse';
+    this.get = function (c) {
+        var arr = clone(c);
+        
+        arr.reverse();
+        
+        return arr;
+    };
+    this.putback = function (a, c) {
+        var arr = clone(a);
+        
+        arr.reverse();
+        
+        return arr;
+    };
+    var schema = function (lens, s, where) {
+        s = expect_schema(lens, s, 'list', where, []);
+        return s.type == 'array' ? s : sTuple(clone(s.items).reverse());
+    };
+    this.aschema = function (cs) { return schema(this, cs, 'get'); };
+    this.cschema = function (as) { return schema(this, as, 'putback'); };
+    
+    return this;
+}
+$L(LReverse, 'reverse');
+
+/**
+ * @class
+ * <p>Groups a list into sublists of size n, e.g. for n=2:</p>
+ * <code>[1, 2, 3, 4] => [[1, 2], [3, 4]]<br />
+ * [1, 2, 3, 4, 5] => [[1, 2], [3, 4], [5]]</code>
+ *
+ * @extends Lens
+ * @param {int} n The size of groups to form
+ * @see LConcat
+ */
+function LGroup(n) {
+    this.name = 'group';
+    this.get = function (c) {
+        var arr = [];
+            
+        for (var i = 0, j = 0;i < c.length;i += n) {
+            // grab n items if we can, but settle for the rest of the list
+            var group = c.slice(i, Math.min(i + n, c.length));
+
+            // then push the group on
+            if (group.length !== 0) { arr.push(group); }
+        }
+        
+        return arr;
+    };
+    this.putback = function (a, c) {
+        var arr = [];
+        
+        for (var i = 0;i < a.length;i++) {
+            // put everything back together
+            arr = arr.concat(a[i]);
+        }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [n]);
+        return sArray(sArray(schema_items(cs)));
+    };
+    this.cschema = function (as) {
+        as = expect_schema(this, as, 'list', 'putback', [n]);
+        return sArray(schema_items(expect_schema(this, schema_items(as), 
+                                                 'list', 'putback', [n])));
+    };
+    
+    return this;
+}
+$L(LGroup, 'group');
+
+/**
+ * @class
+ * Concatenates sublists, separating them by a spacer.  This must be provided;
+ * if an indistinguishable spacer is given, then everything will be putback
+ * into the first list.  The argument is given as a list of lists, each of 
+ * which will be concatenated into a single list, with spacer separating them.
+ * This lens is somewhat the dual of {@link LGroup}.
+ *
+ * @extends Lens
+ * @param spacer A distinguishable spacer, which separates the two lists
+ */
+function LConcat(spacer) {
+    this.name = 'concat';
+    this.get = function (c) { 
+        var arr = [];
+        for (var i = 0;i < c.length;i++) {
+            arr = arr.concat(c[i]);
+
+            // put on the spacer if we're not done            
+            if (i != c.length - 1) {
+                arr.push(clone(spacer)); // clone to avoid sharing
+            }
+        }
+
+        
+        return arr;
+    };
+    this.putback = function (a, c) {
+        var arr = [];
+        
+        var sublist = [];
+        for (var i = 0;i < a.length;i++) {
+            var elem = a[i];
+            if (!equal(elem, spacer)) {
+                // if it's not a spacer, then it's part of a sublist
+                sublist.push(elem);
+            } else {
+                // if it was a spacer, we need to save the old sublist and
+                // start a new one
+                arr.push(sublist);
+                sublist = [];
+            }
+        }
+        if (sublist.length !== 0) { arr.push(sublist); }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [spacer]);
+        var items = expect_schema(this, schema_items(cs), 'list', 'get', 
+                                  [spacer]);
+        return sArray(schema_join(schema_items(items), schema_of(spacer)));
+    };
+    this.cschema = function (as) {
+        as = expect_schema(this, as, 'list', 'putback', [spacer]);
+        return sArray(sArray(schema_items(as)));
+    };
+        
+    return this;
+}
+$L(LConcat, 'concat');
+
+/**
+ * @class
+ * Filters a list, removing items that fail to matche a predicate.  Two 
+ * predicates must be given in order for putback to work correctly: edits to
+ * selected items should propagate appropriately.  This propagation is done on
+ * a first-come, first-served basis -- the first item of the abstract tree 
+ * replaces first item that matches pkeep in the concrete tree.  If there are
+ * more items in the abstract tree than items that match pkeep, then the extra
+ * items are added at the end.  If there are fewer items in a than those that
+ * match pkeep in c, then the last items in c are deleted.
+ *
+ * @extends Lens
+ * @param {Predicate} pkeep A predicate that matches the list-items to keep
+ * @param {Predicate} plose A predicate that matches the list-items to filter
+ */
+function LListFilter(pkeep, plose) {
+    pkeep = new Predicate(pkeep);
+    plose = new Predicate(plose);
+    
+    this.name = 'filter';
+    this.get = function (c) {
+        var arr = [];
+        
+        for (var i = 0;i < c.length;i++) {
+            // skip plose matches
+            if (!plose.matches(c[i])) {
+                arr.push(c[i]);
+            }
+        }
+        
+        return arr;
+    };
+    this.putback = function (a, c) {
+        // arr starts out just like c
+        var arr = clone(c);
+        
+        var a_i, c_i;
+        for (a_i = 0, c_i = 0;c_i < c.length;c_i++) {
+            // we update with the value from a if pkeep matches and there are
+            // still value left
+            if (pkeep.matches(arr[c_i]) && a_i < a.length) {
+                arr[c_i] = a[a_i];
+                a_i++; 
+            }
+        }
+        
+        // if there are more values in a than those that matched pkeep in c,
+        // then we'll stick on the extras here
+        if (a_i < a.length) {
+            arr = arr.concat(a.slice(a_i, a.length));
+        }
+        
+        return arr;
+    };
+    this.aschema = function (cs) {
+        cs = expect_schema(this, cs, 'list', 'get', [pkeep, plose]);
+        return sArray(schema_items(cs));
+    };
+    this.cschema = function (as) {
+        expect_schema(this, as, 'list', 'putback', [pkeep, plose]);
+        return sArray(sAny);
+    };
+    
+    return this;
+}
+$L(LListFilter, 'list_filter');
+
+// LIST/ARRAY LENSES }}}
+
+/*******************************
+ * {{{ RELATIONAL LENSES
+ *******************************/
+
+/*
+   Relational lenses (after Bohannon, Pierce, and Vaughan, "Relational Lenses")
+   work over tables: arrays of row objects.  Rows are identified by a key -- a
+   list of fields whose values are unique in the table -- so putback can tell
+   updates (a row whose key is still there), deletes (a row whose key is gone),
+   and inserts (a row with a new key) apart.  The view's rows come back in the
+   view's order; rows the view can't see keep their places.
+*/
+
+/**
+ * Normalizes a key argument: a field name, or a list of them.
+ */
+function key_fields(key) {
+    return key instanceof Array ? key : [key];
+}
+
+/**
+ * Computes the key of a row, as a string.  Keys are compared as strings, as in
+ * {@link LKeyedListMap}; they are prefixed so that they can't collide with
+ * Object.prototype's properties when used as indices.
+ *
+ * @param {Object} row The row
+ * @param {Array} fields The key fields
+ * @return {String} The key
+ */
+function row_key(row, fields) {
+    var vals = [];
+    for (var i = 0;i < fields.length;i++) {
+        vals.push(String(has_prop(row, fields[i]) ? row[fields[i]] : undefined));
+    }
+
+    return ':' + vals.join('\u0000');
+}
+
+/**
+ * Indexes a table by key, signalling an error if a key occurs twice.
+ *
+ * @param {Lens} lens The lens to blame
+ * @param {Array} rows The table
+ * @param {Array} fields The key fields
+ * @param {String} where 'get' or 'putback', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} A map from keys to rows
+ */
+function index_rows(lens, rows, fields, where, args) {
+    if (!(rows instanceof Array)) {
+        lens.error(where + ': expected a table (an array of rows), got ' + rows,
+                   args);
+    }
+
+    var index = {};
+    for (var i = 0;i < rows.length;i++) {
+        var k = row_key(rows[i], fields);
+        if (has_prop(index, k)) {
+            lens.error([where, ': key ', fields.join(', '), ' is not unique: ',
+                        'it is duplicated in row ', i].join(''), args);
+        }
+        index[k] = rows[i];
+    }
+
+    return index;
+}
+
+/**
+ * Projects a row onto some fields.
+ */
+function project_row(row, fields) {
+    var o = {};
+    for (var i = 0;i < fields.length;i++) {
+        if (has_prop(row, fields[i])) { o[fields[i]] = row[fields[i]]; }
+    }
+
+    return o;
+}
+
+/**
+ * Finds the index of the row with a given key.
+ */
+function index_of_row_key(rows, fields, k) {
+    for (var i = 0;i < rows.length;i++) {
+        if (row_key(rows[i], fields) === k) { return i; }
+    }
+
+    return -1;
+}
+
+/**
+ * Merges the rows of a view back into a table.  Each row of the table is
+ * either a slot (it is in the view, and will be replaced), dropped, or kept
+ * as is.  The view's rows fill the slots in order; any left over are appended.
+ *
+ * @param {Array} rows The old table
+ * @param {Function} classify Given a row, returns 'slot', 'drop', or 'keep'
+ * @param {Array} view The new rows, in order
+ * @return {Array} The new table
+ */
+function merge_rows(rows, classify, view) {
+    var out = [];
+    var next = 0;
+    for (var i = 0;i < rows.length;i++) {
+        var what = classify(rows[i]);
+        if (what == 'keep') {
+            out.push(rows[i]);
+        } else if (what == 'slot' && next < view.length) {
+            out.push(view[next++]);
+        }
+    }
+
+    return out.concat(view.slice(next));
+}
+
+/**
+ * Checks that a schema describes tables, returning the schema of their rows.
+ *
+ * @param {Lens} lens The lens to blame
+ * @param {Object} s The schema
+ * @param {String} where 'get' or 'putback', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Object} The object schema of the rows
+ */
+function row_schema(lens, s, where, args) {
+    s = expect_schema(lens, s, 'list', where, args);
+    return expect_schema(lens, schema_items(s), 'object', where, args);
+}
+
+/**
+ * Projects a row schema onto some fields, as {@link #project_row} does rows.
+ */
+function project_row_schema(s, fields) {
+    var props = {};
+    for (var i = 0;i < fields.length;i++) {
+        if (has_prop(s.props, fields[i])) {
+            props[fields[i]] = s.props[fields[i]];
+        }
+    }
+
+    return sObject(props, s.open);
+}
+
+/**
+ * Signals a mismatch if a row schema has a field outside of some fields; why
+ * says what's wrong with such a field, for the error message.
+ */
+function check_row_fields(lens, s, fields, why, where, args) {
+    for (var f in s.props) {
+        if (!contains(fields, f)) {
+            lens.error(['schema: ', where, ': rows have field ', f, ', which ',
+                        why].join(''), args);
+        }
+    }
+}
+
+/**
+ * @class
+ * <p>Selects the rows of a table satisfying a predicate.  On putback, the
+ * view's rows must all satisfy the predicate; they replace the selected rows,
+ * and the unselected rows are kept in place.</p>
+ * <p>If a key is given, rows are matched by key: selected rows whose key
+ * is missing from the view are deleted, and unselected rows whose key has
+ * appeared in the view are replaced by the view's row (the view wins).
+ * Without a key, rows are matched by position, as in {@link LListFilter}.</p>
+ *
+ * @extends Lens
+ * @param {Predicate} pred Matches the rows to select
+ * @param key A key field, or a list of them; optional
+ */
+function LRelSelect(pred, key) {
+    var args = [pred, key];
+    var p = new Predicate(pred);
+    var fields = key === undefined ? undefined : key_fields(key);
+
+    this.name = 'rel_select';
+    this.get = function (c) {
+        if (fields) { index_rows(this, c, fields, 'get', args); }
+        else if (!(c instanceof Array)) {
+            this.error('get: expected a table (an array of rows), got ' + c,
+                       args);
+        }
+
+        var rows = [];
+        for (var i = 0;i < c.length;i++) {
+            if (p.matches(c[i])) { rows.push(c[i]); }
+        }
+
+        return rows;
+    };
+    this.putback = function (a, c) {
+        c = c || [];
+        if (!(a instanceof Array)) {
+            this.error('putback: expected a table (an array of rows), got ' + a,
+                       args);
+        }
+        var view = fields ? index_rows(this, a, fields, 'putback', args) : {};
+        for (var i = 0;i < a.length;i++) {
+            if (!p.matches(a[i])) {
+                this.error('putback: row ' + i + ' of the view doesn\'t ' +
+                           'satisfy the selection predicate', args);
+            }
+        }
+
+        return merge_rows(c, function (row) {
+            var in_view = !fields || has_prop(view, row_key(row, fields));
+            if (p.matches(row)) { return in_view ? 'slot' : 'drop'; }
+            return fields && in_view ? 'drop' : 'keep';
+        }, a);
+    };
+    this.aschema = function (cs) {
+        return sArray(row_schema(this, cs, 'get', args));
+    };
+    this.cschema = function (as) {
+        return sArray(row_schema(this, as, 'putback', args));
+    };
+
+    return this;
+}
+$L(LRelSelect, 'rel_select');
+
+/**
+ * @class
+ * <p>Projects each row of a table onto some fields.  The fields dropped must
+ * be determined by the key, a subset of the fields kept: that is, there is a
+ * functional dependency from the key to the dropped fields.  It is checked in
+ * get.</p>
+ * <p>On putback, each row of the view gets its dropped fields from a row of
+ * the old table with the same key, if there is one, and from defaults
+ * otherwise.  Rows whose key no longer appears are deleted.  The key needn't
+ * be unique: for instance, if dept determines manager, then projecting
+ * employees onto name and dept restores each manager by department.</p>
+ *
+ * @extends Lens
+ * @param {Array} fields The fields to keep
+ * @param key The field (or list of fields) determining the dropped ones
+ * @param {Object} defaults The dropped fields' values for new rows
+ */
+function LRelProject(fields, key, defaults) {
+    var args = [fields, key, defaults];
+    var kfields = key_fields(key);
+    defaults = defaults || {};
+
+    this.name = 'rel_project';
+    for (var i = 0;i < kfields.length;i++) {
+        if (!contains(fields, kfields[i])) {
+            this.error('key field ' + kfields[i] + ' must be projected', args);
+        }
+    }
+
+    // the dropped fields of each row, by key
+    var dropped_by_key = function (lens, c, where) {
+        if (!(c instanceof Array)) {
+            lens.error(where + ': expected a table (an array of rows), got ' +
+                       c, args);
+        }
+
+        var dropped = {};
+        for (var i = 0;i < c.length;i++) {
+            var rest = {};
+            for (var f in c[i]) {
+                if (!contains(fields, f)) { rest[f] = c[i][f]; }
+            }
+
+            var k = row_key(c[i], kfields);
+            if (has_prop(dropped, k) && !equal(dropped[k], rest)) {
+                lens.error([where, ': functional dependency from ',
+                            kfields.join(', '), ' violated in row ', i].
+                           join(''), args);
+            }
+            dropped[k] = rest;
+        }
+
+        return dropped;
+    };
+
+    this.get = function (c) {
+        dropped_by_key(this, c, 'get');
+
+        var rows = [];
+        for (var i = 0;i < c.length;i++) {
+            rows.push(project_row(c[i], fields));
+        }
+
+        return rows;
+    };
+    this.putback = function (a, c) {
+        var dropped = dropped_by_key(this, c || [], 'putback');
+        if (!(a instanceof Array)) {
+            this.error('putback: expected a table (an array of rows), got ' + a,
+                       args);
+        }
+
+        var rows = [];
+        for (var i = 0;i < a.length;i++) {
+            for (var f in a[i]) {
+                if (!contains(fields, f)) {
+                    this.error(['putback: row ', i, ' of the view has field ',
+                                f, ', which isn\'t projected'].join(''), args);
+                }
+            }
+
+            var k = row_key(a[i], kfields);
+            var rest = has_prop(dropped, k) ? dropped[k] : defaults;
+            var row = clone(a[i]);
+            for (f in rest) { row[f] = clone(rest[f]); }
+            rows.push(row);
+        }
+
+        return rows;
+    };
+    this.aschema = function (cs) {
+        return sArray(project_row_schema(row_schema(this, cs, 'get', args),
+                                         fields));
+    };
+    this.cschema = function (as) {
+        var row = row_schema(this, as, 'putback', args);
+        check_row_fields(this, row, fields, 'isn\'t projected', 'putback',
+                         args);
+        
+        return sArray(sObject(clone(row.props), true));
+    };
+
+    return this;
+}
+$L(LRelProject, 'rel_project');
+
+/**
+ * @class
+ * <p>Joins two tables on their shared fields, which must be a key of each.
+ * The concrete tree is an object holding the tables in the properties left
+ * and right; its other properties are ignored (and kept on putback).  The
+ * view has one row for each left row with a matching right row, in the left
+ * table's order.</p>
+ * <p>On putback, each row of the view is split into its left and right fields.
+ * Rows whose key is in both the view and a table are updates; rows with new
+ * keys are appended to the tables.  When a row is deleted from the view, its
+ * left row, right row, or both are deleted, as the deletes argument says.
+ * Rows that didn't join stay as they are.</p>
+ *
+ * @extends Lens
+ * @param {String} left The property holding the left table
+ * @param {Array} lfields The fields of the left table
+ * @param {String} right The property holding the right table
+ * @param {Array} rfields The fields of the right table
+ * @param {String} deletes Which rows to delete when a row is deleted from the
+ *     view: 'left', 'right', or 'both' (the default)
+ */
+function LRelJoin(left, lfields, right, rfields, deletes) {
+    var args = [left, lfields, right, rfields, deletes];
+    deletes = deletes || 'both';
+
+    this.name = 'rel_join';
+
+    var kfields = [];
+    for (var i = 0;i < lfields.length;i++) {
+        if (contains(rfields, lfields[i])) { kfields.push(lfields[i]); }
+    }
+    if (kfields.length === 0) {
+        this.error('the tables share no fields to join on', args);
+    }
+    if (!contains(['left', 'right', 'both'], deletes)) {
+        this.error('deletes must be left, right, or both, not ' + deletes, args);
+    }
+
+    var tables = function (lens, c, where) {
+        if (typeof c != 'object' || c === null) {
+            lens.error(where + ': expected an object, got ' + c, args);
+        }
+
+        return { 'left': index_rows(lens, c[left] || [], kfields, where, args),
+                 'right': index_rows(lens, c[right] || [], kfields, where,
+                                     args) };
+    };
+
+    this.get = function (c) {
+        var right_rows = tables(this, c, 'get').right;
+
+        var rows = [];
+        var lrows = c[left] || [];
+        for (var i = 0;i < lrows.length;i++) {
+            var k = row_key(lrows[i], kfields);
+            if (has_prop(right_rows, k)) {
+                var row = clone(lrows[i]);
+                for (var f in right_rows[k]) { row[f] = right_rows[k][f]; }
+                rows.push(row);
+            }
+        }
+
+        return rows;
+    };
+    this.putback = function (a, c) {
+        c = c || {};
+        var old = tables(this, c, 'putback');
+        var view = index_rows(this, a, kfields, 'putback', args);
+
+        var lview = [];
+        var rview = [];
+        for (var i = 0;i < a.length;i++) {
+            for (var f in a[i]) {
+                if (!contains(lfields, f) && !contains(rfields, f)) {
+                    this.error(['putback: row ', i, ' of the view has field ',
+                                f, ', which is in neither table'].join(''),
+                               args);
+                }
+            }
+
+            lview.push(project_row(a[i], lfields));
+            rview.push(project_row(a[i], rfields));
+        }
+
+        // a row was in the old view if its key was in both tables
+        var classify = function (deleting) {
+            return function (row) {
+                var k = row_key(row, kfields);
+                if (has_prop(view, k)) { return 'slot'; }
+                var joined = has_prop(old.left, k) && has_prop(old.right, k);
+                return joined && deleting ? 'drop' : 'keep';
+            };
+        };
+
+        var o = clone(c);
+        o[left] = merge_rows(c[left] || [], classify(deletes != 'right'),
+                             lview);
+
+        // the right table is in its own order, so its rows are updated in
+        // place, and new ones are added in the view's order
+        var rows = [];
+        var rclassify = classify(deletes != 'left');
+        var rrows = c[right] || [];
+        var seen = {};
+        for (i = 0;i < rrows.length;i++) {
+            var k = row_key(rrows[i], kfields);
+            var what = rclassify(rrows[i]);
+            if (what == 'keep') { rows.push(rrows[i]); }
+            else if (what == 'slot') {
+                rows.push(rview[index_of_row_key(a, kfields, k)]);
+                seen[k] = true;
+            }
+        }
+        for (i = 0;i < a.length;i++) {
+            if (!has_prop(seen, row_key(a[i], kfields))) {
+                rows.push(rview[i]);
+            }
+        }
+        o[right] = rows;
+
+        return o;
+    };
+    this.aschema = function (cs) {
+        var lrow = row_schema(this, schema_prop(this, cs, left, 'get', args),
+                              'get', args);
+        var rrow = row_schema(this, schema_prop(this, cs, right, 'get', args),
+                              'get', args);
+        
+        var props = clone(lrow.props);
+        for (var f in rrow.props) { props[f] = rrow.props[f]; }
+        return sArray(sObject(props, lrow.open || rrow.open));
+    };
+    this.cschema = function (as) {
+        var row = row_schema(this, as, 'putback', args);
+        check_row_fields(this, row, lfields.concat(rfields), 
+                         'is in neither table', 'putback', args);
+        
+        var props = {};
+        props[left] = sArray(project_row_schema(row, lfields));
+        props[right] = sArray(project_row_schema(row, rfields));
+        return sObject(props, true);
+    };
+
+    return this;
+}
+$L(LRelJoin, 'rel_join');
+
+// RELATIONAL LENSES }}}
+
+/*******************************
+ * {{{ REGULAR LANGUAGES
+ *******************************/
+
+/*
+   The string lenses need more from their regular expressions than JavaScript's
+   RegExp offers: they need to concatenate, union, and iterate them, and to
+   decide whether the results are ambiguous.  So regular expressions are parsed
+   into NFAs (by Thompson's construction), which are matched by simulation and
+   determinized for the ambiguity checks.
+
+   Character sets are sorted, disjoint lists of [lo, hi] code point ranges.
+*/
+
+/**
+ * The largest code point in a character set.
+ */
+var max_char = 0xFFFF;
+
+/**
+ * Normalizes a list of ranges: sorted, with overlapping and adjacent ranges
+ * merged.
+ */
+function char_set(ranges) {
+    ranges = clone(ranges, true).sort(function (r1, r2) { return r1[0] - r2[0]; });
+
+    var set = [];
+    for (var i = 0;i < ranges.length;i++) {
+        var last = set[set.length - 1];
+        if (last && ranges[i][0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], ranges[i][1]);
+        } else {
+            set.push([ranges[i][0], ranges[i][1]]);
+        }
+    }
+
+    return set;
+}
+
+/**
+ * The complement of a character set.
+ */
+function negate_char_set(set) {
+    var negated = [];
+    var lo = 0;
+    for (var i = 0;i < set.length;i++) {
+        if (set[i][0] > lo) { negated.push([lo, set[i][0] - 1]); }
+        lo = set[i][1] + 1;
+    }
+    if (lo <= max_char) { negated.push([lo, max_char]); }
+
+    return negated;
+}
+
+/**
+ * Determines whether a character set contains a code point.
+ */
+function char_set_contains(set, code) {
+    for (var i = 0;i < set.length && set[i][0] <= code;i++) {
+        if (code <= set[i][1]) { return true; }
+    }
+    return false;
+}
+
+/**
+ * The character sets for the class escapes \d, \w, and \s, and for '.'.
+ */
+var char_classes = {
+    'd': [[48, 57]],
+    'w': [[48, 57], [65, 90], [95, 95], [97, 122]],
+    's': [[9, 13], [32, 32], [160, 160], [0x1680, 0x1680], [0x2000, 0x200A],
+          [0x2028, 0x2029], [0x202F, 0x202F], [0x205F, 0x205F],
+          [0x3000, 0x3000], [0xFEFF, 0xFEFF]],
+    '.': negate_char_set([[10, 10], [13, 13], [0x2028, 0x2029]])
+};
+
+/**
+ * The character escapes with special meanings.
+ */
+var char_escapes = { 'n': 10, 't': 9, 'r': 13, 'f': 12, 'v': 11, '0': 0 };
+
+/**
+ * Parses a regular expression into a syntax tree.  The supported syntax is
+ * that of JavaScript, less anchors, backreferences, and lookahead: literals,
+ * escapes, '.', character classes, groups (capturing or not), alternation, and
+ * the quantifiers *, +, ?, {n}, {n,}, and {n,m}.  Every expression must match
+ * a whole string, so anchors would mean nothing.
+ *
+ * @param {String} src The regular expression
+ * @return {Object} The syntax tree; nodes are { type: 'set', set },
+ *     { type: 'seq', parts }, { type: 'alt', alts }, or
+ *     { type: 'repeat', body, min, max }, where max is -1 if unbounded
+ * @throws {LensException} If src isn't a supported regular expression
+ */
+function parse_regular(src) {
+    var pos = 0;
+
+    function fail(msg) {
+        throw new LensException('regular', 
+                                msg + ' at position ' + pos + ' of /' + src +
+                                '/', [src]);
+    }
+
+    function peek() { return src.charAt(pos); }
+
+    function hex(n) {
+        var digits = src.substr(pos, n);
+        if (digits.length != n || /[^0-9a-fA-F]/.test(digits)) {
+            fail('bad hexadecimal escape');
+        }
+        pos += n;
+        return parseInt(digits, 16);
+    }
+
+    // parses the escape after a backslash, as a character set
+    function parse_escape() {
+        var ch = src.charAt(pos++);
+        if (ch === '') { fail('trailing backslash'); }
+
+        var lower = ch.toLowerCase();
+        if (lower in char_classes && lower != '.') {
+            return ch == lower ? char_classes[lower] :
+                                 negate_char_set(char_classes[lower]);
+        }
+        if (ch in char_escapes) {
+            var code = char_escapes[ch];
+            return [[code, code]];
+        }
+        if (ch == 'x') { code = hex(2); return [[code, code]]; }
+        if (ch == 'u') { code = hex(4); return [[code, code]]; }
+        if (/[0-9]/.test(ch)) { fail('backreferences are not supported'); }
+        if (ch == 'b' || ch == 'B') { fail('word boundaries are not supported'); }
+
+        code = ch.charCodeAt(0);
+        return [[code, code]];
+    }
+
+    function parse_class() {
+        var negated = peek() == '^';
+        if (negated) { pos++; }
+
+        var ranges = [];
+        var first = true;
+        while (peek() != ']' || first) {
+            first = false;
+            var ch = src.charAt(pos++);
+            if (ch === '') { fail('unterminated character class'); }
+
+            var lo = ch == '\\' ? parse_escape() : [[ch.charCodeAt(0),
+                                                     ch.charCodeAt(0)]];
+
+            // a range, if both ends are single characters
+            if (peek() == '-' && src.charAt(pos + 1) != ']' &&
+                src.charAt(pos + 1) !== '' && lo.length == 1 &&
+                lo[0][0] == lo[0][1]) {
+                pos++;
+                ch = src.charAt(pos++);
+                var hi = ch == '\\' ? parse_escape() : [[ch.charCodeAt(0),
+                                                         ch.charCodeAt(0)]];
+                if (hi.length != 1 || hi[0][0] != hi[0][1]) {
+                    fail('bad character range');
+                }
+                if (hi[0][0] < lo[0][0]) { fail('character range out of order'); }
+                ranges.push([lo[0][0], hi[0][0]]);
+            } else {
+                ranges = ranges.concat(lo);
+            }
+        }
+        pos++; // the closing ]
+
+        var set = char_set(ranges);
+        return negated ? negate_char_set(set) : set;
+    }
+
+    function parse_atom() {
+        var ch = src.charAt(pos++);
+
+        if (ch == '(') {
+            if (src.substr(pos, 2) == '?:') {
+                pos += 2;
+            } else if (peek() == '?') {
+                fail('lookahead is not supported');
+            }
+            var node = parse_alt();
+            if (peek() != ')') { fail('unclosed group'); }
+            pos++;
+            return node;
+        }
+        if (ch == '[') { return { 'type': 'set', 'set': parse_class() }; }
+        if (ch == '.') { return { 'type': 'set', 'set': char_classes['.'] }; }
+        if (ch == '\\') { return { 'type': 'set', 'set': parse_escape() }; }
+        if (ch == '^' || ch == '$') { fail('anchors are not supported'); }
+        if ('*+?{'.indexOf(ch) != -1) { fail('nothing to repeat'); }
+        if (ch == ']' || ch == '}') { fail('unmatched ' + ch); }
+
+        var code = ch.charCodeAt(0);
+        return { 'type': 'set', 'set': [[code, code]] };
+    }
+
+    function parse_quantified() {
+        var node = parse_atom();
+
+        while (true) {
+            var ch = peek();
+            var min, max;
+            if (ch == '*') { min = 0; max = -1; }
+            else if (ch == '+') { min = 1; max = -1; }
+            else if (ch == '?') { min = 0; max = 1; }
+            else if (ch == '{') {
+                var bounds = /^\{(\d+)(,(\d*))?\}/.exec(src.slice(pos));
+                if (!bounds) { fail('bad repetition'); }
+                min = Number(bounds[1]);
+                max = bounds[2] === undefined || bounds[2] === '' ? min :
+                      bounds[3] === '' ? -1 : Number(bounds[3]);
+                if (max != -1 && max < min) { fail('repetition out of order'); }
+                pos += bounds[0].length - 1;
+            } else {
+                return node;
+            }
+            pos++;
+
+            // laziness doesn't matter when matching whole strings
+            if (peek() == '?') { pos++; }
+
+            node = { 'type': 'repeat', 'body': node, 'min': min, 'max': max };
+        }
+    }
+
+    function parse_seq() {
+        var parts = [];
+        while (pos < src.length && peek() != '|' && peek() != ')') {
+            parts.push(parse_quantified());
+        }
+        return { 'type': 'seq', 'parts': parts };
+    }
+
+    function parse_alt() {
+        var alts = [parse_seq()];
+        while (peek() == '|') {
+            pos++;
+            alts.push(parse_seq());
+        }
+        return alts.length == 1 ? alts[0] : { 'type': 'alt', 'alts': alts };
+    }
+
+    var tree = parse_alt();
+    if (pos < src.length) { fail('unmatched )'); }
+
+    return tree;
+}
+
+/**
+ * @class
+ * <p>A regular language, represented as an NFA.  Each state has a list of
+ * epsilon transitions (eps, a list of state indices) and a list of character
+ * transitions (edges, a list of { set, to }); there is one start state and one
+ * accepting state.</p>
+ * <p>Regular languages are made with {@link #regular}, and combined with
+ * {@link Regular#concat}, {@link Regular#union}, and {@link Regular#star}.</p>
+ *
+ * @constructor
+ * @param {Array} states The states
+ * @param {int} start The start state
+ * @param {int} accept The accepting state
+ * @param {String} source A regular expression for the language, for messages
+ */
+function Regular(states, start, accept, source) {
+    this.states = states;
+    this.start = start;
+    this.accept = accept;
+    this.source = source;
+
+    return this;
+}
+
+/**
+ * Builds the NFA for a syntax tree from {@link #parse_regular}, by Thompson's
+ * construction.
+ */
+function thompson(tree, states) {
+    function state() {
+        states.push({ 'eps': [], 'edges': [] });
+        return states.length - 1;
+    }
+
+    function build(node) {
+        var start = state();
+        var end;
+
+        if (node.type == 'set') {
+            end = state();
+            states[start].edges.push({ 'set': node.set, 'to': end });
+        } else if (node.type == 'seq') {
+            end = start;
+            for (var i = 0;i < node.parts.length;i++) {
+                var part = build(node.parts[i]);
+                states[end].eps.push(part.start);
+                end = part.end;
+            }
+        } else if (node.type == 'alt') {
+            end = state();
+            for (i = 0;i < node.alts.length;i++) {
+                var alt = build(node.alts[i]);
+                states[start].eps.push(alt.start);
+                states[alt.end].eps.push(end);
+            }
+        } else if (node.type == 'repeat') {
+            end = start;
+            for (i = 0;i < node.min;i++) {
+                var body = build(node.body);
+                states[end].eps.push(body.start);
+                end = body.end;
+            }
+
+            if (node.max == -1) {
+                // a loop, entered and left through one state
+                body = build(node.body);
+                states[end].eps.push(body.start);
+                states[body.end].eps.push(end);
+            } else {
+                var last = state();
+                for (i = node.min;i < node.max;i++) {
+                    body = build(node.body);
+                    states[end].eps.push(body.start, last);
+                    end = body.end;
+                }
+                states[end].eps.push(last);
+                end = last;
+            }
+        }
+
+        return { 'start': start, 'end': end };
+    }
+
+    return build(tree);
+}
+
+/**
+ * Checks that a RegExp has no flags other than g, which regular languages
+ * ignore; the flags are read off its string form, which lists all of them.
+ *
+ * @param {RegExp} r The RegExp
+ * @return {Boolean} Whether r's flags are supported
+ */
+function regexp_flags_supported(r) {
+    var s = String(r);
+    return /^g?$/.test(s.substring(s.lastIndexOf('/') + 1));
+}
+
+/**
+ * Makes a regular language from a regular expression.
+ *
+ * @param r A regular expression source string, a RegExp (whose flags must be
+ *     unset, other than g), or a {@link Regular}, which is returned as is
+ * @return {Regular} The language
+ * @throws {LensException} If r isn't a supported regular expression
+ */
+function regular(r) {
+    if (r instanceof Regular) { return r; }
+
+    if (r instanceof RegExp) {
+        if (!regexp_flags_supported(r)) {
+            throw new LensException('regular', 
+                                    'only the g flag is supported, not ' +
+                                    'those of ' + r, [r]);
+        }
+        r = r.source;
+    }
+    if (typeof r != 'string') { 
+        throw new LensException('regular', 
+                                r + ' is not a regular expression', [r]);
+    }
+
+    var states = [];
+    var nfa = thompson(parse_regular(r), states);
+    return new Regular(states, nfa.start, nfa.end, r);
+}
+
+/**
+ * Makes the regular language containing just one string.
+ *
+ * @param {String} s The string
+ * @return {Regular} The language
+ */
+function regular_literal(s) {
+    var tree = { 'type': 'seq', 'parts': [] };
+    for (var i = 0;i < s.length;i++) {
+        var code = s.charCodeAt(i);
+        tree.parts.push({ 'type': 'set', 'set': [[code, code]] });
+    }
+
+    var states = [];
+    var nfa = thompson(tree, states);
+    var source = s.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    return new Regular(states, nfa.start, nfa.end, source);
+}
+
+/**
+ * Copies the states of some languages into one list, for combining them.
+ *
+ * @param {Array} rs The languages
+ * @return {Object} The states, and for each language the offset of its states
+ */
+function merge_regular_states(rs) {
+    var states = [];
+    var offsets = [];
+    for (var i = 0;i < rs.length;i++) {
+        var offset = states.length;
+        offsets.push(offset);
+
+        for (var j = 0;j < rs[i].states.length;j++) {
+            var st = rs[i].states[j];
+            var copy = { 'eps': [], 'edges': [] };
+            for (var k = 0;k < st.eps.length;k++) {
+                copy.eps.push(st.eps[k] + offset);
+            }
+            for (k = 0;k < st.edges.length;k++) {
+                copy.edges.push({ 'set': st.edges[k].set,
+                                  'to': st.edges[k].to + offset });
+            }
+            states.push(copy);
+        }
+    }
+
+    return { 'states': states, 'offsets': offsets };
+}
+
+/**
+ * The concatenation of this language and another.
+ */
+Regular.prototype.concat = function (r) {
+    var merged = merge_regular_states([this, r]);
+    var off = merged.offsets;
+    merged.states[this.accept + off[0]].eps.push(r.start + off[1]);
+
+    return new Regular(merged.states, this.start + off[0], r.accept + off[1],
+                       '(?:' + this.source + ')(?:' + r.source + ')');
+};
+
+/**
+ * The union of this language and another.
+ */
+Regular.prototype.union = function (r) {
+    var merged = merge_regular_states([this, r]);
+    var off = merged.offsets;
+    var states = merged.states;
+    states.push({ 'eps': [this.start + off[0], r.start + off[1]],
+                  'edges': [] });
+    states.push({ 'eps': [], 'edges': [] });
+    states[this.accept + off[0]].eps.push(states.length - 1);
+    states[r.accept + off[1]].eps.push(states.length - 1);
+
+    return new Regular(states, states.length - 2, states.length - 1,
+                       this.source + '|' + r.source);
+};
+
+/**
+ * The Kleene star of this language.
+ */
+Regular.prototype.star = function () {
+    var states = merge_regular_states([this]).states;
+    states.push({ 'eps': [this.start], 'edges': [] });
+    var loop = states.length - 1;
+    states[this.accept].eps.push(loop);
+
+    return new Regular(states, loop, loop, '(?:' + this.source + ')*');
+};
+
+/**
+ * Closes a set of states (an object whose properties are state indices) under
+ * epsilon transitions, in place.
+ */
+Regular.prototype.closure = function (set) {
+    var todo = [];
+    for (var s in set) { todo.push(Number(s)); }
+
+    while (todo.length > 0) {
+        var eps = this.states[todo.pop()].eps;
+        for (var i = 0;i < eps.length;i++) {
+            if (!(eps[i] in set)) {
+                set[eps[i]] = true;
+                todo.push(eps[i]);
+            }
+        }
+    }
+
+    return set;
+};
+
+/**
+ * The states reached from a set of states on a character, closed.
+ */
+Regular.prototype.step = function (set, code) {
+    var next = {};
+    for (var s in set) {
+        var edges = this.states[s].edges;
+        for (var i = 0;i < edges.length;i++) {
+            if (char_set_contains(edges[i].set, code)) {
+                next[edges[i].to] = true;
+            }
+        }
+    }
+
+    return this.closure(next);
+};
+
+/**
+ * Finds the ends of the prefixes of s[from...] that are in the language.
+ *
+ * @param {String} s The string
+ * @param {int} from Where the prefixes start
+ * @return {Array} The indices j, in increasing order, such that
+ *     s.slice(from, j) is in the language
+ */
+Regular.prototype.prefix_ends = function (s, from) {
+    var set = {};
+    set[this.start] = true;
+    set = this.closure(set);
+
+    var ends = [];
+    for (var i = from;true;i++) {
+        if (this.accept in set) { ends.push(i); }
+        if (i == s.length) { break; }
+
+        set = this.step(set, s.charCodeAt(i));
+
+        var empty = true;
+        for (var st in set) { empty = false; break; }
+        if (empty) { break; }
+    }
+
+    return ends;
+};
+
+/**
+ * Tests whether a string is in the language.
+ */
+Regular.prototype.matches = function (s) {
+    if (typeof s != 'string') { return false; }
+
+    var ends = this.prefix_ends(s, 0);
+    return ends.length > 0 && ends[ends.length - 1] == s.length;
+};
+
+/**
+ * Splits a string into pieces in each of a list of languages, i.e. parses it
+ * as their concatenation.  If there is more than one split, the one with the
+ * shortest first piece (and so on) is returned.
+ *
+ * @param {Array} rs The languages
+ * @param {String} s The string
+ * @return {Array} The pieces, or undefined if s isn't in the concatenation
+ */
+function split_regular(rs, s) {
+    if (typeof s != 'string') { return undefined; }
+
+    // rests[i] is the concatenation of rs[i], rs[i + 1], ...
+    var rests = [];
+    for (var i = rs.length - 1;i >= 0;i--) {
+        rests[i] = i == rs.length - 1 ? rs[i] : rs[i].concat(rests[i + 1]);
+    }
+
+    var pieces = [];
+    var pos = 0;
+    for (i = 0;i < rs.length;i++) {
+        var ends = rs[i].prefix_ends(s, pos);
+        var end = -1;
+        for (var j = 0;j < ends.length && end == -1;j++) {
+            if (i == rs.length - 1 ? ends[j] == s.length :
+                                     rests[i + 1].matches(s.slice(ends[j]))) {
+                end = ends[j];
+            }
+        }
+        if (end == -1) { return undefined; }
+
+        pieces.push(s.slice(pos, end));
+        pos = end;
+    }
+
+    return pieces;
+}
+
+/**
+ * Splits a string into nonempty pieces, each in a language, i.e. parses it
+ * with the language's Kleene star.
+ *
+ * @param {Regular} r The language
+ * @param {String} s The string
+ * @return {Array} The pieces, or undefined if s isn't in the star
+ */
+function split_regular_star(r, s) {
+    if (typeof s != 'string') { return undefined; }
+
+    // next[i] is where the piece starting at i ends, if s[i...] can be split
+    var next = [];
+    next[s.length] = s.length;
+    for (var i = s.length - 1;i >= 0;i--) {
+        var ends = r.prefix_ends(s, i);
+        for (var j = 0;j < ends.length;j++) {
+            if (ends[j] > i && ends[j] in next) {
+                next[i] = ends[j];
+                break;
+            }
+        }
+    }
+    if (!(0 in next)) { return undefined; }
+
+    var pieces = [];
+    for (i = 0;i < s.length;i = next[i]) {
+        pieces.push(s.slice(i, next[i]));
+    }
+
+    return pieces;
+}
+
+/**
+ * Determinizes some languages over a shared alphabet partition, for comparing
+ * them.  Each DFA state has accept (a Boolean) and next (a list of states,
+ * one per character class).
+ *
+ * @param {Array} rs The languages
+ * @return {Object} The DFAs (as lists of states, starting at 0), and the
+ *     representative character of each class
+ */
+function determinize(rs) {
+    // the classes are the intervals between range boundaries
+    var points = [0];
+    for (var i = 0;i < rs.length;i++) {
+        var states = rs[i].states;
+        for (var j = 0;j < states.length;j++) {
+            for (var k = 0;k < states[j].edges.length;k++) {
+                var set = states[j].edges[k].set;
+                for (var n = 0;n < set.length;n++) {
+                    points.push(set[n][0]);
+                    if (set[n][1] < max_char) { points.push(set[n][1] + 1); }
+                }
+            }
+        }
+    }
+    points.sort(function (a, b) { return a - b; });
+    var reps = [];
+    for (i = 0;i < points.length;i++) {
+        if (i === 0 || points[i] != points[i - 1]) { reps.push(points[i]); }
+    }
+
+    var dfas = [];
+    for (i = 0;i < rs.length;i++) {
+        var r = rs[i];
+        var dfa = [];
+        var index = {};
+        var sets = [];
+
+        var add = function (set) {
+            var key = [];
+            for (var s in set) { key.push(Number(s)); }
+            key = key.sort(function (a, b) { return a - b; }).join(',');
+
+            if (!(key in index)) {
+                index[key] = dfa.length;
+                dfa.push({ 'accept': r.accept in set, 'next': [] });
+                sets.push(set);
+            }
+            return index[key];
+        };
+
+        var start = {};
+        start[r.start] = true;
+        add(r.closure(start));
+        for (j = 0;j < dfa.length;j++) {
+            for (k = 0;k < reps.length;k++) {
+                dfa[j].next.push(add(r.step(sets[j], reps[k])));
+            }
+        }
+
+        dfas.push(dfa);
+    }
+
+    return { 'dfas': dfas, 'reps': reps };
+}
+
+/**
+ * Searches for a string taking two DFAs (from determinize) from some start
+ * states to accepting states -- that is, a string in the intersection of the
+ * languages they recognize from there.
+ *
+ * @param {Object} det The result of determinize
+ * @param {Array} starts1 Start states in the first DFA
+ * @param {Function} accept1 A predicate on states of the first DFA
+ * @param {Array} starts2 Start states in the second DFA
+ * @param {Function} accept2 A predicate on states of the second DFA
+ * @param {Boolean} nonempty If true, the string must be nonempty
+ * @return {String} A shortest such string, or undefined if there is none
+ */
+function intersection_witness(det, starts1, accept1, starts2, accept2,
+                              nonempty) {
+    var d1 = det.dfas[0];
+    var d2 = det.dfas[det.dfas.length - 1];
+    var reps = det.reps;
+
+    // nodes are [state1, state2, moved]; parents record the path
+    var seen = {};
+    var queue = [];
+    var visit = function (s1, s2, moved, parent, rep) {
+        var key = [s1, s2, moved].join(',');
+        if (key in seen) { return; }
+
+        var node = { 's1': s1, 's2': s2, 'moved': moved,
+                     'parent': parent, 'rep': rep };
+        seen[key] = node;
+        queue.push(node);
+    };
+
+    for (var i = 0;i < starts1.length;i++) {
+        for (var j = 0;j < starts2.length;j++) {
+            visit(starts1[i], starts2[j], false, undefined, undefined);
+        }
+    }
+
+    while (queue.length > 0) {
+        var node = queue.shift();
+        if ((node.moved || !nonempty) && accept1(node.s1) && accept2(node.s2)) {
+            var chars = [];
+            for (;node.parent;node = node.parent) {
+                chars.unshift(String.fromCharCode(node.rep));
+            }
+            return chars.join('');
+        }
+
+        for (var k = 0;k < reps.length;k++) {
+            visit(d1[node.s1].next[k], d2[node.s2].next[k], true, node,
+                  reps[k]);
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Finds a string in both of two languages.
+ *
+ * @return {String} A shortest such string, or undefined if they're disjoint
+ */
+function regular_overlap(r1, r2) {
+    var det = determinize([r1, r2]);
+    var accept = function (dfa) {
+        return function (s) { return dfa[s].accept; };
+    };
+
+    return intersection_witness(det, [0], accept(det.dfas[0]),
+                                [0], accept(det.dfas[1]), false);
+}
+
+/**
+ * <p>Finds an ambiguity in the concatenation of two languages: a nonempty
+ * string x such that u and ux are in r1, and xv and v are in r2, for some u
+ * and v.  Then uxv splits two ways.  If there is none, every string in the
+ * concatenation splits uniquely.</p>
+ *
+ * @return {String} A shortest such x, or undefined if there is none
+ */
+function concat_ambiguity(r1, r2) {
+    var det = determinize([r1, r2]);
+    var d1 = det.dfas[0];
+    var d2 = det.dfas[1];
+
+    // x must go from an accepting state of d1 (after u) to an accepting one
+    var accepting1 = [];
+    for (var i = 0;i < d1.length;i++) {
+        if (d1[i].accept) { accepting1.push(i); }
+    }
+    var accept1 = function (s) { return d1[s].accept; };
+
+    // ...and from the start of d2 to a state from which some string in r2 is
+    // accepted
+    var det2 = { 'dfas': [d2], 'reps': det.reps };
+    var accept2 = function (s) { return d2[s].accept; };
+    var leaves_r2 = {};
+    for (i = 0;i < d2.length;i++) {
+        leaves_r2[i] = intersection_witness(det2, [i], accept2, [0], accept2,
+                                            false) !== undefined;
+    }
+
+    return intersection_witness(det, accepting1, accept1, [0],
+                                function (s) { return leaves_r2[s]; }, true);
+}
+
+/**
+ * Tests whether the empty string is in a language.
+ */
+function accepts_empty(r) {
+    return r.prefix_ends('', 0).length > 0;
+}
+
+/**
+ * Tests whether a language contains only the empty string.
+ */
+function only_empty(r) {
+    if (!accepts_empty(r)) { return false; }
+
+    var det = determinize([r]);
+    var accept = function (s) { return det.dfas[0][s].accept; };
+    return intersection_witness(det, [0], accept, [0], accept,
+                                true) === undefined;
+}
+
+/**
+ * Finds an ambiguity in the Kleene star of a language: either the empty
+ * string, if it is in the language, or an ambiguity in the concatenation of
+ * the language with its star (see {@link #concat_ambiguity}).
+ *
+ * @return {String} The ambiguity, or undefined if there is none
+ */
+function star_ambiguity(r) {
+    if (accepts_empty(r)) { return ''; }
+    return concat_ambiguity(r, r.star());
+}
+
+// REGULAR LANGUAGES }}}
+
+/*******************************
+ * {{{ STRING LENSES
+ *******************************/
+
+/*
+   Lenses on strings, in the style of Boomerang.  Each has a ctype and an
+   atype: regular languages (see REGULAR LANGUAGES) describing the concrete
+   strings it accepts in get and the abstract strings it accepts in putback.
+   The combinators check when they are built that the strings they split can
+   only be split one way, so that get and putback are well-defined.
+*/
+
+/**
+ * Quotes a string for an error message, escaping control characters.
+ */
+function quote_string(s) {
+    return '"' + String(s).replace(/[\\"]/g, '\\$&').
+        replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t') +
+        '"';
+}
+
+/**
+ * Makes a regular language for a lens under construction, reporting syntax
+ * errors as lens errors.
+ *
+ * @param {Lens} lens The lens being built
+ * @param r A regular expression, as accepted by {@link #regular}
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Regular} The language
+ */
+function lens_regular(lens, r, args) {
+    try {
+        return regular(r);
+    } catch (e) {
+        if (!(e instanceof LensException)) { throw e; }
+        lens.error(e.msg, args);
+    }
+}
+
+/**
+ * Checks that a value is a string lens, i.e. has ctype and atype.  If
+ * ctype_only is true, the atype isn't needed: the lens' view needn't be a
+ * string.
+ */
+function check_string_lens(lens, l, args, ctype_only) {
+    if (!is_lens(l) || !(l.ctype instanceof Regular) ||
+        !(ctype_only || l.atype instanceof Regular)) {
+        lens.error('expected a string lens, got ' + l, args);
+    }
+}
+
+/**
+ * Gives a string lens its schema transformers (see SCHEMAS): its trees are
+ * strings on both sides.
+ *
+ * @param {Lens} lens The lens being built
+ * @param {Array} args The lens' arguments, for errors
+ */
+function string_schemas(lens, args) {
+    lens.aschema = function (cs) {
+        expect_schema(this, cs, 'string', 'get', args);
+        return sString;
+    };
+    lens.cschema = function (as) {
+        expect_schema(this, as, 'string', 'putback', args);
+        return sString;
+    };
+}
+
+/**
+ * Checks that the concatenation of some languages is unambiguous.
+ *
+ * @param {Lens} lens The lens being built
+ * @param {Array} rs The languages
+ * @param {String} side 'concrete' or 'abstract', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Regular} The concatenation
+ */
+function check_concat(lens, rs, side, args) {
+    var prefix = rs[0];
+    for (var i = 1;i < rs.length;i++) {
+        var overlap = concat_ambiguity(prefix, rs[i]);
+        if (overlap !== undefined) {
+            lens.error(['ambiguous ', side, ' concatenation: ',
+                        quote_string(overlap), ' could belong to /',
+                        prefix.source, '/ or to /', rs[i].source, '/'].join(''),
+                       args);
+        }
+        prefix = prefix.concat(rs[i]);
+    }
+
+    return prefix;
+}
+
+/**
+ * Checks that the iteration of a language is unambiguous.
+ *
+ * @param {Lens} lens The lens being built
+ * @param {Regular} r The language
+ * @param {String} side 'concrete' or 'abstract', for the error message
+ * @param {Array} args The lens' arguments, for the error
+ * @return {Regular} The Kleene star of r
+ */
+function check_star(lens, r, side, args) {
+    var overlap = star_ambiguity(r);
+    if (overlap === '') {
+        lens.error(['ambiguous ', side, ' iteration: /', r.source,
+                    '/ matches the empty string'].join(''), args);
+    } else if (overlap !== undefined) {
+        lens.error(['ambiguous ', side, ' iteration: ', quote_string(overlap),
+                    ' could end one /', r.source, '/ or start the next'].
+                   join(''), args);
+    }
+
+    return r.star();
+}
+
+/**
+ * Checks that a string is in a language, for get or putback.
+ */
+function check_matches(lens, r, s, where, args) {
+    if (!r.matches(s)) {
+        lens.error([where, ': expected a string matching /', r.source,
+                    '/, got ', typeof s == 'string' ? quote_string(s) : s].
+                   join(''), args);
+    }
+}
+
+/**
+ * @class
+ * Copies strings matching a regular expression, in both directions.
+ *
+ * @extends Lens
+ * @param r The regular expression, as a string or RegExp; see
+ *     {@link #parse_regular} for the supported syntax
+ */
+function LStrCopy(r) {
+    this.name = 'str_copy';
+    this.ctype = this.atype = lens_regular(this, r, [r]);
+
+    this.get = function (c) {
+        check_matches(this, this.ctype, c, 'get', [r]);
+        return c;
+    };
+    this.putback = function (a, c) {
+        check_matches(this, this.atype, a, 'putback', [r]);
+        return a;
+    };
+    string_schemas(this, [r]);
+
+    return this;
+}
+$L(LStrCopy, 'str_copy');
+
+/**
+ * @class
+ * Deletes strings matching a regular expression.  On putback, the deleted
+ * string is restored from the concrete string, if there is one; otherwise d is
+ * used.
+ *
+ * @extends Lens
+ * @param r The regular expression to delete
+ * @param {String} d The default, which must match r
+ */
+function LStrDel(r, d) {
+    this.name = 'str_del';
+    this.ctype = lens_regular(this, r, [r, d]);
+    this.atype = regular_literal('');
+
+    if (!this.ctype.matches(d)) {
+        this.error(['default ', quote_string(d), ' doesn\'t match /',
+                    this.ctype.source, '/'].join(''), [r, d]);
+    }
+
+    this.get = function (c) {
+        check_matches(this, this.ctype, c, 'get', [r, d]);
+        return '';
+    };
+    this.putback = function (a, c) {
+        check_matches(this, this.atype, a, 'putback', [r, d]);
+        return this.ctype.matches(c) ? c : d;
+    };
+    string_schemas(this, [r, d]);
+
+    return this;
+}
+$L(LStrDel, 'str_del');
+
+/**
+ * @class
+ * Inserts a fixed string in get, removing it on putback.
+ *
+ * @extends Lens
+ * @param {String} s The string to insert
+ */
+function LStrIns(s) {
+    this.name = 'str_ins';
+    this.ctype = regular_literal('');
+    this.atype = regular_literal(String(s));
+
+    this.get = function (c) {
+        check_matches(this, this.ctype, c, 'get', [s]);
+        return s;
+    };
+    this.putback = function (a, c) {
+        check_matches(this, this.atype, a, 'putback', [s]);
+        return '';
+    };
+    string_schemas(this, [s]);
+
+    return this;
+}
+$L(LStrIns, 'str_ins');
+
+/**
+ * @class
+ * Concatenates string lenses: the concrete string is split into pieces for
+ * each lens, and the abstract strings they produce are concatenated.  Both
+ * concatenations must be unambiguous, or an error is raised.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Lens} l The first string lens
+ * @param {Lens} k The second string lens; more may follow
+ */
+function LStrConcat(l, k /* ... */) {
+    var lenses = clone(arguments, true);
+    var ctypes = [];
+    var atypes = [];
+
+    this.name = 'str_concat';
+    for (var i = 0;i < lenses.length;i++) {
+        check_string_lens(this, lenses[i], lenses);
+        ctypes.push(lenses[i].ctype);
+        atypes.push(lenses[i].atype);
+    }
+    this.ctype = check_concat(this, ctypes, 'concrete', lenses);
+    this.atype = check_concat(this, atypes, 'abstract', lenses);
+
+    this.for_each_sublens = function (f) {
+        for (var i = 0;i < lenses.length;i++) { f(lenses[i]); }
+    };
+
+    this.get = function (c) {
+        var cs = split_regular(ctypes, c);
+        if (cs === undefined) {
+            check_matches(this, this.ctype, c, 'get', lenses);
+        }
+
+        var as = [];
+        for (var i = 0;i < lenses.length;i++) {
+            as.push(lenses[i].get(cs[i]));
+        }
+
+        return as.join('');
+    };
+    this.putback = function (a, c) {
+        var as = split_regular(atypes, a);
+        if (as === undefined) {
+            check_matches(this, this.atype, a, 'putback', lenses);
+        }
+        var cs = split_regular(ctypes, c) || [];
+
+        var pieces = [];
+        for (var i = 0;i < lenses.length;i++) {
+            pieces.push(lenses[i].putback(as[i], cs[i]));
+        }
+
+        return pieces.join('');
+    };
+    string_schemas(this, lenses);
+
+    return this;
+}
+$L(LStrConcat, 'str_concat');
+
+/**
+ * @class
+ * A choice between two string lenses, made by which one's ctype the concrete
+ * string matches; the ctypes must be disjoint.  On putback, if the abstract
+ * and concrete strings both belong to one lens, it is used; otherwise, the
+ * first lens whose atype matches is used without a concrete string.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Lens} l The first string lens
+ * @param {Lens} k The second string lens
+ */
+function LStrUnion(l, k) {
+    this.name = 'str_union';
+    check_string_lens(this, l, [l, k]);
+    check_string_lens(this, k, [l, k]);
+
+    var overlap = regular_overlap(l.ctype, k.ctype);
+    if (overlap !== undefined) {
+        this.error(['concrete types overlap: ', quote_string(overlap),
+                    ' matches both /', l.ctype.source, '/ and /',
+                    k.ctype.source, '/'].join(''), [l, k]);
+    }
+    this.ctype = l.ctype.union(k.ctype);
+    this.atype = l.atype.union(k.atype);
+
+    this.for_each_sublens = function (f) {
+        f(l);
+        f(k);
+    };
+
+    this.get = function (c) {
+        if (l.ctype.matches(c)) { return l.get(c); }
+        if (k.ctype.matches(c)) { return k.get(c); }
+
+        check_matches(this, this.ctype, c, 'get', [l, k]);
+    };
+    this.putback = function (a, c) {
+        if (l.ctype.matches(c) && l.atype.matches(a)) { return l.putback(a, c); }
+        if (k.ctype.matches(c) && k.atype.matches(a)) { return k.putback(a, c); }
+        if (l.atype.matches(a)) { return l.putback(a, undefined); }
+        if (k.atype.matches(a)) { return k.putback(a, undefined); }
+
+        check_matches(this, this.atype, a, 'putback', [l, k]);
+    };
+    string_schemas(this, [l, k]);
+
+    return this;
+}
+$L(LStrUnion, 'str_union');
+
+/**
+ * @class
+ * Iterates a string lens: the concrete string is split into pieces that each
+ * match l's ctype, and l is applied to each.  On putback, pieces are matched
+ * up by position; extra abstract pieces are put back without a concrete
+ * string.  Both iterations must be unambiguous.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Lens} l The string lens to iterate
+ */
+function LStrStar(l) {
+    this.name = 'str_star';
+    check_string_lens(this, l, [l]);
+    this.ctype = check_star(this, l.ctype, 'concrete', [l]);
+    this.atype = check_star(this, l.atype, 'abstract', [l]);
+
+    this.for_each_sublens = function (f) { f(l); };
+
+    this.get = function (c) {
+        var cs = split_regular_star(l.ctype, c);
+        if (cs === undefined) {
+            check_matches(this, this.ctype, c, 'get', [l]);
+        }
+
+        var as = [];
+        for (var i = 0;i < cs.length;i++) { as.push(l.get(cs[i])); }
+
+        return as.join('');
+    };
+    this.putback = function (a, c) {
+        var as = split_regular_star(l.atype, a);
+        if (as === undefined) {
+            check_matches(this, this.atype, a, 'putback', [l]);
+        }
+        var cs = split_regular_star(l.ctype, c) || [];
+
+        var pieces = [];
+        for (var i = 0;i < as.length;i++) {
+            pieces.push(l.putback(as[i], cs[i]));
+        }
+
+        return pieces.join('');
+    };
+    string_schemas(this, [l]);
+
+    return this;
+}
+$L(LStrStar, 'str_star');
+
+/**
+ * @class
+ * <p>Parses a string into a record.  The arguments are string lenses, each
+ * optionally preceded by a field name; the concrete string is split among
+ * them as in {@link LStrConcat}, and each named lens' view is stored under its
+ * name.  Unnamed lenses must have an atype of just the empty string, e.g.
+ * {@link LStrDel}.  For example, <tt>str_record('h', str_copy(/\d\d/),
+ * str_del(':', ':'), 'm', str_copy(/\d\d/))</tt> maps "12:30" to
+ * <tt>{ h: '12', m: '30' }</tt>.</p>
+ * <p>Since the view is not a string, a record can't be used inside the other
+ * string combinators; use {@link LStrList} to parse a list of records.</p>
+ *
+ * @extends Lens
+ * @param {String} name An optional field name, then a string lens; more
+ *     may follow
+ */
+function LStrRecord(/* [name,] l, ... */) {
+    var args = clone(arguments, true);
+    var fields = [];
+    var ctypes = [];
+
+    this.name = 'str_record';
+
+    for (var i = 0;i < args.length;i++) {
+        var name = undefined;
+        if (typeof args[i] == 'string') {
+            name = args[i++];
+            for (var j = 0;j < fields.length;j++) {
+                if (fields[j].name === name) {
+                    this.error('duplicate field ' + name, args);
+                }
+            }
+        }
+
+        var l = args[i];
+        check_string_lens(this, l, args, name !== undefined);
+        if (name === undefined && !only_empty(l.atype)) {
+            this.error(['unnamed lens ', l.name, ' must have an empty view, ',
+                        'but has /', l.atype.source, '/'].join(''), args);
+        }
+
+        fields.push({ 'name': name, 'lens': l });
+        ctypes.push(l.ctype);
+    }
+
+    this.ctype = check_concat(this, ctypes, 'concrete', args);
+
+    this.for_each_sublens = function (f) {
+        for (var i = 0;i < fields.length;i++) { f(fields[i].lens); }
+    };
+
+    this.get = function (c) {
+        var cs = split_regular(ctypes, c);
+        if (cs === undefined) {
+            check_matches(this, this.ctype, c, 'get', args);
+        }
+
+        var o = {};
+        for (var i = 0;i < fields.length;i++) {
+            var v = fields[i].lens.get(cs[i]);
+            if (fields[i].name !== undefined) { o[fields[i].name] = v; }
+        }
+
+        return o;
+    };
+    this.putback = function (a, c) {
+        if (typeof a != 'object' || a === null) {
+            this.error('putback: expected object, got ' + a, args);
+        }
+        var cs = split_regular(ctypes, c) || [];
+
+        var pieces = [];
+        for (var i = 0;i < fields.length;i++) {
+            var name = fields[i].name;
+            if (name !== undefined && !(name in a)) {
+                this.error('putback: field ' + name + ' not found', args);
+            }
+
+            pieces.push(fields[i].lens.putback(name === undefined ? '' :
+                                                                    a[name],
+                                               cs[i]));
+        }
+
+        return pieces.join('');
+    };
+    this.aschema = function (cs) {
+        expect_schema(this, cs, 'string', 'get', args);
+        
+        var props = {};
+        for (var i = 0;i < fields.length;i++) {
+            if (fields[i].name !== undefined) {
+                props[fields[i].name] = 
+                    lens_schema(fields[i].lens, 'aschema', sString);
+            }
+        }
+        return sObject(props);
+    };
+    this.cschema = function (as) {
+        for (var i = 0;i < fields.length;i++) {
+            if (fields[i].name !== undefined) {
+                lens_schema(fields[i].lens, 'cschema', 
+                            schema_prop(this, as, fields[i].name, 
+                                        'putback', args));
+            }
+        }
+        return sString;
+    };
+
+    return this;
+}
+$L(LStrRecord, 'str_record');
+
+/**
+ * @class
+ * Parses a string into a list: the concrete string is split, as in
+ * {@link LStrStar}, into pieces matching l's ctype, and the view is the list
+ * of l's views of them.  This is mostly useful with {@link LStrRecord}, e.g.
+ * for the lines of a configuration file.  On putback, list items are matched
+ * with concrete pieces by position.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Lens} l The lens for each item; it needs only a ctype, so it may
+ *     be an {@link LStrRecord}
+ */
+function LStrList(l) {
+    this.name = 'str_list';
+    check_string_lens(this, l, [l], true);
+    this.ctype = check_star(this, l.ctype, 'concrete', [l]);
+
+    this.for_each_sublens = function (f) { f(l); };
+
+    this.get = function (c) {
+        var cs = split_regular_star(l.ctype, c);
+        if (cs === undefined) {
+            check_matches(this, this.ctype, c, 'get', [l]);
+        }
+
+        var arr = [];
+        for (var i = 0;i < cs.length;i++) { arr.push(l.get(cs[i])); }
+
+        return arr;
+    };
+    this.putback = function (a, c) {
+        if (!(a instanceof Array)) {
+            this.error('putback: expected array, got ' + a, [l]);
+        }
+        var cs = split_regular_star(l.ctype, c) || [];
+
+        var pieces = [];
+        for (var i = 0;i < a.length;i++) {
+            pieces.push(l.putback(a[i], cs[i]));
+        }
+
+        return pieces.join('');
+    };
+    this.aschema = function (cs) {
+        expect_schema(this, cs, 'string', 'get', [l]);
+        return sArray(lens_schema(l, 'aschema', sString));
+    };
+    this.cschema = function (as) {
+        var items = schema_items(expect_schema(this, as, 'list', 'putback', 
+                                               [l]));
+        lens_schema(l, 'cschema', items);
+        return sString;
+    };
+
+    return this;
+}
+$L(LStrList, 'str_list');
+
+// STRING LENSES }}}
+
+/*******************************
+ * {{{ QUOTIENT LENSES
+ *******************************/
+
+/*
+   Quotient lenses (after Foster et al., "Quotient Lenses") obey the lens laws
+   only up to an equivalence: an edit that doesn't change a value's canonical
+   form doesn't count as a change.  Equivalences are given by canonizers, and
+   every lens has cequiv and aequiv methods reporting the equivalences it
+   obeys, which combinators build from their sublenses'; Binding compares
+   models with cequiv.
+*/
+
+/**
+ * @class
+ * <p>A canonizer, which maps values to canonical representatives.  Two values
+ * are equivalent if they canonize to equal values.  On the way back, choose
+ * picks some value with a given canonical form; canonize(choose(b)) should
+ * equal b.</p>
+ * <p>Wherever a canonizer is asked for, a function may be given; it is taken
+ * as canonize, with the identity as choose.</p>
+ *
+ * @constructor
+ * @param {Function} canonize Maps values to their canonical forms
+ * @param {Function} choose Maps canonical forms back to values; defaults to
+ *     the identity
+ */
+function Canonizer(canonize, choose) {
+    if (canonize instanceof Canonizer) { return canonize; }
+
+    this.canonize = canonize;
+    this.choose = choose || function (b) { return b; };
+    this.equiv = function (x, y) { return equal(canonize(x), canonize(y)); };
+
+    return this;
+}
+
+/**
+ * Makes a canonizer that canonizes the primitive leaves of objects and arrays
+ * (and primitives themselves) with f.  DOM nodes are left alone.
+ *
+ * @param {Function} f Canonizes a single primitive
+ * @return {Canonizer} The canonizer
+ */
+function leaf_canonizer(f) {
+    var canonize = function (v) {
+        if (dom_obj(v)) { return v; }
+
+        if (v instanceof Array) {
+            var arr = [];
+            for (var i = 0;i < v.length;i++) { arr.push(canonize(v[i])); }
+            return arr;
+        }
+
+        if (typeof v == 'object' && v !== null) {
+            var o = {};
+            for (var prop in v) { o[prop] = canonize(v[prop]); }
+            return o;
+        }
+
+        return f(v);
+    };
+
+    return new Canonizer(canonize);
+}
+
+/**
+ * Canonizes strings by trimming leading and trailing whitespace.
+ */
+var canon_trim = name_value('canon_trim', leaf_canonizer(function (v) {
+    return typeof v == 'string' ? v.replace(/^\s+|\s+$/g, '') : v;
+}));
+
+/**
+ * Canonizes strings by folding them to lower case.
+ */
+var canon_case = name_value('canon_case', leaf_canonizer(function (v) {
+    return typeof v == 'string' ? v.toLowerCase() : v;
+}));
+
+/**
+ * Canonizes decimal number strings (e.g. "05", " 5", and "5.0") into
+ * numbers.  Other strings that Number would accept, like "0x10", "Infinity",
+ * or " ", are left alone.
+ */
+var canon_number = name_value('canon_number', leaf_canonizer(function (v) {
+    if (typeof v == 'string' && 
+        /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(v)) {
+        return Number(v);
+    }
+    return v;
+}));
+
+/**
+ * @class
+ * Quotients a lens on the concrete side: concrete trees are canonized before
+ * they reach l, and l's output is mapped back with the canonizer's choose.
+ * The lens laws hold up to q's equivalence on C.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Canonizer} q The canonizer for concrete trees
+ * @param {Lens} l The lens over canonical concrete trees
+ */
+function LLquot(q, l) {
+    q = new Canonizer(q);
+
+    this.clone = function () {
+        if (!l.stateful()) { return this; }
+
+        var copy = new LLquot(q, l.clone());
+        copy.copy_bindings(this);
+        return copy;
+    };
+    this.for_each_sublens = function (f) { f(l); };
+
+    this.name = 'lquot';
+    this.cequiv = function (c1, c2) {
+        return l.cequiv(q.canonize(c1), q.canonize(c2));
+    };
+    this.aequiv = l.aequiv;
+
+    this.get = function (c) {
+        return l.get(q.canonize(c));
+    };
+    this.putback = function (a, c) {
+        return q.choose(l.putback(a, c === undefined ? undefined :
+                                                       q.canonize(c)));
+    };
+    // canonizing may change the trees' shape, so nothing is known of what l
+    // is given
+    this.aschema = function (cs) { return lens_schema(l, 'aschema', sAny); };
+
+    return this;
+}
+$L(LLquot, 'lquot');
+
+/**
+ * @class
+ * Quotients a lens on the abstract side: abstract trees are canonized before
+ * they are put back through l, and l's output is mapped with the canonizer's
+ * choose.  The lens laws hold up to q's equivalence on A.
+ *
+ * @combinator
+ * @extends Lens
+ * @param {Lens} l The lens producing canonical abstract trees
+ * @param {Canonizer} q The canonizer for abstract trees
+ */
+function LRquot(l, q) {
+    q = new Canonizer(q);
+
+    this.clone = function () {
+        if (!l.stateful()) { return this; }
+
+        var copy = new LRquot(l.clone(), q);
+        copy.copy_bindings(this);
+        return copy;
+    };
+    this.for_each_sublens = function (f) { f(l); };
+
+    this.name = 'rquot';
+    this.cequiv = l.cequiv;
+    this.aequiv = function (a1, a2) {
+        return l.aequiv(q.canonize(a1), q.canonize(a2));
+    };
+
+    this.get = function (c) {
+        return q.choose(l.get(c));
+    };
+    this.putback = function (a, c) {
+        return l.putback(q.canonize(a), c);
+    };
+    // as in LLquot, choose may change the trees' shape
+    this.cschema = function (as) { return lens_schema(l, 'cschema', sAny); };
+
+    return this;
+}
+$L(LRquot, 'rquot');
+
+// QUOTIENT LENSES }}}
+
+/*******************************
+ * {{{ SYMMETRIC LENSES
+ *******************************/
+
+/*
+   Symmetric lenses (after Hofmann, Pierce, and Wagner, "Symmetric Lenses")
+   relate two models, X and Y, neither of which need determine the other.
+   Instead of the old concrete tree, each direction takes a complement, which
+   holds whatever one side has that the other lacks; putr and putl both return
+   the other side along with a new complement.
+
+   Symmetric lenses aren't Lenses -- they have no get or putback -- so they
+   aren't registered with $L.
+*/
+
+/**
+ * @class
+ * <p>A symmetric lens between X and Y.  The directions are:</p>
+ * <pre>
+ *     putr :: X x Complement -> Y x Complement
+ *     putl :: Y x Complement -> X x Complement
+ * </pre>
+ * <p>Both return an object { value: ..., complement: ... }.  The laws are
+ * that putl undoes putr and vice versa: if putr(x, k) returns y and k', then
+ * putl(y, k') returns x and k' again (and symmetrically).</p>
+ *
+ * @constructor
+ * @param {String} name The name of the lens, for errors
+ * @param {Function} putr Takes x and a complement to y and a complement
+ * @param {Function} putl Takes y and a complement to x and a complement
+ * @param missing The complement to use when there is no history
+ */
+function SymLens(name, putr, putl, missing) {
+    this.name = name;
+    this.putr = putr;
+    this.putl = putl;
+    this.missing = missing;
+
+    return this;
+}
+
+/**
+ * Checks that a value is a symmetric lens.
+ */
+function check_sym(source, s, args) {
+    if (!(s instanceof SymLens)) {
+        error(source, 'expected a symmetric lens, got ' + s, args);
+    }
+}
+
+/**
+ * The result of putr or putl.
+ */
+function sym_result(v, complement) {
+    return { 'value': v, 'complement': complement };
+}
+
+/**
+ * The symmetric identity lens, whose complement is trivial.
+ *
+ * @return {SymLens} The identity on any type
+ */
+function sym_id() {
+    var id = function (v, k) { return sym_result(v, k); };
+    return new SymLens('sym_id', id, id, undefined);
+}
+
+/**
+ * Converts an asymmetric lens from C to A into a symmetric one from X = C to
+ * Y = A.  The complement is the last concrete tree, which putl passes to
+ * putback; at first it is undefined, so putback must be able to create
+ * concrete trees from scratch.
+ *
+ * @param {Lens} l The asymmetric lens
+ * @return {SymLens} The symmetric lens
+ */
+function sym_of_lens(l) {
+    if (!is_lens(l)) {
+        error('sym_of_lens', 'expected a lens, got ' + l, [l]);
+    }
+
+    return new SymLens('sym_of_lens(' + l.name + ')',
+                       function (c, k) { return sym_result(l.get(c), c); },
+                       function (a, k) {
+                           var c = l.putback(a, k);
+                           return sym_result(c, c);
+                       },
+                       undefined);
+}
+
+/**
+ * Flips a symmetric lens from X to Y into one from Y to X.
+ *
+ * @param {SymLens} s The lens to flip
+ * @return {SymLens} The flipped lens
+ */
+function sym_invert(s) {
+    check_sym('sym_invert', s, [s]);
+
+    return new SymLens('sym_invert(' + s.name + ')', s.putl, s.putr,
+                       s.missing);
+}
+
+/**
+ * Composes symmetric lenses: the first goes from X to Y, the second from Y to
+ * Z, and so on.  The complement is the list of the lenses' complements.
+ *
+ * @param {SymLens} s The first lens
+ * @param {SymLens} t The second lens; more may follow
+ * @return {SymLens} The composition
+ */
+function sym_compose(s, t /* ... */) {
+    var lenses = clone(arguments, true);
+    var missing = [];
+    var names = [];
+    for (var i = 0;i < lenses.length;i++) {
+        check_sym('sym_compose', lenses[i], lenses);
+        missing.push(lenses[i].missing);
+        names.push(lenses[i].name);
+    }
+
+    // run each lens in turn (in reverse for putl), threading the value
+    var run = function (dir, from, step) {
+        return function (v, k) {
+            k = k || missing;
+
+            var new_k = clone(k, true);
+            for (var i = from;i >= 0 && i < lenses.length;i += step) {
+                var r = lenses[i][dir](v, k[i]);
+                v = r.value;
+                new_k[i] = r.complement;
+            }
+
+            return sym_result(v, new_k);
+        };
+    };
+
+    return new SymLens('sym_compose(' + names.join(', ') + ')',
+                       run('putr', 0, 1), run('putl', lenses.length - 1, -1),
+                       missing);
+}
+
+/**
+ * Puts two symmetric lenses side by side: the tensor of s from X1 to Y1 and t
+ * from X2 to Y2 goes from pairs [x1, x2] to pairs [y1, y2].  The complement
+ * is the pair of complements.
+ *
+ * @param {SymLens} s The lens for the first components
+ * @param {SymLens} t The lens for the second components
+ * @return {SymLens} The tensor
+ */
+function sym_tensor(s, t) {
+    check_sym('sym_tensor', s, [s, t]);
+    check_sym('sym_tensor', t, [s, t]);
+
+    var name = 'sym_tensor(' + s.name + ', ' + t.name + ')';
+    var run = function (dir) {
+        return function (v, k) {
+            if (!(v instanceof Array) || v.length != 2) {
+                error(name, dir + ': expected a pair, got ' + v, [v, k]);
+            }
+            k = k || [s.missing, t.missing];
+
+            var r1 = s[dir](v[0], k[0]);
+            var r2 = t[dir](v[1], k[1]);
+            return sym_result([r1.value, r2.value],
+                              [r1.complement, r2.complement]);
+        };
+    };
+
+    return new SymLens(name, run('putr'), run('putl'),
+                       [s.missing, t.missing]);
+}
+
+/**
+ * A symmetric lens between two concrete models that share a view: l1 goes
+ * from X to the view, and l2 from Y to it.  Each model keeps whatever the view
+ * leaves out.  This is just the composition of sym_of_lens(l1) with the
+ * inversion of sym_of_lens(l2).
+ *
+ * @param {Lens} l1 The lens from X to the shared view
+ * @param {Lens} l2 The lens from Y to the shared view
+ * @return {SymLens} The symmetric lens from X to Y
+ */
+function sym_span(l1, l2) {
+    return sym_compose(sym_of_lens(l1), sym_invert(sym_of_lens(l2)));
+}
+
+/**
+ * Synchronizes two Flapjax models through a symmetric lens.  Y is first
+ * computed from X's current value; afterwards, changes to either are pushed
+ * to the other with putr or putl.  As in {@link #bind_lens_to}, pulses are
+ * stamped so that an update doesn't echo back to its source.
+ *
+ * @param {SymLens} s The symmetric lens from X to Y
+ * @param {Behaviour} model_x The X model
+ * @param {Behaviour} model_y The Y model
+ * @return {Function} A thunk returning the current complement
+ */
+function sync_b(s, model_x, model_y) {
+    check_sym('sync_b', s, [s, model_x, model_y]);
+
+    var complement = s.missing;
+    var stamp = undefined;
+    var push = function (model, r) {
+        complement = r.complement;
+        model.sendPulse(r.value, function (p) { stamp = p.stamp; });
+    };
+
+    push(model_y, s.putr(model_x.valueNow(), complement));
+
+    fx.event_e([model_x.changes()],
+               function (send, pulse) {
+                   if (pulse.stamp !== stamp) {
+                       push(model_y, s.putr(pulse.value, complement));
+                   }
+               });
+    fx.event_e([model_y.changes()],
+               function (send, pulse) {
+                   if (pulse.stamp !== stamp) {
+                       push(model_x, s.putl(pulse.value, complement));
+                   }
+               });
+
+    return function () { return complement; };
+}
+SymLens.prototype.sync_b = function (model_x, model_y) {
+    return sync_b(this, model_x, model_y);
+};
+
+// SYMMETRIC LENSES }}}
+
+/*******************************
+ * {{{ COMPOSITE LENSES
+ *******************************/
+
+/**
+ * @class
+ * <p>A simple lens for laying properties out in the DOM while also inserting
+ * constant, structural data.</p>
+ * <p>Composes {@link LWmap}, chains of {@link LAdd}, and {@link LOrder}.
+ * It takes arguments <tt>prop1, act1, prop2, act2, ..., [default_to_id]</tt>,
+ * where <tt>propi</tt> is a valid JavaScript property name and <tt>acti</tt> is
+ * either a lens or a DOM-displayable value.</p>
+ * <p>The call to {@link LOrder} comes from the order of the properties; the
+ * last lens in the composition is <tt>new LOrder(prop1, prop2, ...)</tt>.</p>
+ * <p>The call to {@link LWmap} comes from the properties and lens actions; it
+ * is the first call of the composition, <tt>new LWmap(propl1, actl1, ..., 
+ * default_to_id)</tt>, where <tt>propl/actli</tt> are the properties and 
+ * actions where the action is a lens, and default_to_id is the final argument
+ * (which defaults to false).</p>
+ * <p>The calls to {@link LAdd} come from the remaining properties; each
+ * property/action pair is called <tt>new LAdd(propni, actni)</tt> and 
+ * {@link LSeq}ed together.</p>
+ * <p>TODO it should be possible to give 'false' or 'undefined' as the property
+ * for non-lens actions, but that means generating non-clashing names.</p>
+ *
+ * @combinator
+ * @extends Lens
+ */
+function LLayout(/* props1, act1, props2, act2, ..., default_to_id */) {
+    // by default, default_to_id is false; here we check for it
+    var has_default_arg = arguments.length % 2 === 1; 
+    var default_to_id = has_default_arg && arguments[arguments.length - 1];
+    // we precalculate the length of arguments, ignoring default_to_id if it was
+    // provided
+    var args_len = arguments.length - (has_default_arg ? 1 : 0);
+    
+    // stores the order given -- passes on to LOrder
+    var order = [];
+    // stores the lenses given -- passes on to LWmap
+    var lenses = [];
+    // stores the non-lenses given -- passes on to LAdd
+    var adds = undefined;
+    
+    for (var i = 0;i < args_len;) {
+        // propi, acti
+        var prop = arguments[i++];
+        var action = arguments[i++];
+        
+        // record the order property's position
+        order.push(prop);
+        
+        if (is_lens(action)) {
+            // we have a lens, so it's an argument for wmap
+            // we'll call LWmap.apply(..., lenses), so we want it to be lined up
+            // in the LWmap calling order: propi, lensi
+            lenses.push(prop);
+            lenses.push(make_sublens(LStackMarker, action, 'order', 
+                                     'running for ' + prop));
+        } else {
+            // we have a non-lens, so we'll add the constant to the tree
+            var add = make_sublens(LAdd, prop, action);
+            
+            if (adds === undefined) {
+                // if we haven't seen any adds, remember this as our one add
+                adds = add;
+            } else {
+                // otherwise, tack it on as the next one
+                adds = make_sublens(LSeq, adds, add);
+            }
+        }
+    }
+    
+    // wmap take default_to_id as a parameter
+    lenses.push(default_to_id);
+    var wmp = lenses.length === 0 ? make_sublens(LId) : 
+                                    make_sublens.apply({}, 
+                                                       [LWmap].concat(lenses));
+    var ord = make_sublens.apply({}, [LOrder].concat(order));
+    
+    if (adds) {
+        // run wmap, then add the constants, and then order into a list
+        LStackMarker.call(this, make_sublens(LSeq, wmp, adds, ord), 'layout');
+    } else {
+        // no adds, so just call wmap and order
+        LStackMarker.call(this, make_sublens(LSeq, wmp, ord), 'layout', 
+                          'no adds');
+    }
+    
+    this.name = 'layout';
+    return this;
+}
+$L(LLayout, 'layout');
+
+// COMPOSITE LENSES }}}
+
+/*******************************
+ * {{{ RENDERING BACKENDS
+ *******************************/
+
+/*
+   The tag lenses don't make or read their nodes with the DOM directly, but
+   through a rendering backend: an object with a name and the operations of
+   a node interface (see make_backend).  New nodes are made by the current
+   backend, dom_backend; nodes given to putback are read by the backend they
+   came from (see node_backend).
+
+   browser_backend, the default, makes live DOM nodes.  html_backend makes
+   HtmlNodes, which need no browser, so a view can be rendered on the server
+   (see render_html) and later adopted by a Binding (see hydrate_lens).
+   tree_backend makes plain data, so views can be checked with equal.
+*/
+
+/**
+ * @class
+ * <p>A lightweight stand-in for a DOM node, made by {@link #html_backend}.  It
+ * supports what the tag lenses use: attributes, children, text, cloning, and
+ * the form properties in {@link #dom_props}, which follow the attributes of
+ * the same name until they're set.  Event handlers may be set as properties,
+ * but there's no event dispatch.  {@link #to_html} turns it into markup.</p>
+ *
+ * @constructor
+ * @param {int} type The node type: 1 for an element, or 3 for text
+ * @param {String} name The element name, or the text of a text node
+ */
+function HtmlNode(type, name) {
+    this.nodeType = type;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.firstChild = null;
+    this.lastChild = null;
+    
+    if (type == 3) {
+        this.nodeName = '#text';
+        this.nodeValue = String(name);
+    } else {
+        this.nodeName = this.tagName = String(name).toUpperCase();
+        this.nodeValue = null;
+        this.attributes = [];
+    }
+    
+    return this;
+}
+
+/**
+ * Finds the index of an attribute, or -1 if it isn't set.
+ */
+HtmlNode.prototype.attribute_index = function (name) {
+    for (var i = 0;i < this.attributes.length;i++) {
+        if (this.attributes[i].nodeName == name) { return i; }
+    }
+    
+    return -1;
+};
+
+HtmlNode.prototype.hasAttribute = function (name) {
+    return this.attribute_index(name) != -1;
+};
+
+HtmlNode.prototype.getAttribute = function (name) {
+    var i = this.attribute_index(name);
+    return i == -1 ? null : this.attributes[i].nodeValue;
+};
+
+HtmlNode.prototype.setAttribute = function (name, v) {
+    v = String(v);
+    
+    var i = this.attribute_index(name);
+    if (i == -1) { this.attributes.push({ 'nodeName': name, 'nodeValue': v }); }
+    else { this.attributes[i].nodeValue = v; }
+    
+    // as in the DOM, the attribute gives the property its initial value
+    if (name == 'value') { this.value = v; }
+    else if (name == 'checked' || name == 'selected') { this[name] = true; }
+};
+
+HtmlNode.prototype.removeAttribute = function (name) {
+    var i = this.attribute_index(name);
+    if (i != -1) { this.attributes.splice(i, 1); }
+};
+
+/**
+ * Updates firstChild and lastChild after the children change.
+ */
+HtmlNode.prototype.relink = function () {
+    var kids = this.childNodes;
+    this.firstChild = kids.length > 0 ? kids[0] : null;
+    this.lastChild = kids.length > 0 ? kids[kids.length - 1] : null;
+};
+
+HtmlNode.prototype.appendChild = function (kid) {
+    if (kid.parentNode) { kid.parentNode.removeChild(kid); }
+    
+    kid.parentNode = this;
+    this.childNodes.push(kid);
+    this.relink();
+    
+    return kid;
+};
+
+HtmlNode.prototype.removeChild = function (kid) {
+    for (var i = 0;i < this.childNodes.length;i++) {
+        if (this.childNodes[i] === kid) {
+            this.childNodes.splice(i, 1);
+            kid.parentNode = null;
+            this.relink();
+            
+            return kid;
+        }
+    }
+    
+    return error('HtmlNode', 'removeChild: not a child', [this, kid]);
+};
+
+HtmlNode.prototype.replaceChild = function (kid, old_kid) {
+    for (var i = 0;i < this.childNodes.length;i++) {
+        if (this.childNodes[i] === old_kid) {
+            if (kid.parentNode) { kid.parentNode.removeChild(kid); }
+            
+            this.childNodes[i] = kid;
+            kid.parentNode = this;
+            old_kid.parentNode = null;
+            this.relink();
+            
+            return old_kid;
+        }
+    }
+    
+    return error('HtmlNode', 'replaceChild: not a child', [this, old_kid]);
+};
+
+/**
+ * Copies the node; like the DOM's cloneNode, it copies neither event handlers
+ * nor form properties (see {@link #fix_dom_clone}).
+ */
+HtmlNode.prototype.cloneNode = function (deep) {
+    if (this.nodeType == 3) { return new HtmlNode(3, this.nodeValue); }
+    
+    var copy = new HtmlNode(1, this.nodeName);
+    for (var i = 0;i < this.attributes.length;i++) {
+        copy.setAttribute(this.attributes[i].nodeName,
+                          this.attributes[i].nodeValue);
+    }
+    for (i = 0;deep && i < this.childNodes.length;i++) {
+        copy.appendChild(this.childNodes[i].cloneNode(true));
+    }
+    
+    return copy;
+};
+
+HtmlNode.prototype.toString = function () {
+    return to_html(this);
+};
+
+/**
+ * The operations a rendering backend must have, besides its name.  See
+ * {@link #make_backend}.
+ */
+var backend_ops = ['make_element', 'make_text', 'is_node', 'is_text', 'text',
+                   'tag', 'attributes', 'has_attribute', 'get_attribute',
+                   'set_attribute', 'children', 'text_child', 'append_child',
+                   'get_prop', 'set_prop', 'add_handler'];
+
+/**
+ * The registered rendering backends, in the order they were made; see
+ * {@link #node_backend}.
+ */
+var __backends = [];
+
+/**
+ * The node interface of nodes that follow the DOM API -- live DOM nodes and
+ * {@link HtmlNode}s.  It is the default base for {@link #make_backend}.
+ */
+var dom_api = {
+    'is_node': dom_obj,
+    'is_text': function (node) { return node.nodeType == 3; },
+    'text': function (node) { return node.nodeValue; },
+    'tag': function (node) { return node.nodeName.toLowerCase(); },
+    'attributes': function (node) {
+        var names = [];
+        for (var i = 0;i < node.attributes.length;i++) {
+            names.push(node.attributes[i].nodeName);
+        }
+        
+        return names;
+    },
+    'has_attribute': function (node, name) { return node.hasAttribute(name); },
+    'get_attribute': function (node, name) { return node.getAttribute(name); },
+    'set_attribute': function (node, name, v) { node.setAttribute(name, v); },
+    'children': function (node) { return clone(node.childNodes, true); },
+    'text_child': function (node, i) {
+        var kid = node.childNodes[i];
+        return kid && kid.nodeType == 3 ? kid.nodeValue : null;
+    },
+    'append_child': function (node, kid) { node.appendChild(kid); },
+    'get_prop': function (node, prop) { return node[prop]; },
+    'set_prop': function (node, prop, v) { node[prop] = v; },
+    'add_handler': function (node, event, handler) {
+        add_event_handler(node, event, handler);
+    }
+};
+
+/**
+ * <p>Makes and registers a rendering backend.  Its operations are:</p>
+ * <table>
+ * <tr><td>make_element(name)</td><td>Makes an element</td></tr>
+ * <tr><td>make_text(str)</td><td>Makes a text node</td></tr>
+ * <tr><td>is_node(o)</td><td>Whether o is one of the backend's nodes</td></tr>
+ * <tr><td>is_text(node)</td><td>Whether node is a text node</td></tr>
+ * <tr><td>text(node)</td><td>A text node's text</td></tr>
+ * <tr><td>tag(node)</td><td>An element's name, in lower case</td></tr>
+ * <tr><td>attributes(node)</td><td>An element's attribute names</td></tr>
+ * <tr><td>has_attribute(node, name), get_attribute(node, name),
+ *     set_attribute(node, name, v)</td><td>As in the DOM; get_attribute
+ *     returns null for missing attributes</td></tr>
+ * <tr><td>children(node)</td><td>A list of an element's children</td></tr>
+ * <tr><td>text_child(node, i)</td><td>The text of an element's ith child, or
+ *     null if it isn't a text node -- unlike is_text, this tells text apart
+ *     from the strings read from attributes and values</td></tr>
+ * <tr><td>append_child(node, kid)</td><td>Adds a child</td></tr>
+ * <tr><td>get_prop(node, prop), set_prop(node, prop, v)</td><td>Read and
+ *     write the form properties in {@link #dom_props}, and validity</td></tr>
+ * <tr><td>add_handler(node, event, handler)</td><td>Adds an event handler, as
+ *     {@link #add_event_handler} does</td></tr>
+ * </table>
+ * <p>Operations missing from ops are taken from base, which defaults to
+ * {@link #dom_api}.  If one is missing from both, an error is signalled.</p>
+ *
+ * @param {Object} ops The backend's name and operations
+ * @param {Object} base The backend to take missing operations from
+ * @return {Object} The backend
+ */
+function make_backend(ops, base) {
+    var backend = clone(base || dom_api);
+    for (var op in ops) { backend[op] = ops[op]; }
+    
+    check_backend('make_backend', backend);
+    __backends.push(backend);
+    
+    return backend;
+}
+
+/**
+ * Signals an error unless backend is a rendering backend.
+ */
+function check_backend(source, backend) {
+    if (typeof backend != 'object' || backend === null) {
+        error(source, 'expected a rendering backend, got ' + backend,
+              [backend]);
+    }
+    
+    for (var i = 0;i < backend_ops.length;i++) {
+        if (typeof backend[backend_ops[i]] != 'function') {
+            error(source, 'expected a rendering backend, but ' + 
+                          backend.name + ' has no ' + backend_ops[i], 
+                  [backend]);
+        }
+    }
+}
+
+/**
+ * The default rendering backend, which makes live DOM nodes.
+ */
+var browser_backend = make_backend({
+    'name': 'browser',
+    'make_element': function (name) { return document.createElement(name); },
+    'make_text': function (text) { return document.createTextNode(text); },
+    'is_node': function (o) { return dom_obj(o) && !(o instanceof HtmlNode); }
+});
+
+/**
+ * A rendering backend which makes {@link HtmlNode}s; it works without a
+ * browser.
+ */
+var html_backend = make_backend({
+    'name': 'html',
+    'make_element': function (name) { return new HtmlNode(1, name); },
+    'make_text': function (text) { return new HtmlNode(3, text); },
+    'is_node': function (o) { return o instanceof HtmlNode; }
+});
+
+/**
+ * Determines whether o is an element of {@link #tree_backend}.
+ */
+function tree_element(o) {
+    return typeof o == 'object' && o !== null && typeof o.tag == 'string' &&
+           typeof o.attribs == 'object' && o.children instanceof Array;
+}
+
+/**
+ * <p>A rendering backend whose nodes are plain data: an element is an object
+ * { tag: ..., attribs: ..., children: ... }, and a text node is a string, as
+ * in editor.html's toJSON.  Since views are plain data, they can be compared
+ * with {@link #equal}, cloned, and serialized like any other value.</p>
+ * <p>The form properties are kept as attributes: value is the value
+ * attribute (or a textarea's text), and checked and selected are set by
+ * the presence of their attributes.  Event handlers are attributes, too.</p>
+ */
+var tree_backend = make_backend({
+    'name': 'tree',
+    'make_element': function (name) {
+        return { 'tag': String(name).toLowerCase(), 'attribs': {},
+                 'children': [] };
+    },
+    'make_text': function (text) { return String(text); },
+    'is_node': function (o) { return typeof o == 'string' || tree_element(o); },
+    'is_text': function (node) { return typeof node == 'string'; },
+    'text': function (node) { return node; },
+    'tag': function (node) { return node.tag; },
+    'attributes': function (node) {
+        var names = [];
+        for (var name in node.attribs) { names.push(name); }
+        
+        return names;
+    },
+    'has_attribute': function (node, name) { 
+        return has_prop(node.attribs, name); 
+    },
+    'get_attribute': function (node, name) { 
+        return has_prop(node.attribs, name) ? node.attribs[name] : null;
+    },
+    'set_attribute': function (node, name, v) { 
+        node.attribs[name] = String(v); 
+    },
+    'children': function (node) { return clone(node.children, true); },
+    'text_child': function (node, i) {
+        return typeof node.children[i] == 'string' ? node.children[i] : null;
+    },
+    'append_child': function (node, kid) { node.children.push(kid); },
+    'get_prop': function (node, prop) {
+        if (prop == 'checked' || prop == 'selected') {
+            return has_prop(node.attribs, prop);
+        } else if (prop == 'value' && !has_prop(node.attribs, 'value')) {
+            if (node.tag == 'textarea') { return node.children.join(''); }
+            return node.tag == 'input' ? '' : undefined;
+        }
+        
+        return node.attribs[prop];
+    },
+    'set_prop': function (node, prop, v) {
+        if (prop == 'checked' || prop == 'selected') {
+            if (v) { node.attribs[prop] = prop; }
+            else { delete node.attribs[prop]; }
+        } else {
+            node.attribs[prop] = prop == 'value' ? String(v) : v;
+        }
+    },
+    'add_handler': function (node, event, handler) {
+        event = (event.slice(0, 2) == 'on') ? event : 'on' + event;
+        node.attribs[event] = handler;
+    }
+});
+
+/**
+ * The current rendering backend; see {@link #with_backend}.
+ */
+var dom_backend = browser_backend;
+
+/**
+ * Runs a function with a different rendering backend, restoring the current
+ * one afterwards (even if the function throws).
+ *
+ * @param {Object} backend The backend, e.g. {@link #html_backend}
+ * @param {Function} f A thunk
+ * @return The result of f
+ */
+function with_backend(backend, f) {
+    check_backend('with_backend', backend);
+    
+    var old = dom_backend;
+    dom_backend = backend;
+    try {
+        return f();
+    } finally {
+        dom_backend = old;
+    }
+}
+
+/**
+ * Finds the backend a node belongs to.  The current backend is asked first;
+ * since a string is a text node to {@link #tree_backend}, the others are
+ * only asked about objects.
+ *
+ * @param o A value
+ * @return {Object} The backend, or undefined if o isn't a node
+ */
+function node_backend(o) {
+    if (dom_backend.is_node(o)) { return dom_backend; }
+    
+    if (typeof o == 'object' && o !== null) {
+        for (var i = 0;i < __backends.length;i++) {
+            if (__backends[i].is_node(o)) { return __backends[i]; }
+        }
+    }
+    
+    return undefined;
+}
+
+/**
+ * Determines whether o is a node of any rendering backend.
+ */
+function is_node(o) {
+    return node_backend(o) !== undefined;
+}
+
+/**
+ * The backend for reading a node given to a tag lens' putback.  A string is
+ * read as a {@link #tree_backend} text node, and anything else that isn't a
+ * known node is read through the DOM API.
+ */
+function backend_of(node) {
+    return node_backend(node) || 
+           (typeof node == 'string' ? tree_backend : browser_backend);
+}
+
+/**
+ * Elements which have no end tag.
+ */
+var void_elements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img',
+                     'input', 'link', 'meta', 'param', 'source', 'track',
+                     'wbr'];
+
+/**
+ * Escapes text for markup; attribute values also have their quotes escaped.
+ */
+function escape_html(s, attribute) {
+    s = String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+                  replace(/>/g, '&gt;');
+    
+    return attribute ? s.replace(/"/g, '&quot;') : s;
+}
+
+/**
+ * Turns a node, from any rendering backend, into markup.  The form properties
+ * (see {@link #dom_props}) are written as attributes, so that
+ * what's rendered is what the node shows: a checked checkbox has a checked
+ * attribute, and an input has its current value.  Event handlers are left
+ * out; see {@link #hydrate_lens}.
+ *
+ * @param node The node
+ * @return {String} The markup
+ */
+function to_html(node) {
+    var nodes = backend_of(node);
+    if (nodes.is_text(node)) { return escape_html(nodes.text(node)); }
+    
+    var name = nodes.tag(node);
+    if (name.charAt(0) == '#') { return ''; } // e.g. comments
+    
+    var html = ['<', name];
+    var write = function (attrib, v) {
+        html.push(' ', attrib, '="', escape_html(v, true), '"');
+    };
+    
+    // textareas show their children, not a value attribute
+    var props = name == 'textarea' ? [] : dom_props;
+    var attribs = nodes.attributes(node);
+    for (var i = 0;i < attribs.length;i++) {
+        var v = nodes.get_attribute(node, attribs[i]);
+        if (!contains(props, attribs[i]) && typeof v != 'function') {
+            write(attribs[i], v);
+        }
+    }
+    for (i = 0;i < props.length;i++) {
+        var prop = props[i];
+        var has_attrib = nodes.has_attribute(node, prop);
+        v = nodes.get_prop(node, prop);
+        if (typeof v == 'boolean') {
+            if (v) { write(prop, prop); }
+        } else if (v !== undefined && (has_attrib || v !== '')) {
+            write(prop, v);
+        } else if (has_attrib) {
+            write(prop, nodes.get_attribute(node, prop));
+        }
+    }
+    html.push('>');
+    
+    if (contains(void_elements, name)) { return html.join(''); }
+    
+    var kids = nodes.children(node);
+    for (i = 0;i < kids.length;i++) {
+        html.push(to_html(kids[i]));
+    }
+    html.push('</', name, '>');
+    
+    return html.join('');
+}
+
+/**
+ * Makes sure that a lens' views are elements, as {@link Binding}s and
+ * {@link #render_html} need them to be.  If node, a view the lens made, isn't
+ * an element, the lens is composed with a span lens (whose id is dom_id, if
+ * it's given), so that a text view becomes the span's text and a list of
+ * views becomes its children.
+ *
+ * @param {Lens} lens The lens
+ * @param node A view made by the lens
+ * @param {String} dom_id The id of the span; optional
+ * @return {Lens} The lens, or the lens composed with a span lens
+ */
+function element_lens(lens, node, dom_id) {
+    if (dom_obj(node) && node.nodeType == 1) { return lens; }
+    
+    var attribs = dom_id === undefined ? {} : { 'id': dom_id };
+    return new LSeq(lens, new __tag_lenses.LSpanTag(attribs));
+}
+
+/**
+ * Renders a lens' view of c as markup, using {@link #html_backend}, so that
+ * it can be done without a browser (e.g. on the server).  As in
+ * {@link Binding#get}, a view that isn't an element is put in a span (see
+ * {@link #element_lens}), and the root is given the id dom_id if it has none
+ * -- so the markup can be put in a page and adopted by {@link 
+ * #hydrate_lens}.
+ *
+ * @param {Lens} lens The lens
+ * @param c The concrete tree
+ * @param {String} dom_id The id of the root; optional
+ * @return {String} The markup
+ */
+function render_html(lens, c, dom_id) {
+    return with_backend(html_backend, function () {
+        var node = lens.get(c);
+        var wrapped = element_lens(lens, node, dom_id);
+        if (wrapped !== lens) {
+            node = wrapped.get(c);
+        } else if (dom_id !== undefined && !node.hasAttribute('id')) {
+            node.setAttribute('id', dom_id);
+        }
+        
+        return to_html(node);
+    });
+}
+Lens.prototype.render_html = function (c, dom_id) {
+    return render_html(this, c, dom_id);
+};
+
+// RENDERING BACKENDS }}}
+
+/*******************************
+ * {{{ DOM LENSES
+ *******************************/
+
+/**
+ * Turns an object into a displayable DOM element.  If the object is already
+ * a node (see {@link #is_node}), nothing is done.  Otherwise, a new text node
+ * is made out of the given value, with the current rendering backend.
+ *
+ * @param o The object to put into the dom
+ * @return {DOM:element} A DOM-ified version of the object
+ */
+function domify(o) {                                                                                  
+    if (is_node(o) || o instanceof Array) {
+        return o;
+    }                                                            
+
+    return dom_backend.make_text(o);
+}
+
+/**
+ * Turns objects into span elements with ids.
+ *
+ * @param o The object
+ * @param id The id to use
+ */
+function nodify(o, id) {
+    if (dom_obj(o)) {
+        if (o.nodeType != Node.TEXT_NODE) {
+            o = o.nodeValue;
+        } else { 
+            return o;
+        }
+    }
+    
+    return make_dom_node('span', { 'id': id }, [domify(o)]);
+}
+
+/**
+ * Turns a DOM element into a JavaScript object -- as best it can.  This 
+ * amounts to just turning text nodes into strings; beyond this, nothing
+ * is really done.  Strings are taken as values (as read from attributes and
+ * inputs), even in {@link #tree_backend}, where text nodes are strings too;
+ * see {@link #jsify_child} for reading an element's children.
+ *
+ * @param {DOM:node} e A DOM node
+ * @return A JavaScript object version of e
+ */
+function jsify(e, orig) {
+    // extract the text if we can...
+    if (dom_obj(e) && e.nodeType == Node.TEXT_NODE) { return e.nodeValue; }
+    
+    // type coerce numeric strings -- but blank strings aren't zero, and
+    // booleans, dates, and lists (e.g. from checkbox_tag) stay as they are...
+    if (typeof e == 'string' && /\S/.test(e) && !isNaN(Number(e))) {
+        return Number(e);
+    }
+    
+    // ...but just leave it as a node, otherwise
+    return e;
+}
+
+/**
+ * Turns an element's ith child into a JavaScript object, as {@link #jsify}
+ * does, asking the element's backend whether the child is text.
+ *
+ * @param {Object} nodes The element's rendering backend
+ * @param node The element
+ * @param {int} i The index of the child
+ * @return A JavaScript object version of the child
+ */
+function jsify_child(nodes, node, i, orig) {
+    var text = nodes.text_child(node, i);
+    return text !== null ? text : jsify(nodes.children(node)[i], orig);
+}
+
+/**
+ * Gives a tag lens its schema transformers (see SCHEMAS): its views are DOM
+ * nodes, which it puts back as trees of the given schema.
+ *
+ * @param {Lens} lens The lens being built
+ * @param {Object} schema The schema of the lens' concrete trees
+ * @param {Array} args The lens' arguments, for errors
+ */
+function tag_schemas(lens, schema, args) {
+    lens.aschema = function (cs) { return sDom; };
+    lens.cschema = function (as) {
+        expect_schema(this, as, 'dom', 'putback', args);
+        return schema;
+    };
+}
+
+/**
+ * @class
+ * Creates DOM text nodes on get.  For other nodes, see {@link LTag}.
+ *
+ * @extends Lens
+ */
+function LTextTag() {
+    this.name = 'text_tag';
+    this.get = function (c) {
+        return dom_backend.make_text(c);
+    };
+    this.putback = function (a, c) {
+        return backend_of(a).text(a);
+    };
+    tag_schemas(this, sString, []);
+    
+    return this;
+}
+$L(LTextTag, 'text_tag');
+
+/**
+ * Creates a DOM node, with the current rendering backend (see
+ * {@link #with_backend}).
+ *
+ * @param {String} name The element name to create
+ * @param attribs An object mapping attribute names to values; it is safe to
+ *     treat event handlers as attributes (e.g., <tt>onclick</tt>)
+ * @param {Array} children The list of child nodes
+ */
+function make_dom_node(name, attribs, children) {
+    // create the node
+    var nodes = dom_backend;
+    var node = nodes.make_element(name);
+        
+    // copy in attributes
+    for (var attrib in attribs) {
+        // event handlers need to be registered specially
+        if (contains(dom_events, attrib)) {
+            nodes.add_handler(node, attrib, attribs[attrib]);
+        } else {
+            nodes.set_attribute(node, attrib, attribs[attrib]);
+        }
+    }
+        
+    // copy in children
+    children = children || [];
+    for (var i = 0;i < children.length;i++) {
+        // no need to clone the children here; they'll be cloned later if needed
+        nodes.append_child(node, domify(children[i]));
+    }
+
+    return node;
+}
+
+/**
+ * @class
+ * A DOM-element constructing lens for static DOM elements, such as br and hr.
+ * In general, {@link LTag} should be used -- it will actually work with values
+ * on get and putback.
+ *
+ * @extends Lens
+ * @param {String} name The name of the element
+ * @param d The default value to putback, if undefined was given
+ * @param attribs The optional object describing the attributes of the element
  * @param children The optional list of children of the object
  * @param {Boolean} strict A false-by-default setting which, when enabled, will
  *     cause errors to be signalled on putback if the generated DOM node was
  *     changed.
  */
-function LConstTag(name, d, attribs, children, strict) {
-    attribs = attribs || {};
-    children = children || [];
+function LConstTag(name, d, attribs, children, strict) {
+    attribs = attribs || {};
+    children = children || [];
+    
+    function dom_node() {
+        return make_dom_node(name, attribs, children);
+    }
+    
+    this.name = 'constant_tag';
+    this.get = function (c) {
+        return dom_node();
+    };
+    this.putback = function (a, c) {
+        // compare against a node from a's own backend
+        if (strict !== false && 
+            !equal(a, with_backend(backend_of(a), dom_node))) {
+            this.error("putback: HTML argument " + a +
+                       " was edited away from the generated DOM node.",
+                       [name, d, attribs, children, strict]);
+        }
+        else if (c === undefined) { return d; }
+        else { return c; }
+    };
+    tag_schemas(this, sAny, [name, d, attribs, children, strict]);
+    
+    return this;
+}
+$L(LConstTag, 'constant_tag');
+
+/**
+ * @class
+ * <p>A generalized DOM element maker for element tags; for text nodes, see
+ * {@link LTextTag}.  LTag is rarely used directly, but instead forms the basis
+ * of the DOM code.</p>
+ * <p>The placement option is somewhat complicated.  It can be either a string
+ * or an object.  If it is the string 'child' means that the concrete tree 
+ * should be written as a child of the given node.  If it is any other string,
+ * then that string is taken as the name of the attribute into which the 
+ * concrete tree is to be written.  If placement isn't a string, it is taken to
+ * be a 'placement mapping'.  A placement mapping's properties are like plain
+ * string placements -- either 'child' or something else.  The value of these
+ * properties are the properties of the concrete tree.  An example will make 
+ * this clearer.</p>
+ * <code> pm = { href: 'link', title: 'title', child: 'title' } </code>
+ * <p>The above mapping will take a concrete tree with at least the properties
+ * title and link, and create a node wherein the child node is c.text, the href
+ * attribute c.href, and the title attribute is c.title.  On putback, the last
+ * item in a mapping is what is written; in the example above, if the title
+ * attribute is different from the child node, the child node is taken during
+ * putback.  This is similar to the behavior of {@link LCopy}.</p>
+ * <p>LTag is oblivious if placement is not a placement mapping.  If placement
+ * is a placement mapping, then an implicit focus  
+ *
+ * @extends Lens
+ * @param {String} name The name of the tag
+ * @param {String} placement Either 'child', an attribute name, or a placement
+ *     mapping -- this is where the concrete tree is written and whence the
+ *     abstract tree is read; it defaults to 'child'.
+ * @param {Object} attribs A property list of default attributes.  It defaults
+ *     to {}.
+ * @param {Array} children A list of default children; defaults to [].
+ * @param {Boolean} implicit_focus When true, turns on an implicit focus lens
+ *     on properties not mentioned in the property mapping.  This value 
+ *     defaults to true, but has no effect if placement isn't a property
+ *     mapping.
+ */
+function LTag(name, placement, attribs, children, implicit_focus) {
+    placement = placement || 'child';
+    attribs = attribs || {};
+    children = children || [];
+    implicit_focus = implicit_focus || true;
+    
+    var inverse_placement = {};
+    if (implicit_focus && typeof placement == 'object') {
+        for (var target in placement) {
+            inverse_placement[placement[target]] = target;
+        }
+    }    
+    
+    this.name = 'tag';
+    this.get = function (c) {
+        var node_children = clone(children);
+        var node_attribs = clone(attribs);
+        
+        if (placement == 'child') {
+            if (c instanceof Array) {
+                for (var i = 0;i < c.length;i++) {
+                    node_children.push(domify(c[i]));
+                }
+            } else {
+                node_children.push(domify(c));
+            }
+        } else if (typeof placement == 'object') {
+            for (var target in placement) {
+                var source = placement[target];
+                if (target == 'child') {
+                    node_children.push(c[source]);
+                } else { // we need to write an attribute named 'target'
+                    node_attribs[target] = c[source];
+                }
+            }
+        } else { // placement is an attribute name
+            node_attribs[placement] = c;
+        }
+        
+        return make_dom_node(name, node_attribs, node_children);
+    };
+    this.putback = function (a, c) {
+        var nodes = backend_of(a);
+        
+        if (placement == 'child') {
+            var a_children = nodes.children(a);
+            if (a_children.length > children.length + 1) {
+                var arr = [];
+                for (var i = children.length;i < a_children.length;i++) {
+                    arr.push(jsify_child(nodes, a, i, 
+                                         c[i - children.length]));
+                }
+                
+                return arr;
+            } else {
+                return jsify_child(nodes, a, a_children.length - 1, c);
+            }
+        } else if (typeof placement == 'object') {
+            var o = {};
+            
+            for (var source in placement) {
+                target = placement[source];
+                
+                if (source == 'child') {
+                    a_children = nodes.children(a);
+                    if (a_children.length !== 0) {
+                        o[target] = jsify_child(nodes, a, 
+                                                a_children.length - 1,
+                                                c[target]);
+                    }
+                } else if (source == 'value') {
+                     var v = nodes.get_prop(a, 'value');
+                     if (v !== undefined) { 
+                            o[target] = jsify(v, c[target]);
+                     }
+                } else { // source is an attribute name
+                    if (nodes.has_attribute(a, source)) {
+                        o[target] = jsify(nodes.get_attribute(a, source), 
+                                          c[target]);
+                    }
+                } 
+            }             
+            
+            if (implicit_focus) {
+                for (var prop in c) {
+                    if (!(prop in inverse_placement)) {
+                        o[prop] = c[prop];
+                    }
+                }
+            }
+            
+            return o;
+        } else if (placement == 'value') {
+            return jsify(nodes.get_prop(a, 'value'), c);
+        } else { // placement is an attribute name
+            return jsify(nodes.get_attribute(a, placement), c);
+        }
+    };    
+    tag_schemas(this, sAny, 
+                [name, placement, attribs, children, implicit_focus]);
+    
+    return this;
+}
+$L(LTag, 'tag');
+
+/**
+ * The generated tag lens constructors, keyed by class name (e.g. LDivTag).
+ */
+var __tag_lenses = {};
+
+/**
+ * <p>Makes an {@link LTag}-derived lens.  Similar in spirit to
+ * {@link #make_arith_lens}.  Given the name, it creates the {@link Lens}
+ * constructor LNameTag and the lens function (a la {@link #make_lens_function})
+ * name_tag.</p>
+ * <p>The generated lenses take one of three calling conventions. Using LDivTag
+ * as an example, a DIV lens can be created in the standard {@link LTag} way: 
+ * <tt>new LDivTag({ id: 'foo' }, ['First child'])</tt>.  It may also be called
+ * with an implicit {@link LLayout}: <tt>new LDivTag({ id: 'foo' }, 'lbl1',
+ *'Foo: ', 'foo', new LPlus(5, 0), 'lbl2', 'Bar: ', 'bar', new LId())</tt>,
+ * where the arguments to {@link LLayout} are all of those after the attribute
+ * object.  The third calling convention uses an implicit {@link LSeq}, like so:
+ * <tt>new LInputTag({ id: 'num' }, plus(5, 0))</tt>, where the value after the
+ * attribute object is a lens.</p>
+ * <p>Lenses with a placement of 'const' will use {@link LConstTag}, which
+ * is a DOM-aware {@link LConst}.</p>
+ *
+ * @param {String} name The lens to create
+ * @param {String} placement The default value for placement in
+ *     {@link LTag}; should be either 'child', 'const', or an attribute name
+ */
+function make_tag_lens(name, placement) {
+    var tag_name = name + "_tag";
+    var f;
+    
+    if (placement == 'const') {
+        f = function (d, attribs, children, strict) {
+            LStackMarker.call(this,
+                              make_sublens(LConstTag, name, d, attribs, 
+                                           children, strict),
+                              tag_name);
+            this.name = tag_name;
+            
+            return this;
+        };
+    } else {
+        f = function (attribs, children) {
+            // figure out which calling convention we're in...
+            var seq_mode = is_lens(children);
+            var layout_mode = children !== undefined && 
+                              !(children instanceof Array);
+
+            if (seq_mode) {
+                // LSeq calling convention
+                LStackMarker.call(this, 
+                                  make_sublens(LSeq, children, 
+                                               make_sublens(LTag, name, 
+                                                            placement, 
+                                                            attribs)),
+                                  tag_name, 'seq calling convention');
+            } else if (layout_mode) {
+                // LLayout calling convention
+                var layout = clone(arguments, true).slice(1);
+                LStackMarker.call(this, 
+                                  make_sublens(LSeq, 
+                                               make_sublens.apply({}, 
+                                                   [LLayout].concat(layout)),
+                                               make_sublens(LTag, name, 
+                                                            placement, 
+                                                            attribs)),
+                                  tag_name, 'layout calling convention');
+            } else {
+                // LTag calling convention
+                LStackMarker.call(this, 
+                                  make_sublens(LTag, name, placement, attribs,
+                                               children),
+                                  tag_name, 'tag calling convention');
+            }
+            this.name = tag_name;
+                    
+            return this;
+        };
+    }
+    $L(f, tag_name);
+    
+    // publish
+    var class_name = ["L", name[0].toUpperCase(), name.slice(1), "Tag"].
+        join('');
+    __tag_lenses[class_name] = f;
+    
+    return f;
+} 
+
+/**
+ * Basis for the generation of tag lenses.  Tags under 'child' have the lens'
+ * input sent to the last child node; 'const' lenses don't expect input; and
+ * 'value' lenses put their input in the value attribute.
+ */
+var tag_schema = { 'child': ["a", "canvas", "div", "fieldset", "form", "h1",
+                             "h2", "h3", "label", "legend", "li", "ol",
+                             "optgroup", "p", "pre", "select", "span", "strong",
+                             "table", "tbody", "td", "tfoot", "th",
+                             "thead", "tr", "tt", "ul"],
+                   'const': ["br", "hr"],
+                   'value': ["button", "input"]
+};
+
+for (var type in tag_schema) {
+    var tags = tag_schema[type];
+    for (var i = 0;i < tags.length;i++) {
+        make_tag_lens(tags[i], type);
+    }
+}
+
+/**
+ * @class
+ * Creates a textarea on get and extracts the value on putback.  It is defined
+ * specially so that browser inconsistencies in textareas can be handled
+ * adequately.
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list
+ */
+function LTextareaTag(attribs) {
+    var get_tag = new LTag('textarea', 'child', attribs, []);
+    var putback_tag = new LTag('textarea', 'value', attribs, []);
     
-    function dom_node() {
-        return make_dom_node(name, attribs, children);
+    this.name = 'textarea_tag';
+    this.get = get_tag.get;
+    this.putback = putback_tag.putback;
+    tag_schemas(this, sAny, [attribs]);
+    
+    return this;
+}
+$L(LTextareaTag, 'textarea_tag');
+
+/**
+ * @class
+ * If given a primitive value on get, it will create an option with the 
+ * concrete tree as both the value and the text.  If given an object o,
+ * then o.value will be set as the value and o.text will be set as the text.
+ * Whether an object or value is putback depends on what was given --
+ * LOptionTag uses {@link LCcond}.
+ *
+ * @extends Lens
+ * @param {Object} attribs A property list of default attributes.  It defaults
+ *     to {}.
+ * @param {Array} children A list of default children; defaults to [].
+ */
+function LOptionTag(attribs, children) {
+    var tag = make_sublens(LTag, 'option', { value: 'value', child: 'text' },
+                           attribs, children);
+    LStackMarker.call(this,
+                      make_sublens(LCcond, 
+                                   function (c) { 
+                                       return typeof c == 'object'; 
+                                   },
+                                   tag,
+                                   make_sublens(LSeq, 
+                                                make_sublens(LSeq, 
+                                                    make_sublens(LPlunge, 
+                                                                 'text'), 
+                                                    make_sublens(LCopy, 'text',
+                                                                 'value')),
+                                                tag)),
+                      'option_tag');
+    this.name = 'option_tag';
+    
+    return this;
+}
+$L(LOptionTag, 'option_tag');
+
+/**
+ * Copies an attribute property list, adding some attributes.
+ */
+function with_attribs(attribs, extra) {
+    var o = clone(attribs || {});
+    for (var attrib in extra) { o[attrib] = extra[attrib]; }
+    
+    return o;
+}
+
+/**
+ * Normalizes a list of choices for {@link LRadioGroupTag} and {@link
+ * LMultiSelectTag}.  As in {@link LOptionTag}, a choice is either a primitive,
+ * which is both the value and the text, or an object with properties value
+ * and text.
+ *
+ * @param {Array} choices The choices
+ * @return {Array} A list of objects { value: ..., text: ... }
+ */
+function choice_list(choices) {
+    var list = [];
+    for (var i = 0;i < choices.length;i++) {
+        var choice = choices[i];
+        list.push(typeof choice == 'object' && choice !== null ? 
+                  { 'value': choice.value, 
+                    'text': 'text' in choice ? choice.text : choice.value } :
+                  { 'value': choice, 'text': choice });
     }
     
-    this.name = 'constant_tag';
+    return list;
+}
+
+/**
+ * @class
+ * A checkbox for a boolean.  On get, the checkbox is checked if the concrete
+ * tree is true (or truthy); on putback, true or false is returned.
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list
+ */
+function LCheckboxTag(attribs) {
+    attribs = with_attribs(attribs, { 'type': 'checkbox' });
+    
+    this.name = 'checkbox_tag';
     this.get = function (c) {
-        return dom_node();
+        var node_attribs = clone(attribs);
+        if (c) { node_attribs.checked = 'checked'; }
+        
+        var node = make_dom_node('input', node_attribs);
+        dom_backend.set_prop(node, 'checked', !!c);
+        return node;
     };
     this.putback = function (a, c) {
-        if (strict !== false && !equal(a, dom_node())) {
-            this.error("putback: HTML argument " + a +
-                       " was edited away from the generated DOM node.",
-                       [name, d, attribs, children, strict]);
+        return !!backend_of(a).get_prop(a, 'checked');
+    };
+    tag_schemas(this, sBool, [attribs]);
+    
+    return this;
+}
+$L(LCheckboxTag, 'checkbox_tag');
+
+/**
+ * @class
+ * <p>A group of radio buttons, one for each of a list of choices, which picks
+ * out one of them.  Each radio button is labelled with its choice's text, and
+ * they're all named name, so the browser keeps only one checked.  On get, the
+ * choice equal to the concrete tree is checked; on putback, the checked
+ * choice's value is returned (with its original type).  If none is checked,
+ * the old concrete tree is kept.</p>
+ * <p>Each clone -- e.g. the lens for each element of a {@link LListMap} --
+ * names its buttons name_1, name_2, and so on, in the order the clones are
+ * made, so that checking a button in one group doesn't uncheck the others.
+ * </p>
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list of the span holding the
+ *     radio buttons
+ * @param {String} name The name of the radio buttons
+ * @param {Array} choices The choices; see {@link #choice_list}
+ */
+function LRadioGroupTag(attribs, name, choices) {
+    var list = choice_list(choices || []);
+    attribs = attribs || {};
+    
+    this.name = 'radio_group_tag';
+    
+    var copies = 0;
+    this.stateful = function () { return true; };
+    this.clone = function () {
+        var l = new LRadioGroupTag(attribs, name + '_' + (++copies), choices);
+        l.copy_bindings(this);
+        return l;
+    };
+    
+    this.get = function (c) {
+        var labels = [];
+        for (var i = 0;i < list.length;i++) {
+            var radio_attribs = { 'type': 'radio', 'name': name, 
+                                  'value': list[i].value };
+            if (equal(list[i].value, c) && c !== undefined) {
+                radio_attribs.checked = 'checked';
+            }
+            
+            var radio = make_dom_node('input', radio_attribs);
+            dom_backend.set_prop(radio, 'checked', 'checked' in radio_attribs);
+            labels.push(make_dom_node('label', {}, [radio, list[i].text]));
         }
-        else if (c === undefined) { return d; }
-        else { return c; }
+        
+        return make_dom_node('span', attribs, labels);
+    };
+    this.putback = function (a, c) {
+        var nodes = backend_of(a);
+        var labels = nodes.children(a);
+        for (var i = 0;i < labels.length && i < list.length;i++) {
+            var radio = nodes.children(labels[i])[0];
+            if (nodes.get_prop(radio, 'checked')) { return list[i].value; }
+        }
+        
+        return c;
+    };
+    tag_schemas(this, sAny, [attribs, name, choices]);
+    
+    return this;
+}
+$L(LRadioGroupTag, 'radio_group_tag');
+
+/**
+ * Makes an {@link LTag} for a typed input.  Browsers clear the value of such
+ * an input when what was typed doesn't parse, so putback checks the input's
+ * validity.badInput, where it is supported, and signals an error rather than
+ * mistaking the input for a blank one.
+ *
+ * @param {String} lens_name The lens to blame
+ * @param {String} type The input type
+ * @param {String} expected What the input should hold, for the error
+ * @param {Object} attribs The attribute property list
+ * @return {LTag} The tag lens
+ */
+function typed_input_tag(lens_name, type, expected, attribs) {
+    var tag = make_sublens(LTag, 'input', 'value', 
+                           with_attribs(attribs, { 'type': type }));
+    var putback = tag.putback;
+    tag.putback = function (a, c) {
+        var validity = backend_of(a).get_prop(a, 'validity');
+        if (validity && validity.badInput) {
+            error(lens_name, 'putback: expected ' + expected, [a]);
+        }
+        return putback.call(this, a, c);
+    };
+    
+    return tag;
+}
+
+/**
+ * @class
+ * A number input.  On putback, the input's value is a number, or d if it is
+ * blank; anything else is an error (which a {@link Binding} shows on the
+ * input).
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list
+ * @param d The value to put back if the input is blank
+ */
+function LNumberInputTag(attribs, d) {
+    var lens_name = 'number_input_tag';
+    var show = function (c) { return c === undefined ? '' : c; };
+    var parse = function (a) {
+        if (typeof a == 'string' && !/\S/.test(a)) { return d; }
+        if (typeof a != 'number' && 
+            (typeof a != 'string' || isNaN(Number(a)))) {
+            error(lens_name, 'putback: expected a number, got ' + a, [a]);
+        }
+        return Number(a);
+    };
+    var typed = make_sublens(LOp, show, parse, d);
+    
+    LStackMarker.call(this, 
+                      make_sublens(LSeq, typed, 
+                                   typed_input_tag(lens_name, 'number', 
+                                                   'a number', attribs)),
+                      lens_name);
+    this.name = lens_name;
+    
+    return this;
+}
+$L(LNumberInputTag, 'number_input_tag');
+
+/**
+ * Formats a Date as a day, YYYY-MM-DD, in UTC.
+ */
+function format_day(date) {
+    var pad = function (n, width) {
+        var str = String(n);
+        while (str.length < width) { str = '0' + str; }
+        return str;
+    };
+    
+    return [pad(date.getUTCFullYear(), 4), pad(date.getUTCMonth() + 1, 2),
+            pad(date.getUTCDate(), 2)].join('-');
+}
+
+/**
+ * Parses a day, YYYY-MM-DD, as a Date at midnight UTC.
+ *
+ * @param {String} str The day, possibly with whitespace around it
+ * @return {Date} The Date, or null if str isn't a day (e.g. 2009-02-30)
+ */
+function parse_day(str) {
+    var m = /^\s*(\d{4})-(\d{2})-(\d{2})\s*$/.exec(str);
+    var date = m && new Date(Date.UTC(Number(m[1]), m[2] - 1, Number(m[3])));
+    // reject days that roll over
+    return date && format_day(date) == m.slice(1).join('-') ? date : null;
+}
+
+/**
+ * @class
+ * A date input, for days given as Dates, YYYY-MM-DD strings, or times in
+ * milliseconds (as from Date.getTime).  Get shows the concrete tree's day (in
+ * UTC), and putback returns the input's day at midnight UTC, in the concrete
+ * tree's representation (a Date if there's no concrete tree), or d if the
+ * input is blank.  Anything else is an error (which a {@link Binding} shows
+ * on the input).
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list
+ * @param d The value to put back if the input is blank
+ */
+function LDateInputTag(attribs, d) {
+    var lens_name = 'date_input_tag';
+    var show = function (c) { 
+        return c instanceof Date ? format_day(c) : ''; 
+    };
+    var parse = function (a) {
+        var str = String(a);
+        if (!/\S/.test(str)) { return d; }
+        
+        var date = parse_day(str);
+        if (!date) {
+            error(lens_name, 'putback: expected a date (YYYY-MM-DD), got ' + 
+                             a, [a]);
+        }
+        return date;
+    };
+    var typed = make_sublens(LOp, show, parse, d);
+    
+    // days as strings and numbers go through Dates, and back again; d is
+    // passed through as it is
+    var is_string = function (c) { return typeof c == 'string'; };
+    var is_number = function (c) { return typeof c == 'number'; };
+    var from_day = function (str) { return parse_day(str) || str; };
+    var to_day = function (date) { 
+        return date instanceof Date ? format_day(date) : date; 
+    };
+    var from_time = function (n) { return new Date(n); };
+    var to_time = function (date) {
+        return date instanceof Date ? date.getTime() : date;
+    };
+    var dates = make_sublens(LCcond, is_string, 
+                             make_sublens(LOp, from_day, to_day, d),
+                             make_sublens(LCcond, is_number, 
+                                          make_sublens(LOp, from_time, 
+                                                       to_time, d),
+                                          make_sublens(LId)));
+    
+    LStackMarker.call(this, 
+                      make_sublens(LSeq, dates, typed, 
+                                   typed_input_tag(lens_name, 'date', 
+                                                   'a date (YYYY-MM-DD)', 
+                                                   attribs)),
+                      lens_name);
+    this.name = lens_name;
+    
+    return this;
+}
+$L(LDateInputTag, 'date_input_tag');
+
+/**
+ * @class
+ * A multiple select, for a list of choices.  On get, the choices in the
+ * concrete tree are selected; on putback, the selected choices' values are
+ * returned, in the order of the choices.
+ *
+ * @extends Lens
+ * @param {Object} attribs The attribute property list
+ * @param {Array} choices The choices; see {@link #choice_list}
+ */
+function LMultiSelectTag(attribs, choices) {
+    var list = choice_list(choices || []);
+    attribs = with_attribs(attribs, { 'multiple': 'multiple' });
+    
+    this.name = 'multi_select_tag';
+    this.get = function (c) {
+        c = c || [];
+        if (!(c instanceof Array)) {
+            this.error('get: expected a list of choices, got ' + c, 
+                       [attribs, choices]);
+        }
+        
+        var options = [];
+        for (var i = 0;i < list.length;i++) {
+            var option_attribs = { 'value': list[i].value };
+            for (var j = 0;j < c.length;j++) {
+                if (equal(c[j], list[i].value) && c[j] !== undefined) {
+                    option_attribs.selected = 'selected';
+                }
+            }
+            
+            var option = make_dom_node('option', option_attribs, 
+                                       [list[i].text]);
+            dom_backend.set_prop(option, 'selected', 
+                                 'selected' in option_attribs);
+            options.push(option);
+        }
+        
+        return make_dom_node('select', attribs, options);
+    };
+    this.putback = function (a, c) {
+        var nodes = backend_of(a);
+        var selected = [];
+        var options = nodes.children(a);
+        for (var i = 0;i < options.length && i < list.length;i++) {
+            if (nodes.get_prop(options[i], 'selected')) { 
+                selected.push(list[i].value); 
+            }
+        }
+        
+        return selected;
     };
+    tag_schemas(this, sArray(sAny), [attribs, choices]);
     
     return this;
 }
-$L(LConstTag, 'constant_tag');
+$L(LMultiSelectTag, 'multi_select_tag');
+
+// DOM LENSES }}}
+
+// LENSES }}}
+
+/*******************************
+ * {{{ CONSTRAINT MAINTAINERS
+ *******************************/
+
+/*
+   Constraint maintainers (after Meertens, "Designing Constraint Maintainers
+   for User Interaction") keep a relation between two values true by repairing
+   one when the other changes.  A relation is given by a pair of repair
+   functions: fwd(x, y) returns a y that relates to x, and bwd(x, y) an x that
+   relates to y.  Repairs should be hippocratic: if x and y already relate,
+   they should change nothing.
+
+   A Maintainer keeps constraints between fields of one model, and can be
+   attached to a binding with maintain (or bind_lens_to); maintain_b keeps a
+   constraint between two Flapjax models.
+*/
+
+/**
+ * @class
+ * A constraint between two values X and Y, as a pair of repair functions.
+ *
+ * @constructor
+ * @param {Function} fwd Given x and the old y, returns a y related to x
+ * @param {Function} bwd Given the old x and y, returns an x related to y
+ */
+function Constraint(fwd, bwd) {
+    if (fwd instanceof Constraint) { return fwd; }
+
+    if (typeof fwd != 'function' || typeof bwd != 'function') {
+        error('Constraint', 'expected two repair functions, got ' + fwd +
+                            ' and ' + bwd, [fwd, bwd]);
+    }
+
+    this.fwd = fwd;
+    this.bwd = bwd;
+
+    return this;
+}
+
+/**
+ * Normalizes a field path: a property name, a dotted string of them, or a
+ * list of them.
+ */
+function field_path(path) {
+    if (path instanceof Array) { return path; }
+    return String(path).split('.');
+}
+
+/**
+ * Looks up a field path in a model; missing fields are undefined.
+ */
+function path_get(o, path) {
+    for (var i = 0;i < path.length;i++) {
+        if (!has_prop(o, path[i])) { return undefined; }
+        o = o[path[i]];
+    }
+
+    return o;
+}
+
+/**
+ * Sets a field path in a copy of a model; the objects along the path are
+ * copied, and made if they're missing.
+ */
+function path_set(o, path, v) {
+    if (path.length === 0) { return v; }
+
+    var copy = typeof o == 'object' && o !== null ? clone(o) : {};
+    copy[path[0]] = path_set(copy[path[0]], path.slice(1), v);
+
+    return copy;
+}
+
+/**
+ * Determines whether a field has changed.  Unlike {@link #equal}, a field
+ * appearing or disappearing is a change.
+ */
+function field_changed(old_v, new_v) {
+    return (old_v === undefined) != (new_v === undefined) ||
+           !equal(old_v, new_v);
+}
 
 /**
  * @class
- * <p>A generalized DOM element maker for element tags; for text nodes, see
- * {@link LTextTag}.  LTag is rarely used directly, but instead forms the basis
- * of the DOM code.</p>
- * <p>The placement option is somewhat complicated.  It can be either a string
- * or an object.  If it is the string 'child' means that the concrete tree 
- * should be written as a child of the given node.  If it is any other string,
- * then that string is taken as the name of the attribute into which the 
- * concrete tree is to be written.  If placement isn't a string, it is taken to
- * be a 'placement mapping'.  A placement mapping's properties are like plain
- * string placements -- either 'child' or something else.  The value of these
- * properties are the properties of the concrete tree.  An example will make 
- * this clearer.</p>
- * <code> pm = { href: 'link', title: 'title', child: 'title' } </code>
- * <p>The above mapping will take a concrete tree with at least the properties
- * title and link, and create a node wherein the child node is c.text, the href
- * attribute c.href, and the title attribute is c.title.  On putback, the last
- * item in a mapping is what is written; in the example above, if the title
- * attribute is different from the child node, the child node is taken during
- * putback.  This is similar to the behavior of {@link LCopy}.</p>
- * <p>LTag is oblivious if placement is not a placement mapping.  If placement
- * is a placement mapping, then an implicit focus  
+ * <p>Maintains constraints between fields of a model.  Constraints are added
+ * with {@link #add}; when a model changes, {@link #repair} runs the repair
+ * functions outward from the changed fields, so that each constraint holds
+ * again.</p>
+ * <p>Each field is repaired at most once, so the constraints must not form a
+ * cycle -- otherwise the repairs could go around forever, or disagree.  A
+ * constraint that would close a cycle is rejected by add with a
+ * {@link LensException}.  If several fields change at once, the repairs
+ * starting from the first (in the order they were added to constraints) win.
+ * </p>
  *
- * @extends Lens
- * @param {String} name The name of the tag
- * @param {String} placement Either 'child', an attribute name, or a placement
- *     mapping -- this is where the concrete tree is written and whence the
- *     abstract tree is read; it defaults to 'child'.
- * @param {Object} attribs A property list of default attributes.  It defaults
- *     to {}.
- * @param {Array} children A list of default children; defaults to [].
- * @param {Boolean} implicit_focus When true, turns on an implicit focus lens
- *     on properties not mentioned in the property mapping.  This value 
- *     defaults to true, but has no effect if placement isn't a property
- *     mapping.
+ * @constructor
  */
-function LTag(name, placement, attribs, children, implicit_focus) {
-    placement = placement || 'child';
-    attribs = attribs || {};
-    children = children || [];
-    implicit_focus = implicit_focus || true;
-    
-    var inverse_placement = {};
-    if (implicit_focus && typeof placement == 'object') {
-        for (var target in placement) {
-            inverse_placement[placement[target]] = target;
-        }
-    }    
-    
-    this.name = 'tag';
-    this.get = function (c) {
-        var node_children = clone(children);
-        var node_attribs = clone(attribs);
-        
-        if (placement == 'child') {
-            if (c instanceof Array) {
-                for (var i = 0;i < c.length;i++) {
-                    node_children.push(domify(c[i]));
-                }
-            } else {
-                node_children.push(domify(c));
+function Maintainer() {
+    this.name = 'constraint_maintainer';
+    this.constraints = [];
+
+    // the constraints touching each field, by dotted path
+    var edges = {};
+    var key = function (path) { return ':' + path.join('.'); };
+
+    // a path from one field to another through the constraints, or undefined
+    var route = function (from, to) {
+        var prev = {};
+        prev[from] = from;
+        var queue = [from];
+        while (queue.length > 0) {
+            var k = queue.shift();
+            if (k == to) {
+                var fields = [];
+                for (;k != from;k = prev[k]) { fields.unshift(k.slice(1)); }
+                fields.unshift(from.slice(1));
+                return fields;
             }
-        } else if (typeof placement == 'object') {
-            for (var target in placement) {
-                var source = placement[target];
-                if (target == 'child') {
-                    node_children.push(c[source]);
-                } else { // we need to write an attribute named 'target'
-                    node_attribs[target] = c[source];
+
+            var es = edges[k] || [];
+            for (var i = 0;i < es.length;i++) {
+                var next = key(es[i].from) == k ? key(es[i].to) :
+                                                  key(es[i].from);
+                if (!has_prop(prev, next)) {
+                    prev[next] = k;
+                    queue.push(next);
                 }
             }
-        } else { // placement is an attribute name
-            node_attribs[placement] = c;
         }
-        
-        return make_dom_node(name, node_attribs, node_children);
+
+        return undefined;
     };
-    this.putback = function (a, c) {
-        if (placement == 'child') {
-            if (a.childNodes.length > children.length + 1) {
-                var a_children = a.childNodes;
-                
-                var arr = [];
-                for (var i = children.length;i < a_children.length;i++) {
-                    arr.push(jsify(a_children[i], c[i - children.length]));
+
+    /**
+     * Adds a constraint between two fields.
+     *
+     * @param from The path of the X field (see {@link #field_path})
+     * @param to The path of the Y field
+     * @param fwd A {@link Constraint}, or its fwd function
+     * @param {Function} bwd The constraint's bwd function, if fwd is a
+     *     function
+     * @return {Maintainer} This maintainer, for chaining
+     */
+    this.add = function (from, to, fwd, bwd) {
+        var c = { 'from': field_path(from), 'to': field_path(to),
+                  'constraint': new Constraint(fwd, bwd) };
+        var kf = key(c.from);
+        var kt = key(c.to);
+
+        if (kf == kt) {
+            error(this.name, 'constraint between ' + kf.slice(1) +
+                             ' and itself', [from, to]);
+        }
+        var cycle = route(kt, kf);
+        if (cycle) {
+            error(this.name, 'constraint cycle: ' + cycle.join(' -> ') +
+                             ' -> ' + kt.slice(1), [from, to]);
+        }
+
+        this.constraints.push(c);
+        edges[kf] = (edges[kf] || []).concat([c]);
+        edges[kt] = (edges[kt] || []).concat([c]);
+
+        return this;
+    };
+
+    /**
+     * Repairs a model, reporting what was repaired.  The fields that differ
+     * between old_model and model are repaired from; if old_model is
+     * undefined, the constraints' X fields that are set in model are.
+     *
+     * @param old_model The last model, whose constraints held
+     * @param model The new model
+     * @return {Object} An object with properties model (the repaired model)
+     *     and edits (a set edit, as in {@link #putback_delta}, for each
+     *     repaired field that changed)
+     */
+    this.repair_delta = function (old_model, model) {
+        var seeds = [];
+        for (var i = 0;i < this.constraints.length;i++) {
+            var c = this.constraints[i];
+            if (old_model === undefined) {
+                if (path_get(model, c.from) !== undefined) {
+                    seeds.push(c.from);
                 }
-                
-                return arr;
-            } else {
-                return jsify(a.lastChild, c);
+                continue;
             }
-        } else if (typeof placement == 'object') {
-            var o = {};
-            
-            for (var source in placement) {
-                target = placement[source];
-                
-                if (source == 'child') {
-                    if (a.childNodes.length !== 0) {
-                        o[target] = jsify(a.lastChild, c[target]);
-                    }
-                } else if (source == 'value') {
-                     if (a.value !== undefined) { 
-                            o[target] = jsify(a.value, c[target]);
-                     }
-                } else { // source is an attribute name
-                    if (a.hasAttribute(source)) {
-                        o[target] = jsify(a.getAttribute(source), c[target]);
-                    }
-                } 
-            }             
-            
-            if (implicit_focus) {
-                for (var prop in c) {
-                    if (!(prop in inverse_placement)) {
-                        o[prop] = c[prop];
+            if (field_changed(path_get(old_model, c.from),
+                              path_get(model, c.from))) {
+                seeds.push(c.from);
+            }
+            if (field_changed(path_get(old_model, c.to),
+                              path_get(model, c.to))) {
+                seeds.push(c.to);
+            }
+        }
+
+        // repair outward from each seed in turn; fields already repaired (or
+        // seeded) are left alone
+        var written = {};
+        var edits = [];
+        for (i = 0;i < seeds.length;i++) {
+            if (has_prop(written, key(seeds[i]))) { continue; }
+            written[key(seeds[i])] = true;
+
+            var queue = [seeds[i]];
+            while (queue.length > 0) {
+                var path = queue.shift();
+                var es = edges[key(path)];
+                for (var j = 0;j < es.length;j++) {
+                    c = es[j];
+                    var forward = key(c.from) == key(path);
+                    var other = forward ? c.to : c.from;
+                    if (has_prop(written, key(other))) { continue; }
+
+                    var x = path_get(model, c.from);
+                    var y = path_get(model, c.to);
+                    var v = forward ? c.constraint.fwd(x, y) :
+                                      c.constraint.bwd(x, y);
+
+                    if (field_changed(forward ? y : x, v)) {
+                        model = path_set(model, other, v);
+                        edits.push({ 'op': 'set', 'path': clone(other, true),
+                                     'value': v });
                     }
+                    written[key(other)] = true;
+                    queue.push(other);
                 }
             }
-            
-            return o;
-        } else if (placement == 'value') {
-            return jsify(a.value, c);
-        } else { // placement is an attribute name
-            return jsify(a.getAttribute(placement), c);
         }
-    };    
+
+        return { 'model': model, 'edits': edits };
+    };
+
+    /**
+     * Repairs a model; see {@link #repair_delta}.
+     *
+     * @return The repaired model
+     */
+    this.repair = function (old_model, model) {
+        return this.repair_delta(old_model, model).model;
+    };
+
+    return this;
+}
+
+/**
+ * Keeps a constraint between two Flapjax models.  Y is first repaired from X;
+ * afterwards, a change to X repairs Y with fwd, and a change to Y repairs X
+ * with bwd.  As in {@link #bind_lens_to}, pulses are stamped so that repairs
+ * don't echo back to their source.
+ *
+ * @param constraint A {@link Constraint}
+ * @param {Behaviour} model_x The X model
+ * @param {Behaviour} model_y The Y model
+ */
+function maintain_b(constraint, model_x, model_y) {
+    var c = new Constraint(constraint);
+    var stamp = undefined;
+    var push = function (model, v) {
+        model.sendPulse(v, function (p) { stamp = p.stamp; });
+    };
+
+    push(model_y, c.fwd(model_x.valueNow(), model_y.valueNow()));
+
+    fx.event_e([model_x.changes()],
+               function (send, pulse) {
+                   if (pulse.stamp !== stamp) {
+                       push(model_y, c.fwd(pulse.value, model_y.valueNow()));
+                   }
+               });
+    fx.event_e([model_y.changes()],
+               function (send, pulse) {
+                   if (pulse.stamp !== stamp) {
+                       push(model_x, c.bwd(model_x.valueNow(), pulse.value));
+                   }
+               });
+}
+
+// CONSTRAINT MAINTAINERS }}}
+
+/*******************************
+ * {{{ TRACING
+ *******************************/
+
+/*
+   A trace records every get and putback call made by a lens and its
+   sublenses (as found by for_each_sublens), so that a wrong result can be
+   followed down to the sublens that produced it.  While tracing, each lens'
+   get and putback are replaced by recording wrappers; they're put back when
+   tracing stops.  Lenses can make new sublenses as they run -- e.g. list_map
+   clones its lens for each index it meets -- so the methods that make them
+   are wrapped too, and whatever they make is wrapped in turn.  Only one trace
+   may run at a time.
+*/
+
+/**
+ * The running {@link Trace}, if there is one.
+ */
+var __trace = undefined;
+
+/**
+ * @class
+ * One get or putback call made while tracing.  Its fields are lens, name (the
+ * lens' name), op ('get' or 'putback'), args (copies of the arguments), 
+ * result (a copy of the result) or error (whatever was thrown), start (when
+ * the call began, in milliseconds since the trace started), time (how long
+ * it took, in milliseconds), children (the calls it made), and parent (the
+ * call that made it, if any).
+ *
+ * @constructor
+ * @param {Lens} lens The lens called
+ * @param {String} op 'get' or 'putback'
+ * @param {Array} args The arguments
+ * @param {TraceCall} parent The calling call, if any
+ */
+function TraceCall(lens, op, args, parent) {
+    this.lens = lens;
+    this.name = lens.name;
+    this.op = op;
+    this.args = deep_clone(args, true);
+    this.children = [];
+    this.parent = parent;
     
     return this;
 }
-$L(LTag, 'tag');
 
 /**
- * <p>Makes an {@link LTag}-derived lens.  Similar in spirit to
- * {@link #make_arith_lens}.  Given the name, it creates the {@link Lens}
- * constructor LNameTag and the lens function (a la {@link #make_lens_function})
- * name_tag.</p>
- * <p>The generated lenses take one of three calling conventions. Using LDivTag
- * as an example, a DIV lens can be created in the standard {@link LTag} way: 
- * <tt>new LDivTag({ id: 'foo' }, ['First child'])</tt>.  It may also be called
- * with an implicit {@link LLayout}: <tt>new LDivTag({ id: 'foo' }, 'lbl1',
- *'Foo: ', 'foo', new LPlus(5, 0), 'lbl2', 'Bar: ', 'bar', new LId())</tt>,
- * where the arguments to {@link LLayout} are all of those after the attribute
- * object.  The third calling convention uses an implicit {@link LSeq}, like so:
- * <tt>new LInputTag({ id: 'num' }, plus(5, 0))</tt>, where the value after the
- * attribute object is a lens.</p>
- * <p>Lenses with a placement of 'const' will use {@link LConstTag}, which
- * is a DOM-aware {@link LConst}.</p>
+ * The depth of the call in the call tree; top-level calls have depth 0.
+ */
+TraceCall.prototype.depth = function () {
+    var depth = 0;
+    for (var call = this.parent;call;call = call.parent) { depth++; }
+    
+    return depth;
+};
+
+/**
+ * @class
+ * <p>A trace of a lens' calls.  {@link #start} replaces the get and putback
+ * of the lens and each of its sublenses (including those it makes while
+ * tracing) with recording wrappers, and
+ * {@link #stop} restores them; in between, every call is recorded as a
+ * {@link TraceCall}.  The calls field holds the top-level calls, in order;
+ * each holds the calls it made in its children.  {@link #steps} flattens the
+ * tree into a list of steps, for stepping through the calls in the order
+ * they happened.</p>
+ * <p>Since arguments and results are copied when they're recorded, tracing
+ * is slow; it's meant for debugging.  See also {@link #trace_lens}.</p>
  *
- * @param {String} name The lens to create
- * @param {String} placement The default value for placement in
- *     {@link LTag}; should be either 'child', 'const', or an attribute name
+ * @constructor
+ * @param {Lens} lens The lens to trace
  */
-function make_tag_lens(name, placement) {
-    var tag_name = name + "_tag";
-    var f;
+function Trace(lens) {
+    if (!is_lens(lens)) {
+        error('Trace', 'expected a lens, got ' + lens, [lens]);
+    }
     
-    if (placement == 'const') {
-        f = function (d, attribs, children, strict) {
-            LStackMarker.call(this,
-                              new LConstTag(name, d, attribs, children, strict),
-                              tag_name);
-            this.name = tag_name;
+    this.lens = lens;
+    this.calls = [];
+    
+    var trace = this;
+    var current = undefined;
+    var began = undefined;
+    
+    // the lenses we've wrapped, with their own methods that we replaced
+    var wrapped = [];
+    var recorded_ops = ['get', 'putback'];
+    var cloning_ops = ['clone', 'clone_for_index', 'clone_for_key'];
+    
+    var record = function (l, op, run, args) {
+        var call = new TraceCall(l, op, args, current);
+        (current ? current.children : trace.calls).push(call);
+        
+        var before = new Date().getTime();
+        call.start = before - began;
+        current = call;
+        try {
+            var result = run.apply(l, args);
+            call.result = deep_clone(result);
             
-            return this;
+            return result;
+        } catch (e) {
+            call.error = e;
+            throw e;
+        } finally {
+            call.time = new Date().getTime() - before;
+            current = call.parent;
+        }
+    };
+    
+    var wrap = function (l) {
+        for (var i = 0;i < wrapped.length;i++) {
+            if (wrapped[i].lens === l) { return; }
+        }
+        
+        var own = { 'lens': l, 'ops': [] };
+        var replace = function (op, wrapper) {
+            if (typeof l[op] != 'function') { return; }
+            
+            own.ops.push(op);
+            own[op] = has_own_prop(l, op) ? l[op] : undefined;
+            l[op] = wrapper(op, l[op]);
         };
-    } else {
-        f = function (attribs, children) {
-            // figure out which calling convention we're in...
-            var seq_mode = is_lens(children);
-            var layout_mode = children !== undefined && 
-                              !(children instanceof Array);
-
-            if (seq_mode) {
-                // LSeq calling convention
-                LStackMarker.call(this, new LSeq(children, 
-                                                 new LTag(name, placement, 
-                                                          attribs)),
-                                        tag_name, 'seq calling convention');
-            } else if (layout_mode) {
-                // LLayout calling convention
-                var layout = clone(arguments, true).slice(1);
-                LStackMarker.call(this, 
-                                  new LSeq(LLayout.apply(new Lens(), layout),
-                                           new LTag(name, placement, attribs)),
-                                  tag_name, 'layout calling convention');
-            } else {
-                // LTag calling convention
-                LStackMarker.call(this, 
-                                  new LTag(name, placement, attribs, children),
-                                  tag_name, 'tag calling convention');
+        for (i = 0;i < recorded_ops.length;i++) {
+            replace(recorded_ops[i], function (op, run) {
+                return function () {
+                    return record(l, op, run, clone(arguments, true));
+                };
+            });
+        }
+        for (i = 0;i < cloning_ops.length;i++) {
+            replace(cloning_ops[i], function (op, run) {
+                return function () {
+                    var made = run.apply(l, arguments);
+                    if (is_lens(made)) { wrap(made); }
+                    return made;
+                };
+            });
+        }
+        wrapped.push(own);
+        
+        l.for_each_sublens(wrap);
+    };
+    
+    /**
+     * Starts recording.  Signals an error if a trace is already running.
+     *
+     * @return {Trace} This trace
+     */
+    this.start = function () {
+        if (__trace) {
+            error('Trace', 'a trace of ' + __trace.lens.name + 
+                           ' is already running', [lens]);
+        }
+        
+        __trace = this;
+        began = new Date().getTime();
+        wrap(lens);
+        
+        return this;
+    };
+    
+    /**
+     * Stops recording, restoring the lenses' get and putback.
+     *
+     * @return {Trace} This trace
+     */
+    this.stop = function () {
+        for (var i = 0;i < wrapped.length;i++) {
+            var own = wrapped[i];
+            for (var j = 0;j < own.ops.length;j++) {
+                var op = own.ops[j];
+                if (own[op] === undefined) { delete own.lens[op]; }
+                else { own.lens[op] = own[op]; }
             }
-            this.name = tag_name;
-                    
-            return this;
-        };
-    }
-    $L(f, tag_name);
+        }
+        wrapped = [];
+        current = undefined;
+        if (__trace === this) { __trace = undefined; }
+        
+        return this;
+    };
     
-    // publish
-    var class_name = ["L", name[0].toUpperCase(), name.slice(1), "Tag"].
-        join('');
-    eval(class_name + " = f");
+    return this;
+}
+
+/**
+ * Flattens the call tree into steps, in the order they happened: each call
+ * has an 'enter' step, then the steps of its children, and then an 'exit'
+ * step.  Each step is an object { call: ..., phase: ..., depth: ... }.
+ *
+ * @return {Array} The steps
+ */
+Trace.prototype.steps = function () {
+    var steps = [];
+    var walk = function (calls, depth) {
+        for (var i = 0;i < calls.length;i++) {
+            steps.push({ 'call': calls[i], 'phase': 'enter', 'depth': depth });
+            walk(calls[i].children, depth + 1);
+            steps.push({ 'call': calls[i], 'phase': 'exit', 'depth': depth });
+        }
+    };
+    walk(this.calls, 0);
     
-    return f;
-} 
+    return steps;
+};
 
 /**
- * Basis for the generation of tag lenses.  Tags under 'child' have the lens'
- * input sent to the last child node; 'const' lenses don't expect input; and
- * 'value' lenses put their input in the value attribute.
+ * Runs a function while tracing a lens.  The trace is returned, with f's
+ * result in its result field.  If f throws, tracing still stops, and the
+ * exception is rethrown with the trace in its trace field.
+ *
+ * @param {Lens} lens The lens to trace
+ * @param {Function} f A function to run; it is given the lens
+ * @return {Trace} The trace
  */
-var tag_schema = { 'child': ["a", "canvas", "div", "fieldset", "form", "h1",
-                             "h2", "h3", "label", "legend", "li", "ol",
-                             "optgroup", "p", "pre", "select", "span", "strong",
-                             "table", "tbody", "td", "tfoot", "th",
-                             "thead", "tr", "tt", "ul"],
-                   'const': ["br", "hr"],
-                   'value': ["button", "input"]
+function trace_lens(lens, f) {
+    var trace = new Trace(lens).start();
+    try {
+        trace.result = f(lens);
+    } catch (e) {
+        if (typeof e == 'object' && e !== null) { e.trace = trace; }
+        throw e;
+    } finally {
+        trace.stop();
+    }
+    
+    return trace;
+}
+Lens.prototype.trace = function (f) {
+    return trace_lens(this, f);
 };
 
-for (type in tag_schema) {
-    tags = tag_schema[type];
-    for (var i = 0;i < tags.length;i++) {
-        make_tag_lens(tags[i], type);
+// TRACING }}}
+
+/*******************************
+ * {{{ INSPECTION
+ *******************************/
+
+/*
+   Composite lenses expand into trees of seqs, xforks, and stack markers that
+   are hard to picture from the code that builds them.  inspect_lens walks a
+   lens' sublenses (as found by for_each_sublens) into a plain tree of names
+   and arguments, which lens_to_dot writes out for Graphviz.
+*/
+
+/**
+ * Summarizes a lens argument for display: lenses by name, functions by their
+ * name in the registry of named values (see {@link #name_value}), DOM nodes
+ * by tag, and data as in JSON.  Deep data is elided.
+ *
+ * @param v The argument
+ * @param {int} depth How deeply v is nested in the argument; 0 by default
+ * @return {String} The summary
+ */
+function inspect_value(v, depth) {
+    depth = depth || 0;
+
+    if (is_lens(v)) { return v.name || 'lens'; }
+    if (typeof v == 'function') { return value_name(v) || 'function'; }
+    if (v === undefined || v === null) { return String(v); }
+    if (typeof v == 'string') { return quote_string(v); }
+    if (v instanceof RegExp) { return String(v); }
+    if (is_node(v)) {
+        var backend = node_backend(v);
+        return backend.is_text(v) ? quote_string(backend.text(v)) :
+                                    '<' + backend.tag(v) + '>';
+    }
+    if (typeof v != 'object') { return String(v); }
+    if (depth >= 2) { return v instanceof Array ? '[...]' : '{...}'; }
+
+    var vals = [];
+    if (v instanceof Array) {
+        for (var i = 0;i < v.length;i++) {
+            vals.push(inspect_value(v[i], depth + 1));
+        }
+
+        return '[' + vals.join(', ') + ']';
+    }
+
+    for (var p in v) {
+        if (has_prop(v, p)) {
+            vals.push(p + ': ' + inspect_value(v[p], depth + 1));
+        }
     }
+
+    return '{' + vals.join(', ') + '}';
 }
 
 /**
- * @class
- * Creates a textarea on get and extracts the value on putback.  It is defined
- * specially so that browser inconsistencies in textareas can be handled
- * adequately.
+ * <p>Describes the structure of a lens as a tree.  Each node is an object
+ * with the properties lens, name (the lens' name), args (summaries of the
+ * arguments it was made with, as by {@link #inspect_value}, or undefined if
+ * it wasn't made through the registry or {@link #make_sublens}), and
+ * children (the nodes of its sublenses, in the order for_each_sublens gives
+ * them).</p>
+ * <p>A lens that is its own sublens, directly or not, would make the tree
+ * infinite; where it recurs, its node has the property cycle set to true,
+ * and no children.</p>
  *
- * @extends Lens
- * @param {Object} attribs The attribute property list
+ * @param {Lens} lens The lens to inspect
+ * @return {Object} The root node
  */
-function LTextareaTag(attribs) {
-    var get_tag = new LTag('textarea', 'child', attribs, []);
-    var putback_tag = new LTag('textarea', 'value', attribs, []);
-    
-    this.name = 'textarea_tag';
-    this.get = get_tag.get;
-    this.putback = putback_tag.putback;
-    
-    return this;
+function inspect_lens(lens) {
+    if (!is_lens(lens)) {
+        error('inspect_lens', 'expected a lens, got ' + lens, [lens]);
+    }
+
+    var walk = function (l, path) {
+        var node = { 'lens': l, 'name': l.name, 'args': undefined,
+                     'children': [] };
+        if (has_prop(l, 'description')) {
+            node.args = [];
+            for (var i = 0;i < l.description.args.length;i++) {
+                node.args.push(inspect_value(l.description.args[i]));
+            }
+        }
+
+        if (contains(path, l)) {
+            node.cycle = true;
+            return node;
+        }
+
+        path = path.concat([l]);
+        l.for_each_sublens(function (sl) {
+            node.children.push(walk(sl, path));
+        });
+
+        return node;
+    };
+
+    return walk(lens, []);
 }
-$L(LTextareaTag, 'textarea_tag');
 
 /**
- * @class
- * If given a primitive value on get, it will create an option with the 
- * concrete tree as both the value and the text.  If given an object o,
- * then o.value will be set as the value and o.text will be set as the text.
- * Whether an object or value is putback depends on what was given --
- * LOptionTag uses {@link LCcond}.
+ * Labels a node of {@link #inspect_lens}: its name, followed by its
+ * arguments, if they're known.
  *
- * @extends Lens
- * @param {Object} attribs A property list of default attributes.  It defaults
- *     to {}.
- * @param {Array} children A list of default children; defaults to [].
+ * @param {Object} node The node
+ * @return {String} The label
  */
-function LOptionTag(attribs, children) {
-    var tag = new LTag('option', { value: 'value', child: 'text' },
-                       attribs, children);
-    LStackMarker.call(this,
-                      new LCcond(function (c) { return typeof c == 'object'; },
-                                 tag,
-                                 new LSeq(new LSeq(new LPlunge('text'), 
-                                          new LCopy('text', 'value')),
-                                 tag)),
-                      'option_tag');
-    this.name = 'option_tag';
-    
-    return this;
+function inspect_label(node) {
+    return node.args ? node.name + '(' + node.args.join(', ') + ')' :
+                       node.name;
 }
-$L(LOptionTag, 'option_tag');
 
-// DOM LENSES }}}
+/**
+ * Writes the structure of a lens (see {@link #inspect_lens}) as a Graphviz
+ * DOT digraph, with an edge from each lens to each of its sublenses.  Lenses
+ * whose arguments aren't known are drawn dashed, and recurrences of a cyclic
+ * lens are drawn dotted.
+ *
+ * @param {Lens} lens The lens to draw
+ * @param {String} name The name of the graph; by default, 'lens'
+ * @return {String} The DOT source
+ */
+function lens_to_dot(lens, name) {
+    var quote = function (s) {
+        return '"' + String(s).replace(/[\\"]/g, '\\$&').
+                               replace(/\n/g, '\\n') + '"';
+    };
 
-// LENSES }}}
+    var lines = ['digraph ' + quote(name || 'lens') + ' {',
+                 '    node [shape=box, fontname="monospace"];'];
+    var count = 0;
+    var draw = function (node) {
+        var id = 'n' + count++;
+        var attrs = ['label=' + quote(inspect_label(node))];
+        if (node.cycle) { attrs.push('style=dotted'); }
+        else if (!node.args) { attrs.push('style=dashed'); }
+        lines.push('    ' + id + ' [' + attrs.join(', ') + '];');
+
+        for (var i = 0;i < node.children.length;i++) {
+            lines.push('    ' + id + ' -> ' + draw(node.children[i]) + ';');
+        }
+
+        return id;
+    };
+    draw(inspect_lens(lens));
+    lines.push('}');
+
+    return lines.join('\n');
+}
+Lens.prototype.to_dot = function (name) {
+    return lens_to_dot(this, name);
+};
+
+// INSPECTION }}}
 
 /*******************************
  * {{{ DOM FUNCTIONS
@@ -3116,7 +9263,8 @@ var dom_events = ['onblur', 'onfocus', 'oncontextmenu', 'onload', 'onresize',
 
 /**
  * Fixes copy errors introduced by {@link element#cloneNode}, e.g. failure to
- * copy classically-registered event handlers and the value property.
+ * copy classically-registered event handlers and form properties like value
+ * and checked (see {@link #dom_props}).
  *
  * @param {element} o The original DOM element
  * @param {element} copy The result of o.cloneNode()
@@ -3127,7 +9275,9 @@ function fix_dom_clone(o, copy) {
         var event = dom_events[i];
         if (event in o) { copy[event] = o[event]; }
     }
-    if ('value' in o) { copy.value = o.value; }
+    for (i = 0;i < dom_props.length;i++) {
+        if (dom_props[i] in o) { copy[dom_props[i]] = o[dom_props[i]]; }
+    }
     
     // recur
     var o_kids = o.childNodes;
@@ -3183,92 +9333,340 @@ function get_dom_object(name, strict) {
  * @return {Function} The function that is actually registered on the event is
  *     returned; it performs some cross-browser maintenance before calling
  *     the given handler
+ * @see #remove_event_handler
  */
 function add_event_handler(obj, event, handler) {
     // munge the event name into the registration name
     event = (event.slice(0, 2) == 'on') ? event : 'on' + event;
     
-    // save the old handler
-    var old = obj[event];
-    obj[event] = function (e) {
-        // handle cross-browser event funniness -- IE stores it in window.event
-        if (!e) { e = window.event; }
-        
-        // call the old event handler
-        if (old) { old.call(obj, e); }
-        
-        // and then have the new handler decide what happens
-        return handler.call(obj, e);
-    };
-        
-    return obj[event];
+    // the old handler is kept on the wrapper, rather than in the closure, so
+    // that remove_event_handler can unlink the chain
+    var wrapper = function (e) {
+        // handle cross-browser event funniness -- IE stores it in window.event
+        if (!e) { e = window.event; }
+        
+        // call the old event handler
+        if (wrapper.previous) { wrapper.previous.call(obj, e); }
+        
+        // and then have the new handler decide what happens
+        return handler.call(obj, e);
+    };
+    wrapper.previous = obj[event];
+    wrapper.handler = handler;
+    obj[event] = wrapper;
+        
+    return wrapper;
+}
+
+/**
+ * Removes an event handler added by {@link #add_event_handler}, leaving the
+ * handlers added before and after it in place.
+ *
+ * @param {DOM:element} obj The DOM node
+ * @param {String} event The event name (e.g. 'click') or moniker
+ *     (e.g., 'onclick')
+ * @param {Function} handler The handler given to add_event_handler
+ * @return {Boolean} True if the handler was found (and removed)
+ */
+function remove_event_handler(obj, event, handler) {
+    event = (event.slice(0, 2) == 'on') ? event : 'on' + event;
+    
+    // walk the chain from the newest handler, remembering the one after
+    var after = undefined;
+    for (var f = obj[event];f;f = f.previous) {
+        if (f.handler === handler) {
+            if (after) { after.previous = f.previous; }
+            else { obj[event] = f.previous || null; }
+            
+            return true;
+        }
+        after = f;
+    }
+    
+    return false;
+}
+
+/**
+ * A list of type values for input elements for which events should be caught.
+ */
+var input_nodes = ['text', 'password', 'checkbox', 'radio', 'file', 'number',
+                   'date'];
+
+/**
+ * A predicate for DOM objects which are editable, and which events must be
+ * caught for.  This is, in particular, input elements matching {@link 
+ * #input_nodes}, the textarea element, and the select element.
+ *
+ * @param o Any object
+ * @return {Boolean} True if o has a meaningful onchange event (while some
+ *     browsers have mixed onchange implementations, this includes checkboxes
+ *     and radio buttons)
+ */
+function is_editable(o) {
+    if (!dom_obj(o)) { return false; }
+    
+    var node_name = o.nodeName.toLowerCase();
+    if (node_name == 'textarea' ||
+        node_name == 'select') { return true; }
+    else if (node_name == 'input') {
+        // default to type='text'
+        if (!o.hasAttribute('type')) { return true; }
+        
+        // otherwise, see if it's the right kind
+        var node_type = o.getAttribute('type');
+        return contains(input_nodes, node_type);
+    }
+
+    return false;
+}
+
+/**
+ * Recursively attaches events to a DOM object.
+ *
+ * @param {DOM:element} obj The DOM object
+ * @param {Function} handler The event handler -- it will be passed the cross-
+ *     browser event object
+ */
+function attach_handler(obj, handler) {
+    if (!is_editable(obj)) {
+        if (obj.childNodes) {
+            var children = obj.childNodes;
+            for (var i = 0;i < children.length;i++) {
+                attach_handler(children[i], handler);
+            }
+        }
+        return;
+    }
+    
+    add_event_handler(obj, 'reset', handler);
+    add_event_handler(obj, 'change', handler);
+    
+    var node_name = obj.nodeName.toLowerCase();
+    // these guys work funny in some browsers...
+    if (obj.hasAttribute('type')) {
+        var type = obj.getAttribute('type');
+        if (type == 'radio' || type == 'checkbox') {
+            add_event_handler(obj, 'click', handler);
+        } else if (type == 'text') {
+            add_event_handler(obj, 'keypress', handler);
+        }
+    } else if (node_name == 'input' || node_name == 'textarea') {
+        add_event_handler(obj, 'keypress', handler);
+    }
+}
+
+/**
+ * Recursively removes every registration of an event handler from a DOM
+ * object, undoing {@link #attach_handler}.
+ *
+ * @param {DOM:element} obj The DOM object
+ * @param {Function} handler The event handler given to attach_handler
+ */
+function detach_handler(obj, handler) {
+    for (var i = 0;i < dom_events.length;i++) {
+        while (remove_event_handler(obj, dom_events[i], handler)) { }
+    }
+    
+    var children = obj.childNodes || [];
+    for (i = 0;i < children.length;i++) {
+        detach_handler(children[i], handler);
+    }
+}
+
+/**
+ * The events a {@link Binding} listens for.  They bubble, so they can be
+ * caught once, on the bound root; input fires on every keystroke, paste, and
+ * IME composition.
+ */
+var edit_events = ['input', 'change', 'click', 'reset'];
+
+/**
+ * Determines whether a DOM event is an edit: an input or change event from an
+ * editable node (see {@link #is_editable}), a click on a checkbox or radio
+ * button, or a form reset.
+ *
+ * @param {Event} e The event
+ * @return {Boolean} True if e is an edit
+ */
+function is_edit_event(e) {
+    if (e.type == 'reset') { return true; }
+    
+    var target = e.target || e.srcElement;
+    if (!is_editable(target)) { return false; }
+    if (e.type == 'click') {
+        var type = target.getAttribute('type');
+        return type == 'checkbox' || type == 'radio';
+    }
+    
+    return true;
+}
+
+/**
+ * Adds a listener for a bubbling event to a DOM node, with addEventListener
+ * where it is available, and attachEvent otherwise.  Unlike {@link
+ * #add_event_handler}, the node's on- properties aren't touched.
+ *
+ * @param {DOM:element} obj The DOM node
+ * @param {String} event The event name, e.g. 'change'
+ * @param {Function} listener The listener, which is passed the event
+ */
+function add_listener(obj, event, listener) {
+    if (obj.addEventListener) { obj.addEventListener(event, listener, false); }
+    else if (obj.attachEvent) { obj.attachEvent('on' + event, listener); }
+}
+
+/**
+ * Removes a listener added by {@link #add_listener}.
+ */
+function remove_listener(obj, event, listener) {
+    if (obj.removeEventListener) {
+        obj.removeEventListener(event, listener, false);
+    } else if (obj.detachEvent) {
+        obj.detachEvent('on' + event, listener);
+    }
+}
+
+/**
+ * DOM properties which aren't reflected by attributes, but which must be
+ * brought up to date when patching.
+ */
+var dom_props = ['value', 'checked', 'selected'];
+
+/**
+ * Patches a live DOM node so that it matches a newly generated one, touching
+ * only what differs: text, attributes, form properties, and event handlers
+ * are updated in place, and children are patched recursively.  Nodes are
+ * replaced only when their type or name changes.  Since unchanged nodes are
+ * left alone, focus, caret position, scroll offsets and the like survive.
+ *
+ * @param {DOM:node} old_node The live node, which must have a parent
+ * @param {DOM:node} new_node The node to make old_node look like
+ * @return {DOM:node} The node now in the document -- old_node, if it could be
+ *     patched, or new_node, if it replaced old_node
+ */
+function patch_dom(old_node, new_node) {
+    if (old_node.nodeType != new_node.nodeType ||
+        old_node.nodeName != new_node.nodeName) {
+        old_node.parentNode.replaceChild(new_node, old_node);
+        return new_node;
+    }
+    
+    if (old_node.nodeType != Node.ELEMENT_NODE) {
+        if (old_node.nodeValue != new_node.nodeValue) {
+            old_node.nodeValue = new_node.nodeValue;
+        }
+        return old_node;
+    }
+    
+    // remove stale attributes...
+    var old_attribs = clone(old_node.attributes, true);
+    for (var i = 0;i < old_attribs.length;i++) {
+        var name = old_attribs[i].nodeName;
+        if (!new_node.hasAttribute(name)) { old_node.removeAttribute(name); }
+    }
+    
+    // ...and update changed ones
+    var new_attribs = new_node.attributes;
+    for (i = 0;i < new_attribs.length;i++) {
+        name = new_attribs[i].nodeName;
+        var v = new_attribs[i].nodeValue;
+        if (old_node.getAttribute(name) !== v) { 
+            old_node.setAttribute(name, v); 
+        }
+    }
+    
+    // only write properties that changed, or we'll lose the caret
+    for (i = 0;i < dom_props.length;i++) {
+        var prop = dom_props[i];
+        if (prop in new_node && old_node[prop] !== new_node[prop]) {
+            old_node[prop] = new_node[prop];
+        }
+    }
+    
+    // take the new node's handlers (e.g. from make_dom_node); keeping the old
+    // ones would chain stale closures
+    for (i = 0;i < dom_events.length;i++) {
+        var event = dom_events[i];
+        if (old_node[event] !== new_node[event]) {
+            old_node[event] = new_node[event] || null;
+        }
+    }
+    
+    // patch children pairwise, then fix up the difference in length
+    var old_kids = clone(old_node.childNodes, true);
+    var new_kids = clone(new_node.childNodes, true);
+    var shared = Math.min(old_kids.length, new_kids.length);
+    for (i = 0;i < shared;i++) {
+        patch_dom(old_kids[i], new_kids[i]);
+    }
+    for (i = shared;i < old_kids.length;i++) {
+        old_node.removeChild(old_kids[i]);
+    }
+    for (i = shared;i < new_kids.length;i++) {
+        old_node.appendChild(new_kids[i]);
+    }
+    
+    return old_node;
 }
 
 /**
- * A list of type values for input elements for which events should be caught.
+ * The element children of a node; text is left out, since a parser may split
+ * or merge it.
  */
-var input_nodes = ['text', 'password', 'checkbox', 'radio', 'file'];
+function element_kids(node) {
+    var kids = [];
+    for (var i = 0;i < node.childNodes.length;i++) {
+        if (node.childNodes[i].nodeType == 1) { kids.push(node.childNodes[i]); }
+    }
+    
+    return kids;
+}
 
 /**
- * A predicate for DOM objects which are editable, and which events must be
- * caught for.  This is, in particular, input elements matching {@link 
- * #input_nodes}, the textarea element, and the select element.
+ * Determines whether markup has the shape of a freshly generated view: the
+ * same elements, nested the same way.  Text and attributes aren't compared.
  *
- * @param o Any object
- * @return {Boolean} True if o has a meaningful onchange event (while some
- *     browsers have mixed onchange implementations, this includes checkboxes
- *     and radio buttons)
+ * @param {DOM:node} new_node The generated node
+ * @param {DOM:node} old_node The node in the document
+ * @return {Boolean} True if old_node can be hydrated as new_node
  */
-function is_editable(o) {
-    if (!dom_obj(o)) { return false; }
+function markup_matches(new_node, old_node) {
+    if (new_node.nodeType != old_node.nodeType ||
+        new_node.nodeName.toLowerCase() != old_node.nodeName.toLowerCase()) {
+        return false;
+    }
+    if (new_node.nodeType != 1) { return true; }
     
-    var node_name = o.nodeName.toLowerCase();
-    if (node_name == 'textarea' ||
-        node_name == 'select') { return true; }
-    else if (node_name == 'input') {
-        // default to type='text'
-        if (!o.hasAttribute('type')) { return true; }
-        
-        // otherwise, see if it's the right kind
-        var node_type = o.getAttribute('type');
-        return contains(input_nodes, node_type);
+    var new_kids = element_kids(new_node);
+    var old_kids = element_kids(old_node);
+    if (new_kids.length != old_kids.length) { return false; }
+    for (var i = 0;i < new_kids.length;i++) {
+        if (!markup_matches(new_kids[i], old_kids[i])) { return false; }
     }
-
-    return false;
+    
+    return true;
 }
 
 /**
- * Recursively attaches events to a DOM object.
+ * Copies the event handlers of a generated view (e.g. from the attributes
+ * given to {@link #make_dom_node}) onto markup of the same shape (see
+ * {@link #markup_matches}), since markup can't carry them.
  *
- * @param {DOM:element} obj The DOM object
- * @param {Function} handler The event handler -- it will be passed the cross-
- *     browser event object
+ * @param {DOM:node} new_node The generated node
+ * @param {DOM:node} old_node The node in the document
  */
-function attach_handler(obj, handler) {
-    if (!is_editable(obj)) {
-        if (obj.childNodes) {
-            var children = obj.childNodes;
-            for (var i = 0;i < children.length;i++) {
-                attach_handler(children[i], handler);
-            }
+function adopt_handlers(new_node, old_node) {
+    for (var i = 0;i < dom_events.length;i++) {
+        var event = dom_events[i];
+        if (new_node[event] && old_node[event] !== new_node[event]) {
+            old_node[event] = new_node[event];
         }
-        return;
     }
     
-    add_event_handler(obj, 'reset', handler);
-    add_event_handler(obj, 'change', handler);
-    
-    var node_name = obj.nodeName.toLowerCase();
-    // these guys work funny in some browsers...
-    if (obj.hasAttribute('type')) {
-        var type = obj.getAttribute('type');
-        if (type == 'radio' || type == 'checkbox') {
-            add_event_handler(obj, 'click', handler);
-        } else if (type == 'text') {
-            add_event_handler(obj, 'keypress', handler);
-        }
-    } else if (node_name == 'input' || node_name == 'textarea') {
-        add_event_handler(obj, 'keypress', handler);
+    var new_kids = element_kids(new_node);
+    var old_kids = element_kids(old_node);
+    for (i = 0;i < new_kids.length && i < old_kids.length;i++) {
+        adopt_handlers(new_kids[i], old_kids[i]);
     }
 }
 
@@ -3277,6 +9675,47 @@ function attach_handler(obj, handler) {
  */
 var __bound_ids = {};
 
+/**
+ * The class given to DOM nodes whose values were rejected on putback.
+ */
+var field_error_class = 'lens_error';
+
+/**
+ * Flags a DOM node as holding a bad value: it gets the class
+ * {@link #field_error_class}, and the error message as its title.
+ *
+ * @param {Node} node The DOM node
+ * @param {String} msg The error message
+ * @return {Function} A thunk that removes the flag again
+ */
+function flag_field(node, msg) {
+    var title = node.hasAttribute('title') ? node.getAttribute('title') 
+                                           : undefined;
+    var classes = node.hasAttribute('class') ? node.getAttribute('class')
+                                             : '';
+    node.setAttribute('class', 
+                      (classes ? classes + ' ' : '') + field_error_class);
+    node.setAttribute('title', msg);
+    
+    return function () {
+        var kept = [];
+        var current = (node.getAttribute('class') || '').split(/\s+/);
+        for (var i = 0;i < current.length;i++) {
+            if (current[i] && current[i] != field_error_class) {
+                kept.push(current[i]);
+            }
+        }
+        if (kept.length > 0) { node.setAttribute('class', kept.join(' ')); }
+        else { node.removeAttribute('class'); }
+        
+        // only put the title back if nobody else has changed it
+        if (node.getAttribute('title') == msg) {
+            if (title === undefined) { node.removeAttribute('title'); }
+            else { node.setAttribute('title', title); }
+        }
+    };
+}
+
 /**
  * @class
  * <p>A binding of a lens.  It records pertinent information, to allow for 
@@ -3285,12 +9724,27 @@ var __bound_ids = {};
  * <tr><td>lens</td><td>The lens (without any DOM wrapping)</td></tr>
  * <tr><td>id</td><td>The DOM id bound to</td></tr>
  * <tr><td>last_model</td><td>The last model (concrete tree, in C) seen</td></tr>
- * <tr><td>poll_id</td><td>The interval id from window.setInterval controlling 
+ * <tr><td>poll_id</td><td>The interval id from setInterval controlling 
  *     polling (not necessarily set)</td></tr>
+ * <tr><td>history</td><td>The {@link History} recording models (not
+ *     necessarily set; see {@link #track_history})</td></tr>
+ * <tr><td>maintainer</td><td>The {@link Maintainer} repairing models (not
+ *     necessarily set; see {@link #maintain})</td></tr>
+ * <tr><td>errors_b</td><td>A Flapjax behaviour of the current field errors
+ *     (not set without Flapjax; see {@link #field_errors_b})</td></tr>
+ * <tr><td>on_unbind</td><td>A list of functions to call when the lens is
+ *     unbound (see {@link #unbind_lens})</td></tr>
  * </table>
  * <p>It also has get and putback methods, like a {@link Lens}, but Binding is
  * not a traditional lens -- it will store and manage its own C and A values.
  * </p>
+ * <p>When putback fails, the bad value is held back: the model is left as it
+ * was, and the DOM isn't touched.  Instead, the failure is recorded as a
+ * field error, an object { node: ..., message: ..., lens: ... }, where node is
+ * the DOM node whose value was bad (see {@link LensException}), if it is
+ * known.  The node is flagged (see {@link #flag_field}) until the next
+ * successful putback or new model.  The errors method returns the current
+ * errors.</p>
  *
  * @constructor
  * @param {Lens} lens The lens to bind
@@ -3300,8 +9754,11 @@ var __bound_ids = {};
  * @param {int} delay The amount of time to wait for "calm" (no putbacks) before
  *     running a putback.  The minimum is 5 milliseconds, which is necessary for
  *     DOM updates to propagate.
+ * @param {Boolean} deltas If true, putback runs in delta mode (see 
+ *     {@link #putback_delta}), and dom_update_callback is also given the edit
+ *     script from the old model to the new one
  */
-function Binding(lens, dom_id, dom_update_callback, delay) {
+function Binding(lens, dom_id, dom_update_callback, delay, deltas) {
     // make sure that the delay is valid
     delay = Number(delay);
     if (delay < 5 || isNaN(delay)) {
@@ -3312,6 +9769,7 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
     this.id = dom_id;
     
     var last_model = undefined;
+    this.model = function () { return last_model; };
     
     var dom_read = function () {
         return get_dom_object(dom_id);
@@ -3319,46 +9777,155 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
     
     var timeout = undefined;
     
+    // the current field errors, and thunks to unflag their nodes
+    var errors = [];
+    var unflags = [];
+    this.errors = function () { return clone(errors, true); };
+    this.errors_b = fx.receiver_b ? fx.receiver_b([]) : undefined;
+    
+    // flags the nodes of the current errors; the flags only live on the DOM,
+    // so this is done again whenever the view is patched
+    var flag_errors = function () {
+        unflags = [];
+        for (var i = 0;i < errors.length;i++) {
+            if (errors[i].node) {
+                unflags.push(flag_field(errors[i].node, errors[i].message));
+            }
+        }
+    };
+    
+    var set_errors = function (binding, new_errors) {
+        if (errors.length === 0 && new_errors.length === 0) { return; }
+        
+        for (var i = 0;i < unflags.length;i++) { unflags[i](); }
+        errors = new_errors;
+        flag_errors();
+        if (binding.errors_b) {
+            binding.errors_b.sendPulse(binding.errors(), nil);
+        }
+    };
+    
     this.putback = function (a, c) {
         // clear the timeout -- if there's a putback pending, it'll just happen
         // now
         if (timeout) { 
-            window.clearTimeout(timeout);
+            clearTimeout(timeout);
             timeout = undefined;
         }
         
         if (c !== undefined) { last_model = c; }
         
         // actually putback
+        var new_errors = [];
         try {
-            var new_model = jsify(lens.putback(dom_read(), last_model));
+            if (deltas) {
+                var put = putback_delta(lens, dom_read(), last_model);
+                var new_model = jsify(put.model);
+                var edits = put.edits;
+                
+                // jsify only ever changes the whole tree
+                if (!same_tree(new_model, put.model)) {
+                    edits = [{ 'op': 'set', 'path': [], 'value': new_model }];
+                }
+            } else {
+                new_model = jsify(lens.putback(dom_read(), last_model));
+            }
         } catch (e) {
-            if (console) { console.log(e); } else { throw e; }
+            if (!(e instanceof LensException)) {
+                if (console) { console.log(e); } else { throw e; }
+            }
+            
+            new_errors = [{ 'node': e.node, 'message': e.msg || e.message,
+                            'lens': e.lens }];
         }
+        set_errors(this, new_errors);
+        if (new_errors.length > 0) { return; }
         
-        // only propagate new models
-        if (!equal(new_model, last_model)) {
+        // repair whatever constraints the edit broke (see #maintain)
+        var repairs = [];
+        if (this.maintainer && new_model !== undefined) {
+            var repaired = this.maintainer.repair_delta(last_model, new_model);
+            new_model = repaired.model;
+            repairs = repaired.edits;
+            if (edits) { edits = edits.concat(repairs); }
+        }
+        
+        // only propagate new models -- up to the lens' equivalence, so that
+        // e.g. whitespace edits under a trimming quotient are ignored
+        if (!lens.cequiv(new_model, last_model)) {
             last_model = new_model;
-            if (dom_update_callback) { dom_update_callback(new_model); }
+            if (this.history) { this.history.record(new_model, 'putback'); }
+            if (dom_update_callback) { dom_update_callback(new_model, edits); }
         }
+        
+        // show the repaired fields
+        if (repairs.length > 0) { this.get(); }
     };
     
-    this.get = function (c) {
-        var old_dom = dom_read();
-
-        // make sure it has a parent -- if not, the update will fail
-        if (!has_prop(old_dom, 'parentNode')) {
-            error('bind_lens', 'model_update_callback: DOM object has no parent');
-        }
+    /**
+     * Replaces the model as if it came from the DOM: the view is updated, and
+     * the dom_update_callback is notified.
+     */
+    this.set_model = function (c) {
+        if (this.maintainer) { c = this.maintainer.repair(last_model, c); }
+        this.get(c);
+        if (dom_update_callback) { dom_update_callback(c); }
+    };
+    
+    /* we catch every useful edit event (excluding list edit events, which
+       are dealt with in LListMap); every time an edit occurs (e.g. a key is
+       pressed) a timeout is set.  if no edits occur before that timeout,
+       then a putback occurs.  otherwise, we'll keep delaying the putback.
+       this is CRITICAL for performance, particularly as the lenses get
+       complex
+       
+       delay is set at a minimum of 5 milliseconds, since the DOM update
+       needs to actually occur before we try to putback
+       
+       rather than registering on every editable node, we listen for the
+       edit_events once, on the bound root, and let them bubble up to us
+    */
+    var pb = closure(this, this.putback);
+    var on_edit = function (e) {
+        if (!is_edit_event(e || window.event)) { return true; }
         
-        // perform the lens' get operation -- we might need to use an old value
-        // if we weren't passed anything
-        if (arguments.length === 0) {
-            c = last_model;
-        } else {
-            last_model = c;
+        if (timeout) { clearTimeout(timeout); }
+        
+        timeout = setTimeout(pb, delay);
+        
+        return true; 
+    };
+    
+    // the node we're listening on; the first get may replace the root
+    var root = undefined;
+    var listen_at = function (node) {
+        if (node === root) { return; }
+        
+        for (var i = 0;i < edit_events.length;i++) {
+            if (root) { remove_listener(root, edit_events[i], on_edit); }
+            if (node) { add_listener(node, edit_events[i], on_edit); }
+        }
+        root = node;
+    };
+    
+    /**
+     * Stops listening to the DOM: the pending putback, if there is one, is
+     * dropped, and the edit listeners are removed.  See {@link #unbind_lens}.
+     */
+    this.detach = function () {
+        if (timeout) { 
+            clearTimeout(timeout);
+            timeout = undefined;
         }
         
+        listen_at(undefined);
+    };
+    
+    // thunks to run on unbinding, e.g. to stop listening to a Flapjax model
+    this.on_unbind = [];
+    
+    // the lens' view of c, with the bound id
+    var view = function (c) {
         try {
             var new_dom = lens.get(c);
         } catch (e) {
@@ -3367,9 +9934,10 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
         
         // make sure the lens has appropriate output -- it musn't fail on 
         // putback.  the error behavior for the last two tests may be too strict
-        if (!dom_obj(new_dom) || !('hasAttribute' in new_dom)) {
+        var wrapped = element_lens(lens, new_dom, dom_id);
+        if (wrapped !== lens) {
             // if the lens didn't produce a DOM object, just make a span...
-            lens = new LSeq(lens, new LSpanTag({ 'id': dom_id }));
+            lens = wrapped;
             new_dom = lens.get(c);
         } else if (!new_dom.hasAttribute('id')) {
             // the lens didn't set the id, so set it
@@ -3382,28 +9950,75 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
                    dom_id].join(''));
         }
         
-        /* we catch every useful edit event (excluding list edit events, which
-           are dealt with in LListMap); every time an edit occurs (e.g. a key is
-           pressed) a timeout is set.  if no edits occur before that timeout,
-           then a putback occurs.  otherwise, we'll keep delaying the putback.
-           this is CRITICAL for performance, particularly as the lenses get
-           complex
-           
-           delay is set at a minimum of 5 milliseconds, since the DOM update
-           needs to actually occur before we try to putback
-        */
-        var pb = closure(this, this.putback);
-        attach_handler(new_dom, function () {
-            if (timeout) { window.clearTimeout(timeout); }
+        return new_dom;
+    };
+    
+    this.get = function (c) {
+        var old_dom = dom_read();
+
+        // make sure it has a parent -- if not, the update will fail
+        if (!has_prop(old_dom, 'parentNode')) {
+            error('bind_lens', 'model_update_callback: DOM object has no parent');
+        }
+        
+        // perform the lens' get operation -- we might need to use an old value
+        // if we weren't passed anything
+        if (arguments.length === 0) {
+            c = last_model;
+        } else {
+            // the bad values are about to be replaced
+            set_errors(this, []);
             
-            timeout = window.setTimeout(pb, delay);
+            // a new model may break constraints, too; if it does, the repaired
+            // model goes back to the caller
+            if (this.maintainer && c !== undefined) {
+                var repaired = this.maintainer.repair_delta(last_model, c);
+                c = repaired.model;
+                if (repaired.edits.length > 0 && dom_update_callback) {
+                    dom_update_callback(c, deltas ? repaired.edits :
+                                                    undefined);
+                }
+            }
             
-            // bubble, don't capture
-            return true; 
-        });
+            last_model = c;
+            if (this.history) { this.history.record(c, 'get'); }
+        }
+        
+        // update the DOM!  we patch rather than replace, so that whatever the
+        // user is in the middle of -- focus, selection, IME -- survives
+        listen_at(patch_dom(old_dom, view(c)));
+        
+        // patching took the view's classes and titles, so flag the bad
+        // fields again
+        flag_errors();
+    };
+    
+    /**
+     * Adopts the markup already under the DOM id -- say, from {@link 
+     * #render_html} on the server -- as the view of c, without re-creating
+     * its nodes: the lens' event handlers are copied onto them (see {@link 
+     * #adopt_handlers}), and edits are listened for.  If the markup doesn't
+     * have the view's shape, it is patched, as by get.  Either way, whatever
+     * was typed before hydration is then put back.
+     */
+    this.hydrate = function (c) {
+        var old_dom = dom_read();
+        if (!old_dom) {
+            error('bind_lens', 'hydrate: no markup to hydrate under ' + dom_id);
+        }
+        
+        var new_dom = view(c);
+        if (!markup_matches(new_dom, old_dom)) {
+            this.get(c);
+        } else {
+            last_model = c;
+            if (this.history) { this.history.record(c, 'get'); }
+            
+            adopt_handlers(new_dom, old_dom);
+            listen_at(old_dom);
+        }
         
-        // update the DOM!
-        old_dom.parentNode.replaceChild(new_dom, old_dom);
+        this.putback();
     };
     
     // notify the lens of the binding
@@ -3412,6 +10027,185 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
     return this;
 }
 
+/**
+ * @class
+ * <p>An undo/redo history for a {@link Binding}.  Every model the binding
+ * sees -- those made by putback from DOM edits, and those given to get from
+ * outside -- is recorded as an entry.  {@link #undo} and {@link #redo} move
+ * through the entries, restoring each model with {@link Binding#set_model},
+ * so that whoever owns the model (e.g. a Flapjax behavior, for
+ * {@link #bind_lens_to}) hears about it.  Recording a new model after undoing
+ * discards the entries that could have been redone.</p>
+ * <p>Each entry has the fields model, source ('get' or 'putback'), and time
+ * (in milliseconds).</p>
+ *
+ * @constructor
+ * @param {Binding} binding The binding to record
+ * @param {int} group_delay If set, then a putback within this many
+ *     milliseconds of the last putback replaces it rather than adding a new
+ *     entry, so that a burst of keystrokes is undone all at once
+ * @param {int} limit If set, the maximum number of entries to keep
+ */
+function History(binding, group_delay, limit) {
+    this.binding = binding;
+    this.entries = [];
+    this.index = -1;
+    
+    var restoring = false;
+    
+    /**
+     * The current time, in milliseconds; a method, so that it can be replaced.
+     */
+    this.now = function () { return new Date().getTime(); };
+    
+    this.record = function (model, source) {
+        if (restoring) { return; }
+        
+        var current = this.entries[this.index];
+        if (current && equal(current.model, model)) { return; }
+        
+        var entry = { 'model': deep_clone(model), 'source': source,
+                      'time': this.now() };
+        
+        // throw away the redo entries
+        this.entries = this.entries.slice(0, this.index + 1);
+        
+        if (group_delay && current && current.source == 'putback' &&
+            source == 'putback' && entry.time - current.time <= group_delay) {
+            this.entries[this.index] = entry;
+        } else {
+            this.entries.push(entry);
+            this.index += 1;
+        }
+        
+        if (limit && this.entries.length > limit) {
+            this.index -= this.entries.length - limit;
+            this.entries = this.entries.slice(this.entries.length - limit);
+        }
+    };
+    
+    var restore = function (history) {
+        var model = deep_clone(history.entries[history.index].model);
+        
+        restoring = true;
+        try {
+            history.binding.set_model(model);
+        } finally {
+            restoring = false;
+        }
+        
+        return model;
+    };
+    
+    /**
+     * Moves back one entry, restoring its model.
+     *
+     * @return The restored model, or undefined if there is nothing to undo
+     */
+    this.undo = function () {
+        if (!this.can_undo()) { return undefined; }
+        
+        this.index -= 1;
+        return restore(this);
+    };
+    
+    /**
+     * Moves forward one entry, restoring its model.
+     *
+     * @return The restored model, or undefined if there is nothing to redo
+     */
+    this.redo = function () {
+        if (!this.can_redo()) { return undefined; }
+        
+        this.index += 1;
+        return restore(this);
+    };
+    
+    this.can_undo = function () { return this.index > 0; };
+    this.can_redo = function () { return this.index < this.entries.length - 1; };
+    
+    /**
+     * Forgets every entry but the current one.
+     */
+    this.clear = function () {
+        this.entries = this.index >= 0 ? [this.entries[this.index]] : [];
+        this.index = this.entries.length - 1;
+    };
+    
+    return this;
+}
+
+/**
+ * Starts recording an undo/redo {@link History} for the lens bound to a DOM
+ * id, whether it was bound by {@link #bind_lens} or {@link #bind_lens_to}.
+ * The current model, if there is one, becomes the first entry.
+ *
+ * @param {String} dom_id The bound DOM id
+ * @param {int} group_delay See {@link History}
+ * @param {int} limit See {@link History}
+ * @return {History} The history
+ */
+function track_history(dom_id, group_delay, limit) {
+    if (!(dom_id in __bound_ids)) {
+        error('track_history', dom_id + ' is not bound');
+    }
+    
+    var binding = __bound_ids[dom_id];
+    var history = new History(binding, group_delay, limit);
+    if (binding.model() !== undefined) {
+        history.record(binding.model(), 'get');
+    }
+    binding.history = history;
+    
+    return history;
+}
+
+/**
+ * Attaches a constraint {@link Maintainer} to the lens bound to a DOM id,
+ * whether it was bound by {@link #bind_lens} or {@link #bind_lens_to}.  After
+ * each putback, and before each get of a new model, the model is repaired;
+ * repairs made on putback are shown in the DOM, and repairs of new models are
+ * passed to the dom_update_callback.  The current model, if there is one, is
+ * repaired right away.
+ *
+ * @param {String} dom_id The bound DOM id
+ * @param {Maintainer} maintainer The maintainer
+ * @return {Maintainer} The maintainer
+ */
+function maintain(dom_id, maintainer) {
+    if (!(dom_id in __bound_ids)) {
+        error('maintain', dom_id + ' is not bound');
+    }
+    if (!(maintainer instanceof Maintainer)) {
+        error('maintain', 'expected a constraint maintainer, got ' +
+                          maintainer, [dom_id, maintainer]);
+    }
+    
+    var binding = __bound_ids[dom_id];
+    binding.maintainer = maintainer;
+    if (binding.model() !== undefined) {
+        var repaired = maintainer.repair_delta(undefined, binding.model());
+        if (repaired.edits.length > 0) { binding.set_model(repaired.model); }
+    }
+    
+    return maintainer;
+}
+
+/**
+ * Returns a Flapjax behaviour of the field errors of the lens bound to a DOM
+ * id (see {@link Binding}).  It is a list of errors, empty when all is well.
+ *
+ * @param {String} dom_id The bound DOM id
+ * @return {Behaviour} The field errors
+ */
+function field_errors_b(dom_id) {
+    if (!(dom_id in __bound_ids)) {
+        error('field_errors_b', dom_id + ' is not bound');
+    }
+    
+    return __bound_ids[dom_id].errors_b;
+}
+
 /**
  * <p>Binds a lens to a given id in the document.  It returns a callback that
  * notifies the lens binding of new model values; it takes an optional callback
@@ -3425,11 +10219,16 @@ function Binding(lens, dom_id, dom_update_callback, delay) {
  *     occur before actually running a putback; the default is 250
  * @param {int} polling An optional argument setting the frequency in
  *     milliseconds to check for new DOM structure; the default is to not poll
- * @return {Function} A callback to provide the binding with new values
+ * @param {Boolean} deltas If true, dom_update_callback is called with the
+ *     edit script (see {@link #putback_delta}) as well as the new value
+ * @return {Function} A callback to provide the binding with new values.  It
+ *     is also a handle on the binding: its binding property is the
+ *     {@link Binding}, and its dispose method unbinds the lens (see
+ *     {@link #unbind_lens}); disposing twice does nothing.
  * @see #unbind_lens
  * @see #bind_lens_to
  */
-function bind_lens(lens, dom_id, dom_update_callback, delay, polling) {
+function bind_lens(lens, dom_id, dom_update_callback, delay, polling, deltas) {
     delay = delay || 250; // default delay, in ms
     polling = polling || false; // default timeout, in ms
     
@@ -3438,24 +10237,63 @@ function bind_lens(lens, dom_id, dom_update_callback, delay, polling) {
     }
     
     // create the binding
-    var binding = new Binding(lens, dom_id, dom_update_callback, delay);
+    var binding = new Binding(lens, dom_id, dom_update_callback, delay, deltas);
     __bound_ids[dom_id] = binding;
     
     // call dom_update every polling ms
     // we save the return value, which is the interval ID.  this way we can turn
     // it off, later in unbind_lens
     if (polling) {
-        binding.poll_id = window.setInterval(function () {
+        binding.poll_id = setInterval(function () {
             return binding.putback();
         }, polling); 
     }
 
     // eta expand to preserve 'this'
-    return function (c) { return binding.get(c); };
+    var update = function (c) { return binding.get(c); };
+    update.binding = binding;
+    update.dispose = function () {
+        if (__bound_ids[dom_id] === binding) { unbind_lens(dom_id); }
+    };
+    
+    return update;
 }
 Lens.prototype.bind_to = function (dom_id, dom_update_callback, 
-                                   delay, polling) {
-    return bind_lens(this, dom_id, dom_update_callback, delay, polling);
+                                   delay, polling, deltas) {
+    return bind_lens(this, dom_id, dom_update_callback, delay, polling, 
+                     deltas);
+};
+
+/**
+ * Binds a lens to markup already in the document under dom_id -- e.g. from
+ * {@link #render_html} -- using {@link Binding#hydrate}, so that the nodes
+ * aren't re-created.  The arguments are those of {@link #bind_lens}, with the
+ * model the markup was rendered from.  If the markup doesn't fit, the binding
+ * is disposed of before the error is thrown.
+ *
+ * @param {Lens} lens The lens
+ * @param {String} dom_id The id to bind to
+ * @param c The model the markup shows
+ * @return {Function} The handle returned by {@link #bind_lens}
+ * @see #bind_lens
+ */
+function hydrate_lens(lens, dom_id, c, dom_update_callback, delay, polling,
+                      deltas) {
+    var update = bind_lens(lens, dom_id, dom_update_callback, delay, polling,
+                           deltas);
+    try {
+        update.binding.hydrate(c);
+    } catch (e) {
+        update.dispose();
+        throw e;
+    }
+    
+    return update;
+}
+Lens.prototype.hydrate = function (dom_id, c, dom_update_callback, delay,
+                                   polling, deltas) {
+    return hydrate_lens(this, dom_id, c, dom_update_callback, delay, polling,
+                        deltas);
 };
 
 /**
@@ -3469,34 +10307,48 @@ Lens.prototype.bind_to = function (dom_id, dom_update_callback,
  *     occur before actually running a putback; the default is 250
  * @param {int} polling An optional argument setting the frequency in
  *     milliseconds to check for new DOM structure; the default is to not poll
+ * @param {Maintainer} maintainer An optional constraint maintainer for the
+ *     model (see {@link #maintain})
+ * @return {Function} The handle returned by {@link #bind_lens}; disposing it
+ *     also stops listening to the model
  * @see #unbind_lens
  * @see #bind_lens
  */
-function bind_lens_to(model, lens, dom_id, delay, polling) {
+function bind_lens_to(model, lens, dom_id, delay, polling, maintainer) {
     var stamp = undefined;
     function dom_update(v) {
         model.sendPulse(v, function (p) { console.log(p); stamp = p.stamp; });
     }
 
     var model_update = bind_lens(lens, dom_id, dom_update, delay, polling);
+    if (maintainer) { maintain(dom_id, maintainer); }
     model_update(model.valueNow());
     
-    fx.event_e([model.changes()],
-               function (send, pulse) {
-                   if (pulse.stamp !== stamp) {
-                       model_update(pulse.value);
-                   }
-               });
+    var changes = model.changes();
+    var listener = fx.event_e([changes],
+                              function (send, pulse) {
+                                  if (pulse.stamp !== stamp) {
+                                      model_update(pulse.value);
+                                  }
+                              });
+    model_update.binding.on_unbind.push(function () {
+        changes.removeListener(listener);
+    });
+    
+    return model_update;
 }
-Lens.prototype.bind_to_b = function (model, dom_id, delay, polling) {
-    return bind_lens_to(model, this, dom_id, delay, polling);
+Lens.prototype.bind_to_b = function (model, dom_id, delay, polling,
+                                     maintainer) {
+    return bind_lens_to(model, this, dom_id, delay, polling, maintainer);
 };
 
 /**
- * Unbinds a lens bound to the DOM id dom_id.  If none is bound, an error is
- * signalled.
- *
- * TODO get to work with {@link #bind_lens_to}
+ * Unbinds a lens bound to the DOM id dom_id, whether by {@link #bind_lens} or
+ * {@link #bind_lens_to}.  Polling stops, any pending putback is dropped, the
+ * edit handlers are removed from the DOM, the binding's on_unbind functions
+ * are called (which, for bind_lens_to, stop listening to the model), and the
+ * lens and its sublenses forget the binding.  If no lens is bound, an error
+ * is signalled.
  *
  * @param {String} dom_id The DOM id to unbind
  * @return {Lens} The lens that was bound
@@ -3507,14 +10359,18 @@ function unbind_lens(dom_id) {
         error('unbind_lens', dom_id + ' is not bound');
     }
     
-    binding = __bound_ids[dom_id];
+    var binding = __bound_ids[dom_id];
     if ('poll_id' in binding) {
-        // TODO clear DOM event registrations?
-        window.clearInterval(binding.poll_id);
+        clearInterval(binding.poll_id);
+        delete binding.poll_id;
     }
+    binding.detach();
     
     delete __bound_ids[dom_id];
     
+    for (var i = 0;i < binding.on_unbind.length;i++) {
+        binding.on_unbind[i]();
+    }
     binding.lens.unbind(binding);
     
     return binding.lens;
@@ -3537,7 +10393,20 @@ var exports = {
     'domify': domify,
     'jsify': jsify,
     'add_event_handler': add_event_handler,
+    'remove_event_handler': remove_event_handler,
     'attach_handler': attach_handler,
+    'detach_handler': detach_handler,
+    'patch_dom': patch_dom,
+    'HtmlNode': HtmlNode,
+    'browser_backend': browser_backend,
+    'html_backend': html_backend,
+    'tree_backend': tree_backend,
+    'make_backend': make_backend,
+    'is_node': is_node,
+    'node_backend': node_backend,
+    'with_backend': with_backend,
+    'to_html': to_html,
+    'render_html': render_html,
     
     'LensException': LensException,
     'throw_on_error': throw_on_error,
@@ -3547,27 +10416,90 @@ var exports = {
     'error': error,
     'set_error_handler': set_error_handler,
     
+    'contracts': contracts,
+    'lens_c': lens_c,
+    'lens_of_c': lens_of_c,
+    'lens_constructor': lens_constructor,
+    
     'Lens': Lens,
     'is_lens': is_lens,
+    'registered_lenses': registered_lenses,
+    'make_sublens': make_sublens,
+    'name_value': name_value,
+    'serialize_lens': serialize_lens,
+    'deserialize_lens': deserialize_lens,
+    'parse_lens': parse_lens,
+    'parse_lens_value': parse_lens_value,
+    'putback_delta': putback_delta,
+    'apply_deltas': apply_deltas,
+    'sAny': sAny,
+    'sNumber': sNumber,
+    'sString': sString,
+    'sBool': sBool,
+    'sDom': sDom,
+    'sObject': sObject,
+    'sArray': sArray,
+    'sTuple': sTuple,
+    'schema_of': schema_of,
+    'show_schema': show_schema,
+    'schema_join': schema_join,
+    'infer_schema': infer_schema,
+    'Regular': Regular,
+    'regular': regular,
+    'Canonizer': Canonizer,
+    'leaf_canonizer': leaf_canonizer,
+    'canon_trim': canon_trim,
+    'canon_case': canon_case,
+    'canon_number': canon_number,
+    'SymLens': SymLens,
+    'sym_id': sym_id,
+    'sym_of_lens': sym_of_lens,
+    'sym_invert': sym_invert,
+    'sym_compose': sym_compose,
+    'sym_tensor': sym_tensor,
+    'sym_span': sym_span,
+    'sync_b': sync_b,
+    'Constraint': Constraint,
+    'Maintainer': Maintainer,
+    'maintain_b': maintain_b,
+    'TraceCall': TraceCall,
+    'Trace': Trace,
+    'trace_lens': trace_lens,
+    'inspect_value': inspect_value,
+    'inspect_lens': inspect_lens,
+    'inspect_label': inspect_label,
+    'lens_to_dot': lens_to_dot,
+
+    'LPlus': LPlus,
+    'LMinus': LMinus,
+    'LTimes': LTimes,
+    'LDivide': LDivide,
 
     'model_b': model_b,
+    'lift_b': lift_b,
     'bind_lens_to': bind_lens_to,
     
     'bind_lens': bind_lens, 
-    'unbind_lens': unbind_lens
+    'hydrate_lens': hydrate_lens,
+    'unbind_lens': unbind_lens,
+    'History': History,
+    'track_history': track_history,
+    'maintain': maintain,
+    'field_errors_b': field_errors_b
 };
 
 // Collate export information from the lens registry
 for (var name in __lenses) {
     exports[name] = __lenses[name].fun;
 }
+for (name in __tag_lenses) {
+    exports[name] = __tag_lenses[name];
+}
 
-// Export identifiers to the global scope (note lack of 'var')
+// Compatibility shim: export identifiers to the global scope
 if (provideGlobal) {
     for (name in exports) {
-        var cmd = ['window.', name, ' = exports.', name, ';',
-                   name, ' = exports.', name].join('');
-        eval(cmd);
+        window[name] = exports[name];
     }
 }
 
@@ -3576,3 +10508,8 @@ return exports;
 // EXPORTS }}}
 
 }
+
+// CommonJS entry point, for Node and bundlers
+if (typeof module != 'undefined' && module.exports) {
+    module.exports = initLenses;
+}
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview
+ * A minimal DOM implementation, just enough to run lens.js and test.js outside
+ * of a browser.  It supports elements and text nodes, attributes, the child
+ * list operations, cloning, getElementById, and the value property of form
+ * elements.  Events can be made with createEvent and dispatched; they reach
+ * both listeners (from addEventListener) and plain handler properties (e.g.
+ * <tt>onclick</tt>), as lens.js registers them.
+ *
+ * @author Michael Greenberg
+ * @version 1
+ */
+
+/**
+ * Creates a fresh document, along with the Node constructor that its nodes
+ * are instances of.
+ *
+ * @return {Object} An object with properties document and Node
+ */
+function createDocument() {
+
+/**
+ * @class
+ * The base of all nodes.
+ *
+ * @constructor
+ */
+function Node() { }
+Node.ELEMENT_NODE = Node.prototype.ELEMENT_NODE = 1;
+Node.TEXT_NODE = Node.prototype.TEXT_NODE = 3;
+Node.DOCUMENT_NODE = Node.prototype.DOCUMENT_NODE = 9;
+
+/**
+ * Defines a getter (and, optionally, a setter) on a prototype.
+ */
+function accessor(proto, name, get, set) {
+    Object.defineProperty(proto, name, { 'get': get, 'set': set,
+                                         'configurable': true });
+}
+
+accessor(Node.prototype, 'firstChild', function () {
+    return this.childNodes.length > 0 ? this.childNodes[0] : null;
+});
+accessor(Node.prototype, 'lastChild', function () {
+    var kids = this.childNodes;
+    return kids.length > 0 ? kids[kids.length - 1] : null;
+});
+accessor(Node.prototype, 'nextSibling', function () {
+    if (!this.parentNode) { return null; }
+    var kids = this.parentNode.childNodes;
+    var i = kids.indexOf(this);
+    return i + 1 < kids.length ? kids[i + 1] : null;
+});
+accessor(Node.prototype, 'textContent', function () {
+    if (this.nodeType == Node.TEXT_NODE) { return this.nodeValue; }
+
+    var text = '';
+    for (var i = 0;i < this.childNodes.length;i++) {
+        text += this.childNodes[i].textContent;
+    }
+    return text;
+});
+
+Node.prototype.hasChildNodes = function () {
+    return this.childNodes.length > 0;
+};
+
+/**
+ * The listeners registered on a node for an event type, made on demand.
+ */
+function listeners(node, type) {
+    if (!node.listeners) { node.listeners = {}; }
+    if (!node.listeners[type]) { node.listeners[type] = []; }
+
+    return node.listeners[type];
+}
+
+Node.prototype.addEventListener = function (type, listener) {
+    var ls = listeners(this, type);
+    if (ls.indexOf(listener) == -1) { ls.push(listener); }
+};
+
+Node.prototype.removeEventListener = function (type, listener) {
+    var ls = listeners(this, type);
+    var i = ls.indexOf(listener);
+    if (i != -1) { ls.splice(i, 1); }
+};
+
+/**
+ * Dispatches an event from this node, calling the on- property handler and
+ * the listeners of each node in turn; bubbling events continue up through the
+ * parents.  There is no capture phase.
+ */
+Node.prototype.dispatchEvent = function (e) {
+    e.target = this;
+    for (var node = this;node && !e.stopped;node = node.parentNode) {
+        e.currentTarget = node;
+        var handler = node['on' + e.type];
+        if (typeof handler == 'function' && handler.call(node, e) === false) {
+            e.defaultPrevented = true;
+        }
+
+        var ls = listeners(node, e.type).slice();
+        for (var i = 0;i < ls.length;i++) { ls[i].call(node, e); }
+
+        if (!e.bubbles) { break; }
+    }
+
+    return !e.defaultPrevented;
+};
+
+/**
+ * @class
+ * An event, as made by document.createEvent and set up with initEvent.
+ *
+ * @constructor
+ */
+function Event() {
+    this.type = undefined;
+    this.bubbles = false;
+    this.cancelable = false;
+    this.defaultPrevented = false;
+    this.stopped = false;
+}
+Event.prototype.initEvent = function (type, bubbles, cancelable) {
+    this.type = type;
+    this.bubbles = !!bubbles;
+    this.cancelable = !!cancelable;
+};
+Event.prototype.preventDefault = function () {
+    if (this.cancelable) { this.defaultPrevented = true; }
+};
+Event.prototype.stopPropagation = function () { this.stopped = true; };
+
+/**
+ * Removes a child, if it is one; returns its old index, or -1.
+ */
+function detach(child) {
+    var parent = child.parentNode;
+    if (!parent) { return -1; }
+
+    var i = parent.childNodes.indexOf(child);
+    if (i != -1) { parent.childNodes.splice(i, 1); }
+    child.parentNode = null;
+
+    return i;
+}
+
+Node.prototype.appendChild = function (child) {
+    detach(child);
+    this.childNodes.push(child);
+    child.parentNode = this;
+
+    return child;
+};
+
+Node.prototype.insertBefore = function (child, ref) {
+    if (!ref) { return this.appendChild(child); }
+
+    detach(child);
+    var i = this.childNodes.indexOf(ref);
+    if (i == -1) { throw new Error('insertBefore: not a child'); }
+    this.childNodes.splice(i, 0, child);
+    child.parentNode = this;
+
+    return child;
+};
+
+Node.prototype.removeChild = function (child) {
+    if (child.parentNode !== this) { throw new Error('removeChild: not a child'); }
+    detach(child);
+
+    return child;
+};
+
+Node.prototype.replaceChild = function (child, old) {
+    if (old.parentNode !== this) { throw new Error('replaceChild: not a child'); }
+    if (child === old) { return old; }
+
+    detach(child);
+    var i = this.childNodes.indexOf(old);
+    this.childNodes[i] = child;
+    child.parentNode = this;
+    old.parentNode = null;
+
+    return old;
+};
+
+/**
+ * @class
+ * A text node.
+ *
+ * @extends Node
+ * @param {String} data The text
+ */
+function Text(data) {
+    this.nodeType = Node.TEXT_NODE;
+    this.nodeName = '#text';
+    this.nodeValue = String(data);
+    this.childNodes = [];
+    this.parentNode = null;
+}
+Text.prototype = Object.create(Node.prototype);
+accessor(Text.prototype, 'data',
+         function () { return this.nodeValue; },
+         function (v) { this.nodeValue = String(v); });
+
+Text.prototype.cloneNode = function () {
+    return new Text(this.nodeValue);
+};
+
+/**
+ * Form elements, which have a value property that isn't just an attribute.
+ * Each maps to the default value, used until value is set.
+ */
+var value_defaults = {
+    'input': function (e) {
+        return e.hasAttribute('value') ? e.getAttribute('value') : '';
+    },
+    'button': function (e) {
+        return e.hasAttribute('value') ? e.getAttribute('value') : '';
+    },
+    'option': function (e) {
+        return e.hasAttribute('value') ? e.getAttribute('value') :
+                                         e.textContent;
+    },
+    'textarea': function (e) { return e.textContent; },
+    'select': function (e) {
+        for (var i = 0;i < e.childNodes.length;i++) {
+            var kid = e.childNodes[i];
+            if (kid.nodeName == 'OPTION' && kid.selected) {
+                return kid.value;
+            }
+        }
+        return e.childNodes.length > 0 && e.firstChild.nodeName == 'OPTION' ?
+            e.firstChild.value : '';
+    }
+};
+
+/**
+ * Form elements with a boolean property that isn't just an attribute: the
+ * attribute only gives the default, used until the property is set.
+ */
+var flag_defaults = { 'input': 'checked', 'option': 'selected' };
+
+/**
+ * @class
+ * An element.
+ *
+ * @extends Node
+ * @param {String} name The tag name
+ */
+function Element(name) {
+    this.nodeType = Node.ELEMENT_NODE;
+    this.nodeName = this.tagName = name.toUpperCase();
+    this.nodeValue = null;
+    this.attributes = [];
+    this.childNodes = [];
+    this.parentNode = null;
+
+    var lower = name.toLowerCase();
+    if (lower in value_defaults) {
+        var dirty_value = undefined;
+        var default_value = value_defaults[lower];
+        accessor(this, 'value',
+                 function () {
+                     return dirty_value !== undefined ? dirty_value :
+                                                        default_value(this);
+                 },
+                 function (v) { dirty_value = String(v); });
+    }
+    if (lower in flag_defaults) {
+        var flag = flag_defaults[lower];
+        var dirty_flag = undefined;
+        accessor(this, flag,
+                 function () {
+                     return dirty_flag !== undefined ? dirty_flag :
+                                                       this.hasAttribute(flag);
+                 },
+                 function (v) { dirty_flag = !!v; });
+    }
+}
+Element.prototype = Object.create(Node.prototype);
+
+/**
+ * Finds an attribute object by name, or returns undefined.
+ */
+function find_attribute(e, name) {
+    for (var i = 0;i < e.attributes.length;i++) {
+        if (e.attributes[i].nodeName == name) { return e.attributes[i]; }
+    }
+    return undefined;
+}
+
+Element.prototype.setAttribute = function (name, v) {
+    var attr = find_attribute(this, name);
+    if (attr) {
+        attr.nodeValue = attr.value = String(v);
+    } else {
+        this.attributes.push({ 'nodeName': name, 'name': name,
+                               'nodeValue': String(v), 'value': String(v) });
+    }
+};
+
+Element.prototype.getAttribute = function (name) {
+    var attr = find_attribute(this, name);
+    return attr ? attr.nodeValue : null;
+};
+
+Element.prototype.hasAttribute = function (name) {
+    return find_attribute(this, name) !== undefined;
+};
+
+Element.prototype.removeAttribute = function (name) {
+    var attr = find_attribute(this, name);
+    if (attr) { this.attributes.splice(this.attributes.indexOf(attr), 1); }
+};
+
+Element.prototype.cloneNode = function (deep) {
+    var copy = new Element(this.nodeName);
+    for (var i = 0;i < this.attributes.length;i++) {
+        copy.setAttribute(this.attributes[i].nodeName,
+                          this.attributes[i].nodeValue);
+    }
+
+    for (i = 0;deep && i < this.childNodes.length;i++) {
+        copy.appendChild(this.childNodes[i].cloneNode(true));
+    }
+
+    return copy;
+};
+
+/**
+ * Searches a subtree, depth first, for an element with a given id.
+ */
+function find_by_id(node, id) {
+    if (node.nodeType == Node.ELEMENT_NODE && node.getAttribute('id') === id) {
+        return node;
+    }
+
+    for (var i = 0;i < node.childNodes.length;i++) {
+        var found = find_by_id(node.childNodes[i], id);
+        if (found) { return found; }
+    }
+
+    return null;
+}
+
+var html = new Element('html');
+var body = html.appendChild(new Element('body'));
+
+var document = {
+    'nodeType': Node.DOCUMENT_NODE,
+    'TEXT_NODE': Node.TEXT_NODE,
+    'ELEMENT_NODE': Node.ELEMENT_NODE,
+    'documentElement': html,
+    'body': body,
+    'createElement': function (name) { return new Element(name); },
+    'createTextNode': function (data) { return new Text(data); },
+    'createEvent': function (kind) { return new Event(); },
+    'getElementById': function (id) { return find_by_id(html, id); }
+};
+
+return { 'document': document, 'Node': Node };
+
+}
+
+if (typeof module != 'undefined') {
+    module.exports = { 'createDocument': createDocument };
+}
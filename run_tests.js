@@ -0,0 +1,324 @@
+/**
+ * @fileoverview
+ * Runs the lens test suite from the command line, without a browser.  It
+ * loads contracts.js, lens.js, and test.js against the minimal DOM in
+ * minidom.js, runs every $T suite, and writes the results as TAP or JUnit
+ * XML.  Usage:
+ * <pre>
+ *     node run_tests.js [--format tap|junit] [--output FILE]
+ * </pre>
+ * The exit code is 0 if every test passed, and 1 otherwise.
+ *
+ * @author Michael Greenberg
+ * @version 1
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var minidom = require('./minidom.js');
+
+/**
+ * The scripts to load, in order.
+ */
+var sources = ['contracts.js', 'lens.js', 'test.js'];
+
+/**
+ * Parses the command line.
+ *
+ * @param {Array} argv The arguments, without node and the script name
+ * @return {Object} The options: format and output
+ */
+function parse_args(argv) {
+    var opts = { 'format': 'tap', 'output': undefined };
+
+    for (var i = 0;i < argv.length;i++) {
+        var arg = argv[i];
+        if (arg == '--format' || arg == '-f') {
+            opts.format = argv[++i];
+        } else if (arg == '--output' || arg == '-o') {
+            opts.output = argv[++i];
+        } else if (arg == '--help' || arg == '-h') {
+            opts.help = true;
+        } else {
+            throw new Error('unknown argument ' + arg);
+        }
+    }
+
+    if (opts.format != 'tap' && opts.format != 'junit') {
+        throw new Error('unknown format ' + opts.format +
+                        '; expected tap or junit');
+    }
+
+    return opts;
+}
+
+/**
+ * Creates a global environment for the library, with a fresh minimal DOM.
+ * Console output goes to stderr, so that it doesn't corrupt the report.
+ *
+ * @return {Object} The contextified global object
+ */
+function make_context() {
+    var dom = minidom.createDocument();
+    var log = function () {
+        process.stderr.write(Array.prototype.join.call(arguments, ' ') + '\n');
+    };
+
+    var sandbox = {
+        'document': dom.document,
+        'Node': dom.Node,
+        'console': { 'log': log, 'error': log, 'warn': log },
+        'alert': log,
+        'setTimeout': setTimeout,
+        'clearTimeout': clearTimeout,
+        'setInterval': setInterval,
+        'clearInterval': clearInterval
+    };
+    sandbox.window = sandbox;
+
+    return vm.createContext(sandbox);
+}
+
+/**
+ * Loads the library and tests into a context.
+ *
+ * @param {Object} context The context, from make_context
+ * @return {Function} The test runner returned by initTests
+ */
+function load(context) {
+    for (var i = 0;i < sources.length;i++) {
+        var file = path.join(__dirname, sources[i]);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context,
+                        { 'filename': file });
+    }
+
+    return vm.runInContext('initLenses(undefined, initContracts, true);' +
+                           'initTests();', context);
+}
+
+/**
+ * Renders a value for a failure report, even if it isn't JSON.
+ *
+ * @param v Any value
+ * @return {String} A short description of v
+ */
+function describe_value(v) {
+    if (v === undefined) { return 'undefined'; }
+    if (typeof v == 'function') { return '[function]'; }
+
+    try {
+        return JSON.stringify(v, function (key, val) {
+            if (val === undefined) { return '[undefined]'; }
+            if (typeof val == 'function') { return '[function]'; }
+            if (val && typeof val == 'object' && 'nodeType' in val) {
+                return val.nodeType == 3 ? '#text ' + val.nodeValue :
+                                           '<' + val.nodeName.toLowerCase() + '>';
+            }
+            if (val && typeof val == 'object' && 'get' in val &&
+                'putback' in val) {
+                return '[lens ' + val.name + ']';
+            }
+            return val;
+        });
+    } catch (e) {
+        return String(v);
+    }
+}
+
+/**
+ * Describes why a test failed, as a list of lines.  LensExceptions include
+ * their stack, one frame per line, oldest first.
+ *
+ * @param e The exception the test threw, or undefined if it returned false
+ * @return {Array} The lines of the description
+ */
+function failure_details(e) {
+    if (e === undefined) { return ['message: test returned false']; }
+
+    if (e && e.name == 'LensException') {
+        var lines = ['message: ' + e.msg, 'lens: ' + e.lens];
+        if (e.report) {
+            lines.push('counterexample: ' + describe_value(e.report.args));
+        }
+
+        var stack = e.stack();
+        lines.push('stack:');
+        for (var i = 0;i < stack.length;i++) {
+            var frame = stack[i];
+            lines.push('  - ' + frame.fun +
+                       (frame.context ? ' (' + frame.context + ')' : '') +
+                       (frame.args ? ' args: ' + describe_value(frame.args) :
+                                     ''));
+        }
+        if (e.cause && e.cause.stack) {
+            lines.push('cause: |',
+                       '  ' + e.cause.stack.split('\n').join('\n  '));
+        }
+
+        return lines;
+    }
+
+    if (e && e.stack) {
+        return ['message: ' + e.message,
+                'stack: |', '  ' + e.stack.split('\n').join('\n  ')];
+    }
+
+    return ['message: ' + e];
+}
+
+/**
+ * Makes a reporter (see runTests in test.js) that writes TAP version 13.
+ *
+ * @param {Function} write Called with each chunk of output
+ * @return {Object} The reporter; its failures property counts failures
+ */
+function tap_reporter(write) {
+    var n = 0;
+    var reporter = { 'failures': 0 };
+
+    reporter.begin = function (count) {
+        write('TAP version 13\n1..' + count + '\n');
+    };
+    reporter.result = function (test_name, index, success, ms, e) {
+        n++;
+        var line = [success ? 'ok' : 'not ok', n, '-', test_name,
+                    '#' + (index + 1)].join(' ');
+        write(line + '\n');
+
+        var lines = ['duration_ms: ' + ms];
+        if (!success) {
+            reporter.failures++;
+            lines = lines.concat(failure_details(e));
+        }
+
+        write('  ---\n');
+        for (var i = 0;i < lines.length;i++) {
+            write('  ' + lines[i].split('\n').join('\n  ') + '\n');
+        }
+        write('  ...\n');
+    };
+    reporter.done = function (ms) {
+        write('# tests ' + n + '\n# pass ' + (n - reporter.failures) +
+              '\n# fail ' + reporter.failures + '\n# time ' + ms + 'ms\n');
+    };
+
+    return reporter;
+}
+
+/**
+ * Escapes text for XML.
+ */
+function xml_escape(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').
+        replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Makes a reporter (see runTests in test.js) that writes JUnit XML.  Each $T
+ * name becomes a testsuite, and each test a testcase named by its index.
+ *
+ * @param {Function} write Called with the output, once everything has run
+ * @return {Object} The reporter; its failures property counts failures
+ */
+function junit_reporter(write) {
+    var suites = [];
+    var current = undefined;
+    var reporter = { 'failures': 0 };
+
+    reporter.result = function (test_name, index, success, ms, e) {
+        if (!current || current.name != test_name) {
+            current = { 'name': test_name, 'cases': [], 'failures': 0 };
+            suites.push(current);
+        }
+
+        var test = { 'name': '#' + (index + 1), 'time': ms / 1000 };
+        if (!success) {
+            var details = failure_details(e);
+            test.message = details[0].replace(/^message: /, '');
+            test.details = details.join('\n');
+            current.failures++;
+            reporter.failures++;
+        }
+        current.cases.push(test);
+    };
+    reporter.suite_done = function (test_name, ms) {
+        if (current) { current.time = ms / 1000; }
+    };
+    reporter.done = function (ms) {
+        var count = 0;
+        for (var i = 0;i < suites.length;i++) { count += suites[i].cases.length; }
+
+        var out = ['<?xml version="1.0" encoding="UTF-8"?>',
+                   ['<testsuites name="lens" tests="', count, '" failures="',
+                    reporter.failures, '" time="', ms / 1000, '">'].join('')];
+        for (i = 0;i < suites.length;i++) {
+            var suite = suites[i];
+            out.push(['  <testsuite name="', xml_escape(suite.name),
+                      '" tests="', suite.cases.length, '" failures="',
+                      suite.failures, '" time="', suite.time, '">'].join(''));
+
+            for (var j = 0;j < suite.cases.length;j++) {
+                var test = suite.cases[j];
+                var open = ['    <testcase classname="', xml_escape(suite.name),
+                            '" name="', test.name, '" time="', test.time,
+                            '"'].join('');
+
+                if (test.details === undefined) {
+                    out.push(open + ' />');
+                } else {
+                    out.push(open + '>');
+                    out.push('      <failure message="' +
+                             xml_escape(test.message) + '">' +
+                             xml_escape(test.details) + '</failure>');
+                    out.push('    </testcase>');
+                }
+            }
+            out.push('  </testsuite>');
+        }
+        out.push('</testsuites>');
+
+        write(out.join('\n') + '\n');
+    };
+
+    return reporter;
+}
+
+/**
+ * Runs the suite with the given command-line arguments.
+ *
+ * @param {Array} argv The arguments, without node and the script name
+ * @return {int} The exit code
+ */
+function main(argv) {
+    var opts = parse_args(argv);
+    if (opts.help) {
+        process.stdout.write('usage: node run_tests.js ' +
+                             '[--format tap|junit] [--output FILE]\n');
+        return 0;
+    }
+
+    var chunks = [];
+    var write = function (s) { chunks.push(s); };
+    var reporter = opts.format == 'junit' ? junit_reporter(write) :
+                                            tap_reporter(write);
+
+    var runTests = load(make_context());
+    runTests(reporter);
+
+    if (opts.output) {
+        fs.writeFileSync(opts.output, chunks.join(''));
+    } else {
+        process.stdout.write(chunks.join(''));
+    }
+
+    return reporter.failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { 'main': main,
+                   'tap_reporter': tap_reporter,
+                   'junit_reporter': junit_reporter };
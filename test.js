@@ -7,7 +7,8 @@
  * lens implementations' prototypes to include these new testing methods.  (It
  * only updates registered lenses, so be careful!)</p>
  * <p>Tests may then be created with $T(test_name, thunk1, thunk2, ...) and run
- * with runTests.</p>
+ * with runTests.  Generator-driven checks of the lens laws may be added with
+ * {@link Lens#laws}, or for every registered lens at once with $Laws.</p>
  * 
  * @author Michael Greenberg
  * @version 1
@@ -128,35 +129,78 @@ function recordTestTime(test, ms) {
 }
 
 /**
- * Runs all tests in __tests.
+ * The default test reporter, which writes results into the test page's DOM
+ * and logs exceptions to the console.
  */
-function runTests() {
+var dom_reporter = {
+    'result': function (test_name, index, success, ms, e) {
+        if (e !== undefined) {
+            if (console !== undefined) { 
+                console.error('%o', e);
+            } else { 
+                throw e; 
+            }
+        }
+        addTestResult(test_name, success, index);
+    },
+    'suite_done': function (test_name, ms) {
+        recordTestTime(test_name, ms);
+    },
+    'done': function (ms) {
+        recordTestTime('total', ms);
+    }
+};
+
+/**
+ * Runs all tests in __tests.  Results go to a reporter, which may have any of
+ * the following methods:
+ * <table>
+ * <tr><td>begin(count)</td><td>called first, with the number of tests</td></tr>
+ * <tr><td>result(test_name, index, success, ms, e)</td><td>called after each
+ *     test, with the exception it threw, if any</td></tr>
+ * <tr><td>suite_done(test_name, ms)</td><td>called after all of the tests
+ *     for a name have run</td></tr>
+ * <tr><td>done(ms)</td><td>called last</td></tr>
+ * </table>
+ *
+ * @param {Object} reporter The reporter; by default, results are written to
+ *     the test page
+ */
+function runTests(reporter) {
+    reporter = reporter || dom_reporter;
     var old_error = set_error_handler(throw_on_error);
     
+    if (reporter.begin) {
+        var count = 0;
+        for (var test_name in __tests) { count += __tests[test_name].length; }
+        reporter.begin(count);
+    }
+    
     var total_start = new Date().getTime();
-    for (var test_name in __tests) {
+    for (test_name in __tests) {
         var tests = __tests[test_name];           
 
         var start = new Date().getTime();    
         for (var i = 0;i < tests.length;i++) {
             var success = false;
+            var exception = undefined;
+            var test_start = new Date().getTime();
             try { success = tests[i](); }
-            catch (e) {
-                if (console !== undefined) { 
-                    console.error('%o', e);
-                } else { 
-                    throw e; 
-                }
+            catch (e) { exception = e; }
+            var test_time = new Date().getTime() - test_start;
+            
+            if (reporter.result) {
+                reporter.result(test_name, i, success ? true : false, 
+                                test_time, exception);
             }
-            addTestResult(test_name, success, i);
         }
         var finish = new Date().getTime(); 
         var time = finish - start;
-        recordTestTime(test_name, time);        
+        if (reporter.suite_done) { reporter.suite_done(test_name, time); }
     }
     var total_finish = new Date().getTime();
     var total_time = total_finish - total_start;
-    recordTestTime('total', total_time);
+    if (reporter.done) { reporter.done(total_time); }
     
     set_error_handler(old_error);
 }
@@ -190,6 +234,9 @@ function $T(test_name) {
  * 
  * For all c in C and a in A, put(get(c), a) = c
  * 
+ * Equality is the lens' cequiv, which is just equal except for quotient
+ * lenses.
+ * 
  * @param cval The value to put through the lens
  * @return {thunk} A test for the getput law on the lens with the given value
  */
@@ -198,7 +245,7 @@ Lens.prototype.getput = function (cval) {
     return function () {
       var got = lens.get(cval);
       var put = lens.putback(got, cval);
-      return equal(cval, put);
+      return lens.cequiv(cval, put);
     };
 };
 
@@ -216,7 +263,7 @@ Lens.prototype.putget = function (aval, cval) {
     return function () {
         var put = lens.putback(aval, cval);
         var got = lens.get(put);
-        return equal(aval, got);
+        return lens.aequiv(aval, got);
     };
 };
 
@@ -236,7 +283,7 @@ Lens.prototype.putput = function (aval1, aval2, cval) {
         var put1 = lens.putback(aval1, cval);
         var put2 = lens.putback(aval2, put1);
         var skipPut = lens.putback(aval2, cval);
-        return equal(put2, skipPut);
+        return lens.cequiv(put2, skipPut);
     };
 };
 
@@ -287,6 +334,18 @@ function throws_e(f, e_pred) {
     };
 }
 
+/**
+ * Dispatches a bubbling DOM event, as the browser would when a user edits.
+ *
+ * @param {DOM:element} node The node the event happens at
+ * @param {String} type The event type, e.g. 'input'
+ */
+function fire(node, type) {
+    var e = document.createEvent('HTMLEvents');
+    e.initEvent(type, true, true);
+    node.dispatchEvent(e);
+}
+
 /**
  * Tests that get of a lens throws a specific error.
  *
@@ -312,6 +371,44 @@ Lens.prototype.putback_throws = function (aval, cval, e_pred) {
     return throws_e(function () { lens.putback(aval, cval); }, e_pred); 
 };
 
+/**
+ * Tests the PutRL law of symmetric lenses:
+ * 
+ * If putr(x, k) = (y, k'), then putl(y, k') = (x, k')
+ * 
+ * @param x The value in X to put through the lens
+ * @param k The complement; defaults to the lens' missing complement
+ * @return {thunk} A test for the PutRL law on the lens with the given values
+ */
+SymLens.prototype.putrl = function (x, k) {
+    var lens = this;
+    var given = arguments.length > 1;
+    return function () {
+        var r = lens.putr(x, given ? k : lens.missing);
+        var l = lens.putl(r.value, r.complement);
+        return equal(l.value, x) && equal(l.complement, r.complement);
+    };
+};
+
+/**
+ * Tests the PutLR law of symmetric lenses:
+ * 
+ * If putl(y, k) = (x, k'), then putr(x, k') = (y, k')
+ * 
+ * @param y The value in Y to put through the lens
+ * @param k The complement; defaults to the lens' missing complement
+ * @return {thunk} A test for the PutLR law on the lens with the given values
+ */
+SymLens.prototype.putlr = function (y, k) {
+    var lens = this;
+    var given = arguments.length > 1;
+    return function () {
+        var l = lens.putl(y, given ? k : lens.missing);
+        var r = lens.putr(l.value, l.complement);
+        return equal(r.value, y) && equal(r.complement, l.complement);
+    };
+};
+
 /**
  * Runs a series of bind/unbind calls on an outer lens and an inner lens; it
  * checks to make sure that the inner lens has the same value as the outer lens.
@@ -356,6 +453,452 @@ function test_bindings(outer, inner) {
 
 // LENS TEST FUNCTIONS }}}
 
+/******************************
+ * {{{ LAW CHECKING
+ ******************************/
+
+/**
+ * Makes a seeded pseudo-random number generator (Park-Miller), so that law
+ * checking is reproducible.
+ *
+ * @param {int} seed The seed; any non-zero integer
+ * @return {Function} A thunk returning numbers in [0, 1)
+ */
+function make_random(seed) {
+    var s = (Math.abs(seed) % 2147483646) + 1;
+    return function () {
+        s = (s * 16807) % 2147483647;
+        return (s - 1) / 2147483646;
+    };
+}
+
+/**
+ * Picks a random integer in [0, n).
+ */
+function random_below(rand, n) {
+    return Math.floor(rand() * n);
+}
+
+/**
+ * <p>Makes a value generator.  Generators work over 'raw' values: generate
+ * makes a raw value, shrink gives a list of smaller raw values, and value
+ * turns a raw value into the value actually passed to the lens.  Keeping the
+ * raw value around lets us shrink values we can't take apart, such as the DOM
+ * nodes produced by {@link #gen_map}.</p>
+ *
+ * @param {Function} generate Given a random thunk and a size, makes a raw value
+ * @param {Function} shrink Given a raw value, returns a list of smaller ones;
+ *     by default, nothing shrinks
+ * @param {Function} value Given a raw value, returns the real value; by
+ *     default, the identity
+ * @return {Object} The generator
+ */
+function generator(generate, shrink, value) {
+    return { 'generate': generate,
+             'shrink': shrink || function (raw) { return []; },
+             'value': value || function (raw) { return raw; } };
+}
+
+/**
+ * Generates integers between -size and size, shrinking towards 0.
+ */
+function gen_int() {
+    return generator(function (rand, size) {
+        return random_below(rand, 2 * size + 1) - size;
+    }, function (n) {
+        var smaller = [];
+        if (n !== 0) { smaller.push(0); }
+        if (Math.abs(n) > 2) { smaller.push((n - n % 2) / 2); }
+        if (Math.abs(n) > 1) { smaller.push(n > 0 ? n - 1 : n + 1); }
+        return smaller;
+    });
+}
+
+/**
+ * Generates strings of up to size characters from an alphabet, shrinking by
+ * dropping characters.
+ *
+ * @param {String} alphabet The characters to use; by default, a few letters
+ */
+function gen_string(alphabet) {
+    alphabet = alphabet || 'abcxyz';
+    return generator(function (rand, size) {
+        var len = random_below(rand, size + 1);
+        var s = '';
+        for (var i = 0;i < len;i++) {
+            s += alphabet.charAt(random_below(rand, alphabet.length));
+        }
+        return s;
+    }, function (s) {
+        var smaller = s.length > 0 ? [''] : [];
+        for (var i = 0;i < s.length && s.length > 1;i++) {
+            smaller.push(s.slice(0, i) + s.slice(i + 1));
+        }
+        return smaller;
+    });
+}
+
+/**
+ * Generates one of a list of values, shrinking towards the front of the list.
+ *
+ * @param {Array} vals The values to choose from
+ */
+function gen_elements(vals) {
+    return generator(function (rand, size) {
+        return random_below(rand, vals.length);
+    }, function (i) {
+        return i > 0 ? [0] : [];
+    }, function (i) {
+        return clone(vals[i]);
+    });
+}
+
+/**
+ * Generates a value from one of the given generators.  Shrinking stays within
+ * the chosen generator.
+ */
+function gen_one_of(/* gen1, gen2, ... */) {
+    var gens = clone(arguments, true);
+    return generator(function (rand, size) {
+        var which = random_below(rand, gens.length);
+        return { 'which': which, 'raw': gens[which].generate(rand, size) };
+    }, function (r) {
+        var smaller = gens[r.which].shrink(r.raw);
+        for (var i = 0;i < smaller.length;i++) {
+            smaller[i] = { 'which': r.which, 'raw': smaller[i] };
+        }
+        return smaller;
+    }, function (r) {
+        return gens[r.which].value(r.raw);
+    });
+}
+
+/**
+ * Generates lists of up to size elements, shrinking by dropping and shrinking
+ * elements.
+ *
+ * @param {Object} gen The element generator
+ */
+function gen_list(gen) {
+    return generator(function (rand, size) {
+        var len = random_below(rand, size + 1);
+        var arr = [];
+        for (var i = 0;i < len;i++) {
+            arr.push(gen.generate(rand, size));
+        }
+        return arr;
+    }, function (arr) {
+        var smaller = arr.length > 0 ? [[]] : [];
+        for (var i = 0;i < arr.length;i++) {
+            var dropped = clone(arr);
+            dropped.splice(i, 1);
+            smaller.push(dropped);
+        }
+        for (i = 0;i < arr.length;i++) {
+            var elems = gen.shrink(arr[i]);
+            for (var j = 0;j < elems.length;j++) {
+                var shrunk = clone(arr);
+                shrunk[i] = elems[j];
+                smaller.push(shrunk);
+            }
+        }
+        return smaller;
+    }, function (arr) {
+        var vals = [];
+        for (var i = 0;i < arr.length;i++) {
+            vals.push(gen.value(arr[i]));
+        }
+        return vals;
+    });
+}
+
+/**
+ * Generates objects whose properties are drawn from a list of names, shrinking
+ * by dropping and shrinking properties.
+ *
+ * @param {Array} props The possible property names
+ * @param {Object} gen The generator for property values
+ * @param {Array} required Properties which are always present; defaults to []
+ */
+function gen_object(props, gen, required) {
+    var is_required = {};
+    for (var i = 0;required && i < required.length;i++) {
+        is_required[required[i]] = true;
+    }
+    
+    return generator(function (rand, size) {
+        var o = {};
+        for (var i = 0;i < props.length;i++) {
+            if (props[i] in is_required || rand() < 0.5) {
+                o[props[i]] = gen.generate(rand, size);
+            }
+        }
+        return o;
+    }, function (o) {
+        var smaller = [];
+        for (var prop in o) {
+            if (prop in is_required) { continue; }
+            var dropped = clone(o);
+            delete dropped[prop];
+            smaller.push(dropped);
+        }
+        for (prop in o) {
+            var vals = gen.shrink(o[prop]);
+            for (var j = 0;j < vals.length;j++) {
+                var shrunk = clone(o);
+                shrunk[prop] = vals[j];
+                smaller.push(shrunk);
+            }
+        }
+        return smaller;
+    }, function (o) {
+        var vals = {};
+        for (var prop in o) {
+            vals[prop] = gen.value(o[prop]);
+        }
+        return vals;
+    });
+}
+
+/**
+ * Generates values by running a function over another generator's values;
+ * shrinking happens on the underlying generator.  This is the usual way to
+ * generate abstract trees: gen_map(gen_c, function (c) { return l.get(c); }).
+ *
+ * @param {Object} gen The underlying generator
+ * @param {Function} f The function to apply to its values
+ */
+function gen_map(gen, f) {
+    return generator(gen.generate, gen.shrink, function (raw) {
+        return f(gen.value(raw));
+    });
+}
+
+/**
+ * Generates undefined, some of the time, and otherwise values from gen.
+ */
+function gen_maybe(gen) {
+    return gen_one_of(gen_elements([undefined]), gen, gen);
+}
+
+/**
+ * The lens laws, as checkers.  Each takes a lens and the generated values, and
+ * returns true if the law held, false if it didn't, or undefined if the values
+ * were outside the lens' domain (that is, the first step threw an exception).
+ * The gens property lists which generators supply the values.  Results are
+ * compared with the lens' cequiv and aequiv.
+ */
+var lens_laws = {
+    'getput': { 
+        'gens': ['c'],
+        'check': function (lens, c) {
+            try { var a = lens.get(c); } catch (e) { return undefined; }
+            return lens.cequiv(lens.putback(a, c), c);
+        } 
+    },
+    'putget': {
+        'gens': ['a', 'c'],
+        'check': function (lens, a, c) {
+            try { var put = lens.putback(a, c); } 
+            catch (e) { return undefined; }
+            return lens.aequiv(lens.get(put), a);
+        }
+    },
+    'putput': {
+        'gens': ['a', 'a', 'c'],
+        'check': function (lens, a1, a2, c) {
+            try {
+                var put1 = lens.putback(a1, c);
+                var skip_put = lens.putback(a2, c);
+            } catch (e) { return undefined; }
+            return lens.cequiv(lens.putback(a2, put1), skip_put);
+        }
+    }
+};
+
+/**
+ * Runs a law over raw values, treating exceptions thrown after the first step
+ * as failures.
+ *
+ * @return {Object} An object with a result property (true, false, or
+ *     undefined for discards), and, if something was thrown, the error
+ */
+function run_law(lens, law, gens, raws) {
+    var vals = [lens];
+    for (var i = 0;i < raws.length;i++) {
+        vals.push(gens[i].value(raws[i]));
+    }
+    
+    try {
+        return { 'result': law.check.apply({}, vals) };
+    } catch (e) {
+        return { 'result': false, 'error': e };
+    }
+}
+
+/**
+ * Checks a single law over many random inputs, shrinking any counterexample
+ * found to a minimal one.
+ *
+ * @param {Lens} lens The lens to check
+ * @param {String} law_name The law: 'getput', 'putget', or 'putput'
+ * @param {Object} gen_c The generator for concrete trees
+ * @param {Object} gen_a The generator for abstract trees
+ * @param {Object} opts Optional settings: trials (default 200), size (the
+ *     maximum size, default 6), seed (default 42), max_shrinks (default
+ *     500), and backend (the rendering backend to run in; see
+ *     {@link #with_backend})
+ * @return {Object} A report with properties law, passed, trials (the number of
+ *     inputs in the domain), discarded, and, on failure, args (the shrunk
+ *     counterexample) and error (anything thrown)
+ */
+function check_law(lens, law_name, gen_c, gen_a, opts) {
+    opts = opts || {};
+    if (opts.backend) {
+        var rest = clone(opts);
+        delete rest.backend;
+        return with_backend(opts.backend, function () {
+            return check_law(lens, law_name, gen_c, gen_a, rest);
+        });
+    }
+    
+    var trials = opts.trials || 200;
+    var size = opts.size || 6;
+    var rand = make_random(opts.seed || 42);
+    var max_shrinks = opts.max_shrinks || 500;
+    
+    var law = lens_laws[law_name];
+    var gens = [];
+    for (var i = 0;i < law.gens.length;i++) {
+        gens.push(law.gens[i] == 'c' ? gen_c : gen_a);
+    }
+    
+    var report = { 'law': law_name, 'passed': true, 
+                   'trials': 0, 'discarded': 0 };
+    for (var t = 0;t < trials;t++) {
+        // grow the inputs as we go, so that small counterexamples come first
+        var cur_size = 1 + Math.floor(size * t / trials);
+        var raws = [];
+        for (i = 0;i < gens.length;i++) {
+            raws.push(gens[i].generate(rand, cur_size));
+        }
+        
+        var run = run_law(lens, law, gens, raws);
+        if (run.result === undefined) {
+            report.discarded++;
+            continue;
+        }
+        
+        report.trials++;
+        if (run.result) { continue; }
+        
+        // shrink: take the first smaller input that still fails, until none do
+        var shrinks = 0;
+        var shrinking = true;
+        while (shrinking && shrinks < max_shrinks) {
+            shrinking = false;
+            for (i = 0;i < raws.length && !shrinking;i++) {
+                var smaller = gens[i].shrink(raws[i]);
+                for (var j = 0;j < smaller.length && !shrinking;j++) {
+                    var candidate = clone(raws);
+                    candidate[i] = smaller[j];
+                    
+                    var shrunk_run = run_law(lens, law, gens, candidate);
+                    shrinks++;
+                    if (shrunk_run.result === false) {
+                        raws = candidate;
+                        run = shrunk_run;
+                        shrinking = true;
+                    }
+                }
+            }
+        }
+        
+        report.passed = false;
+        report.args = [];
+        for (i = 0;i < raws.length;i++) {
+            report.args.push(gens[i].value(raws[i]));
+        }
+        if (run.error) { report.error = run.error; }
+        
+        return report;
+    }
+    
+    return report;
+}
+
+/**
+ * Tests a list of laws over generated values.  If a law fails, or if no
+ * generated values were in the lens' domain, a {@link LensException} is
+ * thrown describing the law and the shrunk counterexample (as its arguments);
+ * runTests will log it.
+ *
+ * @param {Object} gen_c The generator for concrete trees
+ * @param {Object} gen_a The generator for abstract trees; if undefined, it is
+ *     the image of gen_c under get
+ * @param {Array} laws The laws to check; defaults to getput and putget
+ * @param {Object} opts Options, as for {@link #check_law}
+ * @return {thunk} A test that all of the laws hold
+ */
+Lens.prototype.laws = function (gen_c, gen_a, laws, opts) {
+    var lens = this;
+    laws = laws || ['getput', 'putget'];
+    gen_a = gen_a || gen_map(gen_c, function (c) { return lens.get(c); });
+    
+    return function () {
+        for (var i = 0;i < laws.length;i++) {
+            var report = check_law(lens, laws[i], gen_c, gen_a, opts);
+            
+            if (!report.passed) {
+                var e = new LensException(lens.name, 
+                    'law ' + report.law + ' failed after ' + report.trials +
+                    ' trials' + (report.error ? ' by throwing ' + 
+                                 (report.error.msg || report.error) : ''),
+                    report.args);
+                e.report = report;
+                throw e;
+            } else if (report.trials === 0) {
+                throw new LensException(lens.name, 'law ' + report.law +
+                    ': no generated values were in the domain', []);
+            }
+        }
+        
+        return true;
+    };
+};
+
+/**
+ * Adds law tests for every registered lens which has a spec.  Specs map lens
+ * names to objects with a make thunk (which constructs a lens to check), a
+ * c generator, an optional a generator, and an optional list of laws.  Any
+ * registered lens without a spec fails the 'unchecked' test, so that new
+ * lenses don't slip through unnoticed.
+ *
+ * @param {Object} specs The law specs
+ * @param {Object} opts Options, as for {@link #check_law}
+ */
+function $Laws(specs, opts) {
+    var lenses = registered_lenses();
+    var unchecked = [];
+    
+    for (var name in lenses) {
+        if (!(name in specs)) {
+            unchecked.push(name);
+            continue;
+        }
+        
+        var spec = specs[name];
+        $T('lens laws (' + name + ')', 
+           spec.make().laws(spec.c, spec.a, spec.laws, opts));
+    }
+    
+    $T('lens laws (unchecked)', function () {
+        return unchecked.length === 0;
+    });
+}
+
+// LAW CHECKING }}}
+
 /******************************
  * {{{ TESTS
  ******************************/
@@ -425,6 +968,26 @@ function test_bindings(outer, inner) {
        }));
 })();
 
+/* Tests for LValidate */
+(function () {
+    var even = validate(function (n) { return n % 2 === 0; }, 'odd!');
+    var vowel = validate(['a', 'e', 'i', 'o', 'u']);
+    
+    $T('the validate lens',
+       even.getput(4),
+       even.putget(2, 0),
+       even.get_is(3, 3),
+       even.putback_is(6, 4, 6),
+       even.putback_throws(5, 4, function (e) {
+           return e.name == 'LensException' && e.lens == 'validate' &&
+                  e.msg == 'odd!';
+       }),
+       vowel.putback_is('e', 'a', 'e'),
+       vowel.putback_throws('x', 'a', function (e) {
+           return /x is invalid/.test(e.msg);
+       }));
+})();
+
 // BASIC LENSES }}}
 
 // {{{ ARITHMETIC LENSES
@@ -456,7 +1019,16 @@ function test_bindings(outer, inner) {
        m.get_is(0, -1),
        m.get_is(-10, -11),
        m.putback_is(undefined, undefined, 0),
-       m.putback_is(15, undefined, 16));
+       m.putback_is(15, undefined, 16),
+       // values from inputs are strings
+       m.putback_is('15', undefined, 16),
+       m.putback_throws('15 apples', undefined, function (e) {
+           return e.name == 'LensException' && 
+                  /expected a number/.test(e.msg);
+       }),
+       m.putback_throws(' ', undefined, function (e) {
+           return /expected a number/.test(e.msg);
+       }));
 })();
 
 /* Tests for LTimes */
@@ -1245,6 +1817,67 @@ function test_bindings(outer, inner) {
                        [{ foo: 5, bar: 0 }, { foo: 9, bar: 2 }]));
 })();
 
+/* Tests for LKeyedListMap */
+(function () {
+    var kmap = keyed_list_map('id', undefined, prune('hidden', 'none'));
+    var ab = [{ id: 1, name: 'a', hidden: 'x' }, 
+              { id: 2, name: 'b', hidden: 'y' }];
+    var ab_got = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }];
+    
+    $T('the keyed_list_map lens',
+       kmap.getput([]),
+       kmap.putget([], undefined),
+       kmap.putget([], []),
+       kmap.getput(ab),
+       kmap.putget(ab_got, ab),
+       kmap.get_is(ab, ab_got),
+       kmap.putback_is(ab_got, ab, ab),
+       // reordering keeps hidden data with the right element
+       kmap.putback_is([{ id: 2, name: 'b' }, { id: 1, name: 'a' }], ab,
+                       [{ id: 2, name: 'b', hidden: 'y' },
+                        { id: 1, name: 'a', hidden: 'x' }]),
+       // deleting an element doesn't shift hidden data onto its neighbors
+       kmap.putback_is([{ id: 2, name: 'c' }], ab,
+                       [{ id: 2, name: 'c', hidden: 'y' }]),
+       // new keys get the default
+       kmap.putback_is([{ id: 3, name: 'd' }, { id: 1, name: 'a' }], ab,
+                       [{ id: 3, name: 'd', hidden: 'none' },
+                        { id: 1, name: 'a', hidden: 'x' }]),
+       function () {
+           kmap.get(ab);
+           return test_bindings(kmap, kmap.lens_for_key(2))();
+       });
+       
+    var dups = keyed_list_map(function (c) { return c.k; },
+                              function (a) { return a.k; },
+                              prune('v', 0));
+    var kk = [{ k: 'a', v: 1 }, { k: 'b', v: 2 }, { k: 'a', v: 3 }];
+    
+    $T('the keyed_list_map lens (duplicate keys)',
+       dups.getput(kk),
+       dups.get_is(kk, [{ k: 'a' }, { k: 'b' }, { k: 'a' }]),
+       dups.putback_is([{ k: 'a' }, { k: 'a' }, { k: 'b' }], kk,
+                       [{ k: 'a', v: 1 }, { k: 'a', v: 3 }, { k: 'b', v: 2 }]));
+                       
+    var ekmap = keyed_list_map('id', undefined, prune('hidden', 'none'));
+    
+    $T('the keyed_list_map lens (with edits)',
+       ekmap.get_is(ab, ab_got),
+       function () {
+           ekmap.add_child(1, true)({ id: 3, name: 'c', hidden: 'z' });
+           return true;
+       },
+       ekmap.putback_is(ab_got, ab,
+                        [{ id: 1, name: 'a', hidden: 'x' },
+                         { id: 3, name: 'c', hidden: 'z' },
+                         { id: 2, name: 'b', hidden: 'y' }]),
+       function () {
+           ekmap.del_child(1)();
+           return true;
+       },
+       ekmap.putback_is(ab_got, ab, [{ id: 2, name: 'b', hidden: 'y' }]));
+})();
+
 /* Tests for LRotate */
 (function () {
 	var rot = rotate();
@@ -1353,63 +1986,840 @@ function test_bindings(outer, inner) {
 
 // LIST LENSES }}}
 
-// {{{ COMPOSITE LENSES
+// {{{ RELATIONAL LENSES
 
-/* Tests for LLayout */
+/* Tests for LRelSelect */
 (function () {
-    var add5 = plus(5, 0);
-    var times5 = times(5, 0);
-    var l = layout('foo', add5, 
-                   'bar', 'baz', 
-                   'quux', times5);
-    var fooquux = { foo : 5, quux : 3 };
-    var list = [10, 'baz', 15];
+    var people = [{ id: 1, name: 'Pat', dept: 'eng' },
+                  { id: 2, name: 'Sam', dept: 'ops' },
+                  { id: 3, name: 'Kim', dept: 'eng' }];
+    function is_eng(r) { return r.dept == 'eng'; }
+    var eng = rel_select(is_eng, 'id');
+    var by_position = rel_select(is_eng);
     
-    $T('the layout lens',
-       l.get_is(fooquux, list),
-       l.putback_is(list, undefined, fooquux),
-       l.getput(fooquux),
-       l.putget(list, undefined),
-       l.putget(list, {}),
-       l.putget(list, fooquux),
-       test_bindings(l, add5),
-       test_bindings(l, times5));
+    $T('the rel_select lens',
+       eng.get_is(people, [people[0], people[2]]),
+       eng.getput(people),
+       // update
+       eng.putback_is([{ id: 1, name: 'Pat', dept: 'eng' },
+                       { id: 3, name: 'Kimberly', dept: 'eng' }], people,
+                      [people[0], people[1], 
+                       { id: 3, name: 'Kimberly', dept: 'eng' }]),
+       // delete and insert
+       eng.putback_is([people[2], { id: 4, name: 'Lee', dept: 'eng' }], 
+                      people,
+                      [people[1], people[2], 
+                       { id: 4, name: 'Lee', dept: 'eng' }]),
+       // moving a row into the selection replaces the unselected one
+       eng.putback_is([{ id: 2, name: 'Sam', dept: 'eng' }], people,
+                      [{ id: 2, name: 'Sam', dept: 'eng' }]),
+       eng.putget([people[2], people[0]], people),
+       eng.putback_is([people[0]], undefined, [people[0]]),
+       by_position.putback_is([{ id: 5, name: 'Ann', dept: 'eng' }], people,
+                              [{ id: 5, name: 'Ann', dept: 'eng' }, 
+                               people[1]]),
+       eng.putback_throws([people[1]], people, function (e) {
+           return /doesn't satisfy/.test(e.msg);
+       }),
+       eng.putback_throws([people[0], people[0]], people, function (e) {
+           return /not unique/.test(e.msg);
+       }),
+       eng.get_throws(people.concat([people[0]]), function (e) {
+           return /not unique/.test(e.msg);
+       }));
 })();
 
-// COMPOSITE LENSES }}}
+/* Tests for LRelProject */
+(function () {
+    var people = [{ id: 1, name: 'Pat', dept: 'eng', manager: 'Ada' },
+                  { id: 2, name: 'Sam', dept: 'ops', manager: 'Bo' },
+                  { id: 3, name: 'Kim', dept: 'eng', manager: 'Ada' }];
+    var names = rel_project(['id', 'name', 'dept'], 'id', { manager: 'TBD' });
+    var by_dept = rel_project(['name', 'dept'], 'dept', { manager: 'TBD' });
+    var staff = [{ name: 'Pat', dept: 'eng', manager: 'Ada' },
+                 { name: 'Sam', dept: 'ops', manager: 'Bo' },
+                 { name: 'Kim', dept: 'eng', manager: 'Ada' }];
+    
+    $T('the rel_project lens',
+       names.get_is(people, [{ id: 1, name: 'Pat', dept: 'eng' },
+                             { id: 2, name: 'Sam', dept: 'ops' },
+                             { id: 3, name: 'Kim', dept: 'eng' }]),
+       names.getput(people),
+       names.putback_is([{ id: 3, name: 'Kimberly', dept: 'eng' },
+                         { id: 4, name: 'Lee', dept: 'ops' }], people,
+                        [{ id: 3, name: 'Kimberly', dept: 'eng', 
+                           manager: 'Ada' },
+                         { id: 4, name: 'Lee', dept: 'ops', 
+                           manager: 'TBD' }]),
+       names.putget([{ id: 4, name: 'Lee', dept: 'ops' }], people),
+       // a non-key functional dependency: dept determines manager
+       by_dept.getput(staff),
+       by_dept.putback_is([{ name: 'Lee', dept: 'ops' }], staff,
+                          [{ name: 'Lee', dept: 'ops', manager: 'Bo' }]),
+       by_dept.get_throws([{ name: 'Pat', dept: 'eng', manager: 'Ada' },
+                           { name: 'Kim', dept: 'eng', manager: 'Bo' }],
+                          function (e) {
+                              return /functional dependency from dept/.
+                                  test(e.msg);
+                          }),
+       names.putback_throws([{ id: 1, name: 'Pat', manager: 'Bo' }], people,
+                            function (e) { 
+                                return /isn't projected/.test(e.msg); 
+                            }),
+       throws_e(function () { rel_project(['name'], 'id'); },
+                function (e) { return /must be projected/.test(e.msg); }));
+})();
 
-// {{{ DOM LENSES
+/* Tests for LRelJoin */
+(function () {
+    var db = { 'people': [{ id: 1, name: 'Pat' }, { id: 2, name: 'Sam' },
+                          { id: 5, name: 'Lone' }],
+               'emails': [{ id: 2, email: 'sam@example.com' },
+                          { id: 1, email: 'pat@example.com' },
+                          { id: 7, email: 'orphan@example.com' }],
+               'version': 3 };
+    var join = rel_join('people', ['id', 'name'], 'emails', ['id', 'email']);
+    var join_left = rel_join('people', ['id', 'name'], 
+                             'emails', ['id', 'email'], 'left');
+    var view = [{ id: 1, name: 'Pat', email: 'pat@example.com' },
+                { id: 2, name: 'Sam', email: 'sam@example.com' }];
+    
+    $T('the rel_join lens',
+       join.get_is(db, view),
+       join.getput(db),
+       // update one, delete one, insert one
+       join.putback_is([{ id: 2, name: 'Samuel', email: 'sam@example.org' },
+                        { id: 3, name: 'Lee', email: 'lee@example.com' }], db,
+                       { 'people': [{ id: 2, name: 'Samuel' }, 
+                                    { id: 5, name: 'Lone' },
+                                    { id: 3, name: 'Lee' }],
+                         'emails': [{ id: 2, email: 'sam@example.org' },
+                                    { id: 7, email: 'orphan@example.com' },
+                                    { id: 3, email: 'lee@example.com' }],
+                         'version': 3 }),
+       join.putget([view[1], view[0]], db),
+       join.putget([{ id: 5, name: 'Lone', email: 'lone@example.com' }], db),
+       // deleting only from the left leaves the email dangling
+       join_left.putback_is([view[1]], db,
+                            { 'people': [{ id: 2, name: 'Sam' },
+                                         { id: 5, name: 'Lone' }],
+                              'emails': db.emails,
+                              'version': 3 }),
+       join.putback_is(view, undefined, 
+                       { 'people': [{ id: 1, name: 'Pat' }, 
+                                    { id: 2, name: 'Sam' }],
+                         'emails': [{ id: 1, email: 'pat@example.com' },
+                                    { id: 2, email: 'sam@example.com' }] }),
+       join.putback_throws([{ id: 1, name: 'Pat', phone: '555' }], db,
+                           function (e) { 
+                               return /in neither table/.test(e.msg); 
+                           }),
+       throws_e(function () { rel_join('a', ['x'], 'b', ['y']); },
+                function (e) { return /share no fields/.test(e.msg); }),
+       throws_e(function () { 
+                    rel_join('a', ['x'], 'b', ['x'], 'neither'); 
+                },
+                function (e) { return /deletes must be/.test(e.msg); }));
+})();
 
-/* Tests for LTextTag */
+// RELATIONAL LENSES }}}
+
+// {{{ STRING LENSES
+
+/* Tests for the regular language engine */
 (function () {
-    var text = text_tag();
-    var num = document.createTextNode(5);
-    var foo = document.createTextNode('foo');  
+    function regular_error(re) {
+        return function (e) {
+            return e instanceof LensException && e.lens == 'regular' &&
+                   re.test(e.msg);
+        };
+    }
     
-    $T('the text_tag lens',
-       text.getput(0),
-       text.getput(5),
-       text.getput('foo'),
-       text.putget(num, undefined),
-       text.putget(num, '0'),
-       text.putget(num, 'foo'),
-       text.putget(foo, undefined),
-       text.putget(foo, 0),
-       text.putget(foo, 'bar'),
-       text.get_is(undefined, document.createTextNode('undefined')),
-       text.get_is(5, num),
-       text.get_is('foo', foo),
-       text.putback_is(document.createTextNode('undefined'), undefined, 'undefined'), // violates PUTGET
-       text.putback_is(num, 3, 5),
-       text.putback_is(foo, 'bar', 'foo'));
+    $T('regular languages',
+       function () { return regular(/a[0-9]{2,3}|b?/).matches('a123'); },
+       function () { return !regular(/a[0-9]{2,3}|b?/).matches('a1'); },
+       function () { return regular(/a[0-9]{2,3}|b?/).matches(''); },
+       function () { return regular('[^a-c]+').matches('xyz'); },
+       function () { return !regular('[^a-c]+').matches('xaz'); },
+       function () { return regular(/\w+\s\d/).matches('ab_1 2'); },
+       function () { return !regular(/./).matches('\n'); },
+       function () { return regular(/\x41B\./).matches('AB.'); },
+       function () { return !regular('a*').matches(5); },
+       function () {
+           return equal(regular('a|ab').prefix_ends('abab', 0), [1, 2]);
+       },
+       function () {
+           return regular('a').concat(regular('b*')).union(regular('c')).
+               star().matches('abbcab');
+       },
+       function () { return regular(/a{0}|(?:)/).matches(''); },
+       throws_e(function () { regular('(a'); }, 
+                regular_error(/unclosed group/)),
+       throws_e(function () { regular(/^a$/); }, regular_error(/anchors/)),
+       throws_e(function () { regular(/(a)\1/); }, 
+                regular_error(/backreferences/)),
+       throws_e(function () { regular(/a(?=b)/); }, 
+                regular_error(/lookahead/)),
+       throws_e(function () { regular(/a/i); }, regular_error(/flag/)),
+       throws_e(function () { regular(new RegExp('a', 's')); }, 
+                regular_error(/flag/)),
+       throws_e(function () { regular(new RegExp('a', 'u')); }, 
+                regular_error(/flag/)),
+       throws_e(function () { regular(new RegExp('a', 'y')); }, 
+                regular_error(/flag/)),
+       function () { return regular(/a/g).matches('a'); },
+       throws_e(function () { regular(5); }, 
+                regular_error(/not a regular expression/)));
 })();
 
-/* Tests for LConstTag */
+/* Tests for the primitive string lenses */
 (function () {
-    function run_tests(msg, br, e) {
-        $T('the constant_tag lens (' + msg + ')',
-           br.getput(undefined),
-           br.getput(0),
+    var digits = str_copy(/[0-9]+/);
+    var comma = str_del(/ *, */, ', ');
+    var arrow = str_ins('->');
+    
+    function bad_string(dir) {
+        return function (e) {
+            return e.name == 'LensException' && 
+                   e.msg.indexOf(dir + ': expected a string matching') === 0;
+        };
+    }
+    
+    $T('the str_copy, str_del, and str_ins lenses',
+       digits.get_is('123', '123'),
+       digits.putback_is('45', '123', '45'),
+       digits.get_throws('12a', bad_string('get')),
+       digits.putback_throws('', '123', bad_string('putback')),
+       comma.get_is(' ,  ', ''),
+       comma.putback_is('', ' ,  ', ' ,  '),
+       comma.putback_is('', undefined, ', '),
+       comma.putback_throws('x', ',', bad_string('putback')),
+       arrow.get_is('', '->'),
+       arrow.putback_is('->', '', ''),
+       arrow.get_throws('x', bad_string('get')),
+       throws_e(function () { str_del(/ +/, ''); },
+                function (e) { return /doesn't match/.test(e.msg); }),
+       throws_e(function () { str_copy('a{2,1}'); },
+                function (e) { 
+                    return e.lens == 'str_copy' && /out of order/.test(e.msg);
+                }));
+})();
+
+/* Tests for the string combinators */
+(function () {
+    var pair = str_concat(str_copy(/[a-z]+/), str_del(/ *, */, ', '),
+                          str_ins('='), str_copy(/[0-9]+/));
+    var weight = str_union(str_concat(str_copy(/[0-9]+/), 
+                                      str_del(/ ?kg/, 'kg')),
+                           str_copy(/[a-z]+/));
+    var letters = str_star(str_concat(str_copy(/[a-z]/), 
+                                      str_del(/[0-9]+/, '0')));
+    
+    function ambiguous(e) {
+        return e.name == 'LensException' && /^ambiguous/.test(e.msg);
+    }
+    
+    $T('the str_concat, str_union, and str_star lenses',
+       pair.get_is('foo ,3', 'foo=3'),
+       pair.putback_is('bar=42', 'foo ,3', 'bar ,42'),
+       pair.putback_is('bar=42', undefined, 'bar, 42'),
+       pair.getput('x,1'),
+       pair.putget('x=1', 'foo ,3'),
+       pair.putback_throws('bar42', 'foo ,3', function (e) {
+           return /putback: expected a string matching/.test(e.msg);
+       }),
+       weight.get_is('12 kg', '12'),
+       weight.get_is('abc', 'abc'),
+       weight.putback_is('3', '12 kg', '3 kg'),
+       weight.putback_is('3', 'abc', '3kg'),
+       weight.putback_is('x', '12 kg', 'x'),
+       letters.get_is('a12b3c4', 'abc'),
+       letters.get_is('', ''),
+       letters.putback_is('xy', 'a12b3c4', 'x12y3'),
+       letters.putback_is('xyzw', 'a12b3c4', 'x12y3z4w0'),
+       letters.getput('q99'),
+       throws_e(function () { str_concat(str_copy(/a*/), str_copy(/a*/)); },
+                ambiguous),
+       // the concrete side is fine; the views collide
+       throws_e(function () { 
+                    str_concat(str_copy(/a?/), str_del(/,/, ','), 
+                               str_copy(/a?/));
+                },
+                function (e) { 
+                    return /^ambiguous abstract concatenation: "a"/.test(e.msg);
+                }),
+       throws_e(function () { 
+                    str_union(str_copy(/a+/), str_copy(/ab|aa/)); 
+                },
+                function (e) { 
+                    return /^concrete types overlap: "aa"/.test(e.msg);
+                }),
+       throws_e(function () { str_star(str_copy(/a|aa/)); }, ambiguous),
+       throws_e(function () { str_star(str_copy(/a*/)); },
+                function (e) { return /empty string/.test(e.msg); }),
+       throws_e(function () { str_star(plus(1, 0)); },
+                function (e) { return /expected a string lens/.test(e.msg); }));
+})();
+
+/* Tests for LStrRecord and LStrList */
+(function () {
+    var time = str_record('h', str_copy(/[0-9]{2}/), str_del(':', ':'),
+                          'm', str_copy(/[0-9]{2}/), str_del(':', ':'),
+                          's', str_copy(/\d\d/));
+    // key = value lines; values can't start with a space, which would be
+    // ambiguous with the separator
+    var config = str_list(str_record('key', str_copy(/[a-z]+/),
+                                     str_del(/ *= */, ' = '),
+                                     'value', str_copy(/(?:[^ \n][^\n]*)?/),
+                                     str_del(/\n/, '\n')));
+    var file = 'name = Pat\ncolor=red and blue\n';
+    
+    $T('the str_record and str_list lenses',
+       time.get_is('12:34:56', { h: '12', m: '34', s: '56' }),
+       time.putback_is({ h: '01', m: '02', s: '03' }, '12:34:56', 
+                       '01:02:03'),
+       time.putget({ h: '01', m: '02', s: '03' }, undefined),
+       time.getput('23:59:59'),
+       time.putback_throws({ h: '01', m: '02' }, '12:34:56', function (e) {
+           return /field s not found/.test(e.msg);
+       }),
+       time.putback_throws({ h: '1', m: '02', s: '03' }, '12:34:56', 
+                           function (e) { return e.lens == 'str_copy'; }),
+       config.get_is(file, [{ key: 'name', value: 'Pat' },
+                            { key: 'color', value: 'red and blue' }]),
+       config.getput(file),
+       config.getput(''),
+       config.putback_is([{ key: 'name', value: 'Sam' },
+                          { key: 'color', value: 'red and blue' },
+                          { key: 'size', value: '' }], file,
+                         'name = Sam\ncolor=red and blue\nsize = \n'),
+       config.putback_is([{ key: 'name', value: 'Pat' }], file,
+                         'name = Pat\n'),
+       throws_e(function () {
+                    str_record('key', str_copy(/[a-z]+/), 
+                               str_del(/ *= */, '='),
+                               'value', str_copy(/[^\n]*/));
+                },
+                function (e) {
+                    return /^ambiguous concrete concatenation: " "/.
+                        test(e.msg);
+                }),
+       throws_e(function () { str_record(str_copy(/a/)); },
+                function (e) { return /must have an empty view/.test(e.msg); }),
+       throws_e(function () { 
+                    str_record('a', str_copy(/a/), 'a', str_copy(/b/)); 
+                },
+                function (e) { return /duplicate field a/.test(e.msg); }),
+       throws_e(function () { str_concat(time, str_copy(/a/)); },
+                function (e) { return /expected a string lens/.test(e.msg); }));
+})();
+
+// STRING LENSES }}}
+
+// {{{ QUOTIENT LENSES
+
+/* Tests for the built-in canonizers */
+(function () {
+    $T('canonizers',
+       function () { return canon_trim.canonize('  Pat \n') == 'Pat'; },
+       function () { 
+           return equal(canon_trim.canonize({ a: [' x', 5], b: 'y ' }),
+                        { a: ['x', 5], b: 'y' });
+       },
+       function () { return canon_case.equiv('Pat', 'pAT'); },
+       function () { return !canon_case.equiv('Pat', 'Pa'); },
+       function () { return canon_number.canonize('05') === 5; },
+       function () { return canon_number.equiv(' 5.0', 5); },
+       function () { return canon_number.canonize(' ') === ' '; },
+       function () { return canon_number.canonize('5a') === '5a'; },
+       function () { 
+           return canon_number.canonize('-.5') === -0.5 &&
+                  canon_number.canonize('1e3 ') === 1000;
+       },
+       // only decimal numbers
+       function () { 
+           return canon_number.canonize('0x10') === '0x10' &&
+                  canon_number.canonize('Infinity') === 'Infinity' &&
+                  canon_number.canonize('') === '';
+       },
+       function () { return canon_number.choose(5) === 5; },
+       function () { 
+           var q = new Canonizer(Math.abs);
+           return q.equiv(-3, 3) && q.choose(3) === 3 && 
+                  new Canonizer(q) === q;
+       });
+})();
+
+/* Tests for LLquot and LRquot */
+(function () {
+    var name = lquot(canon_trim, focus('name', ''));
+    var shout = rquot(id_lens(), canon_case);
+    var trimmed_copy = lquot(canon_trim, str_copy(/[a-z]*/));
+    
+    $T('the lquot and rquot lenses',
+       name.get_is({ name: ' Pat ' }, 'Pat'),
+       name.putback_is('Sam', { name: ' Pat ' }, { name: 'Sam' }),
+       name.putback_is('Sam', undefined, { name: 'Sam' }),
+       // getput only holds up to trimming...
+       name.getput({ name: ' Pat ' }),
+       function () {
+           return !equal(name.putback(name.get({ name: ' Pat ' }), 
+                                      { name: ' Pat ' }),
+                         { name: ' Pat ' });
+       },
+       name.putget('Sam', { name: ' Pat ' }),
+       function () { return name.cequiv({ name: 'a' }, { name: ' a\t' }); },
+       function () { return !name.cequiv({ name: 'a' }, { name: 'b' }); },
+       function () { return name.aequiv('a', 'a') && !name.aequiv('a', ' a'); },
+       trimmed_copy.get_is('  abc ', 'abc'),
+       trimmed_copy.getput(' abc'),
+       shout.get_is('Hello', 'Hello'),
+       shout.putback_is('HeLLo', 'x', 'hello'),
+       shout.putget('HeLLo', 'x'),
+       function () { return shout.aequiv('HELLO', 'hello'); },
+       // composition keeps the outer equivalences
+       function () {
+           var l = seq(lquot(canon_trim, id_lens()), 
+                       rquot(plus(1, 0), canon_number));
+           return l.cequiv(' 5', '5 ') && l.aequiv('06', 6) && 
+                  !l.aequiv(6, 7);
+       });
+    
+    $T('equivalences of combinators',
+       function () {
+           var l = map(lquot(canon_trim, id_lens()));
+           return l.cequiv({ a: ' x', b: 'y' }, { a: 'x', b: 'y\n' }) &&
+                  !l.cequiv({ a: 'x' }, { a: 'y' }) &&
+                  !l.cequiv({ a: 'x' }, { b: 'x' }) &&
+                  !l.aequiv({ a: 'x' }, { a: ' x' });
+       },
+       function () {
+           var l = wmap('a', lquot(canon_trim, id_lens()), 
+                        'b', rquot(id_lens(), canon_case), true);
+           return l.cequiv({ a: 'x ', c: 1 }, { a: 'x', c: 1 }) &&
+                  !l.cequiv({ a: 'x', c: 1 }, { a: 'x', c: 2 }) &&
+                  l.aequiv({ b: 'X' }, { b: 'x' }) &&
+                  !l.cequiv({ b: 'X' }, { b: 'x' });
+       },
+       function () {
+           var l = xfork('a', 'a', lquot(canon_trim, id_lens()), id_lens());
+           return l.cequiv({ a: ' x', b: 1 }, { a: 'x', b: 1 }) &&
+                  !l.cequiv({ a: 'x', b: 1 }, { a: 'x', b: 2 });
+       },
+       function () {
+           // each index's lens is made by get
+           var l = list_map(lquot(canon_case, id_lens()));
+           l.get(['a', 'b']);
+           return l.cequiv(['A', 'b'], ['a', 'B']) && 
+                  !l.cequiv(['a'], ['a', 'b']) && !l.cequiv(['a'], ['b']);
+       },
+       function () {
+           var l = keyed_list_map('id', 'id', 
+                                  lquot(canon_trim, id_lens()));
+           l.get([{ id: 1, v: 'x' }]);
+           return l.cequiv([{ id: 1, v: 'x ' }], [{ id: 1, v: 'x' }]) &&
+                  !l.cequiv([{ id: 1, v: 'x' }], [{ id: 2, v: 'x' }]);
+       },
+       // comparing doesn't make lenses: without one, elements compare with
+       // equal
+       function () {
+           var l = list_map(lquot(canon_case, id_lens()));
+           var k = keyed_list_map('id', 'id', lquot(canon_trim, id_lens()));
+           var count = function (lens) {
+               var n = 0;
+               lens.for_each_sublens(function () { n++; });
+               return n;
+           };
+           var ok = !l.cequiv(['A'], ['a']) && l.cequiv(['a'], ['a']) &&
+                    !k.cequiv([{ id: 1, v: 'x ' }], [{ id: 1, v: 'x' }]) &&
+                    !k.cequiv([{ id: 'constructor' }], 
+                              [{ id: 'constructor', v: 1 }]);
+           return ok && count(l) === 0 && count(k) === 0;
+       },
+       // tag lenses and layouts go through their sublenses
+       function () {
+           var l = div_tag({}, 'name', lquot(canon_trim, input_tag({})),
+                           'age', input_tag({}));
+           return l.cequiv({ name: 'Pat ', age: 5 }, 
+                           { name: 'Pat', age: 5 }) &&
+                  !l.cequiv({ name: 'Pat', age: 5 }, 
+                            { name: 'Pat', age: 6 });
+       });
+    
+    $T('quotient lenses in bindings',
+       function () {
+           var node = make_dom_node('span', { 'id': 'quotient_test' });
+           document.body.appendChild(node);
+           
+           var heard = [];
+           var lens = lquot(canon_trim, 
+                            div_tag({}, focus('name', '').input_tag({})));
+           var update = bind_lens(lens, 'quotient_test', 
+                                  function (c) { heard.push(c); });
+           update({ name: 'Pat' });
+           
+           var binding = track_history('quotient_test').binding;
+           var input = get_dom_object('quotient_test').firstChild;
+           
+           // whitespace isn't a change...
+           input.value = ' Pat  ';
+           binding.putback();
+           var ok = heard.length === 0;
+           
+           // ...but a new name is
+           input.value = 'Sam ';
+           binding.putback();
+           ok = ok && equal(heard, [{ name: 'Sam ' }]);
+           
+           unbind_lens('quotient_test');
+           node = get_dom_object('quotient_test');
+           node.parentNode.removeChild(node);
+           
+           return ok;
+       },
+       function () {
+           // a quotient inside the view works, too
+           var node = make_dom_node('span', { 'id': 'quotient_test' });
+           document.body.appendChild(node);
+           
+           var heard = [];
+           var lens = div_tag({}, 'name', lquot(canon_trim, input_tag({})));
+           var update = bind_lens(lens, 'quotient_test', 
+                                  function (c) { heard.push(c); });
+           update({ name: 'Pat' });
+           
+           var binding = track_history('quotient_test').binding;
+           var input = get_dom_object('quotient_test').firstChild;
+           
+           input.value = ' Pat  ';
+           binding.putback();
+           var ok = heard.length === 0;
+           
+           input.value = 'Sam ';
+           binding.putback();
+           ok = ok && equal(heard, [{ name: 'Sam ' }]);
+           
+           unbind_lens('quotient_test');
+           node = get_dom_object('quotient_test');
+           node.parentNode.removeChild(node);
+           
+           return ok;
+       });
+})();
+
+// QUOTIENT LENSES }}}
+
+// {{{ SYMMETRIC LENSES
+
+/* Tests for the symmetric lens combinators */
+(function () {
+    var id = sym_id();
+    var inc = sym_of_lens(plus(1, 0));
+    var person = { name: 'Pat', email: 'pat@example.com', draft: true };
+    var dto = { name: 'Pat', email: 'pat@example.com', id: 7 };
+    var contact = filter(['name', 'email'], {});
+    var span = sym_span(contact, contact);
+    
+    function sym_is(r, value, complement) {
+        return function () {
+            return equal(r().value, value) && equal(r().complement, complement);
+        };
+    }
+    
+    function not_sym(e) {
+        return e.name == 'LensException' && 
+               /expected a symmetric lens/.test(e.msg);
+    }
+    
+    $T('symmetric lenses',
+       id.putrl(5),
+       id.putlr('x', 'k'),
+       sym_is(function () { return inc.putr(5, undefined); }, 6, 5),
+       sym_is(function () { return inc.putl(6, 5); }, 5, 5),
+       inc.putrl(5),
+       inc.putlr(6),
+       sym_is(function () { return sym_invert(inc).putr(6); }, 5, 5),
+       sym_is(function () { 
+                  return sym_compose(inc, inc, sym_invert(inc)).putr(1); 
+              }, 2, [1, 2, 2]),
+       sym_is(function () { 
+                  return sym_compose(inc, inc).putl(7, [0, 0]); 
+              }, 5, [5, 6]),
+       sym_compose(inc, sym_of_lens(times(2, 0))).putrl(3),
+       sym_is(function () { return sym_tensor(inc, id).putr([1, 'a']); },
+              [2, 'a'], [1, undefined]),
+       sym_tensor(inc, id).putlr([2, 'a']),
+       throws_e(function () { sym_tensor(inc, id).putr(1); },
+                function (e) { return /expected a pair/.test(e.msg); }),
+       throws_e(function () { sym_compose(inc, plus(1, 0)); }, not_sym),
+       throws_e(function () { sym_of_lens(5); },
+                function (e) { return e.lens == 'sym_of_lens'; }));
+    
+    $T('symmetric lenses between two models',
+       // with no history, the DTO is made from scratch
+       sym_is(function () { return span.putr(person); },
+              { name: 'Pat', email: 'pat@example.com' },
+              [person, { name: 'Pat', email: 'pat@example.com' }]),
+       // each side keeps what the other lacks
+       function () {
+           var k = span.putl(dto, span.putr(person).complement).complement;
+           var edited = span.putr({ name: 'Sam', email: 'pat@example.com',
+                                    draft: false }, k);
+           return equal(edited.value, { name: 'Sam', 
+                                        email: 'pat@example.com', id: 7 }) &&
+                  equal(span.putl({ name: 'Sam', email: 'sam@example.com',
+                                    id: 7 }, edited.complement).value,
+                        { name: 'Sam', email: 'sam@example.com', 
+                          draft: false });
+       },
+       span.putrl(person, [undefined, dto]),
+       span.putlr(dto, [person, undefined]));
+})();
+
+/**
+ * A stand-in for Flapjax, just enough for model_b, sync_b, and maintain_b:
+ * pulses are delivered synchronously, stamped in order.
+ */
+function fake_flapjax() {
+    var stamp = 0;
+    return {
+        'receiver_b': function (v) {
+            var listeners = [];
+            listeners.removeListener = function (l) {
+                for (var i = 0;i < listeners.length;i++) {
+                    if (listeners[i] === l) { listeners.splice(i, 1); }
+                }
+            };
+            return {
+                'valueNow': function () { return v; },
+                'changes': function () { return listeners; },
+                'sendPulse': function (nv, observer) {
+                    var pulse = { 'stamp': ++stamp, 'value': nv };
+                    observer(pulse);
+                    v = nv;
+                    for (var i = 0;i < listeners.length;i++) {
+                        listeners[i](pulse);
+                    }
+                }
+            };
+        },
+        'event_e': function (sources, f) {
+            var l = function (pulse) { f(undefined, pulse); };
+            sources[0].push(l);
+            return l;
+        }
+    };
+}
+
+/* Tests for sync_b */
+(function () {
+    $T('synchronizing models through a symmetric lens',
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var contact = lib.filter(['name'], {});
+           var form = lib.model_b({ name: 'Pat', draft: true });
+           var dto = lib.model_b(undefined);
+           var complement = lib.sym_span(contact, contact).sync_b(form, dto);
+           
+           var ok = equal(dto.valueNow(), { name: 'Pat' });
+           
+           dto.sendPulse({ name: 'Sam', id: 7 }, function () { });
+           ok = ok && equal(form.valueNow(), { name: 'Sam', draft: true });
+           
+           form.sendPulse({ name: 'Kim', draft: false }, function () { });
+           ok = ok && equal(dto.valueNow(), { name: 'Kim', id: 7 });
+           
+           return ok && equal(complement(), [{ name: 'Kim', draft: false },
+                                             { name: 'Kim', id: 7 }]);
+       });
+})();
+
+// SYMMETRIC LENSES }}}
+
+// {{{ CONSTRAINT MAINTAINERS
+
+/* Tests for constraint maintainers */
+(function () {
+    var to_f = function (c, f) { return c * 9 / 5 + 32; };
+    var to_c = function (c, f) { return (f - 32) * 5 / 9; };
+    var temp = new Maintainer().add('c', 'f', to_f, to_c);
+    
+    // total = price * qty, and tax is a tenth of total
+    var order = new Maintainer().
+        add('total', 'tax', function (t, x) { return t / 10; },
+                            function (t, x) { return x * 10; }).
+        add('item.price', 'total', 
+            function (p, t) { return p * 2; },
+            function (p, t) { return t / 2; });
+    
+    function repair_is(m, old_model, model, expected) {
+        return function () {
+            return equal(m.repair(old_model, model), expected);
+        };
+    }
+    
+    function cycle(e) {
+        return e.name == 'LensException' && /constraint cycle/.test(e.msg);
+    }
+    
+    $T('constraint maintainers',
+       repair_is(temp, undefined, { c: 100 }, { c: 100, f: 212 }),
+       repair_is(temp, { c: 100, f: 212 }, { c: 100, f: 32 }, 
+                 { c: 0, f: 32 }),
+       repair_is(temp, { c: 0, f: 32 }, { c: 0, f: 32 }, { c: 0, f: 32 }),
+       // repairs chain through fields, nested or not
+       repair_is(order, undefined, { item: { price: 5 } },
+                 { item: { price: 5 }, total: 10, tax: 1 }),
+       repair_is(order, { item: { price: 5 }, total: 10, tax: 1 },
+                 { item: { price: 5 }, total: 10, tax: 3 },
+                 { item: { price: 15 }, total: 30, tax: 3 }),
+       // the old model isn't touched
+       function () {
+           var old = { item: { price: 5 }, total: 10, tax: 1 };
+           order.repair(old, { item: { price: 6 }, total: 10, tax: 1 });
+           return equal(old, { item: { price: 5 }, total: 10, tax: 1 });
+       },
+       // the first change wins
+       repair_is(temp, { c: 0, f: 32 }, { c: 100, f: 0 }, 
+                 { c: 100, f: 212 }),
+       function () {
+           var r = order.repair_delta({ item: { price: 5 }, total: 10, 
+                                        tax: 1 },
+                                      { item: { price: 5 }, total: 20, 
+                                        tax: 1 });
+           return equal(r.edits, 
+                        [{ op: 'set', path: ['tax'], value: 2 },
+                         { op: 'set', path: ['item', 'price'], value: 10 }]);
+       },
+       throws_e(function () { 
+                    new Maintainer().add('a', 'b', to_f, to_c).
+                                     add('b', 'c', to_f, to_c).
+                                     add('c', 'a', to_f, to_c);
+                }, cycle),
+       throws_e(function () { 
+                    new Maintainer().add('a', 'b', to_f, to_c).
+                                     add('b', 'a', to_f, to_c);
+                }, cycle),
+       throws_e(function () { new Maintainer().add('a', 'a', to_f, to_c); },
+                function (e) { return /and itself/.test(e.msg); }),
+       throws_e(function () { new Maintainer().add('a', 'b', to_f); },
+                function (e) { return e.lens == 'Constraint'; }));
+    
+    $T('constraint maintainers in bindings',
+       function () {
+           var node = make_dom_node('span', { 'id': 'constraint_test' });
+           document.body.appendChild(node);
+           
+           var heard = [];
+           var lens = div_tag({}, 'c', input_tag(), 'f', input_tag());
+           var update = bind_lens(lens, 'constraint_test', 
+                                  function (c) { heard.push(c); });
+           update({ c: 100, f: 0 });
+           
+           // the current model is repaired right away...
+           maintain('constraint_test', new Maintainer().add('c', 'f', to_f,
+                                                            to_c));
+           var binding = track_history('constraint_test').binding;
+           var ok = equal(binding.model(), { c: 100, f: 212 }) &&
+                    equal(heard, [{ c: 100, f: 212 }]);
+           
+           // ...as are edits, which are shown
+           var inputs = get_dom_object('constraint_test').childNodes;
+           inputs[1].value = '32';
+           binding.putback();
+           ok = ok && equal(binding.model(), { c: 0, f: 32 }) &&
+                equal(heard[1], { c: 0, f: 32 }) &&
+                get_dom_object('constraint_test').childNodes[0].value == '0';
+           
+           // ...and new models
+           update({ c: -40, f: 32 });
+           ok = ok && equal(binding.model(), { c: -40, f: -40 }) &&
+                equal(heard[2], { c: -40, f: -40 });
+           
+           unbind_lens('constraint_test');
+           node = get_dom_object('constraint_test');
+           node.parentNode.removeChild(node);
+           
+           return ok;
+       });
+    
+    $T('maintaining constraints between models',
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var celsius = lib.model_b(100);
+           var fahrenheit = lib.model_b(undefined);
+           lib.maintain_b(new lib.Constraint(to_f, to_c), 
+                          celsius, fahrenheit);
+           
+           var ok = fahrenheit.valueNow() == 212;
+           
+           fahrenheit.sendPulse(32, function () { });
+           ok = ok && celsius.valueNow() === 0;
+           
+           celsius.sendPulse(-40, function () { });
+           return ok && fahrenheit.valueNow() == -40;
+       });
+})();
+
+// CONSTRAINT MAINTAINERS }}}
+
+// {{{ COMPOSITE LENSES
+
+/* Tests for LLayout */
+(function () {
+    var add5 = plus(5, 0);
+    var times5 = times(5, 0);
+    var l = layout('foo', add5, 
+                   'bar', 'baz', 
+                   'quux', times5);
+    var fooquux = { foo : 5, quux : 3 };
+    var list = [10, 'baz', 15];
+    
+    $T('the layout lens',
+       l.get_is(fooquux, list),
+       l.putback_is(list, undefined, fooquux),
+       l.getput(fooquux),
+       l.putget(list, undefined),
+       l.putget(list, {}),
+       l.putget(list, fooquux),
+       test_bindings(l, add5),
+       test_bindings(l, times5));
+})();
+
+// COMPOSITE LENSES }}}
+
+// {{{ DOM LENSES
+
+/* Tests for LTextTag */
+(function () {
+    var text = text_tag();
+    var num = document.createTextNode(5);
+    var foo = document.createTextNode('foo');  
+    
+    $T('the text_tag lens',
+       text.getput(0),
+       text.getput(5),
+       text.getput('foo'),
+       text.putget(num, undefined),
+       text.putget(num, '0'),
+       text.putget(num, 'foo'),
+       text.putget(foo, undefined),
+       text.putget(foo, 0),
+       text.putget(foo, 'bar'),
+       text.get_is(undefined, document.createTextNode('undefined')),
+       text.get_is(5, num),
+       text.get_is('foo', foo),
+       text.putback_is(document.createTextNode('undefined'), undefined, 'undefined'), // violates PUTGET
+       text.putback_is(num, 3, 5),
+       text.putback_is(foo, 'bar', 'foo'));
+})();
+
+/* Tests for LConstTag */
+(function () {
+    function run_tests(msg, br, e) {
+        $T('the constant_tag lens (' + msg + ')',
+           br.getput(undefined),
+           br.getput(0),
            br.getput(20),
            br.getput({ foo: 5 }),
            br.putget(e, undefined),
@@ -1541,51 +2951,706 @@ function test_bindings(outer, inner) {
      
 })();
 
-// DOM LENSES }}}
-
-// {{{ ERROR STACKS
-
-/* Tests for the proper construction of stack traces */
+/* Tests for the form tag lenses */
 (function () {
-    var ab_valid = { a: { foo: 0 }, b: { foo: 5 } };
-    var ab_got = { a: 5, b: 10 };
-    
-    function run_tests(lens, funs) {
-        function valid_trace(e) {
-            var stack = e.stack();
-            
-            if (stack.length != funs.length) { return false; }
-            for (var i = 0;i < stack.length;i++) {
-                if (stack[i].fun != funs[i]) { return false; }
-            }
+    var check = checkbox_tag({ id: 'agree' });
+    var size = radio_group_tag({}, 'size', 
+                               [1, 2, { value: 3, text: 'large' }]);
+    var count = number_input_tag({}, 0);
+    var day = date_input_tag({}, null);
+    var toppings = multi_select_tag({ name: 'toppings' }, 
+                                    ['ham', 'egg', { value: 7, text: 'lucky' }]);
+    var new_year = new Date(Date.UTC(2009, 0, 1));
     
-            return true;
-        }
-        
-       $T('error stack trace system',
-          lens.get_is(ab_valid, ab_got),
-          lens.putback_is(ab_got, ab_valid, ab_valid),
-          lens.getput(ab_valid),
-          lens.putget(ab_got, {}),
-          lens.putget(ab_got, ab_valid),
-          lens.get_throws({ a: 5 }, valid_trace));
+    // untyped inputs, so that the DOM doesn't throw away bad values
+    function number(v) { return make_dom_node('input', { value: v }); }
+    function date(v) { return make_dom_node('input', { value: v }); }
+    // browsers blank bad values, but say so
+    var bad_input = { nodeType: 1, value: '', validity: { badInput: true } };
+    function expected(what) {
+        return function (e) { 
+            return e.name == 'LensException' && 
+                   new RegExp('expected a ' + what).test(e.msg); 
+        };
     }
     
-    var arith = map(hoist('foo', true).plus(5, 0));
-    run_tests(arith, ['hoist', 'seq', 'map']);
+    $T('the checkbox_tag lens',
+       function () {
+           var node = check.get(true);
+           return node.getAttribute('type') == 'checkbox' && node.checked &&
+                  node.getAttribute('id') == 'agree' && !check.get(0).checked;
+       },
+       function () {
+           var node = check.get(false);
+           node.checked = true;
+           return check.putback(node, false) === true;
+       },
+       check.getput(true),
+       check.getput(false),
+       check.putback_is(check.get(''), 'on', false));
     
-    var marked = stack_marker(arith, 'root', 'hit the bottom!');
-    run_tests(marked, ['hoist', 'seq', 'map', 'root']);
+    $T('the radio_group_tag lens',
+       function () {
+           var node = size.get(2);
+           var radios = [];
+           for (var i = 0;i < node.childNodes.length;i++) {
+               radios.push(node.childNodes[i].firstChild);
+           }
+           
+           return radios.length == 3 && !radios[0].checked && 
+                  radios[1].checked && radios[2].getAttribute('name') == 'size' &&
+                  node.lastChild.lastChild.nodeValue == 'large';
+       },
+       function () {
+           var node = size.get(2);
+           node.childNodes[1].firstChild.checked = false;
+           node.childNodes[2].firstChild.checked = true;
+           return size.putback(node, 2) === 3;
+       },
+       size.getput(1),
+       size.getput(3),
+       // with nothing checked, nothing changes
+       size.putback_is(size.get(5), 5, 5),
+       // each row of a list gets a group of its own
+       function () {
+           var first_input = function (node) {
+               if (node.nodeName == 'INPUT') { return node; }
+               for (var i = 0;i < node.childNodes.length;i++) {
+                   var input = first_input(node.childNodes[i]);
+                   if (input) { return input; }
+               }
+               return undefined;
+           };
+           var names = function (lens, c) {
+               var rows = lens.get(c);
+               var found = [];
+               for (var i = 0;i < rows.length;i++) {
+                   found.push(first_input(rows[i]).getAttribute('name'));
+               }
+               return found;
+           };
+           
+           return equal(names(list_map(radio_group_tag({}, 'size', [1, 2])), 
+                              [1, 2]), 
+                        ['size_1', 'size_2']) &&
+                  equal(names(list_map(div_tag({}, 'size', 
+                                               radio_group_tag({}, 'size', 
+                                                               [1, 2]))), 
+                              [{ size: 1 }, { size: 2 }]), 
+                        ['size_1', 'size_2']);
+       });
     
-    var dom = input_tag({}, hoist('foo'));
+    $T('the number_input_tag lens',
+       function () { 
+           var node = count.get(5);
+           return node.getAttribute('type') == 'number' && node.value == '5';
+       },
+       count.putback_is(number('42'), 5, 42),
+       count.putback_is(number('-1.5'), 5, -1.5),
+       count.putback_is(number(''), 5, 0),
+       count.putback_throws(number('4 2'), 5, expected('number')),
+       count.putback_throws(bad_input, 5, expected('number')),
+       count.getput(7));
     
-    $T('the stack_marker lens',
-       marked.get_throws({ a: 5 }, function (e) {
-           var stack = e.stack();
-           var root = stack[stack.length - 1];
+    $T('the date_input_tag lens',
+       function () { 
+           var node = day.get(new_year);
+           return node.getAttribute('type') == 'date' && 
+                  node.value == '2009-01-01' && day.get(undefined).value === '';
+       },
+       function () {
+           var d = day.putback(date('2010-12-31'), new_year);
+           return d instanceof Date && d.getTime() == Date.UTC(2010, 11, 31);
+       },
+       day.putback_is(date(''), new_year, null),
+       day.putback_throws(date('31/12/2010'), new_year, expected('date')),
+       day.putback_throws(date('2009-02-30'), new_year, expected('date')),
+       day.putback_throws(bad_input, new_year, expected('date')),
+       day.getput(new_year),
+       // days can also be strings or times, and are put back as they were
+       function () {
+           return day.get('2009-01-01').value == '2009-01-01' &&
+                  day.get(new_year.getTime()).value == '2009-01-01' &&
+                  day.get('not a day').value === '';
+       },
+       day.getput('2009-01-01'),
+       day.getput(new_year.getTime()),
+       function () {
+           return day.putback(day.get('2009-01-01'), '2009-01-01') === 
+                      '2009-01-01' &&
+                  day.putback(date('2010-12-31'), '2009-01-01') === 
+                      '2010-12-31' &&
+                  day.putback(date('2010-12-31'), new_year.getTime()) === 
+                      Date.UTC(2010, 11, 31);
+       },
+       day.putback_is(date(''), '2009-01-01', null),
+       day.putback_throws(date('2009-02-30'), '2009-01-01', expected('date')),
+       // dates are compared by time
+       function () { 
+           return !equal(new_year, new Date(Date.UTC(2009, 0, 2))) &&
+                  clone(new_year).getTime() == new_year.getTime();
+       });
+    
+    $T('the multi_select_tag lens',
+       function () {
+           var node = toppings.get(['egg', 7]);
+           var options = node.childNodes;
+           return node.hasAttribute('multiple') && 
+                  node.getAttribute('name') == 'toppings' &&
+                  !options[0].selected && options[1].selected && 
+                  options[2].selected && options[2].value == '7' &&
+                  options[2].firstChild.nodeValue == 'lucky';
+       },
+       function () {
+           var node = toppings.get(['egg']);
+           node.childNodes[0].selected = true;
+           node.childNodes[1].selected = false;
+           node.childNodes[2].selected = true;
+           return equal(toppings.putback(node, ['egg']), ['ham', 7]);
+       },
+       toppings.getput([]),
+       toppings.getput(['ham', 'egg']),
+       toppings.get_throws('ham', expected('list')));
+    
+    $T('form tag lenses in bindings',
+       function () {
+           var node = make_dom_node('span', { 'id': 'form_tag_test' });
+           document.body.appendChild(node);
            
-           return root.fun == 'root' &&
-                  root.args === undefined &&
+           var set_timeout = window.setTimeout;
+           var timers = [];
+           window.setTimeout = function (f) { 
+               timers.push(f); 
+               return timers.length; 
+           };
+           
+           try {
+               var heard = [];
+               var update = bind_lens(div_tag({}, 'agree', check, 
+                                                  'size', size,
+                                                  'count', count,
+                                                  'day', day,
+                                                  'toppings', toppings),
+                                      'form_tag_test', 
+                                      function (c) { heard.push(c); });
+               update({ agree: false, size: 1, count: 2, day: new_year,
+                        toppings: [] });
+               
+               var form = get_dom_object('form_tag_test');
+               var kids = form.childNodes;
+               kids[0].checked = true;
+               fire(kids[0], 'click');
+               kids[1].childNodes[0].firstChild.checked = false;
+               kids[1].childNodes[2].firstChild.checked = true;
+               fire(kids[1].childNodes[2].firstChild, 'change');
+               kids[2].value = '12';
+               fire(kids[2], 'input');
+               kids[3].value = '2009-06-30';
+               fire(kids[3], 'change');
+               kids[4].childNodes[2].selected = true;
+               fire(kids[4], 'change');
+               
+               var ok = timers.length == 5;
+               timers[timers.length - 1]();
+               
+               // the model keeps its types through jsify
+               var c = heard[0];
+               ok = ok && heard.length == 1 && c.agree === true && 
+                    c.size === 3 && c.count === 12 && 
+                    c.day.getTime() == Date.UTC(2009, 5, 30) && 
+                    equal(c.toppings, [7]);
+               
+               update.dispose();
+           } finally {
+               window.setTimeout = set_timeout;
+           }
+           
+           node = get_dom_object('form_tag_test');
+           node.parentNode.removeChild(node);
+           return ok;
+       });
+})();
+
+/* Tests for patch_dom */
+(function () {
+    function mount(node) {
+        var parent = document.createElement('div');
+        parent.appendChild(node);
+        return node;
+    }
+    
+    $T('patch_dom',
+       function () {
+           var old = mount(div_tag({ id: 'p' }).get('foo'));
+           var text = old.firstChild;
+           var result = patch_dom(old, div_tag({ id: 'p' }).get('bar'));
+           
+           // the nodes are kept; only the text changes
+           return result === old && old.firstChild === text &&
+                  text.nodeValue == 'bar';
+       },
+       function () {
+           var old = mount(make_dom_node('input', { id: 'i', 'class': 'x' }));
+           patch_dom(old, make_dom_node('input', { id: 'i', size: '5' }));
+           
+           return !old.hasAttribute('class') && 
+                  old.getAttribute('size') == '5';
+       },
+       function () {
+           var old = mount(make_dom_node('input', { value: 'foo' }));
+           old.value = 'typed';
+           var replacement = make_dom_node('input', { value: 'typed' });
+           
+           // values that already agree aren't rewritten
+           patch_dom(old, replacement);
+           return old.value == 'typed';
+       },
+       function () {
+           var old = mount(ul_tag({}, list_map(li_tag())).get([1, 2, 3]));
+           var first = old.firstChild;
+           patch_dom(old, ul_tag({}, list_map(li_tag())).get([1, 5]));
+           
+           return old.childNodes.length == 2 && old.firstChild === first &&
+                  old.lastChild.firstChild.nodeValue == '5';
+       },
+       function () {
+           var old = mount(make_dom_node('span', {}, ['foo']));
+           var parent = old.parentNode;
+           var div = make_dom_node('div', {}, ['foo']);
+           
+           // different tags can't be patched
+           return patch_dom(old, div) === div && parent.firstChild === div;
+       },
+       function () {
+           var clicked = false;
+           var old = mount(make_dom_node('input', {}));
+           patch_dom(old, make_dom_node('input', { 
+               onclick: function () { clicked = true; } 
+           }));
+           
+           old.onclick();
+           return clicked;
+       });
+})();
+
+/* Tests for rendering backends */
+(function () {
+    var person = div_tag({ 'class': 'person' }, 
+                         'name', input_tag(), 
+                         'ok', checkbox_tag(), 
+                         'bio', textarea_tag());
+    var model = { name: 'Ann <& "Al">', ok: true, bio: 'a < b' };
+    
+    $T('render_html',
+       function () {
+           return render_html(person, model, 'who') ==
+               '<div class="person" id="who">' +
+               '<input value="Ann &lt;&amp; &quot;Al&quot;&gt;">' +
+               '<input type="checkbox" checked="checked">' + 
+               '<textarea>a &lt; b</textarea></div>';
+       },
+       function () {
+           // unchecked boxes have no checked attribute
+           return render_html(checkbox_tag(), false) == 
+                  '<input type="checkbox">' &&
+                  person.render_html({ ok: false }).indexOf('checked') == -1;
+       },
+       function () {
+           // views that aren't elements are put in a span
+           return render_html(text_tag(), 'hi', 'x') == 
+                  '<span id="x">hi</span>' &&
+                  render_html(br_tag(), undefined) == '<br>';
+       },
+       function () {
+           // ...as are lists of views, as bindings do it
+           return render_html(list_map(span_tag()), [1, 2], 'r') ==
+                  '<span id="r"><span>1</span><span>2</span></span>' &&
+                  render_html(list_map(span_tag()), [1]) ==
+                  '<span><span>1</span></span>';
+       },
+       function () {
+           return render_html(radio_group_tag({}, 'size', [1, 2]), 2) == 
+               '<span><label><input type="radio" name="size" value="1">' +
+               '1</label><label><input type="radio" name="size" value="2" ' +
+               'checked="checked">2</label></span>';
+       },
+       function () {
+           // markup can be rendered from the live DOM, too
+           var node = input_tag({ 'id': 'n' }).get('foo');
+           node.value = 'bar';
+           return to_html(node) == '<input id="n" value="bar">';
+       });
+    
+    $T('the html backend',
+       function () {
+           var node = with_backend(html_backend, function () { 
+               return person.get(model);
+           });
+           return node instanceof HtmlNode && 
+                  node.firstChild instanceof HtmlNode &&
+                  node.childNodes[1].checked === true &&
+                  node.getAttribute('class') == 'person';
+       },
+       function () {
+           // the lens laws hold over HtmlNodes
+           return with_backend(html_backend, function () {
+               var node = person.get(model);
+               node.firstChild.value = 'Bob';
+               node.childNodes[1].checked = false;
+               var c = person.putback(node, model);
+               
+               return equal(person.putback(person.get(model), model), model) &&
+                      c.name == 'Bob' && c.ok === false && 
+                      equal(person.get(c), node);
+           });
+       },
+       function () {
+           var node = with_backend(html_backend, function () {
+               return ul_tag({}, list_map(li_tag())).get([1, 2, 3]);
+           });
+           var copy = clone(node);
+           node.removeChild(node.firstChild);
+           
+           return copy.childNodes.length == 3 && node.childNodes.length == 2 &&
+                  node.firstChild.firstChild.nodeValue == '2' &&
+                  copy.parentNode === null && 
+                  String(node) == '<ul><li>2</li><li>3</li></ul>';
+       },
+       function () {
+           // the backend is restored, even after an error
+           try { 
+               with_backend(html_backend, function () { throw 'oops'; }); 
+           } catch (e) { }
+           return !(input_tag().get(5) instanceof HtmlNode);
+       },
+       throws_e(function () { with_backend({}, function () { }); }, 
+                function (e) { 
+                    return e instanceof LensException && 
+                           /expected a rendering backend/.test(e.msg);
+                }));
+})();
+
+/* Tests for the tree backend */
+(function () {
+    var person = div_tag({ 'id': 'p' }, 
+                         'name', input_tag(), 
+                         'ok', checkbox_tag(),
+                         'size', radio_group_tag({}, 'size', [1, 2]),
+                         'bio', textarea_tag());
+    var model = { name: 'Ann', ok: true, size: 2, bio: 'hi' };
+    var view = function (c) {
+        return with_backend(tree_backend, function () { 
+            return person.get(c); 
+        });
+    };
+    var radio = function (v, checked) {
+        var attribs = { type: 'radio', name: 'size', value: String(v) };
+        if (checked) { attribs.checked = 'checked'; }
+        return { tag: 'label', attribs: {},
+                 children: [{ tag: 'input', attribs: attribs, children: [] },
+                            String(v)] };
+    };
+    
+    $T('the tree backend',
+       function () {
+           return equal(view(model), 
+               { tag: 'div', attribs: { id: 'p' }, children: [
+                   { tag: 'input', attribs: { value: 'Ann' }, children: [] },
+                   { tag: 'input', 
+                     attribs: { type: 'checkbox', checked: 'checked' },
+                     children: [] },
+                   { tag: 'span', attribs: {}, 
+                     children: [radio(1, false), radio(2, true)] },
+                   { tag: 'textarea', attribs: {}, children: ['hi'] }] });
+       },
+       function () {
+           // putback reads plain data, whatever the current backend
+           var node = view(model);
+           node.children[0].attribs.value = 'Bob';
+           delete node.children[1].attribs.checked;
+           node.children[2].children[0].children[0].attribs.checked = 'checked';
+           delete node.children[2].children[1].children[0].attribs.checked;
+           node.children[3].children = ['bye'];
+           
+           return equal(person.putback(node, model),
+                        { name: 'Bob', ok: false, size: 1, bio: 'bye' });
+       },
+       function () {
+           // handlers are attributes, and aren't rendered
+           var f = function () { };
+           var node = with_backend(tree_backend, function () {
+               return make_dom_node('a', { href: '#', onclick: f }, ['go']);
+           });
+           return node.attribs.onclick === f && 
+                  to_html(node) == '<a href="#">go</a>' &&
+                  to_html(view(model)).indexOf('checked="checked">2') != -1;
+       },
+       function () {
+           // text is a string, but only to the current backend
+           return !is_node('foo') && 
+                  with_backend(tree_backend, function () { 
+                      return is_node('foo') && domify(5) === '5';
+                  }) &&
+                  is_node({ tag: 'br', attribs: {}, children: [] });
+       },
+       function () {
+           var node = with_backend(tree_backend, function () {
+               return multi_select_tag({}, ['a', 'b']).get(['b']);
+           });
+           node.children[0].attribs.selected = 'selected';
+           return equal(multi_select_tag({}, ['a', 'b']).putback(node, []),
+                        ['a', 'b']);
+       },
+       function () {
+           // const tags are compared in the node's own backend
+           var br = constant_tag('br', 5);
+           var node = with_backend(tree_backend, function () {
+               return br.get(0);
+           });
+           return br.putback(node, 3) === 3 &&
+                  br.putback_throws({ tag: 'hr', attribs: {}, children: [] },
+                                    3, 
+                                    function (e) { 
+                                        return e instanceof LensException; 
+                                    })();
+       },
+       function () {
+           // numbers come back as numbers, not the strings they're shown as
+           return with_backend(tree_backend, function () {
+               var input = input_tag();
+               var form = div_tag({}, 'a', input_tag());
+               return input.putback(input.get(5), 5) === 5 &&
+                      form.putback(form.get({ a: 3 }), { a: 3 }).a === 3;
+           });
+       },
+       function () {
+           // every backend reads text and values back the same way: text
+           // stays a string, and values that look like numbers are numbers
+           var lenses = [span_tag(), input_tag(), 
+                         div_tag({}, 'a', span_tag(), 'b', input_tag())];
+           var backends = [browser_backend, html_backend, tree_backend];
+           var values = ['007', '1e3', 5, 'abc', ' '];
+           var put = function (lens, backend, v) {
+               var c = lens === lenses[2] ? { a: v, b: v } : v;
+               var a = with_backend(backend, function () { 
+                   return lens.get(c); 
+               });
+               return lens.putback(a, c);
+           };
+           
+           for (var i = 0;i < lenses.length;i++) {
+               for (var j = 0;j < values.length;j++) {
+                   var expected = put(lenses[i], backends[0], values[j]);
+                   for (var k = 1;k < backends.length;k++) {
+                       var got = put(lenses[i], backends[k], values[j]);
+                       if (i == 2 ? got.a !== expected.a || 
+                                    got.b !== expected.b :
+                                    got !== expected) {
+                           return false;
+                       }
+                   }
+               }
+           }
+           
+           return put(lenses[0], tree_backend, '007') === '007' &&
+                  put(lenses[1], tree_backend, '1e3') === 1000;
+       });
+    
+    $T('make_backend',
+       function () {
+           // missing operations come from the base
+           var made = [];
+           var backend = make_backend({ 
+               name: 'counting',
+               make_element: function (name) {
+                   made.push(name);
+                   return tree_backend.make_element(name);
+               }
+           }, tree_backend);
+           var node = with_backend(backend, function () {
+               return ul_tag({}, list_map(li_tag())).get([1, 2]);
+           });
+           
+           return equal(made, ['li', 'li', 'ul']) && 
+                  equal(node.children[1], 
+                        { tag: 'li', attribs: {}, children: ['2'] });
+       },
+       throws_e(function () { 
+                    make_backend({ name: 'bad', tag: 5 }, tree_backend); 
+                },
+                function (e) { 
+                    return e instanceof LensException && 
+                           /bad has no tag/.test(e.msg);
+                }));
+})();
+
+/* Tests for hydrate_lens */
+(function () {
+    // server-rendered markup: the view's nodes, without their handlers
+    function prerender(lens, c, id) {
+        var node = lens.get(c);
+        node.setAttribute('id', id);
+        node.onclick = null;
+        document.body.appendChild(node);
+        
+        return node;
+    }
+    
+    function remove(id) {
+        var node = get_dom_object(id);
+        node.parentNode.removeChild(node);
+    }
+    
+    function with_timers(f) {
+        var set_timeout = window.setTimeout;
+        var timers = [];
+        window.setTimeout = function (g) { 
+            timers.push(g); 
+            return timers.length; 
+        };
+        
+        try {
+            return f(timers);
+        } finally {
+            window.setTimeout = set_timeout;
+        }
+    }
+    
+    $T('hydrate_lens',
+       function () {
+           var clicked = false;
+           var lens = div_tag({ 'onclick': function () { clicked = true; } },
+                              'name', input_tag(), 'ok', checkbox_tag());
+           var node = prerender(lens, { name: 'Ann', ok: false }, 'hy1');
+           var input = node.firstChild;
+           
+           return with_timers(function (timers) {
+               var heard = [];
+               var update = hydrate_lens(lens, 'hy1', 
+                                         { name: 'Ann', ok: false },
+                                         function (c) { heard.push(c); });
+               
+               // the markup is kept, and nothing was put back...
+               var ok = get_dom_object('hy1') === node && 
+                        node.firstChild === input && heard.length === 0;
+               
+               // ...but handlers are adopted and edits are heard
+               node.onclick();
+               input.value = 'Bob';
+               fire(input, 'input');
+               timers[timers.length - 1]();
+               
+               ok = ok && clicked && heard.length == 1 && 
+                    heard[0].name == 'Bob' && 
+                    equal(update.binding.model(), heard[0]);
+               
+               update.dispose();
+               remove('hy1');
+               return ok;
+           });
+       },
+       function () {
+           var lens = div_tag({}, 'name', input_tag());
+           var node = prerender(lens, { name: 'Ann' }, 'hy2');
+           
+           // typed before the page's script ran
+           node.firstChild.value = 'Annie';
+           
+           var heard = [];
+           var update = lens.hydrate('hy2', { name: 'Ann' }, 
+                                     function (c) { heard.push(c); });
+           var ok = heard.length == 1 && heard[0].name == 'Annie' &&
+                    node.firstChild.value == 'Annie';
+           
+           update.dispose();
+           remove('hy2');
+           return ok;
+       },
+       function () {
+           // markup of the wrong shape is patched instead
+           var lens = ul_tag({}, list_map(li_tag()));
+           var node = prerender(lens, [1, 2], 'hy3');
+           var first = node.firstChild;
+           
+           var update = hydrate_lens(lens, 'hy3', [1, 2, 3]);
+           var ok = get_dom_object('hy3') === node && 
+                    node.firstChild === first && 
+                    node.childNodes.length == 3 &&
+                    equal(update.binding.model(), [1, 2, 3]);
+           
+           update.dispose();
+           remove('hy3');
+           return ok;
+       },
+       function () {
+           // views that aren't elements are rendered as bindings show them
+           var lens = list_map(span_tag());
+           document.body.appendChild(make_dom_node('span', { 'id': 'hy4' }));
+           var update = bind_lens(lens, 'hy4');
+           update([1, 2]);
+           
+           var ok = to_html(get_dom_object('hy4')) == 
+                    render_html(lens, [1, 2], 'hy4');
+           
+           update.dispose();
+           remove('hy4');
+           return ok;
+       },
+       throws_e(function () { hydrate_lens(input_tag(), 'no_such_id', 5); },
+                function (e) { 
+                    return e instanceof LensException && 
+                           /no markup/.test(e.msg);
+                }),
+       // and nothing is left bound
+       throws_e(function () { track_history('no_such_id'); },
+                function (e) { return e.lens == 'track_history'; }));
+})();
+
+// DOM LENSES }}}
+
+// {{{ ERROR STACKS
+
+/* Tests for the proper construction of stack traces */
+(function () {
+    var ab_valid = { a: { foo: 0 }, b: { foo: 5 } };
+    var ab_got = { a: 5, b: 10 };
+    
+    function run_tests(lens, funs) {
+        function valid_trace(e) {
+            var stack = e.stack();
+            
+            if (stack.length != funs.length) { return false; }
+            for (var i = 0;i < stack.length;i++) {
+                if (stack[i].fun != funs[i]) { return false; }
+            }
+    
+            return true;
+        }
+        
+       $T('error stack trace system',
+          lens.get_is(ab_valid, ab_got),
+          lens.putback_is(ab_got, ab_valid, ab_valid),
+          lens.getput(ab_valid),
+          lens.putget(ab_got, {}),
+          lens.putget(ab_got, ab_valid),
+          lens.get_throws({ a: 5 }, valid_trace));
+    }
+    
+    var arith = map(hoist('foo', true).plus(5, 0));
+    run_tests(arith, ['hoist', 'seq', 'map']);
+    
+    var marked = stack_marker(arith, 'root', 'hit the bottom!');
+    run_tests(marked, ['hoist', 'seq', 'map', 'root']);
+    
+    var dom = input_tag({}, hoist('foo'));
+    
+    $T('the stack_marker lens',
+       marked.get_throws({ a: 5 }, function (e) {
+           var stack = e.stack();
+           var root = stack[stack.length - 1];
+           
+           return root.fun == 'root' &&
+                  root.args === undefined &&
                   root.context == 'hit the bottom!';
        }),
        dom.get_throws(5, function (e) {
@@ -1606,6 +3671,361 @@ function test_bindings(outer, inner) {
 
 // ERROR STACKS }}}
 
+// {{{ TRACING
+
+/* Tests for trace_lens */
+(function () {
+    var l = seq(focus('a', 0), plus(1, 0));
+    var names = function (calls) {
+        var out = [];
+        for (var i = 0;i < calls.length;i++) {
+            out.push(calls[i].name + '.' + calls[i].op);
+        }
+        return out;
+    };
+    
+    $T('trace_lens',
+       function () {
+           var t = trace_lens(l, function (l) { 
+               return l.putback(5, { a: 1, b: 2 }); 
+           });
+           var top = t.calls[0];
+           
+           return t.calls.length == 1 && equal(t.result, { a: 4, b: 2 }) &&
+                  top.name == 'seq' && top.op == 'putback' &&
+                  equal(top.args, [5, { a: 1, b: 2 }]) &&
+                  equal(top.result, { a: 4, b: 2 }) &&
+                  equal(names(top.children), 
+                        ['focus.get', 'plus.putback', 'focus.putback']) &&
+                  top.children[1].parent === top &&
+                  top.children[1].depth() == 1 && 
+                  equal(top.children[1].args, [5, 1]) &&
+                  top.children[1].result === 4 &&
+                  typeof top.time == 'number' && top.start >= 0;
+       },
+       function () {
+           // the steps go in and out of each call in order
+           var steps = trace_lens(l, function (l) { 
+               return l.get({ a: 3 }); 
+           }).steps();
+           var last = steps[steps.length - 1];
+           
+           return steps.length % 2 === 0 && 
+                  steps[0].phase == 'enter' && steps[0].depth === 0 && 
+                  steps[1].call.name == 'focus' && steps[1].depth == 1 &&
+                  last.phase == 'exit' && last.call === steps[0].call;
+       },
+       function () {
+           // arguments are copied, so later changes don't show up
+           var c = { a: 1 };
+           var t = trace_lens(l, function (l) { return l.get(c); });
+           c.a = 2;
+           
+           return t.calls[0].args[0].a == 1;
+       },
+       function () {
+           // the lenses go back to normal afterwards, even after an error
+           var bad = seq(l, error_lens('test', 'boom'));
+           var calls = 0;
+           try {
+               trace_lens(bad, function (l) { return l.get({ a: 1 }); });
+           } catch (e) {
+               calls = e.trace.calls.length;
+               var failed = e.trace.calls[0].error instanceof LensException;
+           }
+           
+           var t = trace_lens(bad, function (l) { return 1; });
+           return calls == 1 && failed && t.calls.length === 0 &&
+                  l.get({ a: 1 }) == 2 && 
+                  l.putback(3, { a: 1 }).a == 2;
+       },
+       function () {
+           // a lens used twice is wrapped once, but each call is recorded
+           var shared = plus(1, 0);
+           var t = seq(shared, shared).trace(function (l) { 
+               return l.get(1); 
+           });
+           var count = 0;
+           var steps = t.steps();
+           for (var i = 0;i < steps.length;i++) {
+               if (steps[i].phase == 'enter' && 
+                   steps[i].call.lens === shared) { count++; }
+           }
+           
+           return count == 2 && t.result == 3;
+       },
+       function () {
+           // sublenses made while tracing are traced too
+           var rows = list_map(div_tag({}, 'a', span_tag()));
+           var t = rows.trace(function (l) { return l.get([{ a: 1 }, 
+                                                          { a: 2 }]); });
+           var top = t.calls[0];
+           var ok = top.name == 'list_map' && top.children.length == 2 &&
+                    top.children[1].name == 'div_tag' &&
+                    equal(top.children[1].args, [{ a: 2 }]) &&
+                    top.children[1].children.length > 0;
+           
+           // ...and go back to normal afterwards, new clones and all
+           rows.get([{ a: 3 }, { a: 4 }, { a: 5 }]);
+           return ok && t.calls.length == 1 && top.children.length == 2;
+       },
+       throws_e(function () {
+                    trace_lens(l, function () { 
+                        trace_lens(l, function () { }); 
+                    });
+                },
+                function (e) { 
+                    return e instanceof LensException && 
+                           /already running/.test(e.msg);
+                }));
+})();
+
+// TRACING }}}
+
+// {{{ INSPECTION
+
+/* Tests for inspect_lens and lens_to_dot */
+(function () {
+    var names = function (node) {
+        var out = [node.name];
+        for (var i = 0;i < node.children.length;i++) {
+            out.push(names(node.children[i]));
+        }
+        return out;
+    };
+    var by_hand = new Lens();
+    by_hand.name = 'by_hand';
+    by_hand.get = function (c) { return c; };
+    by_hand.putback = function (a, c) { return a; };
+
+    $T('inspect_lens',
+       function () {
+           var tree = inspect_lens(seq(hoist('a'), plus(1, 0)));
+
+           return tree.name == 'seq' && equal(tree.args, ['hoist', 'plus']) &&
+                  tree.children.length == 2 &&
+                  tree.children[0].name == 'hoist' &&
+                  equal(tree.children[0].args, ['"a"']) &&
+                  equal(tree.children[1].args, ['1', '0']);
+       },
+       function () {
+           // the insides of stack-marked composites are registered too
+           var tree = inspect_lens(rename('a', 'b'));
+           var xfork = tree.children[0];
+
+           return equal(names(tree),
+                        ['rename', ['xfork', ['seq', ['hoist'], ['plunge']],
+                                             ['id_lens']]]) &&
+                  equal(xfork.args,
+                        ['function', 'function', 'seq', 'id_lens']) &&
+                  equal(xfork.children[0].children[1].args, ['"b"']);
+       },
+       function () {
+           // each calling convention of the tag lenses shows up
+           var seq_mode = inspect_lens(div_tag({}, id_lens()));
+           var layout_mode = inspect_lens(div_tag({}, 'a', plus(1, 0)));
+
+           return equal(names(seq_mode),
+                        ['div_tag', ['seq', ['id_lens'], ['tag']]]) &&
+                  layout_mode.children[0].children[0].name == 'layout' &&
+                  equal(layout_mode.children[0].children[0].args,
+                        ['"a"', 'plus']);
+       },
+       function () {
+           // lenses made by hand have no arguments to show
+           var tree = inspect_lens(by_hand);
+
+           return tree.name == 'by_hand' && tree.args === undefined;
+       },
+       function () {
+           // named values are shown by name, and deep data is elided
+           var pred = name_value('inspect_pred', function () { return true; });
+           var tree = inspect_lens(xfork(pred, pred, id_lens(), id_lens()));
+
+           return tree.args[0] == 'inspect_pred' &&
+                  inspect_value({ a: [1, { b: 2 }] }) == '{a: [1, {...}]}';
+       },
+       function () {
+           var loop = new Lens();
+           loop.name = 'loop';
+           loop.for_each_sublens = function (f) { f(loop); };
+           var tree = inspect_lens(loop);
+
+           return !tree.cycle && tree.children[0].cycle &&
+                  tree.children[0].children.length === 0;
+       },
+       throws_e(function () { inspect_lens(5); },
+                function (e) {
+                    return e instanceof LensException &&
+                           /expected a lens/.test(e.msg);
+                }));
+
+    $T('lens_to_dot',
+       function () {
+           var dot = rename('a', 'b').to_dot('r');
+           var lines = dot.split('\n');
+           var has_line = function (line) {
+               for (var i = 0;i < lines.length;i++) {
+                   if (lines[i] == '    ' + line) { return true; }
+               }
+               return false;
+           };
+
+           return lines[0] == 'digraph "r" {' &&
+                  lines[lines.length - 1] == '}' &&
+                  has_line('n0 [label="rename(\\"a\\", \\"b\\")"];') &&
+                  has_line('n0 -> n1;') && has_line('n2 -> n4;');
+       },
+       function () {
+           // unknown arguments are dashed
+           var dot = lens_to_dot(by_hand);
+
+           return /^digraph "lens" \{/.test(dot) &&
+                  /n0 \[label="by_hand", style=dashed\];/.test(dot);
+       });
+})();
+
+// INSPECTION }}}
+
+// {{{ SCHEMAS
+
+/* Tests for schema inference and build-time mismatches */
+(function () {
+    var schema_error = function (re) {
+        return function (e) {
+            return e instanceof LensException && re.test(e.msg);
+        };
+    };
+    var infers = function (lens, cs, shown) {
+        return function () {
+            return show_schema(infer_schema(lens(), cs)) == shown;
+        };
+    };
+
+    $T('schema_of',
+       function () {
+           return show_schema(schema_of({ a: 1, b: 'x', c: [1, true] })) ==
+                  '{a: number, b: string, c: [number, boolean]}';
+       },
+       function () {
+           return show_schema(sArray(sNumber)) == '[number, ...]' &&
+                  show_schema(sObject({ a: sDom }, true)) == '{a: dom, ...}';
+       },
+       function () {
+           return show_schema(schema_join(sNumber, sString)) == 'any' &&
+                  show_schema(schema_join(schema_of({ a: 1 }), 
+                                          schema_of({ a: 2, b: 3 }))) ==
+                  '{a: number, ...}';
+       });
+
+    $T('infer_schema',
+       infers(function () { return focus('a'); },
+              sObject({ a: sNumber, b: sString }), 'number'),
+       infers(function () { return rename('a', 'c'); },
+              schema_of({ a: 1, b: 'x' }), '{c: number, b: string}'),
+       infers(function () { 
+                  return layout('a', id_lens(), 'b', id_lens()); 
+              },
+              sObject({ a: sNumber, b: sString }), '[number, string]'),
+       infers(function () { return list_map(plus(1)); },
+              sArray(sNumber), '[number, ...]'),
+       infers(function () { return div_tag({}, 'x'); }, sAny, 'dom'),
+       infers(function () { return seq(plunge('a'), hoist('a')); },
+              sNumber, 'number'),
+       // properties left out of an order are dropped, which is fine
+       infers(function () { 
+                  return seq(constant({ a: 1, b: 2 }, { a: 1, b: 2 }), 
+                             order('a'));
+              },
+              sAny, '[number]'),
+       // lenses that only look like lenses say nothing
+       infers(function () { 
+                  return seq({ get: function (c) { return c; },
+                               putback: function (a, c) { return a; } },
+                             plus(1));
+              },
+              sAny, 'number'));
+
+    $T('schema mismatches',
+       throws_e(function () { seq(plunge('a'), hoist('b')); },
+                schema_error(/expected property b, but \{a: any\}/)),
+       throws_e(function () { seq(order('a', 'b'), hoist('x')); },
+                schema_error(/expected an object, got \[any, any\]/)),
+       throws_e(function () { 
+                    order('a', 'b').cschema(sTuple([sNumber]));
+                },
+                schema_error(/putback: different lengths/)),
+       function () {
+           // a branch that fits is enough
+           var l = seq(constant({ a: 1 }, { a: 1 }), 
+                       ccond(function () { return true; }, 
+                             hoist('a'), plunge('x')));
+           return show_schema(infer_schema(l)) == 'any';
+       });
+})();
+
+// SCHEMAS }}}
+
+// {{{ CONTRACTS
+
+/* Tests for lens_c and the contracts on registered lenses */
+(function () {
+    var lib = initLenses(undefined, initContracts);
+    var ctcs = lib.contracts;
+    var num_lens_c = lib.lens_of_c(ctcs.cNum, ctcs.cNum);
+    
+    function blames(party, f) {
+        return throws_e(f, function (e) {
+            return e.name == 'LensException' && e.lens == party;
+        });
+    }
+    
+    function guarded(l) {
+        return ctcs.guard(num_lens_c, l, 'my_lens', 'user code');
+    }
+    
+    $T('lens contracts',
+       // constructor arguments are the caller's fault
+       blames('user code', function () { lib.constant(1, 2, 'yes'); }),
+       blames('user code', function () { lib.error_lens(5, 'msg'); }),
+       blames('user code', function () { lib.seq(lib.id_lens(), 5); }),
+       function () { return lib.constant(1, 2, false).get(3) == 1; },
+       // get and putback are checked in both directions
+       function () { return guarded(lib.plus(1, 0)).get(5) == 6; },
+       function () { return guarded(lib.plus(1, 0)).putback(6, 0) == 5; },
+       blames('user code', function () { 
+           guarded(lib.plus(1, 0)).get('five');
+       }),
+       blames('user code', function () { 
+           guarded(lib.plus(1, 0)).putback('six', 0);
+       }),
+       blames('my_lens', function () { 
+           guarded(lib.constant('x', 0)).get(5);
+       }),
+       blames('my_lens', function () { 
+           guarded(lib.constant(1, 'x')).putback(1, undefined);
+       }),
+       // a guarded lens is still a lens
+       function () {
+           return lib.is_lens(guarded(lib.plus(1, 0))) &&
+                  lib.seq(guarded(lib.plus(1, 0)), lib.plus(1, 0)).get(1) == 3;
+       },
+       // ...and the lens it guards is left alone
+       function () {
+           var shared = lib.plus(1, 0);
+           var get = shared.get;
+           var g = guarded(guarded(shared));
+           
+           return shared.get === get && shared.get('five') == 'five1' &&
+                  g instanceof lib.Lens && g.get(5) == 6;
+       },
+       blames('user code', function () {
+           guarded(guarded(lib.plus(1, 0))).get('five');
+       }));
+})();
+
+// CONTRACTS }}}
+
 // BINDING {{{
 
 /* Tests for proper maintenance of bindings */
@@ -1638,8 +4058,1191 @@ function test_bindings(outer, inner) {
        bind_result_is(simple, 'unbind', binding2, []));
 })();
 
+
+/* Tests for History and track_history */
+(function () {
+    var heard = [];
+    var time = 0;
+    
+    function bind(id, group_delay) {
+        var node = make_dom_node('span', { 'id': id });
+        document.body.appendChild(node);
+        
+        var update = bind_lens(div_tag({}, focus('n', 0).input_tag({})), id,
+                               function (c) { heard.push(c); });
+        update({ 'n': 1 });
+        
+        var history = track_history(id, group_delay);
+        history.now = function () { return time; };
+        return history;
+    }
+    
+    function unbind(history) {
+        unbind_lens(history.binding.id);
+        var node = get_dom_object(history.binding.id);
+        node.parentNode.removeChild(node);
+    }
+    
+    // simulate typing into the bound input, then the delayed putback
+    function type(history, v) {
+        get_dom_object(history.binding.id).firstChild.value = v;
+        history.binding.putback();
+    }
+    
+    function value(history) {
+        return get_dom_object(history.binding.id).firstChild.value;
+    }
+    
+    $T('undo/redo history',
+       function () {
+           var h = bind('history_test');
+           heard = [];
+           type(h, '2');
+           h.binding.get({ 'n': 3 });
+           
+           var ok = h.entries.length == 3 && h.entries[1].source == 'putback' &&
+                    h.entries[2].source == 'get' && !h.can_redo() &&
+                    equal(heard, [{ 'n': 2 }]);
+           
+           // undo restores the view and tells the owner of the model
+           ok = ok && equal(h.undo(), { 'n': 2 }) && value(h) == '2';
+           ok = ok && equal(h.undo(), { 'n': 1 }) && value(h) == '1';
+           ok = ok && h.undo() === undefined && h.can_redo();
+           ok = ok && equal(heard, [{ 'n': 2 }, { 'n': 2 }, { 'n': 1 }]);
+           ok = ok && equal(h.redo(), { 'n': 2 }) && value(h) == '2';
+           ok = ok && equal(h.binding.model(), { 'n': 2 });
+           
+           // restoring doesn't add entries, but new edits drop the redo ones
+           ok = ok && h.entries.length == 3;
+           type(h, '4');
+           ok = ok && h.entries.length == 3 && !h.can_redo() &&
+                equal(h.entries[2].model, { 'n': 4 });
+           
+           unbind(h);
+           return ok;
+       },
+       function () {
+           var h = bind('history_group_test', 100);
+           time = 0;
+           type(h, '12');
+           time = 50;
+           type(h, '123');
+           time = 500;
+           type(h, '1234');
+           
+           var ok = h.entries.length == 3 && 
+                    equal(h.entries[1].model, { 'n': 123 });
+           ok = ok && equal(h.undo(), { 'n': 123 }) && 
+                equal(h.undo(), { 'n': 1 });
+           
+           h.clear();
+           ok = ok && h.entries.length == 1 && !h.can_undo() && !h.can_redo();
+           
+           unbind(h);
+           return ok;
+       },
+       throws_e(function () { track_history('no_such_binding'); },
+                function (e) { return e.lens == 'track_history'; }));
+})();
+
+/* Tests for field errors in bindings */
+(function () {
+    function present(s) { return /\S/.test(s); }
+    
+    function bind(lib, id, heard) {
+        var node = make_dom_node('span', { 'id': id });
+        document.body.appendChild(node);
+        
+        var form = lib.div_tag({}, 
+                               'age', lib.input_tag({ 'class': 'wide', 
+                                                      'title': 'Age' }, 
+                                                    lib.plus(0, 0)),
+                               'name', lib.input_tag({}, 
+                                           lib.validate(present, 
+                                                        'a name is required')));
+        var update = lib.bind_lens(form, id, function (c) { heard.push(c); });
+        update({ 'age': 30, 'name': 'Pat' });
+        
+        return lib.track_history(id).binding;
+    }
+    
+    function unbind(lib, binding) {
+        lib.unbind_lens(binding.id);
+        var node = get_dom_object(binding.id);
+        node.parentNode.removeChild(node);
+    }
+    
+    function field(binding, i) {
+        return get_dom_object(binding.id).childNodes[i];
+    }
+    
+    $T('field errors in bindings',
+       function () {
+           var heard = [];
+           var b = bind(window, 'field_error_test', heard);
+           var age = field(b, 0);
+           
+           // a bad value is held back, and its input flagged
+           age.value = '3O';
+           b.putback();
+           var errs = b.errors();
+           var ok = heard.length === 0 && 
+                    equal(b.model(), { 'age': 30, 'name': 'Pat' }) &&
+                    errs.length == 1 && errs[0].node === age &&
+                    /expected a number/.test(errs[0].message) &&
+                    age.getAttribute('class') == 'wide lens_error' &&
+                    age.getAttribute('title') == errs[0].message &&
+                    age.value == '3O';
+           
+           // fixing it clears the flag
+           age.value = '31';
+           b.putback();
+           ok = ok && b.errors().length === 0 && 
+                age.getAttribute('class') == 'wide' &&
+                age.getAttribute('title') == 'Age' &&
+                equal(heard, [{ 'age': 31, 'name': 'Pat' }]);
+           
+           // user predicates report errors, too
+           var name = field(b, 1);
+           name.value = ' ';
+           b.putback();
+           errs = b.errors();
+           ok = ok && errs.length == 1 && errs[0].node === name &&
+                errs[0].message == 'a name is required' &&
+                name.getAttribute('class') == 'lens_error';
+           
+           // re-rendering the same model keeps the flags
+           b.get();
+           ok = ok && b.errors().length == 1 &&
+                field(b, 1).getAttribute('class') == 'lens_error' &&
+                field(b, 1).getAttribute('title') == 'a name is required';
+           
+           // a new model replaces the bad values
+           b.get({ 'age': 40, 'name': 'Sam' });
+           ok = ok && b.errors().length === 0 && 
+                !field(b, 1).hasAttribute('class') &&
+                !field(b, 1).hasAttribute('title');
+           
+           unbind(window, b);
+           return ok;
+       },
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var b = bind(lib, 'field_error_b_test', []);
+           var errors = lib.field_errors_b('field_error_b_test');
+           
+           var ok = equal(errors.valueNow(), []);
+           field(b, 0).value = 'old';
+           b.putback();
+           ok = ok && errors.valueNow().length == 1 &&
+                errors.valueNow()[0].node === field(b, 0);
+           field(b, 0).value = '50';
+           b.putback();
+           ok = ok && equal(errors.valueNow(), []);
+           
+           unbind(lib, b);
+           return ok;
+       },
+       // a failed putback stops there: nothing looks at the missing model
+       function () {
+           var node = make_dom_node('span', { 'id': 'failed_putback_test' });
+           document.body.appendChild(node);
+           
+           var heard = [];
+           var fold = new Canonizer(function (s) { return s.toLowerCase(); });
+           var lens = lquot(fold, input_tag({}, validate(present, 'required')));
+           var update = bind_lens(lens, 'failed_putback_test', 
+                                  function (c) { heard.push(c); });
+           update('Pat');
+           
+           var b = track_history('failed_putback_test').binding;
+           var input = get_dom_object('failed_putback_test');
+           input.value = ' ';
+           b.putback();
+           var ok = heard.length === 0 && b.model() == 'Pat' &&
+                    b.errors().length == 1;
+           
+           unbind(window, b);
+           return ok;
+       },
+       throws_e(function () { field_errors_b('no_such_binding'); },
+                function (e) { return e.lens == 'field_errors_b'; }));
+})();
+
+/* Tests for lift_b */
+(function () {
+    $T('lifting lenses over models',
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var fahrenheit = lib.model_b(212);
+           var celsius = lib.lift_b(lib.minus(32, 0).divide(9 / 5, 0),
+                                    fahrenheit);
+           
+           var ok = celsius.valueNow() == 100;
+           
+           fahrenheit.sendPulse(32, function () { });
+           ok = ok && celsius.valueNow() === 0;
+           
+           // the derived model is writable
+           celsius.sendPulse(-40, function () { });
+           ok = ok && fahrenheit.valueNow() == -40 && 
+                celsius.valueNow() == -40;
+           
+           // and lifts compose
+           var kelvin = lib.plus(273, 0).lift_b(celsius);
+           kelvin.sendPulse(373, function () { });
+           return ok && celsius.valueNow() == 100 && 
+                  fahrenheit.valueNow() == 212;
+       },
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var person = lib.model_b({ name: 'Pat', age: 30 });
+           var name = lib.focus('name', '').lift_b(person);
+           
+           name.sendPulse('Sam', function () { });
+           return equal(person.valueNow(), { name: 'Sam', age: 30 });
+       },
+       function () {
+           // bad values are held back and reported, not thrown
+           var lib = initLenses(fake_flapjax());
+           var n = lib.model_b(5);
+           var m = lib.plus(1, 0).lift_b(n);
+           
+           m.sendPulse('seven', function () { });
+           var errs = m.errors_b.valueNow();
+           var ok = n.valueNow() == 5 && errs.length == 1 &&
+                    /expected a number/.test(errs[0].message);
+           
+           m.sendPulse(7, function () { });
+           return ok && n.valueNow() == 6 && 
+                  equal(m.errors_b.valueNow(), []);
+       },
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var o = lib.model_b({ a: 1 });
+           var a = lib.hoist('a').lift_b(o);
+           
+           o.sendPulse(5, function () { });
+           return a.valueNow() == 1 && a.errors_b.valueNow().length == 1;
+       },
+       function () {
+           // so is a failure in the first get
+           var lib = initLenses(fake_flapjax());
+           var o = lib.model_b(5);
+           var a = lib.hoist('a').lift_b(o);
+           
+           var ok = a.valueNow() === undefined && 
+                    a.errors_b.valueNow().length == 1;
+           o.sendPulse({ a: 2 }, function () { });
+           return ok && a.valueNow() == 2 && 
+                  equal(a.errors_b.valueNow(), []);
+       },
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var n = lib.model_b(5);
+           var m = lib.plus(1, 0).lift_b(n);
+           
+           m.dispose();
+           n.sendPulse(10, function () { });
+           m.sendPulse(3, function () { });
+           return n.valueNow() == 10 && m.valueNow() == 3 &&
+                  n.changes().length === 0;
+       });
+})();
+
+/* Tests for event handler removal and binding disposal */
+(function () {
+    function mount(id) {
+        var node = make_dom_node('span', { 'id': id });
+        document.body.appendChild(node);
+        return node;
+    }
+    
+    function unmount(id) {
+        var node = get_dom_object(id);
+        node.parentNode.removeChild(node);
+    }
+    
+    $T('removing event handlers',
+       function () {
+           var node = make_dom_node('input', {});
+           var calls = [];
+           var handler = function (n) { 
+               return function () { calls.push(n); return n; };
+           };
+           var one = handler(1);
+           var two = handler(2);
+           var three = handler(3);
+           add_event_handler(node, 'change', one);
+           add_event_handler(node, 'onchange', two);
+           add_event_handler(node, 'change', three);
+           
+           var ok = remove_event_handler(node, 'change', two) &&
+                    !remove_event_handler(node, 'change', two);
+           ok = ok && node.onchange({}) == 3 && equal(calls, [1, 3]);
+           
+           ok = ok && remove_event_handler(node, 'onchange', three);
+           calls = [];
+           ok = ok && node.onchange({}) == 1 && equal(calls, [1]);
+           
+           return ok && remove_event_handler(node, 'change', one) && 
+                  !node.onchange;
+       },
+       function () {
+           var node = make_dom_node('div', {}, 
+                                    [make_dom_node('input', {}),
+                                     make_dom_node('textarea', {})]);
+           var handler = function () { return true; };
+           var mine = function () { return false; };
+           add_event_handler(node.firstChild, 'change', mine);
+           attach_handler(node, handler);
+           detach_handler(node, handler);
+           
+           return node.firstChild.onchange({}) === false &&
+                  !node.firstChild.onkeypress && !node.lastChild.onchange;
+       });
+    
+    $T('delegated edit events',
+       function () {
+           var set_timeout = window.setTimeout;
+           var timers = [];
+           window.setTimeout = function (f) { 
+               timers.push(f); 
+               return timers.length;
+           };
+           
+           try {
+               mount('delegation_test');
+               var heard = [];
+               var update = bind_lens(div_tag({}, 
+                                              'name', input_tag(),
+                                              'ok', input_tag({ 'type': 
+                                                                'checkbox' }),
+                                              'label', span_tag()),
+                                      'delegation_test', 
+                                      function (c) { heard.push(c); });
+               update({ name: 'Pat', ok: 'on', label: 'hi' });
+               var kids = get_dom_object('delegation_test').childNodes;
+               
+               // no per-node handlers...
+               var ok = !kids[0].onchange && !kids[0].onkeypress;
+               
+               // ...but typing, pasting, and so on are caught at the root
+               kids[0].value = 'Sam';
+               fire(kids[0], 'input');
+               ok = ok && timers.length == 1;
+               timers[0]();
+               ok = ok && heard.length == 1 && heard[0].name == 'Sam';
+               
+               // as are clicks on checkboxes, but not elsewhere
+               fire(kids[1], 'click');
+               fire(kids[2], 'click');
+               fire(kids[0], 'click');
+               ok = ok && timers.length == 2;
+               fire(kids[1], 'change');
+               fire(kids[2], 'change');
+               ok = ok && timers.length == 3;
+               
+               // new models keep the same listeners
+               update({ name: 'Kim', ok: 'on', label: 'hi' });
+               fire(get_dom_object('delegation_test').firstChild, 'input');
+               ok = ok && timers.length == 4;
+               
+               update.dispose();
+           } finally {
+               window.setTimeout = set_timeout;
+           }
+           
+           unmount('delegation_test');
+           return ok;
+       },
+       function () {
+           // the lens makes a new root, so the listeners move to it
+           var set_timeout = window.setTimeout;
+           var timers = 0;
+           window.setTimeout = function (f) { return ++timers; };
+           
+           try {
+               mount('delegation_root_test');
+               var update = bind_lens(div_tag({ 'id': 'delegation_root_test' },
+                                              'n', input_tag()),
+                                      'delegation_root_test');
+               update({ n: 1 });
+               
+               var root = get_dom_object('delegation_root_test');
+               fire(root.firstChild, 'input');
+               var ok = root.nodeName.toLowerCase() == 'div' && timers == 1;
+               
+               update.dispose();
+               fire(root.firstChild, 'input');
+               ok = ok && timers == 1;
+           } finally {
+               window.setTimeout = set_timeout;
+           }
+           
+           unmount('delegation_root_test');
+           return ok;
+       });
+    
+    $T('disposing of bindings',
+       function () {
+           // watch the timers the binding sets
+           var set_timeout = window.setTimeout;
+           var clear_timeout = window.clearTimeout;
+           var pending = {};
+           var next_id = 0;
+           window.setTimeout = function (f) { 
+               pending[++next_id] = f; 
+               return next_id;
+           };
+           window.clearTimeout = function (id) { delete pending[id]; };
+           
+           try {
+               mount('dispose_test');
+               var update = bind_lens(div_tag({}, 'n', input_tag()),
+                                      'dispose_test', undefined, 10, 1000);
+               update({ n: 1 });
+               
+               var binding = update.binding;
+               var input = get_dom_object('dispose_test').firstChild;
+               fire(input, 'input');
+               var ok = 'poll_id' in binding && next_id == 1;
+               
+               update.dispose();
+               update.dispose();
+               ok = ok && equal(pending, {}) && !('poll_id' in binding);
+               
+               // nobody's listening any more
+               fire(input, 'input');
+               ok = ok && next_id == 1 &&
+                    throws_e(function () { track_history('dispose_test'); },
+                             function (e) { 
+                                 return /not bound/.test(e.msg); 
+                             })();
+           } finally {
+               window.setTimeout = set_timeout;
+               window.clearTimeout = clear_timeout;
+           }
+           
+           unmount('dispose_test');
+           return ok;
+       },
+       function () {
+           var lib = initLenses(fake_flapjax());
+           var model = lib.model_b({ n: 1 });
+           mount('dispose_b_test');
+           var handle = lib.bind_lens_to(model, lib.div_tag({}, 'n', 
+                                                            lib.input_tag()),
+                                         'dispose_b_test');
+           var input = get_dom_object('dispose_b_test').firstChild;
+           
+           model.sendPulse({ n: 2 }, function () { });
+           var ok = input.value == '2' && model.changes().length == 1;
+           
+           handle.dispose();
+           model.sendPulse({ n: 3 }, function () { });
+           ok = ok && input.value == '2' && model.changes().length === 0;
+           
+           unmount('dispose_b_test');
+           return ok;
+       });
+})();
+
 // BINDING }}}
 
+// {{{ SERIALIZATION
+
+/* Tests for serialize_lens and deserialize_lens */
+(function () {
+    var is_name = name_value('test_is_name', function (p) { 
+        return p == 'name'; 
+    });
+    var o = { name: 'Pat', phone: '333-4444' };
+    
+    function round_trip(lens) {
+        // go through a string, to be sure that the description is really JSON
+        return deserialize_lens(JSON.parse(JSON.stringify(serialize_lens(lens))));
+    }
+    
+    function serialize_exception(e) {
+        return e.name == 'LensException' && e.lens == 'serialize_lens';
+    }
+    
+    var arith = map(hoist('foo', true).plus(5, 0));
+    var wm = wmap(['foo', 'bar'], plus(5, undefined), 'baz', id_lens());
+    var lay = div_tag({ id: 'lay' }, 
+                      'label', make_dom_node('b', {}, ['Foo: ']),
+                      'foo', input_tag());
+    var f = filter(is_name, {});
+    
+    $T('lens serialization',
+       function () {
+           return equal(serialize_lens(plus(5, 0)),
+                        { '$lens': 'plus', 'args': [5, 0] });
+       },
+       function () {
+           return equal(serialize_lens(plus(5, undefined)),
+                        { '$lens': 'plus', 
+                          'args': [5, { '$undefined': true }] });
+       },
+       function () {
+           return equal(serialize_lens(f),
+                        { '$lens': 'filter', 
+                          'args': [{ '$named': 'test_is_name' }, {}] });
+       },
+       function () {
+           return equal(serialize_lens(constant({ '$odd': 1 }, 0)),
+                        { '$lens': 'constant',
+                          'args': [{ '$object': { '$odd': 1 } }, 0] });
+       },
+       round_trip(arith).get_is({ a: { foo: 0 } }, { a: 5 }),
+       round_trip(wm).get_is({ foo: 5, bar: 6, baz: 7 },
+                             { foo: 10, bar: 11, baz: 7 }),
+       round_trip(f).putback_is({ name: 'Patty' }, o, 
+                                { name: 'Patty', phone: '333-4444' }),
+       round_trip(lay).get_is({ foo: 5 }, lay.get({ foo: 5 })),
+       round_trip(constant({ '$odd': 1 }, 0)).get_is(5, { '$odd': 1 }),
+       round_trip(str_copy(/[a-z]+/)).get_is('abc', 'abc'),
+       function () {
+           return equal(serialize_lens(str_copy(/a+/g)),
+                        { '$lens': 'str_copy',
+                          'args': [{ '$regexp': 'a+' }] });
+       },
+       throws_e(function () { 
+                    serialize_lens(constant(new RegExp('a', 'y'), 0)); 
+                },
+                serialize_exception),
+       throws_e(function () { 
+                    serialize_lens(filter(function (p) { return true; }));
+                },
+                serialize_exception),
+       throws_e(function () { serialize_lens(new Lens()); },
+                serialize_exception),
+       throws_e(function () { deserialize_lens({ '$lens': 'no_such_lens',
+                                                 'args': [] }); },
+                function (e) { 
+                    return e.name == 'LensException' && 
+                           e.lens == 'deserialize_lens';
+                }),
+       // inherited names aren't registered
+       throws_e(function () { deserialize_lens({ '$lens': 'constructor',
+                                                 'args': [] }); },
+                function (e) { 
+                    return e.name == 'LensException' && 
+                           /no lens is registered as constructor/.test(e.msg);
+                }),
+       throws_e(function () { 
+                    deserialize_lens({ '$lens': 'constant',
+                                       'args': [{ '$named': 'toString' }, 
+                                                0] }); 
+                },
+                function (e) { 
+                    return e.name == 'LensException' && 
+                           /no value is named toString/.test(e.msg);
+                }));
+})();
+
+// SERIALIZATION }}}
+
+// {{{ PARSING
+
+/* Tests for parse_lens and parse_lens_value */
+(function () {
+    name_value('test_is_foo', function (p) { return p == 'foo'; });
+    
+    function parses_to(src, lens, c) {
+        return function () {
+            return equal(parse_lens(src).get(c), lens.get(c));
+        };
+    }
+    
+    function parse_exception(line, column) {
+        return function (e) {
+            return e.name == 'LensException' && e.line == line && 
+                   e.column == column;
+        };
+    }
+    
+    function parse_throws(src, line, column) {
+        return throws_e(function () { parse_lens(src); },
+                        parse_exception(line, column));
+    }
+    
+    $T('the lens parser',
+       parses_to('id_lens()', id_lens(), 5),
+       parses_to('plus(5, 0)', plus(5, 0), 5),
+       parses_to('map(hoist("foo", true).plus(5, 0))', 
+                 map(hoist('foo', true).plus(5, 0)),
+                 { a: { foo: 0 } }),
+       parses_to('wmap(["foo", \'bar\'], plus(-1.5e1, undefined))',
+                 wmap(['foo', 'bar'], plus(-15, undefined)),
+                 { foo: 5, bar: 6 }),
+       parses_to('layout("foo", plus(1, 0), "bar", { x: [1, 2], "y": false })',
+                 layout('foo', plus(1, 0), 'bar', { x: [1, 2], y: false }),
+                 { foo: 5 }),
+       parses_to('// comment\nfilter(test_is_foo, {}) /* more */;',
+                 filter(function (p) { return p == 'foo'; }, {}),
+                 { foo: 5, bar: 6 }),
+       parses_to('seq(plus(1, 0), times(2, 0), minus(1, 0))',
+                 seq(plus(1, 0), times(2, 0), minus(1, 0)),
+                 5),
+       function () {
+           return parse_lens('constant("a\\tb\\u0041", 0)').get(5) == 'a\tbA';
+       },
+       function () {
+           return equal(parse_lens_value('{ h: 12, m: [45, "x"], t: null }'),
+                        { h: 12, m: [45, 'x'], t: null });
+       },
+       parse_throws('plus(5, 0', 1, 10),
+       parse_throws('plus(5 0)', 1, 8),
+       parse_throws('id_lens()\n  .no_such_lens()', 2, 4),
+       parse_throws('no_such_lens()', 1, 1),
+       parse_throws('filter(no_such_name)', 1, 8),
+       parse_throws('plus(5, 0) plus', 1, 12),
+       parse_throws('constant("foo, 0)', 1, 10),
+       parse_throws('id_lens() + 1', 1, 11),
+       parse_throws('5', 1, 1),
+       parse_throws('alert(document.cookie)', 1, 1),
+       // errors while constructing a lens are located, too
+       parse_throws('\n times(0, 1)', 2, 2),
+       throws_e(function () { parse_lens('times(0, 1)'); },
+                function (e) {
+                    var stack = e.stack();
+                    return e.lens == 'times' &&
+                           stack[stack.length - 1].fun == 'parse_lens';
+                }));
+    
+    $T('the lens parser only sees its own names',
+       throws_e(function () { parse_lens_value('constructor'); },
+                function (e) { 
+                    return /unknown name constructor/.test(e.msg); 
+                }),
+       throws_e(function () { parse_lens('toString()'); },
+                function (e) { return /unknown lens toString/.test(e.msg); }),
+       throws_e(function () { parse_lens('id_lens().hasOwnProperty()'); },
+                function (e) { 
+                    return /unknown lens hasOwnProperty/.test(e.msg); 
+                }),
+       throws_e(function () { 
+                    parse_lens_value('{ "__proto__": { "x": 1 } }'); 
+                },
+                function (e) { return /__proto__/.test(e.msg); }),
+       function () {
+           // Object.prototype is never written through
+           try { parse_lens_value('{ __proto__: { x: 1 } }'); } catch (e) {}
+           return ({}).x === undefined;
+       });
+})();
+
+// PARSING }}}
+
+// {{{ MODULES
+
+/* Tests for the namespaced exports of initLenses */
+(function () {
+    var globals = { 'plus': plus, 'LPlus': LPlus, 'LDivTag': LDivTag,
+                    'div_tag': div_tag };
+    var lib = initLenses();
+    
+    function untouched() {
+        for (var name in globals) {
+            if (window[name] !== globals[name]) { return false; }
+        }
+        return true;
+    }
+    
+    $T('the namespaced exports',
+       untouched,
+       function () { return lib.plus !== plus && lib.LDivTag !== LDivTag; },
+       function () { return lib.plus(5, 0).get(1) == 6; },
+       function () { return new lib.LTimes(2, 0).putback(8, 3) == 4; },
+       function () { return lib.is_lens(new lib.LDivTag({}, ['a'])); },
+       function () { return lib.is_lens(lib.input_tag({}, lib.plus(1, 0))); },
+       function () {
+           return lib.LPlus && lib.LMinus && lib.LTimes && lib.LDivide &&
+                  lib.LInputTag && lib.LBrTag && lib.registered_lenses;
+       },
+       // the copies don't share a registry or an error handler
+       function () {
+           var caught = false;
+           lib.set_error_handler(function () { caught = true; });
+           lib.times(0, 1);
+           lib.set_error_handler(lib.throw_on_error);
+           return caught;
+       },
+       throws_e(function () { times(0, 1); },
+                function (e) { return e.name == 'LensException'; }),
+       untouched);
+})();
+
+// MODULES }}}
+
+// {{{ DELTAS
+
+/* Tests for putback_delta and apply_deltas */
+(function () {
+    // the edit script must be as expected, and must take c to the new model
+    function deltas_are(lens, a, c, expected) {
+        return function () {
+            var put = lens.putback_delta(a, c);
+            var copy = c === undefined ? undefined : parse_lens_value(
+                JSON.stringify(c));
+            
+            return equal(put.edits, expected) &&
+                   JSON.stringify(apply_deltas(copy, put.edits)) ==
+                   JSON.stringify(put.model);
+        };
+    }
+    
+    var lm = list_map(plus(1, 0));
+    lm.get([1, 2, 3]);
+    
+    $T('edit scripts',
+       deltas_are(map(plus(1, 0)), { a: 3, b: 6 }, { a: 2, b: 4, c: 9 },
+                  [{ op: 'set', path: ['b'], value: 5 },
+                   { op: 'delete', path: ['c'] }]),
+       // nested edits are reported in place...
+       deltas_are(wmap('n', map(plus(1, 0))), { n: { x: 3 }, m: 1 }, 
+                  { n: { x: 1, y: 2 }, m: 2 },
+                  [{ op: 'set', path: ['n', 'x'], value: 2 },
+                   { op: 'delete', path: ['n', 'y'] },
+                   { op: 'set', path: ['m'], value: 1 }]),
+       // ...unless they're relative to an intermediate tree
+       deltas_are(seq(hoist('q'), map(plus(1, 0))), { x: 3 }, { q: { x: 1 } },
+                  [{ op: 'set', path: ['q'], value: { x: 2 } }]),
+       deltas_are(xfork('a', 'a', map(plus(1, 0)), id_lens()), { a: 5, b: 1 }, 
+                  { a: 1, b: 1, c: 3 },
+                  [{ op: 'set', path: ['a'], value: 4 },
+                   { op: 'delete', path: ['c'] }]),
+       // a property moving between xfork's branches is just set
+       deltas_are(xfork('a', 'b', rename('a', 'b'), id_lens()), { b: 5 }, 
+                  { a: 1 },
+                  [{ op: 'set', path: ['a'], value: 5 }]),
+       deltas_are(index(1, []), 'z', ['a', 'b', 'c'],
+                  [{ op: 'set', path: [1], value: 'z' }]),
+       deltas_are(list_map(plus(1, 0)), [5, 6], [],
+                  [{ op: 'insert', path: [0], value: 4 },
+                   { op: 'insert', path: [1], value: 5 }]),
+       function () {
+           lm.add_child(1)(8);
+           lm.del_child(3)();
+           return deltas_are(lm, [2, 10, 4], [1, 2, 3],
+                             [{ op: 'insert', path: [1], value: 8 },
+                              { op: 'remove', path: [3] },
+                              { op: 'set', path: [2], value: 9 }])();
+       },
+       deltas_are(keyed_list_map('id', undefined, wmap('v', plus(1, 0))),
+                  [{ id: 3 }, { id: 1, v: 3 }, { id: 4 }],
+                  [{ id: 1, v: 1 }, { id: 2 }, { id: 3 }],
+                  [{ op: 'remove', path: [1] },
+                   { op: 'move', path: [1], to: 0 },
+                   { op: 'insert', path: [2], value: { id: 4 } },
+                   { op: 'set', path: [1, 'v'], value: 2 }]),
+       deltas_are(map(plus(1, 0)), { a: 3 }, undefined,
+                  [{ op: 'set', path: [], value: { a: 2 } }]),
+       deltas_are(plus(1, 0), 3, 1, [{ op: 'set', path: [], value: 2 }]),
+       deltas_are(map(plus(1, 0)), { a: 3 }, { a: 2 }, []),
+       function () {
+           var l = wmap('n', map(plus(1, 0)));
+           var c = { n: { x: 1, y: 2 }, m: 2 };
+           return equal(l.putback_delta({ n: { x: 3 } }, c).model,
+                        l.putback({ n: { x: 3 } }, c));
+       },
+       // delta mode doesn't leak out of a failed putback
+       function () {
+           try { 
+               map(error_lens('test', 'fail')).putback_delta({ a: 1 }, 
+                                                             { a: 1 });
+           } catch (e) { }
+           return equal(map(plus(1, 0)).putback_delta({ a: 3 }, { a: 2 }),
+                        { model: { a: 2 }, edits: [] });
+       });
+    
+    $T('edit scripts in bindings',
+       function () {
+           var node = make_dom_node('span', { 'id': 'delta_test' });
+           document.body.appendChild(node);
+           
+           var heard = [];
+           var update = bind_lens(div_tag({}, focus('n', 0).input_tag({})), 
+                                  'delta_test', 
+                                  function (c, edits) { heard.push(edits); },
+                                  undefined, undefined, true);
+           update({ n: 1, m: 2 });
+           
+           var binding = track_history('delta_test').binding;
+           get_dom_object('delta_test').firstChild.value = '5';
+           binding.putback();
+           
+           unbind_lens('delta_test');
+           node = get_dom_object('delta_test');
+           node.parentNode.removeChild(node);
+           
+           return equal(heard, [[{ op: 'set', path: ['n'], value: 5 }]]);
+       });
+})();
+
+// DELTAS }}}
+
+// {{{ LENS LAWS
+
+/* Generator-driven law checks over every registered lens */
+(function () {
+    var ints = gen_int();
+    var strs = gen_string();
+    var prims = gen_one_of(ints, strs);
+    var props = ['foo', 'bar', 'baz'];
+    var objs = gen_object(props, prims);
+    var int_objs = gen_object(props, ints);
+    var int_lists = gen_list(ints);
+    var has_foo = gen_object(props, prims, ['foo']);
+    
+    function is_foo(p) { return p == 'foo'; }
+    function is_object(c) { return typeof c == 'object'; }
+    
+    // makes a table with unique ids from a list, by making a row of each item
+    function table(items, row) {
+        var rows = [];
+        for (var i = 0;i < items.length;i++) {
+            var r = row(items[i], i);
+            if (!('id' in r)) { r.id = i; }
+            rows.push(r);
+        }
+        return rows;
+    }
+    function plus_op(a, b) { return a + b; }
+    function minus_op(a, b) { return a - b; }
+    
+    var specs = {
+        'id_lens': { make: function () { return id_lens(); },
+                     c: gen_maybe(objs),
+                     laws: ['getput', 'putget', 'putput'] },
+        'stack_marker': { make: function () { 
+                              return stack_marker(plus(1, 0), 'laws'); 
+                          },
+                          c: ints },
+        // never defined, so there's nothing to check
+        'error_lens': { make: function () { return error_lens('laws', ''); },
+                        c: ints,
+                        laws: [] },
+        'seq': { make: function () { return seq(plus(1, 0), times(2, 0)); },
+                 c: ints,
+                 laws: ['getput', 'putget', 'putput'] },
+        'constant': { make: function () { return constant(5, 10); },
+                      c: gen_maybe(ints),
+                      a: gen_elements([5]) },
+        'op': { make: function () {
+                    return op(function (c) { return c * 3; },
+                              function (a) { return a / 3; },
+                              0);
+                },
+                c: ints },
+        'validate': { make: function () {
+                          return validate(function (n) { return n % 2 === 0; });
+                      },
+                      c: gen_map(ints, function (n) { return n * 2; }) },
+        'arith': { make: function () { return arith(plus_op, minus_op, 2, 0); },
+                   c: ints },
+        'plus': { make: function () { return plus(1, 0); }, c: ints },
+        'minus': { make: function () { return minus(1, 0); }, c: ints },
+        'times': { make: function () { return times(2, 0); }, c: ints },
+        'divide': { make: function () { return divide(2, 0); }, c: ints },
+        'hoist': { make: function () { return hoist('foo'); },
+                   c: gen_object(['foo'], prims, ['foo']) },
+        'plunge': { make: function () { return plunge('foo'); }, c: prims },
+        'xfork': { make: function () {
+                       return xfork(is_foo, is_foo, id_lens(), 
+                                    plunge('rest'));
+                   },
+                   c: objs },
+        'fork': { make: function () {
+                      return fork(is_foo, id_lens(), plunge('rest'));
+                  },
+                  c: objs },
+        'filter': { make: function () { return filter(is_foo, {}); },
+                    c: objs },
+        'prune': { make: function () { return prune('foo', 0); }, c: objs },
+        'add': { make: function () { return add('qux', 5); }, c: objs },
+        'focus': { make: function () { return focus('foo', 0); },
+                   c: has_foo },
+        'hoist_nonunique': { make: function () {
+                                 return hoist_nonunique('foo', function (p) {
+                                     return p == 'bar';
+                                 });
+                             },
+                             c: gen_map(gen_object(['bar'], prims),
+                                        function (o) { return { foo: o }; }) },
+        'rename': { make: function () { return rename('foo', 'qux'); },
+                    c: has_foo },
+        'map': { make: function () { return map(plus(1, 0)); }, 
+                 c: int_objs },
+        'wmap': { make: function () {
+                      return wmap('foo', plus(1, 0), 'bar', minus(1, 0));
+                  },
+                  c: int_objs },
+        'copy': { make: function () { return copy('foo', 'qux'); },
+                  c: objs },
+        // getput fails when only foo is present: { foo: '' } comes back
+        // as { foo: '', bar: '' }, since equal treats undefined as a wildcard
+        'merge': { make: function () { return merge('foo', 'bar'); },
+                   c: objs,
+                   laws: ['putget'] },
+        'ccond': { make: function () {
+                       return ccond(is_object, focus('foo', 0), plus(1, 0));
+                   },
+                   c: gen_one_of(ints, gen_object(['foo'], ints, ['foo'])) },
+        'acond': { make: function () {
+                       return acond(function (c) { return has_prop(c, 'foo'); },
+                                    function (a) { return has_prop(a, 'qux'); },
+                                    rename('foo', 'qux'),
+                                    id_lens());
+                   },
+                   c: objs },
+        'rename_if_present': { make: function () {
+                                   return rename_if_present('foo', 'qux');
+                               },
+                               c: objs },
+        'cond': { make: function () {
+                      var always = function () { return true; };
+                      var undef = function () { return undefined; };
+                      return cond(is_object, always, always, undef, undef,
+                                  focus('foo', 0), plus(1, 0));
+                  },
+                  c: gen_one_of(ints, gen_object(['foo'], ints, ['foo'])) },
+        'head': { make: function () { return head([]); }, c: int_lists },
+        'tail': { make: function () { return tail([]); }, c: int_lists },
+        'index': { make: function () { return index(1, []); }, 
+                   c: int_lists },
+        'list_length': { make: function () { return list_length(); },
+                         c: int_lists },
+        'order': { make: function () { return order('foo', 'bar', 'baz'); },
+                   c: gen_object(props, ints, props) },
+        'list_map': { make: function () { return list_map(plus(1, 0)); },
+                      c: int_lists },
+        'keyed_list_map': { make: function () {
+                                return keyed_list_map('id', undefined,
+                                                      prune('v', 0));
+                            },
+                            c: gen_list(gen_object(['id', 'v'], ints,
+                                                   ['id', 'v'])) },
+        'rotate': { make: function () { return rotate(); }, c: int_lists },
+        'reverse': { make: function () { return reverse(); }, c: int_lists },
+        'group': { make: function () { return group(2); }, c: int_lists },
+        // both laws fail on empty sublists -- [[]] gets and puts back as
+        // [], and ['|'] puts back and gets as [] -- so sublists here are
+        // never empty
+        'concat': { make: function () { return concat('|'); },
+                    c: gen_list(gen_map(gen_list(strs), function (l) {
+                        return l.concat(['x']);
+                    })) },
+        'list_filter': { make: function () {
+                             return list_filter(function (c) { 
+                                                    return c % 2 === 0; 
+                                                },
+                                                function (c) { 
+                                                    return c % 2 !== 0; 
+                                                });
+                         },
+                         // putget fails when the abstract list shrinks:
+                         // putback([], [0]) keeps the 0
+                         c: int_lists,
+                         laws: ['getput'] },
+        'rel_select': { make: function () {
+                            return rel_select(function (r) {
+                                return r.dept == 'eng';
+                            }, 'id');
+                        },
+                        c: gen_map(gen_list(gen_elements(['eng', 'ops'])),
+                                   function (depts) {
+                                       return table(depts, function (d) {
+                                           return { dept: d };
+                                       });
+                                   }),
+                        // even ids may collide with unselected rows
+                        a: gen_map(gen_list(strs), function (names) {
+                            return table(names, function (n, i) {
+                                return { id: 2 * i, name: n, dept: 'eng' };
+                            });
+                        }) },
+        'rel_project': { make: function () {
+                             return rel_project(['id', 'name'], 'id',
+                                                { dept: 'none' });
+                         },
+                         c: gen_map(gen_list(strs), function (depts) {
+                             return table(depts, function (d) {
+                                 return { name: 'n', dept: d };
+                             });
+                         }),
+                         a: gen_map(gen_list(strs), function (names) {
+                             return table(names, function (n, i) {
+                                 return { id: 2 * i, name: n };
+                             });
+                         }) },
+        // kinds: 0 is in both tables, 1 only the left, 2 only the right
+        'rel_join': { make: function () {
+                          return rel_join('l', ['id', 'x'], 'r', ['id', 'y']);
+                      },
+                      c: gen_map(gen_list(gen_elements([0, 1, 2])),
+                                 function (kinds) {
+                                     var db = { l: [], r: [] };
+                                     for (var i = 0;i < kinds.length;i++) {
+                                         if (kinds[i] != 2) {
+                                             db.l.push({ id: i, x: 'x' + i });
+                                         }
+                                         if (kinds[i] != 1) {
+                                             db.r.unshift({ id: i, y: i });
+                                         }
+                                     }
+                                     return db;
+                                 }),
+                      a: gen_map(gen_list(ints), function (ys) {
+                          return table(ys, function (y, i) {
+                              return { id: 2 * i, x: 'new', y: y };
+                          });
+                      }) },
+        'layout': { make: function () {
+                        return layout('foo', plus(1, 0), 'bar', 'label');
+                    },
+                    c: gen_object(['foo'], ints, ['foo']) },
+        'text_tag': { make: function () { return text_tag(); }, c: prims },
+        'constant_tag': { make: function () { 
+                              return constant_tag('br', 5);
+                          },
+                          c: ints },
+        'tag': { make: function () { return tag('div'); }, c: prims },
+        'textarea_tag': { make: function () { return textarea_tag({}); },
+                          c: prims },
+        'option_tag': { make: function () { return option_tag(); },
+                        c: prims },
+        'checkbox_tag': { make: function () { return checkbox_tag(); },
+                          c: gen_elements([true, false]) },
+        'radio_group_tag': { make: function () {
+                                 return radio_group_tag({}, 'laws', 
+                                                        [1, 2, 'three']);
+                             },
+                             c: gen_elements([1, 2, 'three']) },
+        'number_input_tag': { make: function () { 
+                                  return number_input_tag({}, 0); 
+                              },
+                              c: ints },
+        'date_input_tag': { make: function () { return date_input_tag(); },
+                            c: gen_map(ints, function (n) {
+                                // each way of giving a day in January 2009
+                                var day = Math.abs(n) % 31 + 1;
+                                var date = new Date(Date.UTC(2009, 0, day));
+                                var str = '2009-01-' + (day < 10 ? '0' : '') +
+                                          day;
+                                return [date, date.getTime(), str][day % 3];
+                            }) },
+        'multi_select_tag': { make: function () {
+                                  return multi_select_tag({}, ['a', 'b', 'c']);
+                              },
+                              c: gen_elements([[], ['a'], ['b', 'c'],
+                                               ['a', 'b', 'c']]) },
+        'str_copy': { make: function () { return str_copy(/[abc]*/); },
+                      c: gen_string('abc') },
+        'str_del': { make: function () { return str_del(/x*/, 'x'); },
+                     c: gen_string('x') },
+        'str_ins': { make: function () { return str_ins('->'); },
+                     c: gen_elements(['']) },
+        'str_concat': { make: function () {
+                            return str_concat(str_copy(/[abc]*/),
+                                              str_del(/[0-9]+/, '0'),
+                                              str_ins(';'));
+                        },
+                        c: gen_map(gen_string('abc'), function (s) {
+                            return s + '12';
+                        }),
+                        a: gen_map(gen_string('abc'), function (s) {
+                            return s + ';';
+                        }) },
+        'str_union': { make: function () {
+                           return str_union(str_copy(/[abc]+/),
+                                            str_concat(str_copy(/[0-9]+/),
+                                                       str_del(/kg/, 'kg')));
+                       },
+                       c: gen_one_of(gen_map(gen_string('abc'), function (s) {
+                                         return 'a' + s;
+                                     }),
+                                     gen_map(gen_string('123'), function (s) {
+                                         return '1' + s + 'kg';
+                                     })),
+                       a: gen_one_of(gen_map(gen_string('abc'), function (s) {
+                                         return 'b' + s;
+                                     }),
+                                     gen_map(gen_string('123'), function (s) {
+                                         return '2' + s;
+                                     })) },
+        'str_star': { make: function () {
+                          return str_star(str_concat(str_copy(/[abc]/),
+                                                     str_del(/[0-9]+/, '0')));
+                      },
+                      c: gen_map(gen_list(gen_elements(['a1', 'b22', 'c3'])),
+                                 function (l) { return l.join(''); }),
+                      a: gen_string('abc') },
+        'str_record': { make: function () {
+                            return str_record('h', str_copy(/[0-9]{2}/),
+                                              str_del(':', ':'),
+                                              'm', str_copy(/[0-9]{2}/));
+                        },
+                        c: gen_map(gen_object(['h', 'm'],
+                                              gen_elements(['00', '12', '59']),
+                                              ['h', 'm']),
+                                   function (o) { return o.h + ':' + o.m; }),
+                        a: gen_object(['h', 'm'],
+                                      gen_elements(['00', '07', '23']),
+                                      ['h', 'm']) },
+        'str_list': { make: function () {
+                          return str_list(str_record('k', str_copy(/[abc]+/),
+                                                     str_del('=', '='),
+                                                     'v', str_copy(/[0-9]*/),
+                                                     str_del('\n', '\n')));
+                      },
+                      c: gen_map(gen_list(gen_elements(['a=1\n', 'bc=\n',
+                                                        'c=22\n'])),
+                                 function (l) { return l.join(''); }),
+                      a: gen_list(gen_elements([{ k: 'a', v: '1' },
+                                                { k: 'bb', v: '' }])) },
+        'lquot': { make: function () { return lquot(canon_trim, id_lens()); },
+                   // the view is canonical, so it can't have surrounding spaces
+                   c: gen_string('ab '),
+                   a: gen_map(gen_string('ab '), function (s) {
+                       return s.replace(/^\s+|\s+$/g, '');
+                   }),
+                   laws: ['getput', 'putget', 'putput'] },
+        'rquot': { make: function () { 
+                       return rquot(focus('foo', ''), canon_case); 
+                   },
+                   c: gen_object(['foo'], gen_string('ab'), ['foo']),
+                   a: gen_string('abAB') }
+    };
+    
+    // the generated tag lenses all share a calling convention
+    var lenses = registered_lenses();
+    for (var name in lenses) {
+        if (!(name in specs) && /_tag$/.test(name)) {
+            specs[name] = { make: (function (fun) {
+                                return function () { return fun({}); };
+                            })(lenses[name]),
+                            c: prims };
+        }
+    }
+    
+    $Laws(specs);
+    
+    // the DOM lenses' laws hold over plain data, too
+    for (name in specs) {
+        if (/(^|_)tag$/.test(name)) {
+            $T('lens laws in the tree backend (' + name + ')',
+               specs[name].make().laws(specs[name].c, specs[name].a,
+                                       specs[name].laws, 
+                                       { backend: tree_backend }));
+        }
+    }
+})();
+
+// LENS LAWS }}}
+
 // TESTS }}}
 
 return runTests;